@@ -1,60 +1,198 @@
 // App.js - Amazon Deals Finder Frontend (Complete)
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { Search, Facebook, AlertCircle, Settings } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useReducer, useRef } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { loadBoard, saveBoard } from './storage/boardCache';
+import api, { isAbortError } from './api/client';
+import useSavedSearches from './hooks/useSavedSearches';
+import usePriceHistory from './hooks/usePriceHistory';
+import usePostTemplates from './hooks/usePostTemplates';
+import useCardTemplates from './hooks/useCardTemplates';
+import useQuotaBudget from './hooks/useQuotaBudget';
+import useMonitorHistory from './hooks/useMonitorHistory';
+import usePosting from './hooks/usePosting';
+import useAnnouncer from './hooks/useAnnouncer';
+import useRewrites from './hooks/useRewrites';
+import useAiSettings from './hooks/useAiSettings';
+import useExternalPost from './hooks/useExternalPost';
+import { percentAboveLow } from './utils/priceHistory';
+import { scoreDeal, normalizeScoreWeights, DEFAULT_SCORE_WEIGHTS } from './utils/dealScore';
+import { dealLink } from './utils/deals';
+import { MARKETPLACES, DEFAULT_MARKETPLACE } from './utils/marketplaces';
+import { priceHistoryKey } from './utils/priceHistory';
+import { renderTemplate } from './posts/templateEngine';
+import { buildDealContext, buildExternalContext } from './posts/postTemplates';
+import { lastPostingOf, CLIPBOARD_NETWORK, dealStatus } from './utils/dealLifecycle';
+import { DEAL_SHORTCUTS, DEAL_SHORTCUT_KEYS, shortcutFor } from './utils/dealShortcuts';
+import { lintPost, applyFixes, DEAL_FACT_RULES } from './posts/compliance';
+import SavedSearchesPanel from './components/SavedSearchesPanel';
+import TemplateEditor from './components/TemplateEditor';
+import PostQueuePanel from './components/PostQueuePanel';
+import BatchToolbar from './components/BatchToolbar';
+import RewriteCompare from './components/RewriteCompare';
+import PostComposer from './components/PostComposer';
+import ImageCardStudio from './components/ImageCardStudio';
+import ScoreWeightsPanel from './components/ScoreWeightsPanel';
+import LinkImportPanel from './components/LinkImportPanel';
+import SearchBar from './components/SearchBar';
+import FiltersPanel from './components/FiltersPanel';
+import DealCard from './components/DealCard';
+import VirtualGrid from './components/VirtualGrid';
+import ExternalUrlComposer from './components/ExternalUrlComposer';
+import MonitorPanel from './components/MonitorPanel';
+import KeywordPager from './components/KeywordPager';
+import DealLifecycleBoard from './components/DealLifecycleBoard';
+import LiveAnnouncer from './components/LiveAnnouncer';
+import QuotaBanner from './components/QuotaBanner';
+import AiSettingsPanel from './components/AiSettingsPanel';
+import { buildDigestPost } from './posts/digest';
+import { dealsToCsv, dealsToJson } from './utils/dealExport';
+import { downloadText } from './utils/download';
+import {
+  DEFAULT_FILTERS,
+  makeDealFilter,
+  sortDeals,
+  filtersToQuery,
+  filtersFromQuery,
+} from './utils/dealFilters';
+import {
+  initialDealsState,
+  dealsReducer,
+  uniqueDeals,
+  HIGHLIGHT_MS,
+  queryChanged,
+  searchStarted,
+  searchFailed,
+  searchSucceeded,
+  loadMoreStarted,
+  loadMoreFailed,
+  pageLoaded,
+  savedSearchChecked,
+  dealsAdded,
+  boardRestored,
+  dealUpdated,
+  dealsDismissed,
+  dealStatusChanged,
+  dealPosted,
+  highlightCleared,
+  selectionToggled,
+  selectionReplaced,
+  paginationKey,
+  selectPagedSearches,
+  selectNextSearch,
+  selectIsLoadingMore,
+  selectSelectedDeals,
+} from './store/dealsStore';
+
+const MARKETPLACE_STORAGE_KEY = 'amazon-deals-finder:marketplace';
+const BLOCKLIST_STORAGE_KEY = 'amazon-deals-finder:blocklist';
+const SCORE_WEIGHTS_STORAGE_KEY = 'amazon-deals-finder:score-weights';
+
+const SERVER_PAGE_SIZE = 30;
+
+const lightButton = {
+  marginLeft: '8px',
+  padding: '8px 14px',
+  backgroundColor: 'white',
+  color: '#667eea',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold'
+};
 
 function App() {
-  // ========================================
-  // CONFIGURATION
-  // ========================================
-  const API_BASE =
-    process.env.NODE_ENV === 'development'
-      ? 'http://localhost:3001'
-      : 'https://amazon-deals-backend.onrender.com';
-
   // ========================================
   // STATE MANAGEMENT
   // ========================================
-  const [deals, setDeals] = useState([]);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [minDiscount, setMinDiscount] = useState(20);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [dedupeKey] = useState('asin');
-  const [lastAddedIds, setLastAddedIds] = useState([]);
-  const lastAddedTimerRef = useRef(null);
-  const [serverPage, setServerPage] = useState(1);
-  const [serverPageSize] = useState(30);
-  const [isLoadingMore, setIsLoadingMore] = useState(false);
-  const [lastKeyword, setLastKeyword] = useState('');
-  const [noMorePages, setNoMorePages] = useState(false);
+  // Deals, the search box and server pagination live in one reducer (store/dealsStore.js)
+  const [board, dispatch] = useReducer(dealsReducer, initialDealsState);
+  const {
+    deals,
+    query: searchQuery,
+    loading,
+    error,
+    lastAddedIds,
+    lastKeyword,
+    pagination,
+    boardStatus,
+    selectedIds,
+  } = board;
+  const pagedSearches = selectPagedSearches(board);
+  const nextSearch = selectNextSearch(board);
+  const isLoadingMore = selectIsLoadingMore(board);
+  // A shared link carries the sender's blocklist, which wins over (but never replaces) the
+  // saved one so the link shows exactly what was shared; a plain visit uses the saved list
+  const [filters, setFilters] = useState(() => ({
+    ...DEFAULT_FILTERS,
+    blocklist: window.localStorage.getItem(BLOCKLIST_STORAGE_KEY) || '',
+    ...filtersFromQuery(window.location.search),
+  }));
+  const { minDiscount } = filters;
   const [debugPromotions, setDebugPromotions] = useState(false);
-  const [showOnlyWithCodes, setShowOnlyWithCodes] = useState(false);
   const [maxResults, setMaxResults] = useState(1000);
+  const [priceHistory, recordPrices] = usePriceHistory();
+  const [marketplace, setMarketplace] = useState(() => {
+    const saved = window.localStorage.getItem(MARKETPLACE_STORAGE_KEY);
+    return MARKETPLACES[saved] ? saved : DEFAULT_MARKETPLACE;
+  });
+  const autoLoadStartedRef = useRef(false);
+
+  // Status messages go to the live regions (components/LiveAnnouncer.js), not alert()
+  const [announcement, announce] = useAnnouncer();
 
-  const [externalUrl, setExternalUrl] = useState('');
-  const [externalMeta, setExternalMeta] = useState(null);
-  const [fetchingMeta, setFetchingMeta] = useState(false);
-  const [externalOriginalPrice, setExternalOriginalPrice] = useState('');
-  const [externalCurrentPrice, setExternalCurrentPrice] = useState('');
-  const [externalDiscount, setExternalDiscount] = useState('');
-  const [externalCouponCode, setExternalCouponCode] = useState('');
-  const [rewritingExternal, setRewritingExternal] = useState(false);
-  const [externalRewritten, setExternalRewritten] = useState('');
-
-  const [monitorStats, setMonitorStats] = useState(null);
+  const quota = useQuotaBudget(api.monitorStats);
+  const monitorHistory = useMonitorHistory(quota.stats, announce);
+  const { blocked: quotaBlocked, refresh: refreshQuota } = quota;
+  const quotaBlockedRef = useRef(quotaBlocked);
+  useEffect(() => {
+    quotaBlockedRef.current = quotaBlocked;
+  }, [quotaBlocked]);
   const [showMonitor, setShowMonitor] = useState(false);
+  // 'grid' shows the deal cards, 'lifecycle' the kanban board by status
+  const [dealView, setDealView] = useState('grid');
 
-  const [aiModel, setAiModel] = useState('mistralai/mistral-7b-instruct:free');
-  const [aiStatuses, setAiStatuses] = useState({});
+  const [scoreWeights, setScoreWeights] = useState(() => {
+    try {
+      return normalizeScoreWeights(JSON.parse(window.localStorage.getItem(SCORE_WEIGHTS_STORAGE_KEY) || '{}'));
+    } catch (err) {
+      return normalizeScoreWeights();
+    }
+  });
 
-  const sentinelRef = useRef(null);
+  const aiSettings = useAiSettings();
+  // Card statuses, streamed variants, the comparison and batch progress (store/rewritesStore.js)
+  const rewrites = useRewrites({ model: aiSettings.model, options: aiSettings.options, announce });
+  const { statuses: aiStatuses, variants: rewriteVariants, compareId } = rewrites;
+  // Post open in the composer: a deal id, or 'external' for the external URL post
+  const [composing, setComposing] = useState(null);
+  const [cardDealId, setCardDealId] = useState(null);
+  const cardTemplates = useCardTemplates();
+  const postTemplates = usePostTemplates();
+  // Compliance and repost checks, the clipboard, share links, the queue and the posting log
+  const posting = usePosting({ announce, onDealPosted: (id, entry) => dispatch(dealPosted(id, entry)) });
+  const { network: queueNetwork } = posting;
+  const external = useExternalPost({
+    marketplace,
+    template: postTemplates.getActiveTemplate('external').body,
+    posting,
+    rewrites,
+    announce,
+  });
+
+  // Each check refreshes the prices of deals already on the board and adds the new ones on top
+  const savedSearches = useSavedSearches({
+    pageSize: SERVER_PAGE_SIZE,
+    debugPromotions,
+    recordPrices,
+    onChecked: (results, checkedAt) => dispatch(savedSearchChecked(results, checkedAt)),
+    paused: quotaBlocked,
+  });
 
-  // ✅ AI Models List
-  const AI_MODELS = [
-    { id: 'mistralai/mistral-7b-instruct:free', label: '⚡ Mistral 7B (Free, Fast)', price: 'FREE' },
-    { id: 'meta-llama/llama-2-7b-chat', label: '🦙 Llama 2 7B (Fast)', price: 'FREE' },
-    { id: 'gpt-3.5-turbo', label: '🚀 GPT-3.5 Turbo (Best Quality)', price: '$' },
-  ];
+  const sentinelRef = useRef(null);
+  // In-flight board requests. A new search cancels the previous one and any page still
+  // loading for the same keyword; load-mores are tracked per pagination key.
+  const searchAbortRef = useRef(null);
+  const loadMoreAbortRef = useRef({});
 
   // ========================================
   // API FUNCTIONS
@@ -62,231 +200,216 @@ function App() {
 
   const searchProductsWithKeyword = useCallback(
     async (keyword) => {
-      setLoading(true);
-      setError('');
+      if (!keyword || keyword.trim().length === 0) {
+        dispatch(searchFailed('❌ Keyword cannot be empty'));
+        return;
+      }
+      dispatch(searchStarted());
       try {
-        if (!keyword || keyword.trim().length === 0) {
-          setError('❌ Keyword cannot be empty');
-          setLoading(false);
-          return;
-        }
-
         const searchPayload = {
           keyword: keyword.trim(),
           minDiscount: Number(minDiscount) || 0,
           page: 1,
-          pageSize: 30,
+          pageSize: SERVER_PAGE_SIZE,
           debugPromotions: debugPromotions === true,
+          marketplace,
         };
 
-        const response = await fetch(`${API_BASE}/api/search`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(searchPayload),
-        });
+        const pageController = loadMoreAbortRef.current[paginationKey(keyword, marketplace)];
+        [searchAbortRef.current, pageController].forEach((c) => c && c.abort());
+        const controller = new AbortController();
+        searchAbortRef.current = controller;
 
-        const data = await response.json();
+        const data = await api.search(searchPayload, { signal: controller.signal });
+        searchAbortRef.current = null;
 
-        if (!response.ok) {
-          setError(
-            `❌ ${data.error || data.message || 'Unknown error from server'}`
-          );
-          setLoading(false);
-          return;
-        }
-
-        if (data.success) {
-          setLastKeyword(keyword);
-          setServerPage(1);
-          setNoMorePages(false);
-
-          const newDeals = data.deals.map((d) => ({
-            ...d,
-            id: Date.now() + Math.random(),
-          }));
-
-          setDeals((prev) => {
-            const existingKeys = new Set(
-              prev.map((p) => p[dedupeKey] || p.asin || p.url || p.title)
-            );
-            const uniqueNew = newDeals.filter((n) => {
-              const key = n[dedupeKey] || n.asin || n.url || n.title;
-              return key && !existingKeys.has(key);
-            });
-            const addedIds = uniqueNew.map((n) => n.id);
-            if (addedIds.length > 0) {
-              setLastAddedIds(addedIds);
-              if (lastAddedTimerRef.current) clearTimeout(lastAddedTimerRef.current);
-              lastAddedTimerRef.current = setTimeout(() => setLastAddedIds([]), 10000);
-            }
-            return [...uniqueNew, ...prev];
-          });
-        } else {
-          setError(`❌ ${data.error || 'Failed to fetch deals'}`);
-        }
+        recordPrices(data.deals, marketplace);
+        dispatch(searchSucceeded(keyword.trim(), data, { marketplace, minDiscount: searchPayload.minDiscount }));
       } catch (err) {
-        setError(`❌ Cannot connect to server: ${err.message}`);
+        // A newer search cancelled this one and now owns the loading state
+        if (isAbortError(err)) return;
+        dispatch(searchFailed(`❌ ${err.message}`));
       }
-      setLoading(false);
     },
-    [minDiscount, API_BASE, dedupeKey, debugPromotions]
+    [minDiscount, debugPromotions, recordPrices, marketplace]
   );
 
   const searchProducts = async () => {
     if (!searchQuery.trim()) return;
-    setServerPage(1);
-    setNoMorePages(false);
-    setLastKeyword(searchQuery);
     await searchProductsWithKeyword(searchQuery);
-    setSearchQuery('');
+    dispatch(queryChanged(''));
   };
 
-  const loadMoreFromServer = useCallback(async () => {
-    if (isLoadingMore || noMorePages) return;
-    setIsLoadingMore(true);
-    const nextPage = serverPage + 1;
+  // Fetches the next page of one search, with the keyword, marketplace and minimum
+  // discount it was run with (not whatever the filters say now)
+  const loadMoreFromServer = useCallback(async (key) => {
+    const entry = pagination[key];
+    if (!entry || entry.loading || entry.exhausted) return;
+    dispatch(loadMoreStarted(key));
+    const nextPage = entry.page + 1;
+    const controller = new AbortController();
+    loadMoreAbortRef.current[key] = controller;
     try {
-      const resp = await fetch(`${API_BASE}/api/search`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          keyword: lastKeyword,
-          minDiscount: Number(minDiscount) || 0,
+      const data = await api.search(
+        {
+          keyword: entry.keyword,
+          minDiscount: entry.minDiscount,
           page: nextPage,
-          pageSize: serverPageSize,
+          ...(entry.cursor ? { cursor: entry.cursor } : {}),
+          pageSize: SERVER_PAGE_SIZE,
           debugPromotions: debugPromotions === true,
-        }),
-      });
-      const data = await resp.json();
-
-      if (data.success) {
-        const newDeals = data.deals.map((d) => ({
-          ...d,
-          id: Date.now() + Math.random(),
-        }));
-        setDeals((prev) => {
-          const existingKeys = new Set(
-            prev.map((p) => p[dedupeKey] || p.asin || p.url || p.title)
-          );
-          const uniqueNew = newDeals.filter((n) => {
-            const key = n[dedupeKey] || n.asin || n.url || n.title;
-            return key && !existingKeys.has(key);
-          });
-          if (uniqueNew.length === 0) setNoMorePages(true);
-
-          const addedIds = uniqueNew.map((n) => n.id);
-          if (addedIds.length > 0) {
-            setLastAddedIds(addedIds);
-            if (lastAddedTimerRef.current) clearTimeout(lastAddedTimerRef.current);
-            lastAddedTimerRef.current = setTimeout(() => setLastAddedIds([]), 10000);
-          }
-          return [...prev, ...uniqueNew];
-        });
-        setServerPage(nextPage);
-      }
+          marketplace: entry.marketplace,
+        },
+        { signal: controller.signal }
+      );
+
+      recordPrices(data.deals, entry.marketplace);
+      dispatch(pageLoaded(entry, nextPage, data));
     } catch (err) {
-      console.error('Load more error', err);
+      if (isAbortError(err)) {
+        dispatch(loadMoreFailed(key));
+      } else {
+        console.error('Load more error', err);
+        dispatch(loadMoreFailed(key, `❌ ${err.message}`));
+      }
     }
-    setIsLoadingMore(false);
-  }, [
-    isLoadingMore,
-    serverPage,
-    serverPageSize,
-    lastKeyword,
-    minDiscount,
-    API_BASE,
-    dedupeKey,
-    noMorePages,
-    debugPromotions,
-  ]);
+    if (loadMoreAbortRef.current[key] === controller) delete loadMoreAbortRef.current[key];
+  }, [pagination, debugPromotions, recordPrices]);
+
+  // New deals stay highlighted for a while after every merge
+  useEffect(() => {
+    if (lastAddedIds.length === 0) return;
+    const timer = setTimeout(() => dispatch(highlightCleared()), HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [lastAddedIds]);
 
   // ========================================
   // HELPER FUNCTIONS
   // ========================================
 
-  const getDealCode = (deal) => deal.code || deal.couponCode || deal.promoCode || deal.coupon || '';
+  const generatePost = (deal) =>
+    renderTemplate(postTemplates.getActiveTemplate('deal').body, buildDealContext(deal));
+
+  // What gets copied, shared and queued: the saved rewrite, otherwise the template
+  const dealPost = (deal) => deal.rewritten || generatePost(deal);
+
+  const lintDealPost = (deal, network = queueNetwork) =>
+    lintPost(dealPost(deal), buildDealContext(deal), { network });
 
-  const generatePost = (deal) => {
-    const code = getDealCode(deal);
-    return `#ad 🔥 DEAL ALERT! ${deal.discount}% OFF! 🔥\n\n${deal.title}\n\n💰 Was: $${deal.originalPrice.toFixed(2)}\n✨ Now: $${deal.currentPrice.toFixed(2)}\n💵 Save: $${(deal.originalPrice - deal.currentPrice).toFixed(2)}!\n\n⭐ ${deal.rating}/5 (${deal.reviewCount.toLocaleString()} reviews)\n\n${code ? `Use code: ${code}\n\n` : ''}Grab it now! 👇\n${deal.url}\n\n⚡Prices may change at any time.\n#AmazonDeals #AllAboutSavings`;
+  const fixDealPost = (deal) => saveRewrite(deal.id, applyFixes(dealPost(deal), lintDealPost(deal)));
+
+  const dealShareData = (deal) => ({
+    post: dealPost(deal),
+    url: dealLink(deal),
+    image: deal.image,
+    title: deal.title,
+    discount: deal.discount,
+  });
+
+  const shareDeal = (deal, targetId = 'facebook') => {
+    const data = dealShareData(deal);
+    if (!posting.confirmPost(deal.asin, posting.lintSharedPost(targetId, data, buildDealContext(deal)))) return;
+    posting.recordDealPosting(deal, targetId, posting.openShareUrl(targetId, data));
   };
 
-  const copy = (text) => {
-    const cleanText = text
-      .replace(/\r\n/g, '\n')
-      .replace(/\r/g, '\n')
-      .replace(/\n{3,}/g, '\n\n')
-      .replace(/[\u200B-\u200D\uFEFF]/g, '')
-      .trim();
-    navigator.clipboard.writeText(cleanText);
-    alert('✅ Copied to clipboard!');
+  const copyDeal = async (deal) => {
+    if (!posting.confirmPost(deal.asin, lintDealPost(deal))) return;
+    posting.recordDealPosting(deal, CLIPBOARD_NETWORK, await posting.copy(dealPost(deal)));
   };
 
-  const shareToFacebook = (deal) => {
-    const quote = encodeURIComponent(generatePost(deal));
-    const shareUrl = `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(
-      deal.url
-    )}&quote=${quote}`;
-    window.open(shareUrl, '_blank', 'noopener,noreferrer');
+  // A queued item's network can change after it was queued, so it is checked again for the
+  // network it goes out on. Without its deal on the board the prices and code aren't known,
+  // so only the rules that don't need them apply.
+  const lintQueueItem = (item, deal) => {
+    if (deal) return lintPost(item.text, buildDealContext(deal), { network: item.network });
+    const context = buildExternalContext({ asin: item.asin, title: item.title }, item.url, {}, marketplace);
+    return lintPost(item.text, context, { network: item.network }).filter((i) => !DEAL_FACT_RULES.includes(i.rule));
   };
 
-  const fetchExternalMetadata = async () => {
-    if (!externalUrl.trim()) {
-      alert('Please enter a URL');
-      return;
-    }
-    setFetchingMeta(true);
-    try {
-      const resp = await fetch(`${API_BASE}/api/fetch-metadata`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url: externalUrl }),
-      });
-      const data = await resp.json();
-      setExternalMeta(data.success ? data : { title: '', description: '', image: '' });
-    } catch (e) {
-      setExternalMeta({ title: '', description: '', image: '', error: e.message });
-    }
-    setFetchingMeta(false);
+  // Copying a queued post is the moment it goes out, so it is checked and logged like a share
+  const copyQueueItem = async (item) => {
+    const deal = item.asin && deals.find((d) => d.asin === item.asin);
+    if (!posting.confirmPost(item.asin, lintQueueItem(item, deal))) return;
+    const text = await posting.copy(item.text);
+    if (deal) posting.recordDealPosting(deal, item.network, text);
+    else posting.recordExternalPosting({ asin: item.asin, title: item.title }, item.url, item.network, text);
+  };
+
+  const queueDeal = (deal) => {
+    if (!posting.confirmPost(deal.asin, lintDealPost(deal))) return;
+    posting.queuePost({
+      asin: deal.asin,
+      title: deal.title,
+      text: dealPost(deal),
+      url: dealLink(deal),
+      image: deal.image,
+    });
+  };
+
+  const changeDealStatus = (ids, status) => dispatch(dealStatusChanged(ids, status));
+
+  const saveRewrite = (dealId, text) => {
+    dispatch(dealUpdated(dealId, { rewritten: text }));
   };
 
-  const generatePostForExternal = (meta, url) => {
-    const origPrice = externalOriginalPrice || meta.originalPrice || '';
-    const currPrice = externalCurrentPrice || meta.discountedPrice || '';
-    const discount = externalDiscount || '';
-    const couponCode = externalCouponCode || meta.couponCode || '';
-
-    let priceSection = '';
-    if (discount) priceSection += `🔥 ${discount}% OFF! 🔥\n\n`;
-    if (origPrice && currPrice) {
-      const diff = parseFloat(origPrice) - parseFloat(currPrice);
-      const savings = diff > 0 ? diff.toFixed(2) : '';
-      priceSection += `💰 Was: $${origPrice}\n✨ Now: $${currPrice}\n`;
-      if (savings) priceSection += `💵 Save $${savings}!\n`;
-      priceSection += '\n';
-    } else if (currPrice) priceSection += `💰 Price: $${currPrice}\n\n`;
-    if (couponCode) priceSection += `Use code: ${couponCode}\n\n`;
-
-    return `#ad\n\n${priceSection}${meta.title || url}\n\n${
-      meta.description ? meta.description + '\n\n' : ''
-    }Grab it now! 👇\n${url}\n\n⚡Prices may change at any time.\n\n#AmazonDeals #AllAboutSavings`;
+  // A post edited back to the template text is stored as no rewrite, so template edits still apply
+  const saveComposedDealPost = (deal, text) => {
+    saveRewrite(deal.id, text === generatePost(deal) ? '' : text);
+    setComposing(null);
+  };
+
+  const dealRewriteJob = (deal) => ({
+    id: deal.id,
+    text: generatePost(deal),
+    context: buildDealContext(deal),
+    save: (text) => saveRewrite(deal.id, text),
+    label: `“${deal.title}”`,
+  });
+
+  const rewriteDeal = (deal) => {
+    const { id, ...job } = dealRewriteJob(deal);
+    rewrites.rewrite(id, job);
   };
 
-  const shareExternalOnFacebook = (meta, url) => {
-    const quote = encodeURIComponent(generatePostForExternal(meta, url));
-    const shareUrl = `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(
-      url
-    )}&quote=${quote}`;
-    window.open(shareUrl, '_blank', 'noopener,noreferrer');
+  const updateScoreWeights = (weights) => {
+    const next = normalizeScoreWeights(weights);
+    setScoreWeights(next);
+    window.localStorage.setItem(SCORE_WEIGHTS_STORAGE_KEY, JSON.stringify(next));
   };
 
+  // ========================================
+  // RESTORE SAVED BOARD ON STARTUP
+  // ========================================
+  useEffect(() => {
+    let cancelled = false;
+    loadBoard().then((saved) => {
+      if (cancelled) return;
+      dispatch(boardRestored(saved));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (boardStatus === 'loading') return;
+    const timer = setTimeout(() => saveBoard({ deals, lastKeyword, pagination }), 500);
+    return () => clearTimeout(timer);
+  }, [boardStatus, deals, lastKeyword, pagination]);
+
   // ========================================
   // AUTO-LOAD DEALS ON STARTUP
   // ========================================
   useEffect(() => {
+    // Only when nothing was restored, and only once (the callback changes with filters).
+    // Waits for the first quota reading, and for the override when the budget is spent.
+    if (boardStatus !== 'empty' || autoLoadStartedRef.current) return;
+    if (quota.status === 'loading' || quotaBlocked) return;
+    autoLoadStartedRef.current = true;
     const autoLoadDeals = async () => {
       const defaultKeywords = ['electronics', 'home kitchen', 'wireless'];
       for (const keyword of defaultKeywords) {
+        if (quotaBlockedRef.current) break;
         try {
           await searchProductsWithKeyword(keyword);
           await new Promise((r) => setTimeout(r, 1000));
@@ -296,57 +419,137 @@ function App() {
       }
     };
     autoLoadDeals();
-  }, [searchProductsWithKeyword]);
+  }, [boardStatus, searchProductsWithKeyword, quota.status, quotaBlocked]);
 
   // ========================================
   // FETCH MONITORING STATS
   // ========================================
-  const fetchMonitorStats = useCallback(async () => {
-    try {
-      const response = await fetch(`${API_BASE}/api/monitor/stats`);
-      const data = await response.json();
-      setMonitorStats(data);
-    } catch (err) {
-      console.error('Failed to fetch monitor stats:', err);
-    }
-  }, [API_BASE]);
-
+  // useQuotaBudget polls in the background; opening the panel fetches fresh numbers
   useEffect(() => {
-    if (showMonitor) {
-      fetchMonitorStats();
-      const interval = setInterval(fetchMonitorStats, 60000);
-      return () => clearInterval(interval);
-    }
-  }, [showMonitor, fetchMonitorStats]);
+    if (showMonitor) refreshQuota();
+  }, [showMonitor, refreshQuota]);
 
   // ========================================
   // FILTERING AND DISPLAY
   // ========================================
-  const filtered = deals.filter((d) => {
-    if (d.discount < minDiscount) return false;
-    if (showOnlyWithCodes && !getDealCode(d)) return false;
-    return true;
-  });
+  const setFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    // Only the user's own edits are saved; a blocklist from a shared link stays in this tab
+    if (key === 'blocklist') window.localStorage.setItem(BLOCKLIST_STORAGE_KEY, value);
+  };
+
+  const changeMarketplace = (id) => {
+    setMarketplace(id);
+    window.localStorage.setItem(MARKETPLACE_STORAGE_KEY, id);
+  };
+
+  // The blocklist is always in the URL, even empty, so whoever opens the link gets this one
+  useEffect(() => {
+    const query = filtersToQuery(filters, window.location.search, { always: ['blocklist'] });
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    window.history.replaceState(window.history.state, '', url);
+  }, [filters]);
+
+  const aboveLowOf = (d) => percentAboveLow(d.currentPrice, priceHistory[priceHistoryKey(d)]);
+
+  // Scored once per render; a single recorded price says nothing about the deal yet
+  const dealScores = new Map();
+  const scoreOf = (d) => {
+    if (!dealScores.has(d.id)) {
+      const points = priceHistory[priceHistoryKey(d)];
+      const aboveLowPct = points && points.length > 1 ? aboveLowOf(d) : null;
+      dealScores.set(d.id, scoreDeal(d, { weights: scoreWeights, aboveLowPct }));
+    }
+    return dealScores.get(d.id);
+  };
+
+  const filtered = sortDeals(
+    deals.filter(makeDealFilter(filters, aboveLowOf, (d) => scoreOf(d).score)),
+    filters.sort,
+    (d) => scoreOf(d).score
+  );
   const displayedDeals = filtered.slice(0, maxResults);
+  const composingDeal = deals.find((d) => d.id === composing);
+  const cardDeal = deals.find((d) => d.id === cardDealId);
+  const compareDeal = deals.find((d) => d.id === compareId) || {};
+
+  // ========================================
+  // LINK IMPORT
+  // ========================================
+  const addImportedDeals = (imported) => {
+    recordPrices(imported, marketplace);
+    const newDeals = uniqueDeals(deals, imported);
+    if (newDeals.length === 0) {
+      announce('All of these deals are already on the board');
+      return;
+    }
+    const action = dealsAdded(newDeals);
+    dispatch(action);
+
+    const hidden = action.deals.filter((d) => !makeDealFilter(filters, aboveLowOf, (x) => scoreOf(x).score)(d)).length;
+    const skipped = imported.length - newDeals.length;
+    announce(
+      `Added ${newDeals.length} deal${newDeals.length === 1 ? '' : 's'}` +
+        (skipped > 0 ? `, ${skipped} already on the board` : '') +
+        (hidden > 0 ? `. ${hidden} hidden by the current filters.` : ''),
+      'success'
+    );
+  };
+
+  // ========================================
+  // SELECTION AND BATCH ACTIONS
+  // ========================================
+  const selectedDeals = selectSelectedDeals(board);
+
+  const toggleSelect = (id, shiftKey) =>
+    dispatch(selectionToggled(id, displayedDeals.map((d) => d.id), { range: shiftKey }));
+
+  // Single-key actions on the deal card focused in the grid
+  const handleDealKeyDown = (deal, e) => {
+    const action = shortcutFor(e);
+    if (!action) return;
+    e.preventDefault();
+    if (action === 'rewrite' && !rewrites.isRewriting(deal.id)) rewriteDeal(deal);
+    else if (action === 'copy') copyDeal(deal);
+    else if (action === 'share') shareDeal(deal);
+    else if (action === 'queue') queueDeal(deal);
+    else if (action === 'edit') setComposing(deal.id);
+    else if (action === 'select') toggleSelect(deal.id, e.shiftKey);
+  };
+
+  const batchRewrite = () =>
+    rewrites.rewriteAll(selectedDeals.filter((d) => !rewrites.isRewriting(d.id)).map(dealRewriteJob));
+
+  const dismissSelected = () => {
+    if (!window.confirm(`Dismiss ${selectedDeals.length} deals from the board?`)) return;
+    dispatch(dealsDismissed(selectedIds));
+  };
 
   // ========================================
   // INFINITE SCROLL OBSERVER
   // ========================================
+  // The sentinel sits below the virtualized grid's bottom spacer, so it only comes into
+  // view near the real end of the list; it then pages the most recent search that has more.
+  // Nothing is fetched once the results cap hides deals, while another page is loading,
+  // after a failed page (that one waits for the retry button), or on the status board,
+  // whose columns scroll on their own.
+  const autoLoadKey =
+    dealView === 'grid' && nextSearch && !nextSearch.error && !isLoadingMore ? nextSearch.key : null;
   useEffect(() => {
-    if (!sentinelRef.current) return;
+    if (!sentinelRef.current || !autoLoadKey) return;
     const obs = new IntersectionObserver(
       (entries) => {
         entries.forEach((e) => {
-          if (e.isIntersecting && filtered.length > displayedDeals.length) {
-            loadMoreFromServer();
+          if (e.isIntersecting && displayedDeals.length === filtered.length && !quotaBlocked) {
+            loadMoreFromServer(autoLoadKey);
           }
         });
       },
-      { root: null, rootMargin: '200px', threshold: 0.1 }
+      { root: null, rootMargin: '800px', threshold: 0 }
     );
     obs.observe(sentinelRef.current);
     return () => obs.disconnect();
-  }, [loadMoreFromServer, filtered.length, displayedDeals.length]);
+  }, [loadMoreFromServer, autoLoadKey, filtered.length, displayedDeals.length, quotaBlocked]);
 
   // ========================================
   // RENDER UI
@@ -363,7 +566,7 @@ function App() {
 
         {/* ========== ERROR DISPLAY ========== */}
         {error && (
-          <div style={{ 
+          <div role="alert" style={{ 
             backgroundColor: '#fee', 
             border: '2px solid #f66', 
             borderRadius: '8px', 
@@ -378,584 +581,288 @@ function App() {
           </div>
         )}
 
-        {/* ========== SEARCH BAR ========== */}
-        <div style={{
-          backgroundColor: 'white',
-          borderRadius: '12px',
-          padding: '20px',
-          marginBottom: '20px',
-          boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
-        }}>
-          <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
-            <div style={{ flex: 1, display: 'flex', gap: '10px' }}>
-              <input
-                type="text"
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && searchProducts()}
-                placeholder="Search for products (e.g., laptop, headphones, phone)..."
-                style={{
-                  flex: 1,
-                  padding: '12px 15px',
-                  border: '2px solid #ddd',
-                  borderRadius: '8px',
-                  fontSize: '15px',
-                  outline: 'none'
-                }}
-              />
-              <button
-                onClick={searchProducts}
-                disabled={loading}
-                style={{
-                  padding: '12px 25px',
-                  backgroundColor: '#667eea',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '8px',
-                  fontSize: '15px',
-                  fontWeight: 'bold',
-                  cursor: 'pointer',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '8px',
-                  opacity: loading ? 0.7 : 1
-                }}
-              >
-                <Search size={18} />
-                {loading ? 'Searching...' : 'Search'}
-              </button>
-            </div>
-            <button
-              onClick={() => setShowMonitor(!showMonitor)}
-              style={{
-                padding: '12px 20px',
-                backgroundColor: showMonitor ? '#764ba2' : '#999',
-                color: 'white',
-                border: 'none',
-                borderRadius: '8px',
-                cursor: 'pointer',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '8px'
-              }}
-            >
-              <Settings size={18} />
-              Monitor
-            </button>
-          </div>
+        {/* ========== QUOTA WARNING ========== */}
+        <QuotaBanner quota={quota} />
 
+        {/* ========== SEARCH BAR ========== */}
+        <SearchBar
+          query={searchQuery}
+          onQueryChange={(query) => dispatch(queryChanged(query))}
+          onSearch={searchProducts}
+          loading={loading}
+          showMonitor={showMonitor}
+          onToggleMonitor={() => setShowMonitor(!showMonitor)}
+        >
           {/* ========== FILTERS ========== */}
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '15px' }}>
-            <div>
-              <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold', fontSize: '14px' }}>
-                Minimum Discount: {minDiscount}%
-              </label>
-              <input
-                type="range"
-                min="0"
-                max="100"
-                value={minDiscount}
-                onChange={(e) => setMinDiscount(Number(e.target.value))}
-                style={{ width: '100%' }}
-              />
-            </div>
-
-            <div>
-              <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold', fontSize: '14px' }}>
-                Max Results: {maxResults}
-              </label>
-              <input
-                type="range"
-                min="10"
-                max="1000"
-                step="10"
-                value={maxResults}
-                onChange={(e) => setMaxResults(Number(e.target.value))}
-                style={{ width: '100%' }}
-              />
-            </div>
-
-            <div>
-              <label style={{ display: 'flex', alignItems: 'center', gap: '10px', cursor: 'pointer', fontSize: '14px' }}>
-                <input
-                  type="checkbox"
-                  checked={showOnlyWithCodes}
-                  onChange={(e) => setShowOnlyWithCodes(e.target.checked)}
-                  style={{ width: '18px', height: '18px', cursor: 'pointer' }}
-                />
-                <span>Only deals with coupon codes</span>
-              </label>
-            </div>
-
-            <div>
-              <label style={{ display: 'flex', alignItems: 'center', gap: '10px', cursor: 'pointer', fontSize: '14px' }}>
-                <input
-                  type="checkbox"
-                  checked={debugPromotions}
-                  onChange={(e) => setDebugPromotions(e.target.checked)}
-                  style={{ width: '18px', height: '18px', cursor: 'pointer' }}
-                />
-                <span>Debug promotions (dev)</span>
-              </label>
-            </div>
-          </div>
-        </div>
+          <FiltersPanel
+            filters={filters}
+            onFilterChange={setFilter}
+            onReset={() => setFilters({ ...DEFAULT_FILTERS, blocklist: filters.blocklist })}
+            onCopyLink={() => posting.copy(window.location.href)}
+            marketplace={marketplace}
+            onMarketplaceChange={changeMarketplace}
+            maxResults={maxResults}
+            onMaxResultsChange={setMaxResults}
+            debugPromotions={debugPromotions}
+            onDebugPromotionsChange={setDebugPromotions}
+          />
+        </SearchBar>
+
+        {/* ========== DEAL SCORE WEIGHTS ========== */}
+        <ScoreWeightsPanel
+          weights={scoreWeights}
+          onChange={updateScoreWeights}
+          onReset={() => updateScoreWeights(DEFAULT_SCORE_WEIGHTS)}
+        />
+
+        {/* ========== SAVED SEARCHES ========== */}
+        <SavedSearchesPanel
+          searches={savedSearches.searches}
+          checkingIds={savedSearches.checkingIds}
+          defaults={{ keyword: searchQuery || lastKeyword, minDiscount, couponOnly: filters.couponOnly, marketplace }}
+          onCreate={savedSearches.addSearch}
+          onRun={savedSearches.runSearch}
+          onToggle={savedSearches.toggleSearch}
+          onDelete={savedSearches.deleteSearch}
+        />
 
         {/* ========== AI MODEL SELECTOR ========== */}
-        <div style={{
-          backgroundColor: 'white',
-          borderRadius: '12px',
-          padding: '20px',
-          marginBottom: '20px',
-          boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
-        }}>
-          <label style={{ display: 'block', marginBottom: '10px', fontWeight: 'bold', fontSize: '16px' }}>
-            🤖 Select AI Model:
-          </label>
-          <select
-            value={aiModel}
-            onChange={(e) => setAiModel(e.target.value)}
-            style={{
-              padding: '12px',
-              borderRadius: '8px',
-              border: '2px solid #667eea',
-              fontSize: '15px',
-              backgroundColor: '#fff',
-              cursor: 'pointer',
-              width: '100%',
-              maxWidth: '500px'
-            }}
-          >
-            {AI_MODELS.map(model => (
-              <option key={model.id} value={model.id}>
-                {model.label} ({model.price})
-              </option>
-            ))}
-          </select>
-          <small style={{ display: 'block', marginTop: '8px', color: '#666' }}>
-            💡 Mistral is fastest. GPT-3.5 has best quality.
-          </small>
-        </div>
+        <AiSettingsPanel
+          model={aiSettings.model}
+          onModelChange={aiSettings.setModel}
+          options={aiSettings.options}
+          onOptionsChange={aiSettings.updateOptions}
+        />
+
+        {/* ========== POST TEMPLATES ========== */}
+        <TemplateEditor
+          templates={postTemplates.templates}
+          customTemplates={postTemplates.customTemplates}
+          active={postTemplates.active}
+          deals={deals}
+          onSave={postTemplates.saveTemplate}
+          onDelete={postTemplates.deleteTemplate}
+          onImport={postTemplates.importTemplates}
+          onSetActive={postTemplates.setActiveTemplate}
+        />
 
         {/* ========== EXTERNAL URL SECTION ========== */}
-        <div style={{
-          backgroundColor: 'white',
-          borderRadius: '12px',
-          padding: '20px',
-          marginBottom: '20px',
-          boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
-        }}>
-          <h3 style={{ marginTop: 0, marginBottom: '15px' }}>🔗 Create Post from External URL</h3>
-          
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '10px', marginBottom: '15px' }}>
-            <input
-              type="text"
-              value={externalUrl}
-              onChange={(e) => setExternalUrl(e.target.value)}
-              placeholder="Paste Amazon URL..."
-              style={{
-                padding: '12px',
-                border: '2px solid #ddd',
-                borderRadius: '8px',
-                fontSize: '14px',
-                gridColumn: 'span 2'
-              }}
-            />
-            <button
-              onClick={fetchExternalMetadata}
-              disabled={fetchingMeta}
-              style={{
-                padding: '12px 20px',
-                backgroundColor: '#667eea',
-                color: 'white',
-                border: 'none',
-                borderRadius: '8px',
-                cursor: 'pointer',
-                fontWeight: 'bold'
-              }}
-            >
-              {fetchingMeta ? '⏳ Fetching...' : '📥 Fetch Metadata'}
-            </button>
-          </div>
-
-          {externalMeta && (
-            <div style={{
-              backgroundColor: '#f9f9f9',
-              border: '1px solid #ddd',
-              borderRadius: '8px',
-              padding: '15px',
-              marginBottom: '15px'
-            }}>
-              {externalMeta.image && (
-                <img src={externalMeta.image} alt="preview" style={{ maxWidth: '100%', maxHeight: '200px', marginBottom: '10px', borderRadius: '8px' }} />
-              )}
-              <p style={{ margin: '5px 0', fontSize: '14px' }}><strong>Title:</strong> {externalMeta.title}</p>
-              <p style={{ margin: '5px 0', fontSize: '14px' }}><strong>Description:</strong> {externalMeta.description}</p>
-            </div>
-          )}
-
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '10px', marginBottom: '15px' }}>
-            <input
-              type="number"
-              value={externalOriginalPrice}
-              onChange={(e) => setExternalOriginalPrice(e.target.value)}
-              placeholder="Original Price ($)"
-              style={{ padding: '10px', border: '2px solid #ddd', borderRadius: '8px', fontSize: '14px' }}
-            />
-            <input
-              type="number"
-              value={externalCurrentPrice}
-              onChange={(e) => setExternalCurrentPrice(e.target.value)}
-              placeholder="Current Price ($)"
-              style={{ padding: '10px', border: '2px solid #ddd', borderRadius: '8px', fontSize: '14px' }}
-            />
-            <input
-              type="number"
-              value={externalDiscount}
-              onChange={(e) => setExternalDiscount(e.target.value)}
-              placeholder="Discount (%)"
-              style={{ padding: '10px', border: '2px solid #ddd', borderRadius: '8px', fontSize: '14px' }}
-            />
-            <input
-              type="text"
-              value={externalCouponCode}
-              onChange={(e) => setExternalCouponCode(e.target.value)}
-              placeholder="Coupon Code"
-              style={{ padding: '10px', border: '2px solid #ddd', borderRadius: '8px', fontSize: '14px' }}
-            />
-          </div>
-
-          <div style={{ display: 'flex', gap: '10px' }}>
-            <button
-              onClick={async () => {
-                try {
-                  setRewritingExternal(true);
-                  setExternalRewritten('');
-                  if (!externalUrl.trim()) {
-                    alert('Please enter a URL');
-                    setRewritingExternal(false);
-                    return;
-                  }
-                  const resp = await fetch(`${API_BASE}/api/rewrite`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ text: externalUrl.trim(), model: aiModel }),
-                  });
-                  const data = await resp.json();
-                  if (data.success) setExternalRewritten(data.rewritten);
-                  else if (data.retry)
-                    setExternalRewritten('⏳ Model warming up. Try again in a few seconds.');
-                  else alert(`Rewrite failed: ${data.error}`);
-                } catch (err) {
-                  alert(`Error: ${err.message}`);
-                } finally {
-                  setRewritingExternal(false);
-                }
-              }}
-              disabled={rewritingExternal || !externalUrl}
-              style={{
-                padding: '12px 20px',
-                backgroundColor: '#667eea',
-                color: 'white',
-                border: 'none',
-                borderRadius: '8px',
-                cursor: 'pointer',
-                fontWeight: 'bold'
-              }}
-            >
-              {rewritingExternal ? '⏳ Rewriting…' : '🤖 AI Rewrite'}
-            </button>
-            {externalRewritten && (
-              <>
-                <button
-                  onClick={() => copy(externalRewritten)}
-                  style={{
-                    padding: '12px 20px',
-                    backgroundColor: '#764ba2',
-                    color: 'white',
-                    border: 'none',
-                    borderRadius: '8px',
-                    cursor: 'pointer',
-                    fontWeight: 'bold'
-                  }}
-                >
-                  📋 Copy Post
-                </button>
-                <button
-                  onClick={() => shareExternalOnFacebook(externalMeta || {}, externalUrl)}
-                  style={{
-                    padding: '12px 20px',
-                    backgroundColor: '#0A66C2',
-                    color: 'white',
-                    border: 'none',
-                    borderRadius: '8px',
-                    cursor: 'pointer',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '8px',
-                    fontWeight: 'bold'
-                  }}
-                >
-                  <Facebook size={18} />
-                  Share on FB
-                </button>
-              </>
-            )}
-          </div>
-
-          {externalRewritten && (
-            <div style={{
-              backgroundColor: '#f0f0f0',
-              border: '2px solid #667eea',
-              borderRadius: '8px',
-              padding: '15px',
-              marginTop: '15px',
-              whiteSpace: 'pre-wrap',
-              fontFamily: 'monospace',
-              fontSize: '13px',
-              lineHeight: '1.6'
-            }}>
-              {externalRewritten}
-            </div>
-          )}
-        </div>
+        <ExternalUrlComposer
+          url={external.url}
+          onUrlChange={external.setUrl}
+          meta={external.meta}
+          fetching={external.fetching}
+          onFetch={external.fetchMetadata}
+          fields={external.fields}
+          onFieldChange={external.setField}
+          marketplace={marketplace}
+          aiStatus={aiStatuses.external}
+          variants={rewriteVariants.external}
+          rewritten={external.rewritten}
+          issues={external.issues}
+          onRewrite={external.rewrite}
+          onEdit={() => setComposing('external')}
+          onCopy={external.copy}
+          onQueue={external.queue}
+          onShare={external.share}
+          onCompare={() => rewrites.openCompare('external')}
+          onFix={external.fix}
+        />
+
+        {/* ========== LINK IMPORT ========== */}
+        <LinkImportPanel
+          marketplace={marketplace}
+          fetchMetadata={(url, opts) => api.fetchMetadata(url, opts)}
+          onAddDeals={addImportedDeals}
+        />
+
+        {/* ========== POST QUEUE ========== */}
+        <PostQueuePanel
+          queue={posting.queue.queue}
+          rules={posting.queue.rules}
+          onRulesChange={posting.queue.setRules}
+          defaultNetwork={queueNetwork}
+          onDefaultNetworkChange={posting.setNetwork}
+          onUpdate={posting.queue.updateQueueItem}
+          onRemove={posting.queue.removeQueueItem}
+          onCopy={copyQueueItem}
+        />
 
         {/* ========== MONITORING STATS ========== */}
-        {showMonitor && monitorStats && (
-          <div style={{
-            backgroundColor: 'white',
-            borderRadius: '12px',
-            padding: '20px',
-            marginBottom: '20px',
-            boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
-          }}>
-            <h3 style={{ marginTop: 0 }}>📊 API Monitoring</h3>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '15px' }}>
-              <div><strong>Total Requests:</strong> {monitorStats.totalRequests}</div>
-              <div><strong>Success:</strong> {monitorStats.successCount}</div>
-              <div><strong>Errors:</strong> {monitorStats.errorCount}</div>
-              <div><strong>Throttled:</strong> {monitorStats.throttleCount}</div>
-              <div><strong>Daily:</strong> {monitorStats.dailyCount}/{monitorStats.dailyLimit} ({monitorStats.dailyPercent}%)</div>
-              <div><strong>Monthly:</strong> {monitorStats.monthlyCount}/{monitorStats.monthlyLimit} ({monitorStats.monthlyPercent}%)</div>
-            </div>
-          </div>
-        )}
+        {showMonitor && <MonitorPanel quota={quota} history={monitorHistory} />}
 
         {/* ========== DEALS LIST ========== */}
         <div>
-          <h2 style={{ color: 'white', marginBottom: '20px' }}>
-            🎯 {displayedDeals.length > 0 ? `Found ${displayedDeals.length} deals` : 'No deals found'}
-          </h2>
-          
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '20px' }}>
-            {displayedDeals.map((deal) => (
-              <div
-              key={deal.id}
-              style={{
-                backgroundColor: lastAddedIds.includes(deal.id) ? '#fffacd' : 'white',
-                borderRadius: '12px',
-                overflow: 'hidden',
-                boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
-                transition: 'transform 0.2s, box-shadow 0.2s'
-              }}
-              onMouseEnter={(e) => {
-                 e.currentTarget.style.transform = 'translateY(-4px)';
-                 e.currentTarget.style.boxShadow = '0 8px 16px rgba(0,0,0,0.2)';
-              }}
-              onMouseLeave={(e) => {
-                 e.currentTarget.style.transform = 'translateY(0)';
-                 e.currentTarget.style.boxShadow = '0 4px 12px rgba(0,0,0,0.15)';
-              }}
-             >
-                {/* Deal Image */}
-                {deal.image && (
-                  <img src={deal.image} alt={deal.title} style={{ width: '100%', height: '200px', objectFit: 'cover' }} />
-                )}
-
-                {/* Deal Info */}
-                <div style={{ padding: '15px' }}>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', marginBottom: '10px' }}>
-                    <div>
-                      <h3 style={{ margin: '0 0 5px 0', fontSize: '16px', lineHeight: '1.4', minHeight: '50px' }}>
-                        {deal.title}
-                      </h3>
-                      <div style={{ display: 'flex', gap: '15px', fontSize: '13px', color: '#666', marginBottom: '10px' }}>
-                        <span>⭐ {deal.rating}/5</span>
-                        <span>👥 {deal.reviewCount.toLocaleString()}</span>
-                      </div>
-                    </div>
-                    <div style={{
-                      backgroundColor: '#ff6b6b',
-                      color: 'white',
-                      padding: '8px 12px',
-                      borderRadius: '6px',
-                      fontWeight: 'bold',
-                      fontSize: '16px',
-                      whiteSpace: 'nowrap'
-                    }}>
-                      {deal.discount}% OFF
-                    </div>
-                  </div>
-
-                  {/* Pricing */}
-                  <div style={{ backgroundColor: '#f9f9f9', padding: '10px', borderRadius: '6px', marginBottom: '10px' }}>
-                    <div style={{ textDecoration: 'line-through', color: '#999', fontSize: '14px' }}>
-                      ${deal.originalPrice.toFixed(2)}
-                    </div>
-                    <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#667eea' }}>
-                      ${deal.currentPrice.toFixed(2)}
-                    </div>
-                    <div style={{ color: '#28a745', fontSize: '13px', marginTop: '5px' }}>
-                      Save ${(deal.originalPrice - deal.currentPrice).toFixed(2)}
-                    </div>
-                  </div>
-
-                  {/* Coupon Code */}
-                  {getDealCode(deal) && (
-                    <div style={{
-                      backgroundColor: '#e7f5ff',
-                      border: '2px dashed #667eea',
-                      padding: '8px',
-                      borderRadius: '6px',
-                      marginBottom: '10px',
-                      textAlign: 'center',
-                      fontWeight: 'bold',
-                      fontSize: '14px',
-                      color: '#667eea'
-                    }}>
-                      Code: {getDealCode(deal)}
-                    </div>
-                  )}
-
-                  {/* Buttons */}
-                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '10px' }}>
-                    <button
-                      onClick={async () => {
-                        try {
-                          setAiStatuses((prev) => ({ ...prev, [deal.id]: 'Processing…' }));
-                          const resp = await fetch(`${API_BASE}/api/rewrite`, {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({ text: generatePost(deal), model: aiModel }),
-                          });
-                          const data = await resp.json();
-                          if (data.success) {
-                            setDeals((prev) =>
-                              prev.map((d) => (d.id === deal.id ? { ...d, rewritten: data.rewritten } : d))
-                            );
-                            setAiStatuses((prev) => ({ ...prev, [deal.id]: 'Done ✅' }));
-                          } else {
-                            setAiStatuses((prev) => ({ ...prev, [deal.id]: 'Error ❌' }));
-                            alert(`Error: ${data.error}`);
-                          }
-                        } catch (err) {
-                          setAiStatuses((prev) => ({ ...prev, [deal.id]: 'Error ❌' }));
-                          alert(`Error: ${err.message}`);
-                        }
-                        setTimeout(() => {
-                          setAiStatuses((prev) => ({ ...prev, [deal.id]: 'Ready' }));
-                        }, 3000);
-                      }}
-                      disabled={aiStatuses[deal.id] === 'Processing…'}
-                      style={{
-                        padding: '10px',
-                        backgroundColor: '#667eea',
-                        color: 'white',
-                        border: 'none',
-                        borderRadius: '6px',
-                        cursor: 'pointer',
-                        fontWeight: 'bold',
-                        fontSize: '13px',
-                        opacity: aiStatuses[deal.id] === 'Processing…' ? 0.7 : 1
-                      }}
-                    >
-                      {aiStatuses[deal.id] ? aiStatuses[deal.id] : '🤖 AI Rewrite'}
-                    </button>
-                    <button
-                      onClick={() => copy(generatePost(deal))}
-                      style={{
-                        padding: '10px',
-                        backgroundColor: '#764ba2',
-                        color: 'white',
-                        border: 'none',
-                        borderRadius: '6px',
-                        cursor: 'pointer',
-                        fontWeight: 'bold',
-                        fontSize: '13px'
-                      }}
-                    >
-                      📋 Copy Post
-                    </button>
-                  </div>
-
-                  <button
-                    onClick={() => shareToFacebook(deal)}
-                    style={{
-                      width: '100%',
-                      padding: '10px',
-                      backgroundColor: '#0A66C2',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '6px',
-                      cursor: 'pointer',
-                      fontWeight: 'bold',
-                      fontSize: '14px',
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'center',
-                      gap: '8px'
-                    }}
-                  >
-                    <Facebook size={18} />
-                    Share on Facebook
-                  </button>
-
-                  {/* Rewritten Post */}
-                  {deal.rewritten && (
-                    <div style={{
-                      marginTop: '12px',
-                      backgroundColor: '#f0f0f0',
-                      border: '2px solid #667eea',
-                      borderRadius: '6px',
-                      padding: '10px',
-                      fontSize: '12px',
-                      maxHeight: '200px',
-                      overflow: 'auto',
-                      whiteSpace: 'pre-wrap',
-                      lineHeight: '1.4'
-                    }}>
-                      {deal.rewritten}
-                    </div>
-                  )}
-
-                  {/* Deal URL */}
-                  <a
-                    href={deal.url}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    style={{
-                      display: 'inline-block',
-                      marginTop: '10px',
-                      color: '#667eea',
-                      textDecoration: 'none',
-                      fontSize: '12px',
-                      fontWeight: 'bold'
-                    }}
-                  >
-                    🔗 View on Amazon
-                  </a>
-                </div>
-              </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '20px' }}>
+            <h2 style={{ color: 'white', margin: 0, flex: 1 }}>
+              🎯 {displayedDeals.length > 0 ? `Found ${displayedDeals.length} deals` : 'No deals found'}
+            </h2>
+            {[['grid', '🔲 Cards'], ['lifecycle', '🗂️ Status board']].map(([view, label]) => (
+              <button
+                key={view}
+                onClick={() => setDealView(view)}
+                aria-pressed={dealView === view}
+                style={{
+                  ...lightButton,
+                  marginLeft: 0,
+                  backgroundColor: dealView === view ? 'white' : 'transparent',
+                  color: dealView === view ? '#667eea' : 'white',
+                  border: '2px solid white'
+                }}
+              >
+                {label}
+              </button>
             ))}
           </div>
+
+          {deals.length > 0 && (
+            <BatchToolbar
+              selectedCount={selectedDeals.length}
+              filteredCount={filtered.length}
+              progress={rewrites.batch}
+              onSelectAll={() => dispatch(selectionReplaced(filtered.map((d) => d.id)))}
+              onClear={() => dispatch(selectionReplaced([]))}
+              onRewrite={batchRewrite}
+              onCopyDigest={() => posting.copy(buildDigestPost(selectedDeals))}
+              onExportCsv={() => downloadText('deals.csv', dealsToCsv(selectedDeals), 'text/csv')}
+              onExportJson={() => downloadText('deals.json', dealsToJson(selectedDeals), 'application/json')}
+              onDismiss={dismissSelected}
+              onSetStatus={(status) => changeDealStatus(selectedIds, status)}
+            />
+          )}
+
+          {dealView === 'lifecycle' ? (
+            <DealLifecycleBoard deals={filtered} onMove={(id, status) => changeDealStatus([id], status)} />
+          ) : (
+            <>
+              <p id="deal-grid-help" style={{ color: 'white', fontSize: '13px', margin: '0 0 10px 0', opacity: 0.9 }}>
+                ⌨️ Arrow keys, Home and End move between deals. On a deal:{' '}
+                {DEAL_SHORTCUTS.map((s) => `${s.keys} to ${s.label}`).join(', ')}. Esc goes back to the deal.
+              </p>
+              <VirtualGrid
+                items={displayedDeals}
+                getKey={(deal) => deal.id}
+                label="Deals"
+                describedBy="deal-grid-help"
+                getItemLabel={(deal) => `${deal.title}, ${deal.discount}% off, ${dealStatus(deal)}`}
+                itemShortcuts={DEAL_SHORTCUT_KEYS}
+                onItemKeyDown={handleDealKeyDown}
+                renderItem={(deal) => (
+                  <DealCard
+                    deal={deal}
+                    score={scoreOf(deal)}
+                    pricePoints={priceHistory[priceHistoryKey(deal)]}
+                    selected={selectedIds.includes(deal.id)}
+                    highlighted={lastAddedIds.includes(deal.id)}
+                    aiStatus={aiStatuses[deal.id]}
+                    variants={rewriteVariants[deal.id]}
+                    issues={lintDealPost(deal)}
+                    lastPosting={lastPostingOf(deal, posting.lastPostings)}
+                    onToggleSelect={(shiftKey) => toggleSelect(deal.id, shiftKey)}
+                    onStatusChange={(status) => changeDealStatus([deal.id], status)}
+                    onRewrite={() => rewriteDeal(deal)}
+                    onCopy={() => copyDeal(deal)}
+                    onShare={(id) => shareDeal(deal, id)}
+                    onQueue={() => queueDeal(deal)}
+                    onEdit={() => setComposing(deal.id)}
+                    onImageCard={() => setCardDealId(deal.id)}
+                    onCompare={() => rewrites.openCompare(deal.id)}
+                    onFix={() => fixDealPost(deal)}
+                  />
+                )}
+              />
+            </>
+          )}
         </div>
 
         {/* ========== LOAD MORE SENTINEL ========== */}
         <div ref={sentinelRef} style={{ textAlign: 'center', padding: '40px', color: 'white' }}>
+          {displayedDeals.length > 0 && <KeywordPager searches={pagedSearches} onLoadMore={loadMoreFromServer} />}
           {isLoadingMore && <div>⏳ Loading more deals...</div>}
-          {noMorePages && displayedDeals.length > 0 && <div>✅ No more deals to load</div>}
+          {nextSearch && nextSearch.error && !isLoadingMore && displayedDeals.length > 0 && (
+            <div>
+              ⚠️ Couldn't load more for “{nextSearch.keyword}”: {nextSearch.error}{' '}
+              <button onClick={() => loadMoreFromServer(nextSearch.key)} style={lightButton}>
+                Retry
+              </button>
+            </div>
+          )}
+          {quotaBlocked && !isLoadingMore && nextSearch && !nextSearch.error && displayedDeals.length > 0 && (
+            <div>
+              ⏸️ Infinite scroll is paused to save the request quota ({quota.budget.left} left today){' '}
+              <button onClick={() => loadMoreFromServer(nextSearch.key)} style={lightButton}>
+                Load more anyway
+              </button>
+            </div>
+          )}
+          {!nextSearch && pagedSearches.length > 0 && displayedDeals.length > 0 && <div>✅ No more deals to load</div>}
         </div>
       </div>
+
+      {/* ========== REWRITE VARIANTS ========== */}
+      {compareId !== null && rewriteVariants[compareId] && (
+        <RewriteCompare
+          title={compareId === 'external' ? external.title : compareDeal.title}
+          variants={rewriteVariants[compareId]}
+          savedText={compareId === 'external' ? external.rewritten : compareDeal.rewritten}
+          onPick={(text) => (compareId === 'external' ? external.setRewritten(text) : saveRewrite(compareId, text))}
+          onStop={() => rewrites.stop(compareId)}
+          onDiscard={() => rewrites.discard(compareId)}
+          onClose={rewrites.closeCompare}
+        />
+      )}
+
+      {/* ========== POST COMPOSER ========== */}
+      {composingDeal && (
+        <PostComposer
+          key={composingDeal.id}
+          heading={composingDeal.title}
+          initialText={dealPost(composingDeal)}
+          templateText={generatePost(composingDeal)}
+          url={dealLink(composingDeal)}
+          image={composingDeal.image}
+          title={composingDeal.title}
+          category={composingDeal.category || composingDeal.keyword}
+          lint={(text) => lintPost(text, buildDealContext(composingDeal), { network: queueNetwork })}
+          onSave={(text) => saveComposedDealPost(composingDeal, text)}
+          onClose={() => setComposing(null)}
+        />
+      )}
+      {composing === 'external' && (
+        <PostComposer
+          heading={external.title}
+          initialText={external.post}
+          templateText={external.templatePost}
+          url={external.link}
+          image={external.product.image}
+          title={external.product.title || ''}
+          lint={(text) => external.lint(text)}
+          onSave={(text) => {
+            external.saveComposed(text);
+            setComposing(null);
+          }}
+          onClose={() => setComposing(null)}
+        />
+      )}
+
+      {/* ========== IMAGE CARDS ========== */}
+      {cardDeal && (
+        <ImageCardStudio
+          key={cardDeal.id}
+          deal={cardDeal}
+          templates={cardTemplates.templates}
+          customTemplates={cardTemplates.customTemplates}
+          activeTemplate={cardTemplates.activeTemplate}
+          onSaveTemplate={cardTemplates.saveTemplate}
+          onDeleteTemplate={cardTemplates.deleteTemplate}
+          onImportTemplates={cardTemplates.importTemplates}
+          onSetActive={cardTemplates.setActiveTemplate}
+          onError={(message) => announce(message, 'error')}
+          onClose={() => setCardDealId(null)}
+        />
+      )}
+
+      <LiveAnnouncer message={announcement} />
     </div>
   );
 }
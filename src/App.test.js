@@ -1,8 +1,309 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within, act } from '@testing-library/react';
 import App from './App';
+import { createMockFetch } from './api/mockBackend';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  window.fetch = createMockFetch({ latencyMs: 0 });
+  // jsdom has no IndexedDB, so every storage call warns and falls back
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('loads starter deals from the backend on first start', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/Amazon Deals Finder/)).toBeInTheDocument();
+  expect(await screen.findByText(/Found \d+ deals/)).toBeInTheDocument();
 });
+
+test('an edited post is saved back onto the deal card', async () => {
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  fireEvent.click(screen.getAllByText('✏️ Edit Post')[1]);
+  fireEvent.change(screen.getByLabelText('Post text'), { target: { value: '#ad My own words' } });
+  fireEvent.click(screen.getByText('💾 Save post'));
+  expect(screen.queryByLabelText('Post text')).not.toBeInTheDocument();
+  expect(screen.getByText('#ad My own words')).toBeInTheDocument();
+});
+
+test('imported links are fetched, reviewed and added as deal cards', async () => {
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  fireEvent.change(screen.getByLabelText('Links to import'), {
+    target: { value: 'https://www.amazon.com/dp/B0IMPORT01, 59.99, 19.99, TAKE5\nnot a link' },
+  });
+  fireEvent.click(screen.getByText('🔎 Fetch details'));
+  expect(screen.getByText(/1 link added, 1 line without a link skipped/)).toBeInTheDocument();
+  expect(await screen.findByText('✅ Fetched')).toBeInTheDocument();
+  expect(screen.getByLabelText('Current price for row 1')).toHaveValue(19.99);
+
+  fireEvent.change(screen.getByLabelText('Title for row 1'), { target: { value: 'Imported Kettle' } });
+  fireEvent.click(screen.getByText('➕ Add 1 deal to board'));
+  expect(screen.getByRole('status')).toHaveTextContent(/Added 1 deal/);
+  expect(screen.queryByLabelText('Title for row 1')).not.toBeInTheDocument();
+  expect(screen.getByText('Imported Kettle')).toBeInTheDocument();
+});
+
+test('the external AI rewrite sends the composed post, not the bare link', async () => {
+  const rewriteBodies = [];
+  const mockFetch = window.fetch;
+  window.fetch = (url, init) => {
+    if (String(url).endsWith('/api/rewrite')) rewriteBodies.push(JSON.parse(init.body));
+    return mockFetch(url, init);
+  };
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  fireEvent.change(screen.getByPlaceholderText('Paste Amazon URL...'), {
+    target: { value: 'https://www.amazon.com/dp/B0EXTERN01' },
+  });
+  fireEvent.change(screen.getByPlaceholderText('Coupon Code'), { target: { value: 'TAKE5' } });
+  fireEvent.click(screen.getAllByText('🤖 AI Rewrite')[0]);
+
+  // Every streamed token re-renders the board, so this takes a moment
+  await waitFor(() => expect(screen.queryByText('Processing…')).not.toBeInTheDocument(), { timeout: 10000 });
+  expect(rewriteBodies[0].text).toMatch(/Use code: TAKE5/);
+  expect(rewriteBodies[0].facts).toEqual(
+    expect.objectContaining({ couponCode: 'TAKE5', url: expect.stringContaining('B0EXTERN01') })
+  );
+  expect(screen.getByText(/Huge savings alert!/)).toHaveTextContent('Use code: TAKE5');
+}, 15000);
+
+test('startup loading waits while the request quota is nearly spent', async () => {
+  const nearlySpent = {
+    success: true,
+    totalRequests: 950,
+    successCount: 950,
+    errorCount: 0,
+    throttleCount: 0,
+    dailyCount: 950,
+    dailyLimit: 1000,
+    dailyPercent: 95,
+    monthlyCount: 950,
+    monthlyLimit: 20000,
+    monthlyPercent: 4.8,
+  };
+  window.fetch = createMockFetch({
+    latencyMs: 0,
+    failures: [{ path: '/api/monitor/stats', status: 200, body: nearlySpent }],
+  });
+  render(<App />);
+  expect(await screen.findByText(/95% of the daily quota used/)).toBeInTheDocument();
+  expect(screen.getByText(/About 50 requests left today/)).toBeInTheDocument();
+  expect(screen.getByText('No deals found', { exact: false })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Load anyway'));
+  expect(await screen.findByText(/Found \d+ deals/)).toBeInTheDocument();
+});
+
+test('the monitor panel says when the stats fail and shows client timings', async () => {
+  const statsDown = { path: '/api/monitor/stats', status: 400, body: { success: false, error: 'Stats are down' } };
+  window.fetch = createMockFetch({ latencyMs: 0, failures: [statsDown, statsDown] });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  fireEvent.click(screen.getByText('Monitor'));
+  expect(await screen.findByText(/Could not load the stats: Stats are down/)).toBeInTheDocument();
+  expect(screen.getByText('Search', { selector: 'td' })).toBeInTheDocument();
+  expect(screen.getByText('Monitor', { selector: 'td' })).toBeInTheDocument();
+});
+
+test('each keyword on a mixed board loads its own next page', async () => {
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  fireEvent.change(screen.getByPlaceholderText(/Search for products/), { target: { value: 'desk lamp' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+  const more = await screen.findByRole('button', { name: /More “desk lamp”.*page 1/ });
+  expect(screen.getByRole('button', { name: /More “electronics”.*page 1/ })).toBeInTheDocument();
+  fireEvent.click(more);
+  expect(await screen.findByRole('button', { name: /More “desk lamp”.*page 2/ })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /More “electronics”.*page 1/ })).toBeInTheDocument();
+});
+
+test('copied deals are logged as posted, and posting the product again asks first', async () => {
+  const writeText = jest.fn();
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  const [firstCheckbox] = screen.getAllByRole('checkbox', { name: /^Select / });
+  const title = firstCheckbox.getAttribute('aria-label').replace(/^Select /, '');
+
+  fireEvent.click(screen.getAllByText('📋 Copy Post')[0]);
+  expect(writeText).toHaveBeenCalledTimes(1);
+  expect(await screen.findByText('📤 Last posted just now on Clipboard')).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('Copied to clipboard');
+
+  confirmSpy.mockClear();
+  confirmSpy.mockReturnValue(false);
+  fireEvent.click(screen.getAllByText('📋 Copy Post')[0]);
+  expect(confirmSpy).toHaveBeenCalledWith(expect.stringMatching(/already posted once in the last 7 days/));
+  expect(writeText).toHaveBeenCalledTimes(1);
+
+  fireEvent.click(screen.getByRole('button', { name: '🗂️ Status board' }));
+  expect(within(screen.getByRole('region', { name: '📤 Posted deals' })).getByText(title)).toBeInTheDocument();
+});
+
+test('a copy the browser refuses is reported and not logged as a posting', async () => {
+  const writeText = jest.fn().mockRejectedValue(new Error('Permission denied'));
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  fireEvent.click(screen.getAllByText('📋 Copy Post')[0]);
+  await waitFor(() =>
+    expect(screen.getByRole('alert')).toHaveTextContent('Could not copy to the clipboard: Permission denied')
+  );
+  expect(screen.getByRole('status')).toBeEmptyDOMElement();
+  expect(screen.queryByText(/Last posted/)).not.toBeInTheDocument();
+});
+
+test('sharing to Reddit checks the headline Reddit gets, which carries no ad disclosure', async () => {
+  const openSpy = jest.spyOn(window, 'open').mockImplementation(() => null);
+  const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(false);
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  fireEvent.click(screen.getAllByRole('button', { name: 'Share on Reddit' })[0]);
+  expect(confirmSpy).toHaveBeenCalledWith(expect.stringMatching(/Missing the ad disclosure/));
+  expect(openSpy).not.toHaveBeenCalled();
+
+  confirmSpy.mockClear();
+  fireEvent.click(screen.getAllByText('Share on Facebook')[0]);
+  expect(confirmSpy).not.toHaveBeenCalled();
+  expect(openSpy).toHaveBeenCalledWith(expect.stringMatching(/^https:\/\/www\.facebook\.com\//), '_blank', 'noopener,noreferrer');
+});
+
+test('copying a queued post logs it against its deal and warns before posting it again', async () => {
+  const writeText = jest.fn();
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  fireEvent.click(screen.getAllByText('🗓️ Add to Queue')[0]);
+  confirmSpy.mockClear();
+
+  fireEvent.click(screen.getByRole('button', { name: /^Copy / }));
+  expect(confirmSpy).not.toHaveBeenCalled();
+  expect(writeText).toHaveBeenCalledTimes(1);
+  expect(await screen.findByText('📤 Last posted just now on Facebook')).toBeInTheDocument();
+
+  confirmSpy.mockReturnValue(false);
+  fireEvent.click(screen.getByRole('button', { name: /^Copy / }));
+  expect(confirmSpy).toHaveBeenCalledWith(expect.stringMatching(/already posted once/));
+  expect(writeText).toHaveBeenCalledTimes(1);
+});
+
+test('a queued post moved to another network is checked against that network before it is copied', async () => {
+  const writeText = jest.fn();
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  fireEvent.click(screen.getAllByText('✏️ Edit Post')[1]);
+  fireEvent.change(screen.getByLabelText('Post text'), { target: { value: `#ad ${'A lamp worth a look. '.repeat(15)}` } });
+  fireEvent.click(screen.getByText('💾 Save post'));
+  fireEvent.click(screen.getAllByText('🗓️ Add to Queue')[0]);
+  expect(confirmSpy).not.toHaveBeenCalled();
+
+  fireEvent.change(screen.getByRole('combobox', { name: /^Network for / }), { target: { value: 'x' } });
+  confirmSpy.mockReturnValue(false);
+
+  fireEvent.click(screen.getByRole('button', { name: /^Copy / }));
+  expect(confirmSpy).toHaveBeenCalledWith(expect.stringMatching(/too long for X/));
+  expect(writeText).not.toHaveBeenCalled();
+});
+
+test('deal cards can be moved between and acted on from the keyboard', async () => {
+  const writeText = jest.fn();
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  const { container } = render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  const grid = screen.getByRole('list', { name: 'Deals' });
+  expect(grid).toHaveAccessibleDescription(/Arrow keys, Home and End move between deals/);
+  const [first, second] = within(grid).getAllByRole('listitem');
+  expect(first).toHaveAttribute('tabindex', '0');
+  expect(first).toHaveAccessibleName(/% off, new$/);
+
+  act(() => first.focus());
+  fireEvent.keyDown(first, { key: 'ArrowRight' });
+  expect(second).toHaveFocus();
+
+  fireEvent.keyDown(second, { key: ' ' });
+  expect(within(second).getByRole('checkbox', { name: /^Select / })).toBeChecked();
+  fireEvent.keyDown(second, { key: 'c' });
+  expect(writeText).toHaveBeenCalledTimes(1);
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Copied to clipboard'));
+
+  await expect(container).toHaveNoAxeViolations();
+});
+
+test('the post editor takes focus, closes on Escape and hands focus back to the deal', async () => {
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  const [first] = within(screen.getByRole('list', { name: 'Deals' })).getAllByRole('listitem');
+  act(() => first.focus());
+  fireEvent.keyDown(first, { key: 'e' });
+
+  const dialog = screen.getByRole('dialog');
+  expect(within(dialog).getByLabelText('Post text')).toHaveFocus();
+  await expect(dialog).toHaveNoAxeViolations();
+
+  fireEvent.keyDown(within(dialog).getByLabelText('Post text'), { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(first).toHaveFocus();
+});
+
+test('a blocklist from a shared link applies to the visit without replacing the saved one', async () => {
+  window.localStorage.setItem('amazon-deals-finder:blocklist', 'mine');
+  window.history.replaceState(null, '', '/?block=theirs');
+  try {
+    render(<App />);
+    await screen.findByText(/Found \d+ deals/);
+    const blocklist = screen.getByLabelText('🚫 Blocked brands / keywords:');
+    expect(blocklist).toHaveValue('theirs');
+    expect(window.localStorage.getItem('amazon-deals-finder:blocklist')).toBe('mine');
+
+    fireEvent.change(blocklist, { target: { value: '' } });
+    expect(window.location.search).toContain('block=');
+    expect(window.localStorage.getItem('amazon-deals-finder:blocklist')).toBe('');
+  } finally {
+    window.localStorage.removeItem('amazon-deals-finder:blocklist');
+    window.history.replaceState(null, '', '/');
+  }
+});
+
+test('a batch rewrite keeps counting failures after the card statuses reset', async () => {
+  const failing = createMockFetch({
+    latencyMs: 0,
+    failures: [{ path: '/api/rewrite', status: 400, body: { success: false, error: 'Bad input' } }],
+  });
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  let rewrites = 0;
+  window.fetch = async (url, init) => {
+    if (String(url).endsWith('/api/rewrite')) {
+      rewrites += 1;
+      if (rewrites === 2) await gate;
+    }
+    return failing(url, init);
+  };
+  render(<App />);
+  await screen.findByText(/Found \d+ deals/);
+  const [first, second] = screen.getAllByRole('checkbox', { name: /^Select / });
+  fireEvent.click(first);
+  fireEvent.click(second);
+  fireEvent.click(screen.getByRole('button', { name: '🤖 Rewrite all' }));
+  expect(await screen.findByText(/Rewritten 1\/2 · 1 failed/)).toBeInTheDocument();
+
+  // Past the 3 seconds after which the failed card shows 'Ready' again
+  await act(() => new Promise((resolve) => setTimeout(resolve, 3100)));
+  expect(screen.getByText(/Rewritten 1\/2 · 1 failed/)).toBeInTheDocument();
+
+  release();
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Rewrote 1 of 2 deals — 1 failed'), {
+    timeout: 3000,
+  });
+}, 10000);
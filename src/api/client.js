@@ -0,0 +1,236 @@
+// api/client.js - The one place that talks to the deals backend: retries, cancellation and response checks
+import {
+  validateSearchResponse,
+  validateMetadataResponse,
+  validateRewriteResponse,
+  validateMonitorStats,
+} from './validate';
+import { createMockFetch } from './mockBackend';
+import { createSseParser } from './sse';
+import { reportTiming } from './timings';
+
+export const API_BASE =
+  process.env.REACT_APP_API_BASE ||
+  (process.env.NODE_ENV === 'development'
+    ? 'http://localhost:3001'
+    : 'https://amazon-deals-backend.onrender.com');
+
+// REACT_APP_USE_MOCK_API=true runs the whole UI against the in-process mock backend
+export const USE_MOCK_API = process.env.REACT_APP_USE_MOCK_API === 'true';
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, body = null, endpoint = '' } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    this.endpoint = endpoint;
+  }
+}
+
+export const isAbortError = (err) => Boolean(err) && err.name === 'AbortError';
+
+const abortError = () => {
+  const err = new Error('The request was cancelled');
+  err.name = 'AbortError';
+  return err;
+};
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Retry-After is either a number of seconds or an HTTP date
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+};
+
+export const backoffDelay = (attempt, baseDelayMs, maxDelayMs, random = Math.random) =>
+  Math.min(maxDelayMs, baseDelayMs * 2 ** attempt * (0.5 + random() / 2));
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+const isEventStream = (response) =>
+  Boolean(response.headers) && /text\/event-stream/.test(response.headers.get('Content-Type') || '');
+
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch (err) {
+    return null;
+  }
+};
+
+export const createApiClient = ({
+  baseUrl = API_BASE,
+  fetchImpl = (...args) => window.fetch(...args),
+  retries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  wait = sleep,
+  onTiming = () => {},
+  now = () => Date.now(),
+} = {}) => {
+  // Sends one request, retrying 429s, 5xx, network failures and models that are still
+  // warming up. Resolves to the response plus its parsed JSON body (null for event streams).
+  const send = async (endpoint, { method = 'GET', body, signal, accept } = {}) => {
+    for (let attempt = 0; ; attempt += 1) {
+      if (signal && signal.aborted) throw abortError();
+      let response;
+      try {
+        const headers = {
+          ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+          ...(accept ? { Accept: accept } : {}),
+        };
+        response = await fetchImpl(`${baseUrl}${endpoint}`, {
+          method,
+          headers: Object.keys(headers).length ? headers : undefined,
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal,
+        });
+      } catch (err) {
+        if (isAbortError(err) || (signal && signal.aborted)) throw abortError();
+        if (attempt >= retries) throw new ApiError(`Cannot connect to server: ${err.message}`, { endpoint });
+        await wait(backoffDelay(attempt, baseDelayMs, maxDelayMs), signal);
+        continue;
+      }
+
+      const data = isEventStream(response) ? null : await readJson(response);
+      const retryable = isRetryableStatus(response.status) || Boolean(data && data.retry);
+      if (retryable && attempt < retries) {
+        const retryAfter = parseRetryAfter(response.headers && response.headers.get('Retry-After'));
+        const delay = retryAfter === null ? backoffDelay(attempt, baseDelayMs, maxDelayMs) : Math.min(retryAfter, maxDelayMs);
+        await wait(delay, signal);
+        continue;
+      }
+
+      if (!response.ok || (data && data.success === false) || (!data && !isEventStream(response))) {
+        const message = (data && (data.error || data.message)) || `Request failed with status ${response.status}`;
+        throw new ApiError(message, { status: response.status, body: data, endpoint });
+      }
+      return { response, data };
+    }
+  };
+
+  // Reports how long a call took to onTiming, retries and streaming included.
+  // Cancelled calls say nothing about the backend and aren't reported.
+  const timed = async (endpoint, run) => {
+    const started = now();
+    try {
+      const result = await run();
+      onTiming({ endpoint, ms: now() - started, ok: true });
+      return result;
+    } catch (err) {
+      if (!isAbortError(err)) onTiming({ endpoint, ms: now() - started, ok: false });
+      throw err;
+    }
+  };
+
+  const request = (endpoint, { validate = (d) => d, ...options } = {}) =>
+    timed(endpoint, async () => {
+      const { data } = await send(endpoint, options);
+      if (!data) throw new ApiError(`Expected JSON from ${endpoint}`, { endpoint });
+      return validate(data);
+    });
+
+  // Streams a rewrite token by token. Backends that don't stream answer with plain
+  // JSON, which arrives as a single token. Resolves to the whole rewritten text.
+  // `facts` are the title, prices and code the model has to keep (see posts/rewriteFacts).
+  const streamRewrite = async ({ text, model, options, facts }, { signal, onToken = () => {} } = {}) => {
+    const endpoint = '/api/rewrite';
+    const { response, data } = await send(endpoint, {
+      method: 'POST',
+      body: { text, model, options, facts, stream: true },
+      signal,
+      accept: 'text/event-stream',
+    });
+    if (data) {
+      const { rewritten } = validateRewriteResponse(data);
+      onToken(rewritten);
+      return rewritten;
+    }
+
+    let full = '';
+    let failure = null;
+    let done = false;
+    const parser = createSseParser(({ event, data: payload }) => {
+      if (done || failure) return;
+      if (payload === '[DONE]') {
+        done = true;
+        return;
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(payload);
+      } catch (err) {
+        failure = new ApiError('Malformed stream event from /api/rewrite', { endpoint });
+        return;
+      }
+      if (event === 'error' || parsed.error) {
+        failure = new ApiError(parsed.error || 'The rewrite stream failed', { endpoint, body: parsed });
+      } else if (typeof parsed.token === 'string') {
+        full += parsed.token;
+        onToken(parsed.token);
+      }
+    });
+
+    const reader = response.body.getReader();
+    let decoder = null;
+    try {
+      while (!done && !failure) {
+        const { value, done: finished } = await reader.read();
+        if (finished) break;
+        if (typeof value === 'string') parser.push(value);
+        else {
+          decoder = decoder || new TextDecoder();
+          parser.push(decoder.decode(value, { stream: true }));
+        }
+      }
+      // Bytes of a character split across the last chunk are still held by the decoder
+      if (decoder) parser.push(decoder.decode());
+      parser.end();
+    } catch (err) {
+      if (isAbortError(err) || (signal && signal.aborted)) throw abortError();
+      throw new ApiError(`The rewrite stream broke off: ${err.message}`, { endpoint });
+    } finally {
+      if (reader.cancel && (done || failure)) reader.cancel().catch(() => {});
+    }
+    if (failure) throw failure;
+    return full;
+  };
+
+  return {
+    request,
+    search: (payload, { signal } = {}) =>
+      request('/api/search', { method: 'POST', body: payload, signal, validate: validateSearchResponse }),
+    fetchMetadata: (url, { signal } = {}) =>
+      request('/api/fetch-metadata', { method: 'POST', body: { url }, signal, validate: validateMetadataResponse }),
+    rewrite: ({ text, model, options, facts }, { signal } = {}) =>
+      request('/api/rewrite', { method: 'POST', body: { text, model, options, facts }, signal, validate: validateRewriteResponse }),
+    rewriteStream: (payload, options) => timed('/api/rewrite', () => streamRewrite(payload, options)),
+    monitorStats: ({ signal } = {}) =>
+      request('/api/monitor/stats', { signal, validate: validateMonitorStats }),
+  };
+};
+
+const api = USE_MOCK_API
+  ? createApiClient({ baseUrl: '', fetchImpl: createMockFetch(), onTiming: reportTiming })
+  : createApiClient({ onTiming: reportTiming });
+
+export default api;
@@ -0,0 +1,156 @@
+import { createApiClient, parseRetryAfter, ApiError, isAbortError } from './client';
+import { createMockFetch } from './mockBackend';
+import { ResponseShapeError } from './validate';
+
+const setup = (failures = [], options = {}) => {
+  const delays = [];
+  const fetchImpl = createMockFetch({ latencyMs: 0, failures });
+  const api = createApiClient({
+    baseUrl: '',
+    fetchImpl,
+    wait: async (ms) => delays.push(ms),
+    ...options,
+  });
+  return { api, delays, fetchImpl };
+};
+
+const searchPayload = { keyword: 'kettle', minDiscount: 0, page: 1, pageSize: 5, marketplace: 'amazon.com' };
+
+test('search returns the same validated mock deals for the same keyword', async () => {
+  const { api } = setup();
+  const first = await api.search(searchPayload);
+  const second = await api.search(searchPayload);
+  expect(first.deals).toHaveLength(5);
+  expect(first.deals[0].title).toMatch(/Kettle/);
+  expect(second.deals).toEqual(first.deals);
+});
+
+test('retries 429 and 5xx responses, honouring Retry-After', async () => {
+  const { api, delays } = setup([
+    { path: '/api/search', status: 429, headers: { 'Retry-After': '2' } },
+    { path: '/api/search', status: 503 },
+  ]);
+  const data = await api.search(searchPayload);
+  expect(data.success).toBe(true);
+  expect(delays[0]).toBe(2000);
+  expect(delays).toHaveLength(2);
+});
+
+test('retries network errors and gives up after the retry budget', async () => {
+  const failures = Array.from({ length: 3 }, () => ({ path: '/api/rewrite', networkError: true }));
+  const { api, delays } = setup(failures, { retries: 2 });
+  await expect(api.rewrite({ text: 'hi', model: 'm' })).rejects.toThrow(/Cannot connect/);
+  expect(delays).toHaveLength(2);
+  expect(delays[1]).toBeGreaterThan(delays[0] / 2);
+});
+
+test('client errors are not retried and carry the server message', async () => {
+  const { api, delays } = setup();
+  const err = await api.search({ ...searchPayload, keyword: ' ' }).catch((e) => e);
+  expect(err).toBeInstanceOf(ApiError);
+  expect(err.status).toBe(400);
+  expect(err.message).toBe('Keyword is required');
+  expect(delays).toHaveLength(0);
+});
+
+test('malformed responses are rejected', async () => {
+  const api = createApiClient({
+    baseUrl: '',
+    fetchImpl: async () => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => ({ success: true, deals: {} }) }),
+  });
+  await expect(api.search(searchPayload)).rejects.toThrow(/"deals" is not an array/);
+});
+
+test('a response that does not say it succeeded is rejected', async () => {
+  const bodies = [{ deals: null }, { title: 'Lamp' }, { success: 1, rewritten: 'post' }];
+  const api = createApiClient({
+    baseUrl: '',
+    fetchImpl: async () => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => bodies.shift() }),
+  });
+  await expect(api.search(searchPayload)).rejects.toThrow(/\/api\/search: "success" is not true/);
+  await expect(api.fetchMetadata('https://www.amazon.com/dp/B09B8V1LZ3')).rejects.toThrow(ResponseShapeError);
+  await expect(api.rewrite({ text: 'x', model: 'm' })).rejects.toThrow(/"success" is not true/);
+});
+
+test('an aborted request rejects with an AbortError', async () => {
+  const api = createApiClient({ baseUrl: '', fetchImpl: createMockFetch({ latencyMs: 50 }) });
+  const controller = new AbortController();
+  const pending = api.search(searchPayload, { signal: controller.signal });
+  controller.abort();
+  const err = await pending.catch((e) => e);
+  expect(isAbortError(err)).toBe(true);
+});
+
+test('Retry-After accepts seconds and HTTP dates', () => {
+  const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+  expect(parseRetryAfter('5', now)).toBe(5000);
+  expect(parseRetryAfter('Thu, 01 Jan 2026 12:00:10 GMT', now)).toBe(10000);
+  expect(parseRetryAfter('soon', now)).toBeNull();
+  expect(parseRetryAfter(null, now)).toBeNull();
+});
+
+test('rewriteStream delivers tokens as they arrive and resolves to the whole text', async () => {
+  const { api } = setup();
+  const tokens = [];
+  const text = await api.rewriteStream(
+    { text: 'Deal!\nBuy it', model: 'm', options: { tone: 'professional', length: 'medium', emojiDensity: 'light' } },
+    { onToken: (t) => tokens.push(t) }
+  );
+  expect(tokens.length).toBeGreaterThan(2);
+  expect(tokens.join('')).toBe(text);
+  expect(text).toBe("Today's featured offer:\n\nDeal!\nBuy it");
+});
+
+test('rewriteStream falls back to a plain JSON answer', async () => {
+  const api = createApiClient({
+    baseUrl: '',
+    fetchImpl: async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'application/json' },
+      json: async () => ({ success: true, rewritten: 'whole post' }),
+    }),
+  });
+  const tokens = [];
+  await expect(api.rewriteStream({ text: 'x', model: 'm' }, { onToken: (t) => tokens.push(t) })).resolves.toBe('whole post');
+  expect(tokens).toEqual(['whole post']);
+});
+
+test('an error event in the stream rejects with the server message', async () => {
+  const events = ['data: {"token":"Hel"}\n\n', 'event: error\ndata: {"error":"Model overloaded"}\n\n'];
+  const api = createApiClient({
+    baseUrl: '',
+    fetchImpl: async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'text/event-stream' },
+      body: {
+        getReader: () => ({
+          read: async () => (events.length ? { done: false, value: events.shift() } : { done: true }),
+          cancel: async () => {},
+        }),
+      },
+    }),
+  });
+  await expect(api.rewriteStream({ text: 'x', model: 'm' })).rejects.toThrow('Model overloaded');
+});
+
+test('reports how long each call took, but not cancelled ones', async () => {
+  const timings = [];
+  let clock = 0;
+  const { api } = setup([{ path: '/api/fetch-metadata', status: 404, body: { success: false, error: 'Gone' } }], {
+    onTiming: (t) => timings.push(t),
+    now: () => (clock += 100),
+  });
+  await api.search(searchPayload);
+  await expect(api.fetchMetadata('https://www.amazon.com/dp/B09B8V1LZ3')).rejects.toThrow('Gone');
+  await api.rewriteStream({ text: 'x', model: 'm' });
+  const controller = new AbortController();
+  controller.abort();
+  await expect(api.search(searchPayload, { signal: controller.signal })).rejects.toThrow();
+  expect(timings).toEqual([
+    { endpoint: '/api/search', ms: 100, ok: true },
+    { endpoint: '/api/fetch-metadata', ms: 100, ok: false },
+    { endpoint: '/api/rewrite', ms: 100, ok: true },
+  ]);
+});
@@ -0,0 +1,213 @@
+// api/mockBackend.js - An in-process stand-in for the deals backend, for offline work and tests
+import { extractAsin } from '../utils/amazonLinks';
+import { DEFAULT_MARKETPLACE } from '../utils/marketplaces';
+
+const ADJECTIVES = ['Wireless', 'Portable', 'Smart', 'Compact', 'Stainless Steel', 'Ergonomic', 'Rechargeable', 'Foldable'];
+const NOUNS = ['Pro', 'Set', 'Kit', 'Bundle', 'Edition', 'Pack', 'Mini', 'Max'];
+const COLORS = ['#667eea', '#764ba2', '#ff6b6b', '#28a745', '#f0ad4e', '#0A66C2'];
+
+// Small deterministic PRNG so the same keyword and page always give the same deals
+const hashString = (text) => {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+};
+
+const seededRandom = (seed) => {
+  let state = seed || 1;
+  return () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 4294967296;
+  };
+};
+
+const titleCase = (text) => text.replace(/\b\w/g, (c) => c.toUpperCase());
+
+const placeholderImage = (label, color) =>
+  `data:image/svg+xml;utf8,${encodeURIComponent(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400"><rect width="100%" height="100%" fill="${color}"/>` +
+      `<text x="50%" y="50%" fill="white" font-family="sans-serif" font-size="28" text-anchor="middle">${label}</text></svg>`
+  )}`;
+
+export const mockDeal = (keyword, marketplace, index) => {
+  const random = seededRandom(hashString(`${marketplace}|${keyword.toLowerCase()}|${index}`));
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const asin = `B0${hashString(`${keyword}|${index}`).toString(36).toUpperCase().padStart(8, '0').slice(0, 8)}`;
+  const originalPrice = Math.round((10 + random() * 290) * 100) / 100;
+  const discount = 10 + Math.floor(random() * 61);
+  const title = `${pick(ADJECTIVES)} ${titleCase(keyword)} ${pick(NOUNS)}`;
+  return {
+    asin,
+    title,
+    url: `https://www.${marketplace}/dp/${asin}`,
+    image: placeholderImage(titleCase(keyword), pick(COLORS)),
+    discount,
+    originalPrice,
+    currentPrice: Math.round(originalPrice * (100 - discount)) / 100,
+    rating: Math.round((3 + random() * 2) * 10) / 10,
+    reviewCount: Math.floor(random() * 20000),
+    ...(index % 4 === 0 ? { couponCode: `SAVE${10 + (index % 3) * 5}` } : {}),
+  };
+};
+
+const TONE_OPENERS = {
+  excited: '🔥 Huge savings alert!',
+  friendly: 'Hey friends 👋 found something nice for you.',
+  professional: "Today's featured offer:",
+  playful: 'Psst… your wallet will thank us 😜',
+};
+
+// Deterministic stand-in for a model: applies the style options so the controls visibly do something
+export const mockRewrite = (text, { tone = 'excited', length = 'medium', emojiDensity = 'light' } = {}) => {
+  let lines = String(text).split('\n');
+  if (length === 'short') lines = lines.filter((l) => l.trim());
+  let out = [TONE_OPENERS[tone] || TONE_OPENERS.excited, '', ...lines].join('\n');
+  if (length === 'long') out += "\n\nDeals like this rarely last — grab it before it's gone!";
+  if (emojiDensity === 'none') out = out.replace(/\p{Extended_Pictographic}\uFE0F?/gu, '').replace(/[ \t]{2,}/g, ' ');
+  if (emojiDensity === 'heavy') out = out.replace(/!/g, '! 🎉');
+  return out;
+};
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] || headers[name.toLowerCase()] || null },
+  json: async () => body,
+});
+
+const abortError = () => {
+  const err = new Error('The request was cancelled');
+  err.name = 'AbortError';
+  return err;
+};
+
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          reject(abortError());
+        },
+        { once: true }
+      );
+    }
+  });
+
+// Sends `text` as SSE token events a few words at a time, like a model would
+const streamResponse = (text, { chunkDelayMs, signal }) => {
+  const tokens = text.match(/\S+\s*|\s+/g) || [];
+  const events = [
+    ...tokens.map((token) => `data: ${JSON.stringify({ token })}\n\n`),
+    'data: [DONE]\n\n',
+  ];
+  let index = 0;
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'text/event-stream' : null) },
+    body: {
+      getReader: () => ({
+        read: async () => {
+          await delay(chunkDelayMs, signal);
+          if (index >= events.length) return { done: true, value: undefined };
+          index += 1;
+          return { done: false, value: events[index - 1] };
+        },
+        cancel: async () => {
+          index = events.length;
+        },
+      }),
+    },
+  };
+};
+
+// Returns a fetch-compatible function. `failures` is a list of scripted responses
+// ({ path, status, body, headers } or { path, networkError: true }) served, in order,
+// before the normal handler for that path.
+export const createMockFetch = ({ latencyMs = 300, pages = 3, failures = [] } = {}) => {
+  const scripted = [...failures];
+  const stats = { totalRequests: 0, successCount: 0, errorCount: 0, throttleCount: 0 };
+
+  const routes = {
+    'POST /api/search': ({ keyword = '', minDiscount = 0, page = 1, pageSize = 30, marketplace = DEFAULT_MARKETPLACE }) => {
+      if (!String(keyword).trim()) return jsonResponse(400, { success: false, error: 'Keyword is required' });
+      const deals =
+        page > pages
+          ? []
+          : Array.from({ length: pageSize }, (_, i) => mockDeal(keyword, marketplace, (page - 1) * pageSize + i)).filter(
+              (d) => d.discount >= minDiscount
+            );
+      return jsonResponse(200, { success: true, deals, page, keyword, hasMore: page < pages });
+    },
+    'POST /api/fetch-metadata': ({ url = '' }) => {
+      const asin = extractAsin(url);
+      if (!asin) return jsonResponse(200, { success: false, error: 'Not an Amazon product URL' });
+      const deal = mockDeal(asin, DEFAULT_MARKETPLACE, 0);
+      return jsonResponse(200, {
+        success: true,
+        asin,
+        title: deal.title,
+        description: `A mock description for ${asin}.`,
+        image: deal.image,
+        originalPrice: String(deal.originalPrice),
+        discountedPrice: String(deal.currentPrice),
+      });
+    },
+    'POST /api/rewrite': ({ text = '', model = '', options, stream }, { signal }) => {
+      if (!String(text).trim()) return jsonResponse(400, { success: false, error: 'Text is required' });
+      const rewritten = mockRewrite(text, options);
+      if (stream) return streamResponse(rewritten, { chunkDelayMs: latencyMs / 10, signal });
+      return jsonResponse(200, { success: true, rewritten, model });
+    },
+    'GET /api/monitor/stats': () => {
+      const dailyLimit = 1000;
+      const monthlyLimit = 20000;
+      const pct = (count, limit) => Math.round((count / limit) * 1000) / 10;
+      return jsonResponse(200, {
+        ...stats,
+        dailyCount: stats.totalRequests,
+        dailyLimit,
+        dailyPercent: pct(stats.totalRequests, dailyLimit),
+        monthlyCount: stats.totalRequests,
+        monthlyLimit,
+        monthlyPercent: pct(stats.totalRequests, monthlyLimit),
+      });
+    },
+  };
+
+  const mockFetch = async (url, { method = 'GET', body, signal } = {}) => {
+    const path = new URL(url, 'http://mock.local').pathname;
+    await delay(latencyMs, signal);
+    if (path !== '/api/monitor/stats') stats.totalRequests += 1;
+
+    const failureIndex = scripted.findIndex((f) => f.path === path);
+    if (failureIndex !== -1) {
+      const [failure] = scripted.splice(failureIndex, 1);
+      stats.errorCount += 1;
+      if (failure.networkError) throw new TypeError('Failed to fetch');
+      if (failure.status === 429) stats.throttleCount += 1;
+      return jsonResponse(failure.status, failure.body || { success: false, error: `Mock ${failure.status}` }, failure.headers);
+    }
+
+    const handler = routes[`${method} ${path}`];
+    if (!handler) return jsonResponse(404, { success: false, error: `No mock for ${method} ${path}` });
+    const response = handler(body ? JSON.parse(body) : {}, { signal });
+    if (path !== '/api/monitor/stats') stats[response.ok ? 'successCount' : 'errorCount'] += 1;
+    return response;
+  };
+
+  mockFetch.stats = stats;
+  return mockFetch;
+};
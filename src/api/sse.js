@@ -0,0 +1,43 @@
+// api/sse.js - Incremental parser for text/event-stream bodies
+
+// Feed it text chunks as they arrive; it calls onEvent({ event, data }) for every
+// complete event. Chunks may split lines or events anywhere.
+export const createSseParser = (onEvent) => {
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+
+  const dispatch = () => {
+    if (data.length > 0) onEvent({ event, data: data.join('\n') });
+    event = 'message';
+    data = [];
+  };
+
+  const handleLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach((line) => handleLine(line.replace(/\r$/, '')));
+    },
+    end() {
+      if (buffer) handleLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+      dispatch();
+    },
+  };
+};
@@ -0,0 +1,22 @@
+import { createSseParser } from './sse';
+
+const collect = (chunks) => {
+  const events = [];
+  const parser = createSseParser((e) => events.push(e));
+  chunks.forEach((c) => parser.push(c));
+  parser.end();
+  return events;
+};
+
+test('events may be split across chunks at any point', () => {
+  const events = collect(['data: {"tok', 'en":"Hi"}\n', '\ndata: [DONE]\r', '\n\r\n']);
+  expect(events).toEqual([
+    { event: 'message', data: '{"token":"Hi"}' },
+    { event: 'message', data: '[DONE]' },
+  ]);
+});
+
+test('named events, multi-line data and comments', () => {
+  const events = collect([': keep-alive\n', 'event: error\ndata: line one\ndata: line two\n\n']);
+  expect(events).toEqual([{ event: 'error', data: 'line one\nline two' }]);
+});
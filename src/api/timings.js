@@ -0,0 +1,16 @@
+// api/timings.js - How long each backend call took, as seen by the browser
+
+const listeners = new Set();
+
+// Called by the shared API client after every finished call: { endpoint, ms, ok }
+export const reportTiming = (timing) => {
+  listeners.forEach((listener) => listener(timing));
+};
+
+// Returns the unsubscribe function
+export const subscribeTimings = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
@@ -0,0 +1,69 @@
+// api/validate.js - Shape checks for backend responses, so a bad payload fails loudly at the edge
+
+export class ResponseShapeError extends Error {
+  constructor(endpoint, problem) {
+    super(`Unexpected response from ${endpoint}: ${problem}`);
+    this.name = 'ResponseShapeError';
+    this.endpoint = endpoint;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumberLike = (value) => value === undefined || value === null || value === '' || Number.isFinite(Number(value));
+
+// Failures (success: false) are rejected before validation, so anything else has to say it succeeded
+const checkSucceeded = (endpoint, data) => {
+  if (!isObject(data)) throw new ResponseShapeError(endpoint, 'body is not an object');
+  if (data.success !== true) throw new ResponseShapeError(endpoint, '"success" is not true');
+};
+
+const NUMERIC_DEAL_FIELDS = ['discount', 'originalPrice', 'currentPrice', 'rating', 'reviewCount'];
+
+export const validateSearchResponse = (data) => {
+  const endpoint = '/api/search';
+  checkSucceeded(endpoint, data);
+  if (!Array.isArray(data.deals)) throw new ResponseShapeError(endpoint, '"deals" is not an array');
+  if (data.hasMore !== undefined && typeof data.hasMore !== 'boolean') {
+    throw new ResponseShapeError(endpoint, '"hasMore" is not a boolean');
+  }
+  if (data.nextCursor !== undefined && data.nextCursor !== null && typeof data.nextCursor !== 'string') {
+    throw new ResponseShapeError(endpoint, '"nextCursor" is not a string');
+  }
+  data.deals.forEach((deal, i) => {
+    if (!isObject(deal)) throw new ResponseShapeError(endpoint, `deals[${i}] is not an object`);
+    if (typeof deal.title !== 'string') throw new ResponseShapeError(endpoint, `deals[${i}].title is not a string`);
+    const bad = NUMERIC_DEAL_FIELDS.find((field) => !isNumberLike(deal[field]));
+    if (bad) throw new ResponseShapeError(endpoint, `deals[${i}].${bad} is not a number`);
+  });
+  return data;
+};
+
+export const validateMetadataResponse = (data) => {
+  const endpoint = '/api/fetch-metadata';
+  checkSucceeded(endpoint, data);
+  ['title', 'description', 'image'].forEach((field) => {
+    if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+      throw new ResponseShapeError(endpoint, `"${field}" is not a string`);
+    }
+  });
+  return data;
+};
+
+export const validateRewriteResponse = (data) => {
+  const endpoint = '/api/rewrite';
+  checkSucceeded(endpoint, data);
+  if (typeof data.rewritten !== 'string') {
+    throw new ResponseShapeError(endpoint, '"rewritten" is not a string');
+  }
+  return data;
+};
+
+export const validateMonitorStats = (data) => {
+  const endpoint = '/api/monitor/stats';
+  if (!isObject(data)) throw new ResponseShapeError(endpoint, 'body is not an object');
+  const bad = ['totalRequests', 'dailyCount', 'dailyLimit', 'monthlyCount', 'monthlyLimit'].find(
+    (field) => !isNumberLike(data[field])
+  );
+  if (bad) throw new ResponseShapeError(endpoint, `"${bad}" is not a number`);
+  return data;
+};
@@ -0,0 +1,100 @@
+// components/AiSettingsPanel.js - The AI model and the style options every rewrite uses
+import React from 'react';
+import {
+  AI_MODELS,
+  TONE_OPTIONS,
+  LENGTH_OPTIONS,
+  EMOJI_OPTIONS,
+  MAX_VARIANTS,
+  pickVariantModels,
+  getModelLabel,
+} from '../posts/rewriteOptions';
+
+const optionSelect = {
+  display: 'block',
+  width: '100%',
+  marginTop: '5px',
+  padding: '8px',
+  borderRadius: '6px',
+  border: '2px solid #ddd',
+  fontSize: '14px',
+};
+
+const STYLE_OPTIONS = [
+  ['tone', 'Tone', TONE_OPTIONS],
+  ['length', 'Length', LENGTH_OPTIONS],
+  ['emojiDensity', 'Emoji', EMOJI_OPTIONS],
+];
+
+// `options` are normalized rewrite options; onOptionsChange gets only the changed keys
+function AiSettingsPanel({ model, onModelChange, options, onOptionsChange }) {
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <label htmlFor="ai-model" style={{ display: 'block', marginBottom: '10px', fontWeight: 'bold', fontSize: '16px' }}>
+        🤖 Select AI Model:
+      </label>
+      <select
+        id="ai-model"
+        value={model}
+        onChange={(e) => onModelChange(e.target.value)}
+        style={{
+          padding: '12px',
+          borderRadius: '8px',
+          border: '2px solid #667eea',
+          fontSize: '15px',
+          backgroundColor: '#fff',
+          cursor: 'pointer',
+          width: '100%',
+          maxWidth: '500px'
+        }}
+      >
+        {AI_MODELS.map((m) => (
+          <option key={m.id} value={m.id}>
+            {m.label} ({m.price})
+          </option>
+        ))}
+      </select>
+      <small style={{ display: 'block', marginTop: '8px', color: '#666' }}>
+        💡 Mistral is fastest. GPT-3.5 has best quality.
+      </small>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '10px', marginTop: '15px' }}>
+        {STYLE_OPTIONS.map(([key, label, choices]) => (
+          <label key={key} style={{ fontSize: '14px', fontWeight: 'bold' }}>
+            {label}:
+            <select value={options[key]} onChange={(e) => onOptionsChange({ [key]: e.target.value })} style={optionSelect}>
+              {choices.map((o) => (
+                <option key={o.id} value={o.id}>{o.label}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label style={{ fontSize: '14px', fontWeight: 'bold' }}>
+          Variants:
+          <select
+            value={options.variants}
+            onChange={(e) => onOptionsChange({ variants: Number(e.target.value) })}
+            style={optionSelect}
+          >
+            {Array.from({ length: MAX_VARIANTS }, (_, i) => i + 1).map((n) => (
+              <option key={n} value={n}>{n === 1 ? '1 (save directly)' : `${n} to compare`}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {options.variants > 1 && (
+        <small style={{ display: 'block', marginTop: '8px', color: '#666' }}>
+          Variants use {pickVariantModels(model, options.variants).map(getModelLabel).join(', ')}.
+        </small>
+      )}
+    </div>
+  );
+}
+
+export default AiSettingsPanel;
@@ -0,0 +1,27 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import AiSettingsPanel from './AiSettingsPanel';
+import { AI_MODELS, DEFAULT_REWRITE_OPTIONS } from '../posts/rewriteOptions';
+
+const setup = (options = DEFAULT_REWRITE_OPTIONS) => {
+  const onModelChange = jest.fn();
+  const onOptionsChange = jest.fn();
+  render(
+    <AiSettingsPanel model={AI_MODELS[0].id} onModelChange={onModelChange} options={options} onOptionsChange={onOptionsChange} />
+  );
+  return { onModelChange, onOptionsChange };
+};
+
+test('reports the model and only the option that changed', () => {
+  const { onModelChange, onOptionsChange } = setup();
+  fireEvent.change(screen.getByLabelText(/Select AI Model/), { target: { value: AI_MODELS[2].id } });
+  expect(onModelChange).toHaveBeenCalledWith(AI_MODELS[2].id);
+  fireEvent.change(screen.getByLabelText('Tone:'), { target: { value: 'playful' } });
+  expect(onOptionsChange).toHaveBeenCalledWith({ tone: 'playful' });
+  fireEvent.change(screen.getByLabelText('Variants:'), { target: { value: '3' } });
+  expect(onOptionsChange).toHaveBeenLastCalledWith({ variants: 3 });
+});
+
+test('names the models the variants will use', () => {
+  setup({ ...DEFAULT_REWRITE_OPTIONS, variants: 2 });
+  expect(screen.getByText(/^Variants use/)).toHaveTextContent(AI_MODELS[0].label);
+});
@@ -0,0 +1,80 @@
+// components/BatchToolbar.js - Actions on every selected deal at once
+import React from 'react';
+
+const button = (backgroundColor, disabled) => ({
+  padding: '8px 14px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: disabled ? 'default' : 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+  opacity: disabled ? 0.6 : 1,
+});
+
+function BatchToolbar({
+  selectedCount,
+  filteredCount,
+  progress,
+  onSelectAll,
+  onClear,
+  onRewrite,
+  onCopyDigest,
+  onExportCsv,
+  onExportJson,
+  onDismiss,
+  onSetStatus,
+}) {
+  const none = selectedCount === 0;
+  const busy = Boolean(progress) && progress.done < progress.total;
+
+  return (
+    <div style={{
+      position: 'sticky',
+      top: 0,
+      zIndex: 10,
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '12px 15px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <strong style={{ marginRight: '4px' }}>☑️ {selectedCount} selected</strong>
+        <button onClick={onSelectAll} disabled={filteredCount === 0} style={button('#999', filteredCount === 0)}>
+          Select all {filteredCount}
+        </button>
+        <button onClick={onClear} disabled={none} style={button('#999', none)}>Clear</button>
+        <span style={{ flex: 1 }} />
+        <button onClick={onRewrite} disabled={none || busy} style={button('#667eea', none || busy)}>
+          🤖 Rewrite all
+        </button>
+        <button onClick={onCopyDigest} disabled={none} style={button('#764ba2', none)}>📋 Copy digest</button>
+        <button onClick={onExportCsv} disabled={none} style={button('#764ba2', none)}>⬇️ CSV</button>
+        <button onClick={onExportJson} disabled={none} style={button('#764ba2', none)}>⬇️ JSON</button>
+        <button onClick={() => onSetStatus('shortlisted')} disabled={none} style={button('#f0ad4e', none)}>
+          ⭐ Shortlist
+        </button>
+        <button onClick={() => onSetStatus('skipped')} disabled={none} style={button('#999', none)}>⏭️ Skip</button>
+        <button onClick={onDismiss} disabled={none || busy} style={button('#f66', none || busy)}>🗑️ Dismiss</button>
+      </div>
+      {progress && (
+        <div style={{ marginTop: '10px', fontSize: '12px', color: '#666' }}>
+          <div style={{ height: '8px', backgroundColor: '#eee', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{
+              width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%`,
+              height: '100%',
+              backgroundColor: progress.failed ? '#f0ad4e' : '#28a745',
+              transition: 'width 0.3s'
+            }} />
+          </div>
+          🤖 Rewritten {progress.done}/{progress.total}
+          {progress.failed > 0 && ` · ${progress.failed} failed`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BatchToolbar;
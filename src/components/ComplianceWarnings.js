@@ -0,0 +1,53 @@
+// components/ComplianceWarnings.js - Inline list of compliance problems in a post, with a one-click fix
+import React from 'react';
+
+const SEVERITY_STYLES = {
+  error: { icon: '⛔', color: '#c33', backgroundColor: '#fee' },
+  warning: { icon: '⚠️', color: '#8a6d3b', backgroundColor: '#fcf8e3' },
+};
+
+function ComplianceWarnings({ issues, onFix }) {
+  if (issues.length === 0) return null;
+  const fixable = issues.filter((i) => i.fix).length;
+  const worst = issues.some((i) => i.severity === 'error') ? 'error' : 'warning';
+
+  return (
+    <div style={{
+      marginTop: '8px',
+      padding: '8px 10px',
+      borderRadius: '6px',
+      fontSize: '12px',
+      lineHeight: '1.4',
+      border: `1px solid ${SEVERITY_STYLES[worst].color}`,
+      backgroundColor: SEVERITY_STYLES[worst].backgroundColor
+    }}>
+      <ul style={{ margin: 0, paddingLeft: 0, listStyle: 'none' }}>
+        {issues.map((issue, i) => (
+          <li key={`${i}-${issue.rule}`} style={{ color: SEVERITY_STYLES[issue.severity].color }}>
+            {SEVERITY_STYLES[issue.severity].icon} {issue.message}
+          </li>
+        ))}
+      </ul>
+      {fixable > 0 && onFix && (
+        <button
+          onClick={onFix}
+          style={{
+            marginTop: '6px',
+            padding: '4px 10px',
+            backgroundColor: 'white',
+            color: '#667eea',
+            border: '1px solid #667eea',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontWeight: 'bold',
+            fontSize: '12px'
+          }}
+        >
+          🪄 Auto-fix {fixable} {fixable === 1 ? 'issue' : 'issues'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ComplianceWarnings;
@@ -0,0 +1,334 @@
+// components/DealCard.js - One deal on the board: prices, score, coupon, post actions and the rewrite
+import React, { useState } from 'react';
+import { Facebook } from 'lucide-react';
+import PriceSparkline from './PriceSparkline';
+import ShareButtons from './ShareButtons';
+import ComplianceWarnings from './ComplianceWarnings';
+import { describeScore } from '../utils/dealScore';
+import { getDealCode, dealLink } from '../utils/deals';
+import { formatPrice, formatCount } from '../utils/marketplaces';
+import { canShareTo, EXTRA_SHARE_TARGETS } from '../posts/shareTargets';
+import { AI_PENDING_STATUSES } from '../posts/rewriteOptions';
+import { dealStatus, getDealStatus, formatAgo, postingNetworkLabel } from '../utils/dealLifecycle';
+
+const scoreColor = (score) => {
+  if (score >= 70) return '#28a745';
+  if (score >= 40) return '#f0ad4e';
+  return '#999';
+};
+
+const solidButton = (backgroundColor) => ({
+  padding: '10px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+});
+
+const outlineButton = (color) => ({
+  width: '100%',
+  marginTop: '6px',
+  padding: '8px',
+  backgroundColor: 'white',
+  color,
+  border: `2px solid ${color}`,
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+});
+
+const postBox = (border) => ({
+  marginTop: '12px',
+  backgroundColor: '#f0f0f0',
+  border,
+  borderRadius: '6px',
+  padding: '10px',
+  fontSize: '12px',
+  maxHeight: '200px',
+  overflow: 'auto',
+  whiteSpace: 'pre-wrap',
+  lineHeight: '1.4',
+});
+
+// Loaded by the browser only near the viewport; a placeholder holds the space until then
+function LazyImage({ src, alt }) {
+  const [status, setStatus] = useState('loading');
+  return (
+    <div style={{ position: 'relative', height: '200px', backgroundColor: '#eef0fb' }}>
+      {status !== 'loaded' && (
+        <div style={{
+          position: 'absolute',
+          inset: 0,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          color: '#99a',
+          fontSize: '32px'
+        }}>
+          {status === 'failed' ? '🚫' : '🖼️'}
+        </div>
+      )}
+      <img
+        src={src}
+        alt={alt}
+        loading="lazy"
+        decoding="async"
+        onLoad={() => setStatus('loaded')}
+        onError={() => setStatus('failed')}
+        style={{
+          width: '100%',
+          height: '200px',
+          objectFit: 'cover',
+          display: 'block',
+          opacity: status === 'loaded' ? 1 : 0,
+          transition: 'opacity 0.3s'
+        }}
+      />
+    </div>
+  );
+}
+
+// A status can be toggled back to new from the card
+const statusToggle = (active, color) => ({
+  padding: '4px 8px',
+  backgroundColor: active ? color : 'white',
+  color: active ? 'white' : color,
+  border: `1px solid ${color}`,
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: 'bold',
+});
+
+// `score` is the scoreDeal result; `variants` the streamed rewrites for this deal, if any;
+// `lastPosting` the product's most recent posting, from this deal or an earlier one
+function DealCard({
+  deal,
+  score,
+  pricePoints,
+  selected,
+  highlighted,
+  aiStatus,
+  variants,
+  issues,
+  lastPosting,
+  onToggleSelect,
+  onStatusChange,
+  onRewrite,
+  onCopy,
+  onShare,
+  onQueue,
+  onEdit,
+  onImageCard,
+  onCompare,
+  onFix,
+}) {
+  const code = getDealCode(deal);
+  const pending = AI_PENDING_STATUSES.includes(aiStatus);
+  const streaming = variants && variants.length === 1 ? variants[0] : null;
+  const status = dealStatus(deal);
+  const toggleStatus = (next) => onStatusChange(status === next ? 'new' : next);
+
+  return (
+    <div
+      className="deal-card"
+      style={{
+        backgroundColor: highlighted ? '#fffacd' : 'white',
+        borderRadius: '12px',
+        overflow: 'hidden',
+        outline: selected ? '3px solid #667eea' : 'none'
+      }}
+    >
+      {/* Deal Image */}
+      {deal.image && <LazyImage key={deal.image} src={deal.image} alt={deal.title} />}
+
+      {/* Deal Info */}
+      <div style={{ padding: '15px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', marginBottom: '10px' }}>
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={(e) => onToggleSelect(e.nativeEvent.shiftKey)}
+            title="Select (shift-click for a range)"
+            aria-label={`Select ${deal.title}`}
+            style={{ marginRight: '8px', marginTop: '3px', width: '18px', height: '18px', cursor: 'pointer' }}
+          />
+          <div style={{ flex: 1 }}>
+            <h3 style={{ margin: '0 0 5px 0', fontSize: '16px', lineHeight: '1.4', minHeight: '50px' }}>
+              {deal.title}
+            </h3>
+            <div style={{ display: 'flex', gap: '15px', fontSize: '13px', color: '#666', marginBottom: '10px' }}>
+              <span>⭐ {deal.rating}/5</span>
+              <span>👥 {formatCount(deal.reviewCount, deal.marketplace)}</span>
+              <span
+                title={describeScore(score)}
+                style={{
+                  backgroundColor: scoreColor(score.score),
+                  color: 'white',
+                  padding: '0 6px',
+                  borderRadius: '4px',
+                  fontWeight: 'bold',
+                  cursor: 'help'
+                }}
+              >
+                🏅 {score.score}
+              </span>
+            </div>
+          </div>
+          <div style={{
+            backgroundColor: '#ff6b6b',
+            color: 'white',
+            padding: '8px 12px',
+            borderRadius: '6px',
+            fontWeight: 'bold',
+            fontSize: '16px',
+            whiteSpace: 'nowrap'
+          }}>
+            {deal.discount}% OFF
+          </div>
+        </div>
+
+        {/* Status */}
+        <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '10px', fontSize: '12px' }}>
+          <span style={{ fontWeight: 'bold', color: getDealStatus(status).color, flex: 1 }}>
+            {getDealStatus(status).label}
+          </span>
+          <button
+            onClick={() => toggleStatus('shortlisted')}
+            aria-pressed={status === 'shortlisted'}
+            style={statusToggle(status === 'shortlisted', '#f0ad4e')}
+          >
+            ⭐ Shortlist
+          </button>
+          <button
+            onClick={() => toggleStatus('skipped')}
+            aria-pressed={status === 'skipped'}
+            style={statusToggle(status === 'skipped', '#999')}
+          >
+            ⏭️ Skip
+          </button>
+        </div>
+        {lastPosting && (
+          <div style={{ fontSize: '12px', color: '#28a745', marginBottom: '10px' }} title={lastPosting.text}>
+            📤 Last posted {formatAgo(lastPosting.at)} on {postingNetworkLabel(lastPosting.network)}
+            {deal.postings && deal.postings.length > 1 && ` · ${deal.postings.length} postings`}
+          </div>
+        )}
+
+        {/* Pricing */}
+        <div style={{ backgroundColor: '#f9f9f9', padding: '10px', borderRadius: '6px', marginBottom: '10px' }}>
+          <div style={{ textDecoration: 'line-through', color: '#999', fontSize: '14px' }}>
+            {formatPrice(deal.originalPrice, deal.marketplace)}
+          </div>
+          <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#667eea' }}>
+            {formatPrice(deal.currentPrice, deal.marketplace)}
+          </div>
+          <div style={{ color: '#28a745', fontSize: '13px', marginTop: '5px' }}>
+            Save {formatPrice(deal.originalPrice - deal.currentPrice, deal.marketplace)}
+          </div>
+        </div>
+
+        {/* Price History */}
+        {deal.asin && <PriceSparkline points={pricePoints} marketplace={deal.marketplace} />}
+
+        {/* Coupon Code */}
+        {code && (
+          <div style={{
+            backgroundColor: '#e7f5ff',
+            border: '2px dashed #667eea',
+            padding: '8px',
+            borderRadius: '6px',
+            marginBottom: '10px',
+            textAlign: 'center',
+            fontWeight: 'bold',
+            fontSize: '14px',
+            color: '#667eea'
+          }}>
+            Code: {code}
+          </div>
+        )}
+
+        {/* Buttons */}
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '10px' }}>
+          <button
+            onClick={onRewrite}
+            disabled={pending}
+            aria-busy={pending}
+            style={{ ...solidButton('#667eea'), opacity: pending ? 0.7 : 1 }}
+          >
+            {aiStatus || '🤖 AI Rewrite'}
+          </button>
+          <button onClick={onCopy} style={solidButton('#764ba2')}>
+            📋 Copy Post
+          </button>
+        </div>
+
+        <button
+          onClick={() => onShare('facebook')}
+          style={{
+            ...solidButton('#0A66C2'),
+            width: '100%',
+            fontSize: '14px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px'
+          }}
+        >
+          <Facebook size={18} />
+          Share on Facebook
+        </button>
+        <div style={{ marginTop: '6px' }}>
+          <ShareButtons
+            targetIds={EXTRA_SHARE_TARGETS}
+            canShare={(id) => canShareTo(id, deal)}
+            onShare={onShare}
+          />
+        </div>
+        <button onClick={onQueue} style={outlineButton('#764ba2')}>🗓️ Add to Queue</button>
+        <button onClick={onEdit} style={outlineButton('#667eea')}>✏️ Edit Post</button>
+        <button onClick={onImageCard} style={outlineButton('#ff6b6b')}>🖼️ Image Card</button>
+
+        {/* Streaming rewrite, or the way back to the variant comparison */}
+        {streaming && (
+          <div style={postBox('2px dashed #667eea')}>
+            {streaming.text}
+            {streaming.status === 'streaming' && <span style={{ opacity: 0.6 }}>▍</span>}
+          </div>
+        )}
+        {variants && variants.length > 1 && (
+          <button onClick={onCompare} style={outlineButton('#667eea')}>
+            🆚 Compare {variants.length} variants
+          </button>
+        )}
+
+        {/* Rewritten Post */}
+        {deal.rewritten && !streaming && <div style={postBox('2px solid #667eea')}>{deal.rewritten}</div>}
+        <ComplianceWarnings issues={issues} onFix={onFix} />
+
+        {/* Deal URL */}
+        <a
+          href={dealLink(deal)}
+          target="_blank"
+          rel="noopener noreferrer"
+          style={{
+            display: 'inline-block',
+            marginTop: '10px',
+            color: '#667eea',
+            textDecoration: 'none',
+            fontSize: '12px',
+            fontWeight: 'bold'
+          }}
+        >
+          🔗 View on Amazon
+        </a>
+      </div>
+    </div>
+  );
+}
+
+export default DealCard;
@@ -0,0 +1,114 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import DealCard from './DealCard';
+import { scoreDeal } from '../utils/dealScore';
+
+const deal = {
+  id: 1,
+  asin: 'B0CARD0001',
+  title: 'Steel Kettle',
+  url: 'https://www.amazon.com/dp/B0CARD0001',
+  marketplace: 'amazon.com',
+  originalPrice: 40,
+  currentPrice: 25,
+  discount: 38,
+  rating: 4.5,
+  reviewCount: 1200,
+  couponCode: 'KETTLE5',
+};
+
+const mountCard = (props = {}) => {
+  const handlers = {
+    onToggleSelect: jest.fn(),
+    onStatusChange: jest.fn(),
+    onRewrite: jest.fn(),
+    onCopy: jest.fn(),
+    onShare: jest.fn(),
+    onQueue: jest.fn(),
+    onEdit: jest.fn(),
+    onImageCard: jest.fn(),
+    onCompare: jest.fn(),
+    onFix: jest.fn(),
+  };
+  const { container } = render(
+    <DealCard
+      deal={deal}
+      score={scoreDeal(deal)}
+      selected={false}
+      highlighted={false}
+      issues={[]}
+      {...handlers}
+      {...props}
+    />
+  );
+  return { ...handlers, container };
+};
+
+test('shows the prices, coupon, score and the affiliate link', () => {
+  mountCard();
+  expect(screen.getByText('Steel Kettle')).toBeInTheDocument();
+  expect(screen.getByText('38% OFF')).toBeInTheDocument();
+  expect(screen.getByText('Code: KETTLE5')).toBeInTheDocument();
+  expect(screen.getByText(`🏅 ${scoreDeal(deal).score}`)).toBeInTheDocument();
+  expect(screen.getByText('🔗 View on Amazon').getAttribute('href')).toContain('B0CARD0001');
+});
+
+test('each action button calls its handler', () => {
+  const handlers = mountCard();
+  fireEvent.click(screen.getByText('🤖 AI Rewrite'));
+  fireEvent.click(screen.getByText('📋 Copy Post'));
+  fireEvent.click(screen.getByText('Share on Facebook'));
+  fireEvent.click(screen.getByText('🗓️ Add to Queue'));
+  fireEvent.click(screen.getByText('✏️ Edit Post'));
+  fireEvent.click(screen.getByText('🖼️ Image Card'));
+  fireEvent.click(screen.getByLabelText('Select Steel Kettle'));
+  expect(handlers.onRewrite).toHaveBeenCalled();
+  expect(handlers.onCopy).toHaveBeenCalled();
+  expect(handlers.onShare).toHaveBeenCalledWith('facebook');
+  expect(handlers.onQueue).toHaveBeenCalled();
+  expect(handlers.onEdit).toHaveBeenCalled();
+  expect(handlers.onImageCard).toHaveBeenCalled();
+  expect(handlers.onToggleSelect).toHaveBeenCalledWith(false);
+});
+
+test('a pending rewrite disables the button and streams into the card', () => {
+  mountCard({
+    aiStatus: 'Processing…',
+    variants: [{ id: 'v1', text: 'Hot deal on a kettle', status: 'streaming' }],
+    deal: { ...deal, rewritten: 'The old post' },
+  });
+  expect(screen.getByText('Processing…')).toBeDisabled();
+  expect(screen.getByText('Hot deal on a kettle')).toBeInTheDocument();
+  expect(screen.queryByText('The old post')).not.toBeInTheDocument();
+});
+
+test('several variants open the comparison; a saved rewrite shows with its warnings', () => {
+  const handlers = mountCard({
+    variants: [{ id: 'a', text: 'A', status: 'done' }, { id: 'b', text: 'B', status: 'done' }],
+    deal: { ...deal, rewritten: 'My saved post' },
+    issues: [{ rule: 'disclosure', severity: 'error', message: 'Add an #ad disclosure', fix: true }],
+  });
+  fireEvent.click(screen.getByText('🆚 Compare 2 variants'));
+  expect(handlers.onCompare).toHaveBeenCalled();
+  expect(screen.getByText('My saved post')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('🪄 Auto-fix 1 issue'));
+  expect(handlers.onFix).toHaveBeenCalled();
+});
+
+test('shortlists or skips the deal, toggling back to new, and says when it was last posted', () => {
+  const handlers = mountCard({
+    deal: { ...deal, status: 'shortlisted', postings: [{}, {}] },
+    lastPosting: { network: 'telegram', text: 'Kettle post', at: Date.now() - 3 * 60 * 60 * 1000 },
+  });
+  expect(screen.getByText('⭐ Shortlisted')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: '⭐ Shortlist' }));
+  expect(handlers.onStatusChange).toHaveBeenCalledWith('new');
+  fireEvent.click(screen.getByRole('button', { name: '⏭️ Skip' }));
+  expect(handlers.onStatusChange).toHaveBeenLastCalledWith('skipped');
+  expect(screen.getByText(/Last posted 3 h ago on Telegram · 2 postings/)).toBeInTheDocument();
+});
+
+test('passes axe checks, with the rewrite button marked busy while it runs', async () => {
+  const { container } = mountCard({ aiStatus: 'Processing…' });
+  expect(screen.getByRole('button', { name: 'Processing…' })).toHaveAttribute('aria-busy', 'true');
+  await expect(container).toHaveNoAxeViolations();
+});
@@ -0,0 +1,102 @@
+// components/DealLifecycleBoard.js - Kanban view of the board: one column per deal status
+import React from 'react';
+import {
+  DEAL_STATUSES,
+  dealStatus,
+  groupByStatus,
+  formatAgo,
+  postingNetworkLabel,
+} from '../utils/dealLifecycle';
+import { formatPrice } from '../utils/marketplaces';
+
+// Deals move by dragging them onto a column, or with the status picker on each card
+function LifecycleCard({ deal, onMove }) {
+  const postings = deal.postings || [];
+  return (
+    <div
+      draggable
+      onDragStart={(e) => e.dataTransfer.setData('text/plain', String(deal.id))}
+      style={{
+        backgroundColor: 'white',
+        borderRadius: '8px',
+        padding: '10px',
+        marginBottom: '8px',
+        fontSize: '13px',
+        cursor: 'grab',
+        boxShadow: '0 1px 3px rgba(0,0,0,0.15)'
+      }}
+    >
+      <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{deal.title}</div>
+      <div style={{ color: '#666', marginBottom: '6px' }}>
+        {formatPrice(deal.currentPrice, deal.marketplace)} · {deal.discount}% off
+        {deal.statusChangedAt && <> · since {formatAgo(deal.statusChangedAt)}</>}
+      </div>
+      <select
+        value={dealStatus(deal)}
+        onChange={(e) => onMove(deal.id, e.target.value)}
+        aria-label={`Status of ${deal.title}`}
+        style={{ width: '100%', padding: '4px' }}
+      >
+        {DEAL_STATUSES.map((s) => (
+          <option key={s.id} value={s.id}>{s.label}</option>
+        ))}
+      </select>
+      {postings.length > 0 && (
+        <details style={{ marginTop: '6px' }}>
+          <summary style={{ cursor: 'pointer', color: '#28a745' }}>
+            📤 Posted {postings.length}×
+          </summary>
+          {[...postings].reverse().map((p) => (
+            <div key={p.id} style={{ marginTop: '6px', borderTop: '1px solid #eee', paddingTop: '4px' }}>
+              <div style={{ color: '#666' }}>
+                {postingNetworkLabel(p.network)} · {new Date(p.at).toLocaleString()}
+              </div>
+              <div style={{ whiteSpace: 'pre-wrap', maxHeight: '120px', overflow: 'auto' }}>{p.text}</div>
+            </div>
+          ))}
+        </details>
+      )}
+    </div>
+  );
+}
+
+function DealLifecycleBoard({ deals, onMove }) {
+  const groups = groupByStatus(deals);
+
+  const dropOn = (status) => (e) => {
+    e.preventDefault();
+    const id = e.dataTransfer.getData('text/plain');
+    const deal = deals.find((d) => String(d.id) === id);
+    if (deal) onMove(deal.id, status);
+  };
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: `repeat(${DEAL_STATUSES.length}, minmax(0, 1fr))`, gap: '12px' }}>
+      {DEAL_STATUSES.map((status) => (
+        <section
+          key={status.id}
+          aria-label={`${status.label} deals`}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={dropOn(status.id)}
+          style={{
+            backgroundColor: '#f4f5fb',
+            borderRadius: '12px',
+            borderTop: `4px solid ${status.color}`,
+            padding: '10px',
+            maxHeight: '70vh',
+            overflowY: 'auto'
+          }}
+        >
+          <h3 style={{ margin: '0 0 10px 0', fontSize: '15px' }}>
+            {status.label} ({groups[status.id].length})
+          </h3>
+          {groups[status.id].map((deal) => (
+            <LifecycleCard key={deal.id} deal={deal} onMove={onMove} />
+          ))}
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default DealLifecycleBoard;
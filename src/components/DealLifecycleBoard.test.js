@@ -0,0 +1,43 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import DealLifecycleBoard from './DealLifecycleBoard';
+
+const deals = [
+  { id: 1, title: 'Echo Dot', currentPrice: 20, discount: 50, marketplace: 'amazon.com' },
+  {
+    id: 2,
+    title: 'Desk Lamp',
+    currentPrice: 15,
+    discount: 40,
+    marketplace: 'amazon.com',
+    status: 'posted',
+    postings: [{ id: 'p1', network: 'x', text: 'Lamp post', at: 1000 }],
+  },
+];
+
+test('sorts deals into a column per status and shows their postings', () => {
+  render(<DealLifecycleBoard deals={deals} onMove={jest.fn()} />);
+  const newColumn = screen.getByRole('region', { name: '🆕 New deals' });
+  const postedColumn = screen.getByRole('region', { name: '📤 Posted deals' });
+  expect(within(newColumn).getByText('Echo Dot')).toBeInTheDocument();
+  expect(within(newColumn).getByText('🆕 New (1)')).toBeInTheDocument();
+  expect(within(postedColumn).getByText('Desk Lamp')).toBeInTheDocument();
+  expect(within(postedColumn).getByText('📤 Posted 1×')).toBeInTheDocument();
+  expect(within(postedColumn).getByText('Lamp post')).toBeInTheDocument();
+});
+
+test('moves deals with the status picker or by dropping them on a column', () => {
+  const onMove = jest.fn();
+  render(<DealLifecycleBoard deals={deals} onMove={onMove} />);
+  fireEvent.change(screen.getByLabelText('Status of Echo Dot'), { target: { value: 'shortlisted' } });
+  expect(onMove).toHaveBeenCalledWith(1, 'shortlisted');
+
+  fireEvent.drop(screen.getByRole('region', { name: '⏭️ Skipped deals' }), {
+    dataTransfer: { getData: () => '2' },
+  });
+  expect(onMove).toHaveBeenLastCalledWith(2, 'skipped');
+});
+
+test('passes axe checks', async () => {
+  const { container } = render(<DealLifecycleBoard deals={deals} onMove={jest.fn()} />);
+  await expect(container).toHaveNoAxeViolations();
+});
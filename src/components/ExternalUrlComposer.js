@@ -0,0 +1,174 @@
+// components/ExternalUrlComposer.js - A post for any Amazon URL: metadata, prices by hand, rewrite and share
+import React from 'react';
+import { Facebook } from 'lucide-react';
+import ShareButtons from './ShareButtons';
+import ComplianceWarnings from './ComplianceWarnings';
+import { currencySymbol } from '../utils/marketplaces';
+import { canShareTo, EXTRA_SHARE_TARGETS } from '../posts/shareTargets';
+import { AI_PENDING_STATUSES } from '../posts/rewriteOptions';
+
+const input = { padding: '10px', border: '2px solid #ddd', borderRadius: '8px', fontSize: '14px' };
+
+const button = (backgroundColor) => ({
+  padding: '12px 20px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+});
+
+const outlineButton = (color) => ({
+  ...button('white'),
+  color,
+  border: `2px solid ${color}`,
+});
+
+const postBox = (border) => ({
+  backgroundColor: '#f0f0f0',
+  border,
+  borderRadius: '8px',
+  padding: '15px',
+  marginTop: '15px',
+  whiteSpace: 'pre-wrap',
+  fontFamily: 'monospace',
+  fontSize: '13px',
+  lineHeight: '1.6',
+});
+
+// `fields` holds what the user typed: { originalPrice, currentPrice, discount, couponCode }
+function ExternalUrlComposer({
+  url,
+  onUrlChange,
+  meta,
+  fetching,
+  onFetch,
+  fields,
+  onFieldChange,
+  marketplace,
+  aiStatus,
+  variants,
+  rewritten,
+  issues,
+  onRewrite,
+  onEdit,
+  onCopy,
+  onQueue,
+  onShare,
+  onCompare,
+  onFix,
+}) {
+  const pending = AI_PENDING_STATUSES.includes(aiStatus);
+  const streaming = variants && variants.length === 1 ? variants[0] : null;
+  const priceFields = [
+    ['originalPrice', 'number', `Original Price (${currencySymbol(marketplace)})`],
+    ['currentPrice', 'number', `Current Price (${currencySymbol(marketplace)})`],
+    ['discount', 'number', 'Discount (%)'],
+    ['couponCode', 'text', 'Coupon Code'],
+  ];
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <h2 style={{ marginTop: 0, marginBottom: '15px', fontSize: '1.17em' }}>🔗 Create Post from External URL</h2>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '10px', marginBottom: '15px' }}>
+        <input
+          type="text"
+          value={url}
+          onChange={(e) => onUrlChange(e.target.value)}
+          placeholder="Paste Amazon URL..."
+          style={{ ...input, padding: '12px', gridColumn: 'span 2' }}
+        />
+        <button onClick={onFetch} disabled={fetching} style={button('#667eea')}>
+          {fetching ? '⏳ Fetching...' : '📥 Fetch Metadata'}
+        </button>
+      </div>
+
+      {meta && (
+        <div style={{
+          backgroundColor: '#f9f9f9',
+          border: '1px solid #ddd',
+          borderRadius: '8px',
+          padding: '15px',
+          marginBottom: '15px'
+        }}>
+          {meta.image && (
+            <img src={meta.image} alt="preview" style={{ maxWidth: '100%', maxHeight: '200px', marginBottom: '10px', borderRadius: '8px' }} />
+          )}
+          <p style={{ margin: '5px 0', fontSize: '14px' }}><strong>Title:</strong> {meta.title}</p>
+          <p style={{ margin: '5px 0', fontSize: '14px' }}><strong>Description:</strong> {meta.description}</p>
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '10px', marginBottom: '15px' }}>
+        {priceFields.map(([key, type, placeholder]) => (
+          <input
+            key={key}
+            type={type}
+            value={fields[key]}
+            onChange={(e) => onFieldChange(key, e.target.value)}
+            placeholder={placeholder}
+            style={input}
+          />
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+        <button
+          onClick={onRewrite}
+          disabled={pending || !url}
+          style={{ ...button('#667eea'), opacity: pending ? 0.7 : 1 }}
+        >
+          {aiStatus || '🤖 AI Rewrite'}
+        </button>
+        <button onClick={onEdit} disabled={!url} style={outlineButton('#667eea')}>
+          ✏️ Edit Post
+        </button>
+        {rewritten && (
+          <>
+            <button onClick={onCopy} style={button('#764ba2')}>📋 Copy Post</button>
+            <button onClick={onQueue} style={outlineButton('#764ba2')}>🗓️ Add to Queue</button>
+            <button
+              onClick={() => onShare('facebook')}
+              style={{ ...button('#0A66C2'), display: 'flex', alignItems: 'center', gap: '8px' }}
+            >
+              <Facebook size={18} />
+              Share on FB
+            </button>
+            <div style={{ flex: 1, minWidth: '200px' }}>
+              <ShareButtons
+                targetIds={EXTRA_SHARE_TARGETS}
+                canShare={(id) => canShareTo(id, { url, image: meta && meta.image })}
+                onShare={onShare}
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Streaming rewrite, or the way back to the variant comparison */}
+      {streaming && (
+        <div style={postBox('2px dashed #667eea')}>
+          {streaming.text}
+          {streaming.status === 'streaming' && <span style={{ opacity: 0.6 }}>▍</span>}
+        </div>
+      )}
+      {variants && variants.length > 1 && (
+        <button onClick={onCompare} style={{ ...outlineButton('#667eea'), marginTop: '15px', padding: '10px 20px' }}>
+          🆚 Compare {variants.length} variants
+        </button>
+      )}
+      {rewritten && !streaming && <div style={postBox('2px solid #667eea')}>{rewritten}</div>}
+      {rewritten && <ComplianceWarnings issues={issues} onFix={onFix} />}
+    </div>
+  );
+}
+
+export default ExternalUrlComposer;
@@ -0,0 +1,93 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ExternalUrlComposer from './ExternalUrlComposer';
+
+const EMPTY_FIELDS = { originalPrice: '', currentPrice: '', discount: '', couponCode: '' };
+
+const mountComposer = (props = {}) => {
+  const handlers = {
+    onUrlChange: jest.fn(),
+    onFetch: jest.fn(),
+    onFieldChange: jest.fn(),
+    onRewrite: jest.fn(),
+    onEdit: jest.fn(),
+    onCopy: jest.fn(),
+    onQueue: jest.fn(),
+    onShare: jest.fn(),
+    onCompare: jest.fn(),
+    onFix: jest.fn(),
+  };
+  render(
+    <ExternalUrlComposer
+      url="https://www.amazon.com/dp/B0EXTERN01"
+      meta={null}
+      fetching={false}
+      fields={EMPTY_FIELDS}
+      marketplace="amazon.de"
+      rewritten=""
+      issues={[]}
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+};
+
+test('the URL, price fields and metadata fetch report back', () => {
+  const handlers = mountComposer();
+  fireEvent.change(screen.getByPlaceholderText('Paste Amazon URL...'), { target: { value: 'https://amzn.to/x' } });
+  expect(handlers.onUrlChange).toHaveBeenCalledWith('https://amzn.to/x');
+  fireEvent.change(screen.getByPlaceholderText('Current Price (€)'), { target: { value: '19.99' } });
+  expect(handlers.onFieldChange).toHaveBeenCalledWith('currentPrice', '19.99');
+  fireEvent.change(screen.getByPlaceholderText('Coupon Code'), { target: { value: 'TAKE5' } });
+  expect(handlers.onFieldChange).toHaveBeenCalledWith('couponCode', 'TAKE5');
+  fireEvent.click(screen.getByText('📥 Fetch Metadata'));
+  expect(handlers.onFetch).toHaveBeenCalled();
+});
+
+test('fetched metadata is previewed', () => {
+  mountComposer({ meta: { title: 'Steel Kettle', description: 'Boils fast', image: '' }, fetching: true });
+  expect(screen.getByText('Steel Kettle')).toBeInTheDocument();
+  expect(screen.getByText('Boils fast')).toBeInTheDocument();
+  expect(screen.getByText('⏳ Fetching...')).toBeDisabled();
+});
+
+test('without a URL there is nothing to rewrite or edit', () => {
+  mountComposer({ url: '' });
+  expect(screen.getByText('🤖 AI Rewrite')).toBeDisabled();
+  expect(screen.getByText('✏️ Edit Post')).toBeDisabled();
+  expect(screen.queryByText('📋 Copy Post')).not.toBeInTheDocument();
+});
+
+test('a saved post can be copied, queued and shared', () => {
+  const handlers = mountComposer({ rewritten: 'Kettle deal #ad' });
+  expect(screen.getByText('Kettle deal #ad')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('🤖 AI Rewrite'));
+  fireEvent.click(screen.getByText('📋 Copy Post'));
+  fireEvent.click(screen.getByText('🗓️ Add to Queue'));
+  fireEvent.click(screen.getByText('Share on FB'));
+  expect(handlers.onRewrite).toHaveBeenCalled();
+  expect(handlers.onCopy).toHaveBeenCalled();
+  expect(handlers.onQueue).toHaveBeenCalled();
+  expect(handlers.onShare).toHaveBeenCalledWith('facebook');
+});
+
+test('streams a single rewrite and offers the comparison for several', () => {
+  const { unmount } = render(
+    <ExternalUrlComposer
+      url="https://www.amazon.com/dp/B0EXTERN01"
+      fields={EMPTY_FIELDS}
+      aiStatus="Processing…"
+      variants={[{ id: 'v1', text: 'Half-written', status: 'streaming' }]}
+      rewritten="Older post"
+      issues={[]}
+    />
+  );
+  expect(screen.getByText('Processing…')).toBeDisabled();
+  expect(screen.getByText('Half-written')).toBeInTheDocument();
+  expect(screen.queryByText('Older post')).not.toBeInTheDocument();
+  unmount();
+
+  const handlers = mountComposer({ variants: [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }] });
+  fireEvent.click(screen.getByText('🆚 Compare 2 variants'));
+  expect(handlers.onCompare).toHaveBeenCalled();
+});
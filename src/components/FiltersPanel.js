@@ -0,0 +1,244 @@
+// components/FiltersPanel.js - Marketplace, board filters, sort order and the result limit
+import React from 'react';
+import { MARKETPLACES, MARKETPLACE_IDS, currencySymbol } from '../utils/marketplaces';
+import { SORT_OPTIONS } from '../utils/dealFilters';
+
+const label = { display: 'block', marginBottom: '5px', fontWeight: 'bold', fontSize: '14px' };
+const checkLabel = { display: 'flex', alignItems: 'center', gap: '10px', cursor: 'pointer', fontSize: '14px' };
+const checkbox = { width: '18px', height: '18px', cursor: 'pointer' };
+const field = { width: '100%', boxSizing: 'border-box', padding: '8px', borderRadius: '6px', border: '2px solid #ddd', fontSize: '14px' };
+
+const button = (backgroundColor) => ({
+  padding: '8px 14px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+});
+
+const KEYWORD_FIELDS = [
+  ['include', 'Title must contain any of:', 'e.g. usb-c, wireless'],
+  ['exclude', 'Title must not contain:', 'e.g. refurbished, case'],
+  ['blocklist', '🚫 Blocked brands / keywords:', 'e.g. acme, knockoff'],
+];
+
+function FiltersPanel({
+  filters,
+  onFilterChange,
+  onReset,
+  onCopyLink,
+  marketplace,
+  onMarketplaceChange,
+  maxResults,
+  onMaxResultsChange,
+  debugPromotions,
+  onDebugPromotionsChange,
+}) {
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '15px' }}>
+      <div>
+        <label style={label}>
+          Marketplace:
+          <select
+            value={marketplace}
+            onChange={(e) => onMarketplaceChange(e.target.value)}
+            style={{ ...field, display: 'block', marginTop: '5px', fontWeight: 'normal' }}
+          >
+            {MARKETPLACE_IDS.map((id) => (
+              <option key={id} value={id}>{MARKETPLACES[id].label} ({MARKETPLACES[id].currency})</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div>
+        <label style={label}>
+          Minimum Discount: {filters.minDiscount}%
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={filters.minDiscount}
+            aria-valuetext={`${filters.minDiscount}% or more off`}
+            onChange={(e) => onFilterChange('minDiscount', Number(e.target.value))}
+            style={{ display: 'block', width: '100%' }}
+          />
+        </label>
+      </div>
+
+      <div>
+        <label style={label}>
+          Max Results: {maxResults}
+          <input
+            type="range"
+            min="10"
+            max="1000"
+            step="10"
+            value={maxResults}
+            aria-valuetext={`${maxResults} deals`}
+            onChange={(e) => onMaxResultsChange(Number(e.target.value))}
+            style={{ display: 'block', width: '100%' }}
+          />
+        </label>
+      </div>
+
+      <div>
+        <label style={checkLabel}>
+          <input
+            type="checkbox"
+            checked={filters.couponOnly}
+            onChange={(e) => onFilterChange('couponOnly', e.target.checked)}
+            style={checkbox}
+          />
+          <span>Only deals with coupon codes</span>
+        </label>
+      </div>
+
+      <div>
+        <label style={checkLabel}>
+          <input
+            type="checkbox"
+            checked={debugPromotions}
+            onChange={(e) => onDebugPromotionsChange(e.target.checked)}
+            style={checkbox}
+          />
+          <span>Debug promotions (dev)</span>
+        </label>
+      </div>
+
+      <div>
+        <label style={{ ...checkLabel, marginBottom: '5px' }}>
+          <input
+            type="checkbox"
+            checked={filters.nearLowOnly}
+            onChange={(e) => onFilterChange('nearLowOnly', e.target.checked)}
+            style={checkbox}
+          />
+          <span>Only within {filters.maxAboveLowPct}% of lowest seen price</span>
+        </label>
+        <input
+          type="range"
+          min="0"
+          max="50"
+          value={filters.maxAboveLowPct}
+          aria-valuetext={`Within ${filters.maxAboveLowPct}% of the lowest price`}
+          onChange={(e) => onFilterChange('maxAboveLowPct', Number(e.target.value))}
+          disabled={!filters.nearLowOnly}
+          aria-label="Percent above the lowest seen price"
+          style={{ width: '100%' }}
+        />
+      </div>
+
+      <div>
+        <label style={label}>
+          Sort by:
+          <select
+            value={filters.sort}
+            onChange={(e) => onFilterChange('sort', e.target.value)}
+            style={{ ...field, display: 'block', marginTop: '5px', fontWeight: 'normal' }}
+          >
+            {SORT_OPTIONS.map((o) => (
+              <option key={o.id} value={o.id}>{o.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div>
+        <span style={label}>Price range ({currencySymbol(marketplace)}):</span>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <input
+            type="number"
+            min="0"
+            value={filters.minPrice}
+            onChange={(e) => onFilterChange('minPrice', e.target.value)}
+            placeholder="Min"
+            aria-label="Minimum price"
+            style={field}
+          />
+          –
+          <input
+            type="number"
+            min="0"
+            value={filters.maxPrice}
+            onChange={(e) => onFilterChange('maxPrice', e.target.value)}
+            placeholder="Max"
+            aria-label="Maximum price"
+            style={field}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label style={label}>
+          Minimum Rating: {filters.minRating > 0 ? `⭐ ${filters.minRating}` : 'any'}
+          <input
+            type="range"
+            min="0"
+            max="5"
+            step="0.5"
+            value={filters.minRating}
+            aria-valuetext={filters.minRating > 0 ? `${filters.minRating} stars or more` : 'Any rating'}
+            onChange={(e) => onFilterChange('minRating', Number(e.target.value))}
+            style={{ display: 'block', width: '100%' }}
+          />
+        </label>
+      </div>
+
+      <div>
+        <label style={label}>
+          Minimum Reviews:
+          <input
+            type="number"
+            min="0"
+            step="50"
+            value={filters.minReviews}
+            onChange={(e) => onFilterChange('minReviews', Math.max(0, Number(e.target.value) || 0))}
+            style={{ ...field, display: 'block', marginTop: '5px', fontWeight: 'normal' }}
+          />
+        </label>
+      </div>
+
+      <div>
+        <label style={label}>
+          Hide deals scoring below: {filters.minScore > 0 ? `🏅 ${filters.minScore}` : 'off'}
+          <input
+            type="range"
+            min="0"
+            max="100"
+            step="5"
+            value={filters.minScore}
+            aria-valuetext={filters.minScore > 0 ? `Score ${filters.minScore} or more` : 'Off'}
+            onChange={(e) => onFilterChange('minScore', Number(e.target.value))}
+            style={{ display: 'block', width: '100%' }}
+          />
+        </label>
+      </div>
+
+      {KEYWORD_FIELDS.map(([key, text, placeholder]) => (
+        <div key={key}>
+          <label style={label}>
+            {text}
+            <input
+              type="text"
+              value={filters[key]}
+              onChange={(e) => onFilterChange(key, e.target.value)}
+              placeholder={placeholder}
+              style={{ ...field, display: 'block', marginTop: '5px', fontWeight: 'normal' }}
+            />
+          </label>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
+        <button onClick={onCopyLink} style={button('#667eea')}>🔗 Copy link to this view</button>
+        <button onClick={onReset} style={button('#999')}>Reset filters</button>
+      </div>
+    </div>
+  );
+}
+
+export default FiltersPanel;
@@ -0,0 +1,66 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import FiltersPanel from './FiltersPanel';
+import { DEFAULT_FILTERS } from '../utils/dealFilters';
+
+const mountPanel = (props = {}) => {
+  const handlers = {
+    onFilterChange: jest.fn(),
+    onReset: jest.fn(),
+    onCopyLink: jest.fn(),
+    onMarketplaceChange: jest.fn(),
+    onMaxResultsChange: jest.fn(),
+    onDebugPromotionsChange: jest.fn(),
+  };
+  const { container } = render(
+    <FiltersPanel
+      filters={DEFAULT_FILTERS}
+      marketplace="amazon.com"
+      maxResults={1000}
+      debugPromotions={false}
+      {...handlers}
+      {...props}
+    />
+  );
+  return { ...handlers, container };
+};
+
+test('every control reports its filter key and a typed value', () => {
+  const { onFilterChange } = mountPanel();
+  fireEvent.change(screen.getByLabelText(/Minimum Discount/), { target: { value: '40' } });
+  expect(onFilterChange).toHaveBeenLastCalledWith('minDiscount', 40);
+  fireEvent.click(screen.getByLabelText('Only deals with coupon codes'));
+  expect(onFilterChange).toHaveBeenLastCalledWith('couponOnly', true);
+  fireEvent.change(screen.getByLabelText('Minimum Reviews:'), { target: { value: '-5' } });
+  expect(onFilterChange).toHaveBeenLastCalledWith('minReviews', 0);
+  fireEvent.change(screen.getByLabelText('Maximum price'), { target: { value: '30' } });
+  expect(onFilterChange).toHaveBeenLastCalledWith('maxPrice', '30');
+  fireEvent.change(screen.getByLabelText('Title must not contain:'), { target: { value: 'case' } });
+  expect(onFilterChange).toHaveBeenLastCalledWith('exclude', 'case');
+});
+
+test('the lowest-price slider only works with its checkbox on', () => {
+  mountPanel();
+  expect(screen.getByLabelText('Percent above the lowest seen price')).toBeDisabled();
+});
+
+test('marketplace, result limit, debug flag, copy link and reset', () => {
+  const handlers = mountPanel({ filters: { ...DEFAULT_FILTERS, minScore: 40 } });
+  expect(screen.getByText(/Hide deals scoring below: 🏅 40/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Marketplace:'), { target: { value: 'amazon.de' } });
+  expect(handlers.onMarketplaceChange).toHaveBeenCalledWith('amazon.de');
+  fireEvent.change(screen.getByLabelText(/Max Results/), { target: { value: '50' } });
+  expect(handlers.onMaxResultsChange).toHaveBeenCalledWith(50);
+  fireEvent.click(screen.getByLabelText('Debug promotions (dev)'));
+  expect(handlers.onDebugPromotionsChange).toHaveBeenCalledWith(true);
+  fireEvent.click(screen.getByText('🔗 Copy link to this view'));
+  fireEvent.click(screen.getByText('Reset filters'));
+  expect(handlers.onCopyLink).toHaveBeenCalled();
+  expect(handlers.onReset).toHaveBeenCalled();
+});
+
+test('the sliders read out what their value means and the panel passes axe checks', async () => {
+  const { container } = mountPanel({ filters: { ...DEFAULT_FILTERS, minDiscount: 40, minRating: 0 } });
+  expect(screen.getByRole('slider', { name: /Minimum Discount/ })).toHaveAttribute('aria-valuetext', '40% or more off');
+  expect(screen.getByRole('slider', { name: /Minimum Rating/ })).toHaveAttribute('aria-valuetext', 'Any rating');
+  await expect(container).toHaveNoAxeViolations();
+});
@@ -0,0 +1,270 @@
+// components/ImageCardStudio.js - Render a deal as a promo graphic, pick a layout and download it as PNG
+import React, { useEffect, useRef, useState } from 'react';
+import useDialog from '../hooks/useDialog';
+import {
+  CARD_LAYOUTS,
+  CARD_TEXT_FIELDS,
+  CARD_COLOR_FIELDS,
+  buildCardScene,
+  cardFileName,
+} from '../posts/imageCards';
+import { loadImage, paintCard, canvasToPng } from '../posts/cardCanvas';
+import { buildDealContext } from '../posts/postTemplates';
+import { validateTemplate } from '../posts/templateEngine';
+import { exportCardTemplatesJson, parseCardTemplatesJson } from '../storage/cardTemplateStore';
+import { downloadBlob, downloadText } from '../utils/download';
+
+const button = (backgroundColor, disabled) => ({
+  padding: '8px 14px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: disabled ? 'default' : 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+  opacity: disabled ? 0.6 : 1,
+});
+
+const select = { padding: '8px', borderRadius: '6px', border: '2px solid #ddd', fontSize: '13px' };
+
+function ImageCardStudio({ deal, templates, customTemplates, activeTemplate, onSaveTemplate, onDeleteTemplate, onImportTemplates, onSetActive, onError, onClose }) {
+  const [layoutId, setLayoutId] = useState('square');
+  const [draft, setDraft] = useState(null);
+  const [customizing, setCustomizing] = useState(false);
+  const [photo, setPhoto] = useState({ src: null, image: null });
+  const [importError, setImportError] = useState('');
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const { titleId, dialogProps } = useDialog(onClose);
+
+  const layout = CARD_LAYOUTS[layoutId];
+  const template = draft || activeTemplate;
+  const problems = CARD_TEXT_FIELDS.map(({ name }) => validateTemplate(template[name]));
+  const photoLoading = Boolean(deal.image) && photo.src !== deal.image;
+
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(deal.image).then((image) => {
+      if (!cancelled) setPhoto({ src: deal.image, image });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [deal.image]);
+
+  useEffect(() => {
+    if (!canvasRef.current) return;
+    const scene = buildCardScene({ layout, template, context: buildDealContext(deal), image: deal.image });
+    paintCard(canvasRef.current, layout, scene, photo.image ? { [photo.src]: photo.image } : {});
+  }, [deal, layout, template, photo]);
+
+  const downloadPng = async () => {
+    try {
+      downloadBlob(cardFileName(deal, layout), await canvasToPng(canvasRef.current));
+    } catch (err) {
+      onError(`Could not save the image: ${err.message}`);
+    }
+  };
+
+  const startCopy = () => {
+    const id = `custom-card-${Date.now().toString(36)}`;
+    const { builtin, ...fields } = template;
+    setDraft({ ...fields, id, name: `${template.name} (copy)` });
+    setCustomizing(true);
+  };
+
+  const save = () => {
+    if (!draft || problems.some(Boolean)) return;
+    onSaveTemplate({ ...draft, name: draft.name.trim() || 'Untitled' });
+    onSetActive(draft.id);
+    setDraft(null);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImportTemplates(parseCardTemplatesJson(await file.text()));
+      setImportError('');
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        zIndex: 100,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '20px'
+      }}
+    >
+      <div
+        {...dialogProps}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          padding: '20px',
+          width: '100%',
+          maxWidth: '1100px',
+          maxHeight: '90vh',
+          overflow: 'auto',
+          boxShadow: '0 8px 24px rgba(0,0,0,0.3)'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', marginBottom: '15px' }}>
+          <h2 id={titleId} style={{ margin: 0, fontSize: '1.17em' }}>🖼️ Image card — {deal.title}</h2>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={downloadPng} disabled={photoLoading} style={button('#28a745', photoLoading)}>
+              {photoLoading ? '⏳ Loading photo…' : '⬇️ Download PNG'}
+            </button>
+            <button onClick={onClose} style={button('#999')}>Close</button>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '15px' }}>
+          <select value={layoutId} onChange={(e) => setLayoutId(e.target.value)} style={select} aria-label="Layout">
+            {Object.values(CARD_LAYOUTS).map((l) => (
+              <option key={l.id} value={l.id}>{l.label}</option>
+            ))}
+          </select>
+          <select
+            value={draft ? '' : activeTemplate.id}
+            onChange={(e) => {
+              onSetActive(e.target.value);
+              setDraft(null);
+            }}
+            style={{ ...select, flex: 1, minWidth: '200px' }}
+            aria-label="Card template"
+          >
+            {draft && <option value="">✏️ {draft.name} (unsaved)</option>}
+            {templates.map((t) => (
+              <option key={t.id} value={t.id}>{t.builtin ? '🔒 ' : ''}{t.name}</option>
+            ))}
+          </select>
+          <button onClick={() => setCustomizing(!customizing)} style={button(customizing ? '#764ba2' : '#999')}>
+            {customizing ? 'Hide customizing' : '🎨 Customize'}
+          </button>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: customizing ? 'repeat(auto-fit, minmax(320px, 1fr))' : '1fr', gap: '20px' }}>
+          <div style={{ textAlign: 'center', backgroundColor: '#f0f0f0', borderRadius: '8px', padding: '10px' }}>
+            <canvas
+              ref={canvasRef}
+              width={layout.width}
+              height={layout.height}
+              style={{ maxWidth: '100%', maxHeight: '60vh', boxShadow: '0 2px 8px rgba(0,0,0,0.2)' }}
+            />
+            {!photoLoading && deal.image && !photo.image && (
+              <small style={{ display: 'block', color: '#c33', marginTop: '6px' }}>
+                ⚠️ The product photo could not be loaded for export, so the card is drawn without it.
+              </small>
+            )}
+          </div>
+
+          {customizing && (
+            <div>
+              <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '10px' }}>
+                <button onClick={startCopy} style={button('#667eea')}>📄 Duplicate</button>
+                {!draft && !activeTemplate.builtin && (
+                  <button onClick={() => setDraft({ ...activeTemplate })} style={button('#667eea')}>✏️ Edit</button>
+                )}
+                {draft && (
+                  <>
+                    <button onClick={save} disabled={problems.some(Boolean)} style={button('#28a745', problems.some(Boolean))}>
+                      💾 Save
+                    </button>
+                    <button onClick={() => setDraft(null)} style={button('#999')}>Cancel</button>
+                  </>
+                )}
+                {!draft && !activeTemplate.builtin && (
+                  <button onClick={() => onDeleteTemplate(activeTemplate.id)} style={button('#f66')}>🗑️ Delete</button>
+                )}
+                <button
+                  onClick={() => downloadText('card-templates.json', exportCardTemplatesJson(customTemplates), 'application/json')}
+                  disabled={customTemplates.length === 0}
+                  style={button('#764ba2', customTemplates.length === 0)}
+                >
+                  ⬇️ Export JSON
+                </button>
+                <button onClick={() => fileInputRef.current && fileInputRef.current.click()} style={button('#764ba2')}>
+                  ⬆️ Import JSON
+                </button>
+                <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={importFile} style={{ display: 'none' }} />
+              </div>
+              {importError && <div style={{ color: '#c33', fontSize: '13px', marginBottom: '10px' }}>❌ {importError}</div>}
+              {!draft && activeTemplate.builtin && (
+                <small style={{ display: 'block', color: '#666', marginBottom: '10px' }}>
+                  Built-in card templates are read-only — duplicate one to customize it.
+                </small>
+              )}
+
+              {draft && (
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  placeholder="Template name"
+                  style={{ width: '100%', boxSizing: 'border-box', padding: '8px', border: '2px solid #ddd', borderRadius: '6px', fontSize: '13px', marginBottom: '10px' }}
+                />
+              )}
+
+              {CARD_TEXT_FIELDS.map(({ name, label }, i) => (
+                <label key={name} style={{ display: 'block', fontSize: '12px', marginBottom: '8px' }}>
+                  <strong>{label}</strong>
+                  <input
+                    type="text"
+                    value={template[name]}
+                    readOnly={!draft}
+                    onChange={(e) => setDraft({ ...draft, [name]: e.target.value })}
+                    style={{
+                      display: 'block',
+                      width: '100%',
+                      boxSizing: 'border-box',
+                      padding: '6px',
+                      marginTop: '3px',
+                      border: `2px solid ${problems[i] ? '#f66' : '#ddd'}`,
+                      borderRadius: '6px',
+                      fontFamily: 'monospace',
+                      fontSize: '12px',
+                      backgroundColor: draft ? '#fff' : '#f9f9f9'
+                    }}
+                  />
+                  {problems[i] && <span style={{ color: '#c33' }}>⚠️ {problems[i]}</span>}
+                </label>
+              ))}
+
+              <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', fontSize: '12px' }}>
+                {CARD_COLOR_FIELDS.map(({ name, label }) => (
+                  <label key={name} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <input
+                      type="color"
+                      value={template.colors[name]}
+                      disabled={!draft}
+                      onChange={(e) => setDraft({ ...draft, colors: { ...draft.colors, [name]: e.target.value } })}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <small style={{ display: 'block', color: '#666', marginTop: '8px' }}>
+                Text fields use the same placeholders as post templates, e.g. <code>{'{{currentPrice|currency}}'}</code>.
+              </small>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImageCardStudio;
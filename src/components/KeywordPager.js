@@ -0,0 +1,45 @@
+// components/KeywordPager.js - "Load more" per search when the board mixes several keywords
+import React from 'react';
+import { getMarketplace } from '../utils/marketplaces';
+
+// `searches` are selectPagedSearches entries: the most recent search first
+function KeywordPager({ searches, onLoadMore }) {
+  if (searches.length < 2) return null;
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', justifyContent: 'center', marginBottom: '12px' }}>
+      {searches.map((search) => {
+        const flag = getMarketplace(search.marketplace).label.split(' ')[0];
+        const busy = search.loading || search.exhausted;
+        let status = `page ${search.page}`;
+        if (search.loading) status = '⏳ loading';
+        else if (search.exhausted) status = '✅ all loaded';
+        else if (search.error) status = '⚠️ retry';
+        return (
+          <button
+            key={search.key}
+            onClick={() => onLoadMore(search.key)}
+            disabled={busy}
+            title={search.error || `${search.dealCount} deals on the board from this search`}
+            style={{
+              padding: '8px 14px',
+              backgroundColor: 'white',
+              color: '#667eea',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: busy ? 'default' : 'pointer',
+              opacity: busy ? 0.6 : 1,
+              fontWeight: 'bold'
+            }}
+          >
+            ➕ More “{search.keyword}” {flag}{' '}
+            <span style={{ fontWeight: 'normal', fontSize: '12px' }}>
+              ({search.dealCount} · {status})
+            </span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default KeywordPager;
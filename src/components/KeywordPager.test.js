@@ -0,0 +1,40 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import KeywordPager from './KeywordPager';
+
+const search = (keyword, overrides) => ({
+  key: `amazon.com|${keyword}`,
+  keyword,
+  marketplace: 'amazon.com',
+  page: 1,
+  exhausted: false,
+  loading: false,
+  error: '',
+  dealCount: 30,
+  ...overrides,
+});
+
+test('stays hidden until the board mixes several searches', () => {
+  const { container } = render(<KeywordPager searches={[search('lamp')]} onLoadMore={jest.fn()} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('loads more for one keyword and shows where each search is', () => {
+  const onLoadMore = jest.fn();
+  render(
+    <KeywordPager
+      searches={[
+        search('lamp', { page: 2, dealCount: 60 }),
+        search('desk', { exhausted: true }),
+        search('chair', { loading: true }),
+        search('sofa', { error: '❌ Timed out' }),
+      ]}
+      onLoadMore={onLoadMore}
+    />
+  );
+  fireEvent.click(screen.getByRole('button', { name: /More “lamp”/ }));
+  expect(onLoadMore).toHaveBeenCalledWith('amazon.com|lamp');
+  expect(screen.getByText('(60 · page 2)')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /More “desk”.*all loaded/ })).toBeDisabled();
+  expect(screen.getByRole('button', { name: /More “chair”.*loading/ })).toBeDisabled();
+  expect(screen.getByRole('button', { name: /More “sofa”.*retry/ })).toHaveAttribute('title', '❌ Timed out');
+});
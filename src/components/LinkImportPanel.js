@@ -0,0 +1,290 @@
+// components/LinkImportPanel.js - Paste or upload many Amazon links, review them, add them as deals
+import React, { useRef, useState } from 'react';
+import { mapWithConcurrency } from '../utils/concurrency';
+import { currencySymbol } from '../utils/marketplaces';
+import { extractAsin } from '../utils/amazonLinks';
+import {
+  parseLinkImport,
+  mergeImportMetadata,
+  importRowProblems,
+  importRowToDeal,
+  MAX_IMPORT_ROWS,
+} from '../utils/linkImport';
+
+// Metadata lookups in flight at once; each one scrapes a product page on the backend
+const IMPORT_CONCURRENCY = 4;
+
+const STATUS_LABELS = {
+  pending: '⏳ Queued',
+  fetching: '🔄 Fetching',
+  done: '✅ Fetched',
+  failed: '❌ Failed',
+  skipped: '➖ Not fetched',
+};
+
+const button = (backgroundColor, disabled) => ({
+  padding: '8px 14px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: disabled ? 'default' : 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+  opacity: disabled ? 0.6 : 1,
+});
+
+const cellInput = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px',
+  border: '1px solid #ddd',
+  borderRadius: '6px',
+  fontSize: '13px',
+};
+
+// Rows waiting on metadata can't be added yet, the lookup would land on a row that is gone
+const isReady = (row) => row.status !== 'pending' && row.status !== 'fetching' && importRowProblems(row).length === 0;
+
+const rowKey = (row) => extractAsin(row.url) || row.url;
+
+const cell = { padding: '8px 6px', borderBottom: '1px solid #eee', verticalAlign: 'top' };
+
+function LinkImportPanel({ marketplace, fetchMetadata, onAddDeals }) {
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [fetching, setFetching] = useState(false);
+  const [notice, setNotice] = useState('');
+  const controllerRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const updateRow = (id, changes) =>
+    setRows((prev) => prev.map((r) => (r.id === id ? { ...r, ...(typeof changes === 'function' ? changes(r) : changes) } : r)));
+
+  const fetchRows = async (targets) => {
+    if (targets.length === 0) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setFetching(true);
+    const ids = new Set(targets.map((r) => r.id));
+    setRows((prev) => prev.map((r) => (ids.has(r.id) ? { ...r, status: 'pending', fetchError: '' } : r)));
+
+    await mapWithConcurrency(targets, IMPORT_CONCURRENCY, async (row) => {
+      if (controller.signal.aborted) return;
+      updateRow(row.id, { status: 'fetching' });
+      try {
+        const meta = await fetchMetadata(row.url, { signal: controller.signal });
+        // Merged into the latest row so edits made while it was fetching are kept
+        updateRow(row.id, (latest) => ({ ...mergeImportMetadata(latest, meta), status: 'done' }));
+      } catch (err) {
+        updateRow(row.id, controller.signal.aborted ? { status: 'skipped' } : { status: 'failed', fetchError: err.message });
+      }
+    });
+
+    if (controller.signal.aborted) {
+      setRows((prev) => prev.map((r) => (ids.has(r.id) && r.status === 'pending' ? { ...r, status: 'skipped' } : r)));
+    }
+    if (controllerRef.current === controller) controllerRef.current = null;
+    setFetching(false);
+  };
+
+  const importText = (source) => {
+    const { rows: parsed, duplicates, skipped } = parseLinkImport(source, { marketplace });
+    const known = new Set(rows.map(rowKey));
+    const fresh = parsed
+      .filter((r) => !known.has(rowKey(r)))
+      .map((r) => ({ ...r, status: r.error ? 'skipped' : 'pending', fetchError: '' }));
+    const alreadyListed = parsed.length - fresh.length;
+
+    const parts = [`${fresh.length} link${fresh.length === 1 ? '' : 's'} added`];
+    if (duplicates + alreadyListed > 0) parts.push(`${duplicates + alreadyListed} duplicate${duplicates + alreadyListed === 1 ? '' : 's'} dropped`);
+    if (skipped > 0) parts.push(`${skipped} line${skipped === 1 ? '' : 's'} without a link skipped`);
+    setNotice(parts.join(', '));
+    if (fresh.length === 0) return;
+
+    setRows((prev) => [...prev, ...fresh]);
+    setText('');
+    fetchRows(fresh.filter((r) => !r.error));
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    importText(await file.text());
+  };
+
+  const stop = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  const addDeals = () => {
+    const ready = rows.filter(isReady);
+    if (ready.length === 0) return;
+    onAddDeals(ready.map((r) => importRowToDeal(r, { marketplace })));
+    const added = new Set(ready.map((r) => r.id));
+    setRows((prev) => prev.filter((r) => !added.has(r.id)));
+  };
+
+  const failed = rows.filter((r) => r.status === 'failed');
+  const readyCount = rows.filter(isReady).length;
+  const symbol = currencySymbol(marketplace);
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <h2 style={{ marginTop: 0, marginBottom: '10px', fontSize: '1.17em' }}>📥 Import Links</h2>
+      <p style={{ fontSize: '13px', color: '#666', marginTop: 0 }}>
+        One Amazon link or ASIN per line, or a CSV with the columns url, original price, current price, coupon
+        (up to {MAX_IMPORT_ROWS} rows). Prices you type win over what the product page says.
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        aria-label="Links to import"
+        placeholder={'https://www.amazon.com/dp/B09B8V1LZ3, 49.99, 29.99, ECHO5\nhttps://amzn.to/3xyz'}
+        rows={4}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '10px',
+          border: '2px solid #ddd',
+          borderRadius: '8px',
+          fontSize: '13px',
+          fontFamily: 'monospace',
+          resize: 'vertical',
+        }}
+      />
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginTop: '10px' }}>
+        <button onClick={() => importText(text)} disabled={!text.trim()} style={button('#667eea', !text.trim())}>
+          🔎 Fetch details
+        </button>
+        <button onClick={() => fileInputRef.current && fileInputRef.current.click()} style={button('#764ba2')}>
+          ⬆️ Upload CSV
+        </button>
+        <input ref={fileInputRef} type="file" accept=".csv,.tsv,.txt,text/csv,text/plain" onChange={importFile} style={{ display: 'none' }} />
+        {fetching && <button onClick={stop} style={button('#c33')}>⏹ Stop</button>}
+        {!fetching && failed.length > 0 && (
+          <button onClick={() => fetchRows(failed)} style={button('#f0ad4e')}>🔁 Retry {failed.length} failed</button>
+        )}
+        {notice && <span style={{ fontSize: '13px', color: '#666' }}>{notice}</span>}
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <div style={{ overflowX: 'auto', marginTop: '15px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: '#666' }}>
+                  <th style={cell}>Status</th>
+                  <th style={cell}>Product</th>
+                  <th style={{ ...cell, width: '100px' }}>Original ({symbol})</th>
+                  <th style={{ ...cell, width: '100px' }}>Current ({symbol})</th>
+                  <th style={{ ...cell, width: '110px' }}>Coupon</th>
+                  <th style={cell}>Problems</th>
+                  <th style={cell} />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, i) => {
+                  const problems = importRowProblems(row);
+                  return (
+                    <tr key={row.id} style={{ backgroundColor: problems.length > 0 ? '#fff8f0' : 'white' }}>
+                      <td style={{ ...cell, whiteSpace: 'nowrap' }} title={row.fetchError || ''}>
+                        {STATUS_LABELS[row.status]}
+                      </td>
+                      <td style={cell}>
+                        <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+                          {row.image && (
+                            <img src={row.image} alt="" style={{ width: '40px', height: '40px', objectFit: 'contain' }} />
+                          )}
+                          <div style={{ flex: 1, minWidth: '180px' }}>
+                            <input
+                              type="text"
+                              value={row.title}
+                              onChange={(e) => updateRow(row.id, { title: e.target.value })}
+                              aria-label={`Title for row ${i + 1}`}
+                              placeholder="Product title"
+                              style={cellInput}
+                            />
+                            <a
+                              href={row.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              style={{ fontSize: '11px', color: '#667eea', wordBreak: 'break-all' }}
+                            >
+                              {row.url}
+                            </a>
+                          </div>
+                        </div>
+                      </td>
+                      <td style={cell}>
+                        <input
+                          type="number"
+                          value={row.originalPrice}
+                          onChange={(e) => updateRow(row.id, { originalPrice: e.target.value })}
+                          aria-label={`Original price for row ${i + 1}`}
+                          style={cellInput}
+                        />
+                      </td>
+                      <td style={cell}>
+                        <input
+                          type="number"
+                          value={row.currentPrice}
+                          onChange={(e) => updateRow(row.id, { currentPrice: e.target.value })}
+                          aria-label={`Current price for row ${i + 1}`}
+                          style={cellInput}
+                        />
+                      </td>
+                      <td style={cell}>
+                        <input
+                          type="text"
+                          value={row.couponCode}
+                          onChange={(e) => updateRow(row.id, { couponCode: e.target.value.trim() })}
+                          aria-label={`Coupon for row ${i + 1}`}
+                          style={cellInput}
+                        />
+                      </td>
+                      <td style={{ ...cell, color: '#c33' }}>
+                        {problems.map((p) => <div key={p}>⚠️ {p}</div>)}
+                      </td>
+                      <td style={cell}>
+                        <button
+                          onClick={() => setRows((prev) => prev.filter((r) => r.id !== row.id))}
+                          aria-label={`Remove row ${i + 1}`}
+                          style={{ ...button('#999'), padding: '4px 8px' }}
+                        >
+                          ✕
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginTop: '10px' }}>
+            <button onClick={addDeals} disabled={readyCount === 0} style={button('#28a745', readyCount === 0)}>
+              ➕ Add {readyCount} deal{readyCount === 1 ? '' : 's'} to board
+            </button>
+            <button onClick={() => { stop(); setRows([]); setNotice(''); }} style={button('#999')}>
+              Clear list
+            </button>
+            {readyCount < rows.length && (
+              <span style={{ fontSize: '13px', color: '#666' }}>
+                {rows.length - readyCount} row{rows.length - readyCount === 1 ? '' : 's'} not ready yet
+              </span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LinkImportPanel;
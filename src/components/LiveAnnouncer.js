@@ -0,0 +1,42 @@
+// components/LiveAnnouncer.js - The toast that shows status messages, and the live regions that read them out
+import React from 'react';
+import { ANNOUNCE_TONES } from '../hooks/useAnnouncer';
+
+const TONE_COLORS = {
+  info: '#667eea',
+  success: '#28a745',
+  warning: '#f0ad4e',
+  error: '#dc3545',
+};
+
+function Toast({ message }) {
+  return (
+    <div
+      style={{
+        backgroundColor: 'white',
+        borderLeft: `6px solid ${TONE_COLORS[message.tone] || TONE_COLORS.info}`,
+        borderRadius: '8px',
+        padding: '12px 16px',
+        boxShadow: '0 4px 12px rgba(0,0,0,0.25)',
+        fontSize: '14px',
+        whiteSpace: 'pre-line'
+      }}
+    >
+      <span aria-hidden="true">{ANNOUNCE_TONES[message.tone] || ANNOUNCE_TONES.info} </span>
+      {message.text}
+    </div>
+  );
+}
+
+// Both regions stay mounted: screen readers only announce changes to a region they already know
+function LiveAnnouncer({ message }) {
+  const urgent = Boolean(message) && message.tone === 'error';
+  return (
+    <div style={{ position: 'fixed', right: '20px', bottom: '20px', zIndex: 2000, maxWidth: '420px' }}>
+      <div role="status">{message && !urgent && <Toast key={message.id} message={message} />}</div>
+      <div role="alert">{urgent && <Toast key={message.id} message={message} />}</div>
+    </div>
+  );
+}
+
+export default LiveAnnouncer;
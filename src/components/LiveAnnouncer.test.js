@@ -0,0 +1,16 @@
+import { render, screen } from '@testing-library/react';
+import LiveAnnouncer from './LiveAnnouncer';
+
+test('keeps both live regions mounted and puts errors in the alert one', () => {
+  const { rerender } = render(<LiveAnnouncer message={null} />);
+  expect(screen.getByRole('status')).toBeEmptyDOMElement();
+  expect(screen.getByRole('alert')).toBeEmptyDOMElement();
+
+  rerender(<LiveAnnouncer message={{ id: '1', text: 'Copied to clipboard', tone: 'success' }} />);
+  expect(screen.getByRole('status')).toHaveTextContent('✅ Copied to clipboard');
+  expect(screen.getByRole('alert')).toBeEmptyDOMElement();
+
+  rerender(<LiveAnnouncer message={{ id: '2', text: 'Could not save the image', tone: 'error' }} />);
+  expect(screen.getByRole('status')).toBeEmptyDOMElement();
+  expect(screen.getByRole('alert')).toHaveTextContent('Could not save the image');
+});
@@ -0,0 +1,182 @@
+// components/MonitorCharts.js - Request, error and throttle rates over time, alerts and endpoint timings
+import React from 'react';
+
+const WIDTH = 300;
+const HEIGHT = 60;
+
+const button = (backgroundColor) => ({
+  padding: '6px 12px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '12px',
+});
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const cell = { padding: '6px 8px', borderBottom: '1px solid #eee', textAlign: 'right' };
+
+// One line over time; `threshold` draws the alert level as a dashed line
+function RateChart({ label, points, field, unit, color, threshold }) {
+  const values = points.map((p) => p[field]);
+  const latest = values.length ? values[values.length - 1] : null;
+  const top = Math.max(1, threshold || 0, ...values);
+  const first = points.length ? points[0].t : 0;
+  const span = points.length > 1 ? points[points.length - 1].t - first : 1;
+  const y = (v) => HEIGHT - 2 - (v / top) * (HEIGHT - 4);
+  const coords = points.map((p) => {
+    const x = points.length > 1 ? ((p.t - first) / span) * WIDTH : WIDTH / 2;
+    return `${x.toFixed(1)},${y(p[field]).toFixed(1)}`;
+  });
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '13px', marginBottom: '4px' }}>
+        <strong>{label}</strong>
+        <span style={{ color: '#666' }}>
+          {latest === null ? '—' : `${latest.toFixed(1)}${unit}`} · max {Math.max(0, ...values).toFixed(1)}{unit}
+        </span>
+      </div>
+      <svg
+        width="100%"
+        height={HEIGHT}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`${label} over the last ${points.length} intervals`}
+        style={{ backgroundColor: '#f8f9ff', borderRadius: '6px' }}
+      >
+        {threshold > 0 && (
+          <line x1="0" x2={WIDTH} y1={y(threshold)} y2={y(threshold)} stroke="#f66" strokeDasharray="4 3" strokeWidth="1" />
+        )}
+        {coords.length > 0 && <polyline points={coords.join(' ')} fill="none" stroke={color} strokeWidth="2" />}
+      </svg>
+      {points.length > 1 && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: '#999' }}>
+          <span>{formatTime(first)}</span>
+          <span>{formatTime(points[points.length - 1].t)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MonitorCharts({ points, timings, alerts, settings, onSettingsChange, onClearHistory }) {
+  return (
+    <div style={{ marginTop: '15px', paddingTop: '15px', borderTop: '1px solid #eee' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h3 style={{ margin: 0, fontSize: '1em' }}>📈 History</h3>
+        <button onClick={onClearHistory} style={button('#999')}>Clear history</button>
+      </div>
+      {points.length === 0 ? (
+        <p style={{ fontSize: '13px', color: '#666' }}>
+          Charts appear after two readings; the stats are read once a minute.
+        </p>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '15px' }}>
+          <RateChart label="Requests / min" points={points} field="requestsPerMin" unit="" color="#667eea" />
+          <RateChart
+            label="Error rate"
+            points={points}
+            field="errorRate"
+            unit="%"
+            color="#c33"
+            threshold={settings.errorRatePct}
+          />
+          <RateChart
+            label="Throttle rate"
+            points={points}
+            field="throttleRate"
+            unit="%"
+            color="#f0ad4e"
+            threshold={settings.throttleRatePct}
+          />
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', alignItems: 'center', marginTop: '12px', fontSize: '13px' }}>
+        <label>
+          Alert at error rate <strong>{settings.errorRatePct}%</strong>
+          <input
+            type="range"
+            min="1"
+            max="100"
+            value={settings.errorRatePct}
+            aria-valuetext={`${settings.errorRatePct}% of requests failing`}
+            onChange={(e) => onSettingsChange({ ...settings, errorRatePct: Number(e.target.value) })}
+            style={{ display: 'block', width: '180px' }}
+          />
+        </label>
+        <label>
+          Alert at throttle rate <strong>{settings.throttleRatePct}%</strong>
+          <input
+            type="range"
+            min="1"
+            max="100"
+            value={settings.throttleRatePct}
+            aria-valuetext={`${settings.throttleRatePct}% of requests throttled`}
+            onChange={(e) => onSettingsChange({ ...settings, throttleRatePct: Number(e.target.value) })}
+            style={{ display: 'block', width: '180px' }}
+          />
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input
+            type="checkbox"
+            checked={settings.notify}
+            onChange={(e) => onSettingsChange({ ...settings, notify: e.target.checked })}
+          />
+          🔔 Desktop notifications
+        </label>
+      </div>
+
+      {alerts.length > 0 && (
+        <div style={{ marginTop: '12px', fontSize: '13px' }}>
+          {alerts.slice(0, 5).map((a) => (
+            <div key={a.id} style={{ color: a.kind === 'error' ? '#c33' : '#b36b00' }}>
+              {a.kind === 'error' ? '❌' : '🐢'} {formatTime(a.t)} — {a.message}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <h3 style={{ margin: '15px 0 8px 0', fontSize: '1em' }}>⏱️ Client timings</h3>
+      {timings.length === 0 ? (
+        <p style={{ fontSize: '13px', color: '#666', margin: 0 }}>No calls timed yet.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ color: '#666' }}>
+                <th style={{ ...cell, textAlign: 'left' }}>Endpoint</th>
+                <th style={cell}>Calls</th>
+                <th style={cell}>Failed</th>
+                <th style={cell}>Average</th>
+                <th style={cell}>Median</th>
+                <th style={cell}>95th pct</th>
+                <th style={cell}>Last</th>
+              </tr>
+            </thead>
+            <tbody>
+              {timings.map((t) => (
+                <tr key={t.endpoint}>
+                  <td style={{ ...cell, textAlign: 'left' }} title={t.endpoint}>{t.label}</td>
+                  <td style={cell}>{t.count}</td>
+                  <td style={{ ...cell, color: t.failures ? '#c33' : undefined }}>{t.failures}</td>
+                  <td style={cell}>{t.avgMs} ms</td>
+                  <td style={cell}>{t.p50Ms} ms</td>
+                  <td style={cell}>{t.p95Ms} ms</td>
+                  <td style={cell}>{t.lastMs} ms</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MonitorCharts;
@@ -0,0 +1,57 @@
+// components/MonitorPanel.js - Backend request counters, the quota budget and the monitor history
+import React from 'react';
+import QuotaBudgetPanel from './QuotaBudgetPanel';
+import MonitorCharts from './MonitorCharts';
+import { toRatePoints, summarizeTimings } from '../utils/monitorHistory';
+
+// `quota` is what useQuotaBudget returns, `history` what useMonitorHistory returns
+function MonitorPanel({ quota, history }) {
+  const { stats } = quota;
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <h2 style={{ marginTop: 0, fontSize: '1.17em' }}>📊 API Monitoring</h2>
+      {quota.error && (
+        <div style={{ color: '#c33', fontSize: '14px', marginBottom: '10px' }}>
+          ❌ Could not load the stats: {quota.error}
+          {quota.updatedAt && ` — showing the reading from ${new Date(quota.updatedAt).toLocaleTimeString()}`}
+        </div>
+      )}
+      {quota.status === 'loading' && <div style={{ color: '#666', fontSize: '14px' }}>⏳ Loading stats…</div>}
+      {stats && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '15px' }}>
+          <div><strong>Total Requests:</strong> {stats.totalRequests}</div>
+          <div><strong>Success:</strong> {stats.successCount}</div>
+          <div><strong>Errors:</strong> {stats.errorCount}</div>
+          <div><strong>Throttled:</strong> {stats.throttleCount}</div>
+          <div><strong>Daily:</strong> {stats.dailyCount}/{stats.dailyLimit} ({stats.dailyPercent}%)</div>
+          <div><strong>Monthly:</strong> {stats.monthlyCount}/{stats.monthlyLimit} ({stats.monthlyPercent}%)</div>
+        </div>
+      )}
+      {quota.budget && (
+        <QuotaBudgetPanel
+          budget={quota.budget}
+          settings={quota.settings}
+          onSettingsChange={quota.setSettings}
+          override={quota.override}
+          onOverrideChange={quota.setOverride}
+        />
+      )}
+      <MonitorCharts
+        points={toRatePoints(history.snapshots)}
+        timings={summarizeTimings(history.timings)}
+        alerts={history.alerts}
+        settings={history.alertSettings}
+        onSettingsChange={history.setAlertSettings}
+        onClearHistory={history.clearHistory}
+      />
+    </div>
+  );
+}
+
+export default MonitorPanel;
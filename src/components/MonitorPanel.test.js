@@ -0,0 +1,70 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import MonitorPanel from './MonitorPanel';
+import { assessBudget, DEFAULT_BUDGET_SETTINGS } from '../utils/quotaBudget';
+import { DEFAULT_ALERT_SETTINGS } from '../utils/monitorHistory';
+
+const stats = {
+  totalRequests: 120,
+  successCount: 110,
+  errorCount: 6,
+  throttleCount: 4,
+  dailyCount: 120,
+  dailyLimit: 1000,
+  dailyPercent: 12,
+  monthlyCount: 2400,
+  monthlyLimit: 30000,
+  monthlyPercent: 8,
+};
+
+const quota = (overrides = {}) => ({
+  stats,
+  status: 'ready',
+  error: '',
+  updatedAt: null,
+  budget: assessBudget(stats),
+  settings: DEFAULT_BUDGET_SETTINGS,
+  setSettings: jest.fn(),
+  override: false,
+  setOverride: jest.fn(),
+  ...overrides,
+});
+
+const history = (overrides = {}) => ({
+  snapshots: [],
+  timings: { '/api/search': [{ t: 1, ms: 200, ok: true }, { t: 2, ms: 400, ok: false }] },
+  alerts: [],
+  alertSettings: DEFAULT_ALERT_SETTINGS,
+  setAlertSettings: jest.fn(),
+  clearHistory: jest.fn(),
+  ...overrides,
+});
+
+test('shows the counters, the budget and the client timings', () => {
+  render(<MonitorPanel quota={quota()} history={history()} />);
+  expect(screen.getByText('Total Requests:')).toBeInTheDocument();
+  expect(screen.getByText('120/1000 (12%)')).toBeInTheDocument();
+  expect(screen.getByText('🧮 Request Budget')).toBeInTheDocument();
+  expect(screen.getByText('Search', { selector: 'td' })).toBeInTheDocument();
+  expect(screen.getByText('300 ms')).toBeInTheDocument();
+});
+
+test('a failed reading says so and keeps the last one', () => {
+  render(<MonitorPanel quota={quota({ error: 'Stats are down', updatedAt: 1700000000000 })} history={history()} />);
+  expect(screen.getByText(/Could not load the stats: Stats are down — showing the reading from/)).toBeInTheDocument();
+});
+
+test('while loading there are no counters or budget yet', () => {
+  render(<MonitorPanel quota={quota({ status: 'loading', stats: null, budget: null })} history={history()} />);
+  expect(screen.getByText('⏳ Loading stats…')).toBeInTheDocument();
+  expect(screen.queryByText('🧮 Request Budget')).not.toBeInTheDocument();
+});
+
+test('budget and alert settings go back to their hooks', () => {
+  const q = quota();
+  const h = history();
+  render(<MonitorPanel quota={q} history={h} />);
+  fireEvent.click(screen.getByLabelText('Ignore the budget until reload'));
+  expect(q.setOverride).toHaveBeenCalledWith(true);
+  fireEvent.click(screen.getByText('Clear history'));
+  expect(h.clearHistory).toHaveBeenCalled();
+});
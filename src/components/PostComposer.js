@@ -0,0 +1,182 @@
+// components/PostComposer.js - Edit a post with counters, emoji, hashtag ideas and per-network previews
+import React, { useRef, useState } from 'react';
+import useDialog from '../hooks/useDialog';
+import { SHARE_TARGETS, measurePost } from '../posts/shareTargets';
+import { suggestHashtags, addHashtag } from '../posts/hashtags';
+import { applyFixes } from '../posts/compliance';
+import PostPreview, { PREVIEW_NETWORKS } from './PostPreview';
+import ComplianceWarnings from './ComplianceWarnings';
+
+const EMOJIS = ['🔥', '💰', '✨', '💵', '⭐', '⚡', '👇', '👉', '🎉', '🛒', '📦', '⏰', '✅', '💥', '😍', '🙌', '❤️', '🏷️'];
+
+const button = (backgroundColor) => ({
+  padding: '8px 14px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+});
+
+const chip = {
+  padding: '3px 8px',
+  backgroundColor: '#eef0ff',
+  color: '#667eea',
+  border: '1px solid #667eea',
+  borderRadius: '12px',
+  cursor: 'pointer',
+  fontSize: '12px',
+};
+
+function PostComposer({ heading, initialText, templateText, url, image, title, category, lint, onSave, onClose }) {
+  const [draft, setDraft] = useState(initialText);
+  const [previewNetwork, setPreviewNetwork] = useState(PREVIEW_NETWORKS[0]);
+  const textareaRef = useRef(null);
+  const { titleId, dialogProps } = useDialog(onClose, { initialFocusRef: textareaRef });
+
+  const issues = lint(draft);
+  const hashtags = suggestHashtags({ title, category }, { text: draft });
+
+  // Inserts at the caret (replacing any selection) and puts the caret after the insert
+  const insertAtCaret = (insert) => {
+    const el = textareaRef.current;
+    const start = el ? el.selectionStart : draft.length;
+    const end = el ? el.selectionEnd : draft.length;
+    setDraft(draft.slice(0, start) + insert + draft.slice(end));
+    window.requestAnimationFrame(() => {
+      if (!textareaRef.current) return;
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(start + insert.length, start + insert.length);
+    });
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        zIndex: 100,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '20px'
+      }}
+    >
+      <div
+        {...dialogProps}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          padding: '20px',
+          width: '100%',
+          maxWidth: '1100px',
+          maxHeight: '90vh',
+          overflow: 'auto',
+          boxShadow: '0 8px 24px rgba(0,0,0,0.3)'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', marginBottom: '15px' }}>
+          <h2 id={titleId} style={{ margin: 0, fontSize: '1.17em' }}>✏️ Edit post — {heading}</h2>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {templateText && draft !== templateText && (
+              <button onClick={() => setDraft(templateText)} style={button('#999')}>↺ Reset to template</button>
+            )}
+            <button onClick={() => onSave(draft)} style={button('#28a745')}>💾 Save post</button>
+            <button onClick={onClose} style={button('#999')}>Cancel</button>
+          </div>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '20px' }}>
+          {/* Editor */}
+          <div>
+            <textarea
+              ref={textareaRef}
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              aria-label="Post text"
+              style={{
+                width: '100%',
+                minHeight: '280px',
+                padding: '10px',
+                border: '2px solid #667eea',
+                borderRadius: '8px',
+                fontSize: '13px',
+                lineHeight: '1.5',
+                fontFamily: 'inherit',
+                boxSizing: 'border-box',
+                resize: 'vertical'
+              }}
+            />
+
+            <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', fontSize: '12px', marginTop: '6px' }}>
+              {PREVIEW_NETWORKS.map((id) => {
+                const target = SHARE_TARGETS[id];
+                const length = measurePost(target, draft, url);
+                const over = length > target.maxLength;
+                return (
+                  <span key={id} style={{ color: over ? '#c33' : '#666', fontWeight: over ? 'bold' : 'normal' }}>
+                    {target.label}: {length.toLocaleString()}/{target.maxLength.toLocaleString()}
+                    {over && ' (will be shortened)'}
+                  </span>
+                );
+              })}
+            </div>
+
+            <div style={{ marginTop: '10px', display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+              {EMOJIS.map((emoji) => (
+                <button
+                  key={emoji}
+                  onClick={() => insertAtCaret(emoji)}
+                  aria-label={`Insert ${emoji}`}
+                  style={{ padding: '4px 6px', background: 'none', border: '1px solid #ddd', borderRadius: '4px', cursor: 'pointer', fontSize: '16px' }}
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+
+            {hashtags.length > 0 && (
+              <div style={{ marginTop: '10px', display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center' }}>
+                <span style={{ fontSize: '12px', color: '#666' }}>Suggested:</span>
+                {hashtags.map((tag) => (
+                  <button key={tag} onClick={() => setDraft(addHashtag(draft, tag))} style={chip}>
+                    + {tag}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <ComplianceWarnings issues={issues} onFix={() => setDraft(applyFixes(draft, issues))} />
+          </div>
+
+          {/* Preview */}
+          <div>
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+              {PREVIEW_NETWORKS.map((id) => (
+                <button
+                  key={id}
+                  onClick={() => setPreviewNetwork(id)}
+                  aria-pressed={previewNetwork === id}
+                  style={{
+                    ...button(previewNetwork === id ? SHARE_TARGETS[id].color : '#ccc'),
+                    padding: '6px 12px'
+                  }}
+                >
+                  {SHARE_TARGETS[id].label}
+                </button>
+              ))}
+            </div>
+            <PostPreview network={previewNetwork} text={draft} url={url} image={image} title={title} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PostComposer;
@@ -0,0 +1,95 @@
+// components/PostPreview.js - Roughly how a post will look once shared on Facebook, X or Telegram
+import React from 'react';
+import { SHARE_TARGETS, adaptPostForTarget } from '../posts/shareTargets';
+
+export const PREVIEW_NETWORKS = ['facebook', 'x', 'telegram'];
+
+const NETWORK_STYLES = {
+  facebook: {
+    page: { backgroundColor: '#f0f2f5', padding: '12px' },
+    post: { backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 1px 2px rgba(0,0,0,0.2)' },
+    author: 'Your Page',
+    handle: 'Just now · 🌍',
+  },
+  x: {
+    page: { backgroundColor: 'white', padding: '12px' },
+    post: { backgroundColor: 'white', borderBottom: '1px solid #eff3f4' },
+    author: 'Your Account',
+    handle: '@you · now',
+  },
+  telegram: {
+    page: { backgroundColor: '#99ba92', padding: '12px' },
+    post: { backgroundColor: '#effdde', borderRadius: '12px', maxWidth: '90%' },
+    author: 'Your Channel',
+    handle: '',
+  },
+};
+
+const domainOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (err) {
+    return '';
+  }
+};
+
+function LinkCard({ network, url, image, title }) {
+  if (!url) return null;
+  const domain = domainOf(url);
+
+  if (network === 'telegram') {
+    return (
+      <div style={{ borderLeft: '3px solid #229ED9', paddingLeft: '8px', marginTop: '8px', fontSize: '12px' }}>
+        <div style={{ color: '#229ED9', fontWeight: 'bold' }}>{domain}</div>
+        <div style={{ fontWeight: 'bold' }}>{title}</div>
+        {image && <img src={image} alt="" style={{ width: '100%', borderRadius: '6px', marginTop: '6px' }} />}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{
+      marginTop: '10px',
+      border: '1px solid #dddfe2',
+      borderRadius: network === 'x' ? '16px' : 0,
+      overflow: 'hidden'
+    }}>
+      {image && (
+        <img src={image} alt="" style={{ width: '100%', maxHeight: '220px', objectFit: 'contain', backgroundColor: 'white', display: 'block' }} />
+      )}
+      <div style={{ padding: '8px 10px', backgroundColor: network === 'facebook' ? '#f0f2f5' : 'white', fontSize: '12px' }}>
+        <div style={{ color: '#65676b', textTransform: network === 'facebook' ? 'uppercase' : 'none' }}>{domain}</div>
+        <div style={{ fontWeight: 'bold', color: '#050505' }}>{title}</div>
+      </div>
+    </div>
+  );
+}
+
+// Shows the text exactly as buildShareUrl() would send it to the network
+function PostPreview({ network, text, url, image, title }) {
+  const style = NETWORK_STYLES[network];
+  const target = SHARE_TARGETS[network];
+  const body = adaptPostForTarget(target, text, url);
+  // Telegram puts the shared link on the first line of the message
+  const shownBody = network === 'telegram' && url ? `${url}\n${body}` : body;
+
+  return (
+    <div style={style.page}>
+      <div style={{ ...style.post, padding: '12px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+          <div style={{ width: '32px', height: '32px', borderRadius: '50%', backgroundColor: target.color }} />
+          <div style={{ fontSize: '13px' }}>
+            <div style={{ fontWeight: 'bold' }}>{style.author}</div>
+            {style.handle && <div style={{ color: '#65676b', fontSize: '11px' }}>{style.handle}</div>}
+          </div>
+        </div>
+        <div style={{ whiteSpace: 'pre-wrap', fontSize: '13px', lineHeight: '1.4', wordBreak: 'break-word' }}>
+          {shownBody}
+        </div>
+        <LinkCard network={network} url={url} image={image} title={title} />
+      </div>
+    </div>
+  );
+}
+
+export default PostPreview;
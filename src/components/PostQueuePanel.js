@@ -0,0 +1,248 @@
+// components/PostQueuePanel.js - Week calendar of queued posts with drag-to-reschedule
+import React, { useState } from 'react';
+import { SHARE_TARGETS, SHARE_TARGET_IDS } from '../posts/shareTargets';
+import { findRuleViolations } from '../utils/queueRules';
+import { queueToCsv, queueToIcs } from '../utils/queueExport';
+import { downloadText } from '../utils/download';
+
+const HOURS = Array.from({ length: 18 }, (_, i) => i + 6);
+const DAYS_SHOWN = 7;
+const HOUR = 60 * 60 * 1000;
+
+const button = (backgroundColor) => ({
+  padding: '6px 12px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '12px',
+});
+
+const startOfDay = (ms) => {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+// <input type="datetime-local"> works in local time without a zone suffix
+const toLocalInput = (ms) => {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+function QueueChip({ item, problems }) {
+  const target = SHARE_TARGETS[item.network];
+  return (
+    <div
+      draggable
+      onDragStart={(e) => e.dataTransfer.setData('text/plain', item.id)}
+      title={problems.length ? `⚠️ ${problems.join('\n')}` : item.title}
+      style={{
+        backgroundColor: problems.length ? '#f66' : target ? target.color : '#667eea',
+        color: 'white',
+        borderRadius: '4px',
+        padding: '2px 4px',
+        fontSize: '11px',
+        marginBottom: '2px',
+        cursor: 'grab',
+        whiteSpace: 'nowrap',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis'
+      }}
+    >
+      {problems.length ? '⚠️ ' : ''}{formatTime(item.plannedAt)} {item.title}
+    </div>
+  );
+}
+
+function PostQueuePanel({ queue, rules, onRulesChange, defaultNetwork, onDefaultNetworkChange, onUpdate, onRemove, onCopy }) {
+  const [weekOffset, setWeekOffset] = useState(0);
+  const firstDay = startOfDay(Date.now()) + weekOffset * DAYS_SHOWN * 24 * HOUR;
+  const days = Array.from({ length: DAYS_SHOWN }, (_, i) => {
+    const d = new Date(firstDay);
+    d.setDate(d.getDate() + i);
+    return d.getTime();
+  });
+  const sorted = [...queue].sort((a, b) => a.plannedAt - b.plannedAt);
+  const problemsFor = (item) => findRuleViolations(queue, item, rules);
+
+  const dropOn = (dayStart, hour) => (e) => {
+    e.preventDefault();
+    const item = queue.find((q) => q.id === e.dataTransfer.getData('text/plain'));
+    if (!item) return;
+    // Keep the minutes within the hour so dragging between days doesn't snap everything to :00
+    const minutes = new Date(item.plannedAt).getMinutes();
+    const d = new Date(dayStart);
+    d.setHours(hour, minutes, 0, 0);
+    onUpdate(item.id, { plannedAt: d.getTime() });
+  };
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px' }}>
+        <h2 style={{ margin: 0, fontSize: '1.17em' }}>🗓️ Post Queue ({queue.length})</h2>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button
+            onClick={() => downloadText('post-queue.csv', queueToCsv(queue), 'text/csv')}
+            disabled={queue.length === 0}
+            style={button('#764ba2')}
+          >
+            ⬇️ CSV
+          </button>
+          <button
+            onClick={() => downloadText('post-queue.ics', queueToIcs(queue), 'text/calendar')}
+            disabled={queue.length === 0}
+            style={button('#764ba2')}
+          >
+            ⬇️ ICS
+          </button>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', fontSize: '13px', margin: '12px 0' }}>
+        <label>
+          New posts go to{' '}
+          <select value={defaultNetwork} onChange={(e) => onDefaultNetworkChange(e.target.value)}>
+            {SHARE_TARGET_IDS.map((id) => (
+              <option key={id} value={id}>{SHARE_TARGETS[id].label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          At most one post per{' '}
+          <input
+            type="number"
+            min="0"
+            value={rules.minGapMinutes}
+            onChange={(e) => onRulesChange({ ...rules, minGapMinutes: Math.max(0, Number(e.target.value) || 0) })}
+            style={{ width: '60px' }}
+          />{' '}
+          min per network
+        </label>
+        <label>
+          No duplicate product within{' '}
+          <input
+            type="number"
+            min="0"
+            value={rules.duplicateAsinDays}
+            onChange={(e) => onRulesChange({ ...rules, duplicateAsinDays: Math.max(0, Number(e.target.value) || 0) })}
+            style={{ width: '60px' }}
+          />{' '}
+          days
+        </label>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px', fontSize: '13px' }}>
+        <button onClick={() => setWeekOffset(weekOffset - 1)} style={button('#999')}>◀</button>
+        <button onClick={() => setWeekOffset(0)} style={button('#999')}>This week</button>
+        <button onClick={() => setWeekOffset(weekOffset + 1)} style={button('#999')}>▶</button>
+        <span style={{ color: '#666' }}>Drag a post to another slot to reschedule it.</span>
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ borderCollapse: 'collapse', width: '100%', tableLayout: 'fixed', fontSize: '12px' }}>
+          <thead>
+            <tr>
+              <th style={{ width: '50px' }}>
+                <span className="visually-hidden">Time</span>
+              </th>
+              {days.map((day) => (
+                <th key={day} style={{ padding: '4px', borderBottom: '2px solid #ddd' }}>
+                  {new Date(day).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {HOURS.map((hour) => (
+              <tr key={hour}>
+                <td style={{ color: '#999', verticalAlign: 'top', padding: '2px' }}>{String(hour).padStart(2, '0')}:00</td>
+                {days.map((day) => {
+                  const slotStart = new Date(day).setHours(hour, 0, 0, 0);
+                  const items = sorted.filter((q) => q.plannedAt >= slotStart && q.plannedAt < slotStart + HOUR);
+                  return (
+                    <td
+                      key={day}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={dropOn(day, hour)}
+                      style={{ border: '1px solid #eee', height: '22px', verticalAlign: 'top', padding: '2px' }}
+                    >
+                      {items.map((item) => (
+                        <QueueChip key={item.id} item={item} problems={problemsFor(item)} />
+                      ))}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {sorted.length > 0 && (
+        <div style={{ marginTop: '15px' }}>
+          {sorted.map((item) => {
+            const target = SHARE_TARGETS[item.network];
+            const length = target.measure(item.text);
+            const problems = problemsFor(item);
+            return (
+              <div key={item.id} style={{ borderTop: '1px solid #eee', padding: '8px 0', fontSize: '13px' }}>
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+                  <strong style={{ flex: 1, minWidth: '200px' }}>{item.title || item.url}</strong>
+                  <select
+                    value={item.network}
+                    onChange={(e) => onUpdate(item.id, { network: e.target.value })}
+                    aria-label={`Network for ${item.title || item.url}`}
+                  >
+                    {SHARE_TARGET_IDS.map((id) => (
+                      <option key={id} value={id}>{SHARE_TARGETS[id].label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="datetime-local"
+                    value={toLocalInput(item.plannedAt)}
+                    onChange={(e) => e.target.value && onUpdate(item.id, { plannedAt: new Date(e.target.value).getTime() })}
+                    aria-label={`Time for ${item.title || item.url}`}
+                  />
+                  <span style={{ color: length > target.maxLength ? '#c33' : '#999' }}>
+                    {length}/{target.maxLength}
+                  </span>
+                  <button
+                    onClick={() => onCopy(item)}
+                    aria-label={`Copy ${item.title || item.url}`}
+                    style={button('#764ba2')}
+                  >
+                    📋
+                  </button>
+                  <button
+                    onClick={() => onRemove(item.id)}
+                    aria-label={`Remove ${item.title || item.url}`}
+                    style={button('#f66')}
+                  >
+                    🗑️
+                  </button>
+                </div>
+                {problems.map((p, i) => (
+                  <div key={`${i}-${p}`} style={{ color: '#c33', fontSize: '12px' }}>⚠️ {p}</div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PostQueuePanel;
@@ -0,0 +1,42 @@
+// components/PriceSparkline.js - Tiny SVG price chart with lowest/average figures
+import React from 'react';
+import { summarizeHistory } from '../utils/priceHistory';
+import { formatPrice } from '../utils/marketplaces';
+
+const WIDTH = 120;
+const HEIGHT = 32;
+
+function PriceSparkline({ points, marketplace }) {
+  const summary = summarizeHistory(points);
+  if (!summary) return null;
+
+  const range = summary.highest - summary.lowest || 1;
+  const step = points.length > 1 ? WIDTH / (points.length - 1) : 0;
+  const coords = points.map((p, i) => {
+    const x = points.length > 1 ? i * step : WIDTH / 2;
+    const y = HEIGHT - 2 - ((p.current - summary.lowest) / range) * (HEIGHT - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  const [lastX, lastY] = coords[coords.length - 1].split(',');
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+      <svg
+        width={WIDTH}
+        height={HEIGHT}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`Price history, ${summary.count} points`}
+      >
+        <polyline points={coords.join(' ')} fill="none" stroke="#667eea" strokeWidth="2" />
+        <circle cx={lastX} cy={lastY} r="3" fill="#ff6b6b" />
+      </svg>
+      <div>
+        <div>📉 Lowest: {formatPrice(summary.lowest, marketplace)}</div>
+        <div>📊 Avg: {formatPrice(summary.average, marketplace)} ({summary.count} checks)</div>
+      </div>
+    </div>
+  );
+}
+
+export default PriceSparkline;
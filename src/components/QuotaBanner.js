@@ -0,0 +1,49 @@
+// components/QuotaBanner.js - Warns when the day's request quota runs low, with a way past the block
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+
+// `quota` is the useQuotaBudget result
+function QuotaBanner({ quota }) {
+  const { budget, blocked, override, setOverride } = quota;
+  if (!budget || budget.level === 'ok') return null;
+  const color = budget.level === 'block' ? '#f66' : '#f0ad4e';
+  return (
+    <div style={{
+      backgroundColor: budget.level === 'block' ? '#fee' : '#fff8e1',
+      border: `2px solid ${color}`,
+      borderRadius: '8px',
+      padding: '12px 15px',
+      marginBottom: '20px',
+      display: 'flex',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '10px',
+      fontSize: '14px'
+    }}>
+      <AlertCircle color={color} size={20} />
+      <span style={{ flex: 1 }}>
+        <strong>{budget.reason}.</strong> About {budget.left} requests left today.
+        {blocked && ' Startup loading, infinite scroll and saved-search checks are paused.'}
+        {override && ' The budget is being ignored until you reload.'}
+      </span>
+      {budget.level === 'block' && (
+        <button
+          onClick={() => setOverride(!override)}
+          style={{
+            padding: '8px 14px',
+            backgroundColor: override ? '#999' : '#f66',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            fontWeight: 'bold'
+          }}
+        >
+          {override ? 'Respect the budget' : 'Load anyway'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default QuotaBanner;
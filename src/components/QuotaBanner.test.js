@@ -0,0 +1,33 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import QuotaBanner from './QuotaBanner';
+
+const quota = (budget, overrides = {}) => ({
+  budget,
+  blocked: false,
+  override: false,
+  setOverride: jest.fn(),
+  ...overrides,
+});
+
+test('stays hidden while the budget is fine', () => {
+  const { container } = render(<QuotaBanner quota={quota({ level: 'ok', reason: '', left: 900 })} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('a blocked budget says what is paused and can be overridden until reload', () => {
+  const blocked = quota({ level: 'block', reason: 'Daily quota nearly spent', left: 12 }, { blocked: true });
+  const { rerender } = render(<QuotaBanner quota={blocked} />);
+  expect(screen.getByText(/About 12 requests left today/)).toHaveTextContent(/infinite scroll and saved-search checks are paused/);
+  fireEvent.click(screen.getByRole('button', { name: 'Load anyway' }));
+  expect(blocked.setOverride).toHaveBeenCalledWith(true);
+
+  rerender(<QuotaBanner quota={{ ...blocked, blocked: false, override: true }} />);
+  expect(screen.getByText(/being ignored until you reload/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Respect the budget' })).toBeInTheDocument();
+});
+
+test('a warning has nothing to override', () => {
+  render(<QuotaBanner quota={quota({ level: 'warn', reason: 'Quota running low', left: 150 })} />);
+  expect(screen.getByText('Quota running low.')).toBeInTheDocument();
+  expect(screen.queryByRole('button')).not.toBeInTheDocument();
+});
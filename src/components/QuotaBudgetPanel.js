@@ -0,0 +1,67 @@
+// components/QuotaBudgetPanel.js - Requests left today, burn rate and the thresholds that pause automatic loading
+import React from 'react';
+
+const LEVEL_COLORS = { ok: '#28a745', warn: '#f0ad4e', block: '#c33' };
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+function QuotaBudgetPanel({ budget, settings, onSettingsChange, override, onOverrideChange }) {
+  const { level, left, dailyLeft, monthlyLeft, perHour, projectedDaily, exhaustsAt, usedPct } = budget;
+
+  return (
+    <div style={{ marginTop: '15px', paddingTop: '15px', borderTop: '1px solid #eee' }}>
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '1em' }}>🧮 Request Budget</h3>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '15px', fontSize: '14px' }}>
+        <div>
+          <strong>Left today:</strong>{' '}
+          <span style={{ color: LEVEL_COLORS[level], fontWeight: 'bold' }}>~{left}</span>
+          {monthlyLeft < dailyLeft && <span style={{ color: '#666' }}> (monthly limit)</span>}
+        </div>
+        <div><strong>Used:</strong> {usedPct}%</div>
+        <div>
+          <strong>Burn rate:</strong> {perHour === null ? 'not known yet' : `~${Math.round(perHour)} requests/hour`}
+        </div>
+        <div>
+          <strong>Projected today:</strong> {projectedDaily === null ? '—' : `~${projectedDaily}`}
+          {exhaustsAt !== null && <span style={{ color: '#c33' }}> · runs out around {formatTime(exhaustsAt)}</span>}
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', alignItems: 'center', marginTop: '12px', fontSize: '14px' }}>
+        <label>
+          Warn at <strong>{settings.warnAtPct}%</strong>
+          <input
+            type="range"
+            min="1"
+            max="100"
+            value={settings.warnAtPct}
+            aria-valuetext={`${settings.warnAtPct}% of the daily quota`}
+            onChange={(e) => onSettingsChange({ ...settings, warnAtPct: Number(e.target.value) })}
+            style={{ display: 'block', width: '200px' }}
+          />
+        </label>
+        <label>
+          Pause automatic loading at <strong>{settings.blockAtPct}%</strong>
+          <input
+            type="range"
+            min="1"
+            max="100"
+            value={settings.blockAtPct}
+            aria-valuetext={`${settings.blockAtPct}% of the daily quota`}
+            onChange={(e) => onSettingsChange({ ...settings, blockAtPct: Number(e.target.value) })}
+            style={{ display: 'block', width: '200px' }}
+          />
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input type="checkbox" checked={override} onChange={(e) => onOverrideChange(e.target.checked)} />
+          Ignore the budget until reload
+        </label>
+      </div>
+      <p style={{ fontSize: '12px', color: '#666', marginBottom: 0 }}>
+        Past the pause threshold, startup loading, infinite scroll and saved-search checks wait. Searches you start
+        yourself always go through.
+      </p>
+    </div>
+  );
+}
+
+export default QuotaBudgetPanel;
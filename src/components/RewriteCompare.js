@@ -0,0 +1,119 @@
+// components/RewriteCompare.js - Streamed rewrite variants side by side, pick one to keep
+import React from 'react';
+import useDialog from '../hooks/useDialog';
+import { getModelLabel } from '../posts/rewriteOptions';
+
+const STATUS_LABELS = {
+  streaming: '⏳ Writing…',
+  done: '✅ Done',
+  error: '❌ Failed',
+  stopped: '⏹️ Stopped',
+};
+
+const button = (backgroundColor, disabled) => ({
+  padding: '8px 14px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: disabled ? 'default' : 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+  opacity: disabled ? 0.6 : 1,
+});
+
+function RewriteCompare({ title, variants, savedText, onPick, onStop, onDiscard, onClose }) {
+  const streaming = variants.some((v) => v.status === 'streaming');
+  const { titleId, dialogProps } = useDialog(onClose);
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        zIndex: 100,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '20px'
+      }}
+    >
+      <div
+        {...dialogProps}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          padding: '20px',
+          width: '100%',
+          maxWidth: '1200px',
+          maxHeight: '90vh',
+          overflow: 'auto',
+          boxShadow: '0 8px 24px rgba(0,0,0,0.3)'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', marginBottom: '15px' }}>
+          <h2 id={titleId} style={{ margin: 0, fontSize: '1.17em' }}>🆚 Rewrite variants — {title}</h2>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {streaming && <button onClick={onStop} style={button('#f66')}>⏹️ Stop</button>}
+            <button onClick={onDiscard} style={button('#f66')}>🗑️ Discard variants</button>
+            <button onClick={onClose} style={button('#999')}>Close</button>
+          </div>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '15px' }}>
+          {variants.map((v, i) => {
+            const picked = v.status === 'done' && v.text === savedText;
+            return (
+              <div
+                key={v.id}
+                style={{
+                  border: `2px solid ${picked ? '#28a745' : '#667eea'}`,
+                  borderRadius: '8px',
+                  padding: '12px',
+                  display: 'flex',
+                  flexDirection: 'column'
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '8px' }}>
+                  <strong>#{i + 1} {getModelLabel(v.model)}</strong>
+                  <span style={{ color: '#666' }}>{STATUS_LABELS[v.status]}</span>
+                </div>
+                <div style={{
+                  flex: 1,
+                  backgroundColor: '#f0f0f0',
+                  borderRadius: '6px',
+                  padding: '10px',
+                  whiteSpace: 'pre-wrap',
+                  fontSize: '13px',
+                  lineHeight: '1.5',
+                  minHeight: '200px'
+                }}>
+                  {v.text}
+                  {v.status === 'streaming' && <span style={{ opacity: 0.6 }}>▍</span>}
+                  {v.status === 'error' && <div style={{ color: '#c33' }}>⚠️ {v.error}</div>}
+                </div>
+                {v.status === 'done' && v.problems && v.problems.length > 0 && (
+                  <div style={{ fontSize: '12px', color: '#c33', marginTop: '8px' }}>
+                    {v.problems.map((p) => <div key={p}>⚠️ {p}</div>)}
+                  </div>
+                )}
+                <button
+                  onClick={() => onPick(v.text)}
+                  disabled={v.status !== 'done'}
+                  style={{ ...button(picked ? '#28a745' : '#764ba2', v.status !== 'done'), marginTop: '10px' }}
+                >
+                  {picked ? '🏆 Saved as post' : '🏆 Use this one'}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RewriteCompare;
@@ -0,0 +1,162 @@
+// components/SavedSearchesPanel.js - Saved searches with their per-check change feed
+import React, { useState } from 'react';
+import { POLL_INTERVAL_OPTIONS } from '../storage/savedSearches';
+import { formatPrice, getMarketplace } from '../utils/marketplaces';
+import { hasChanges } from '../utils/searchDiff';
+
+const inputStyle = { padding: '10px', border: '2px solid #ddd', borderRadius: '8px', fontSize: '14px' };
+
+const smallButton = (backgroundColor) => ({
+  padding: '6px 10px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '12px',
+});
+
+const formatTime = (ts) => (ts ? new Date(ts).toLocaleTimeString() : 'never');
+
+const describeChange = (change) => {
+  if (change.initial) return `First check: ${change.total} results`;
+  if (!hasChanges(change)) return 'No changes';
+  const parts = [];
+  if (change.added.length) parts.push(`🆕 ${change.added.length} new`);
+  if (change.priceDrops.length) parts.push(`📉 ${change.priceDrops.length} price drops`);
+  if (change.removed.length) parts.push(`👋 ${change.removed.length} gone`);
+  return parts.join(' · ');
+};
+
+function ChangeFeed({ changes, marketplace }) {
+  return (
+    <div style={{ marginTop: '10px', fontSize: '13px' }}>
+      {changes.map((change) => (
+        <div key={change.checkedAt} style={{ borderTop: '1px solid #eee', padding: '8px 0' }}>
+          <div style={{ color: '#666', marginBottom: '4px' }}>
+            {formatTime(change.checkedAt)} — {describeChange(change)}
+          </div>
+          {change.added.map((item) => (
+            <div key={`a-${item.key}`} style={{ color: '#28a745' }}>🆕 {item.title}</div>
+          ))}
+          {change.priceDrops.map((item) => (
+            <div key={`p-${item.key}`} style={{ color: '#667eea' }}>
+              📉 {item.title} ({formatPrice(item.from, marketplace)} → {formatPrice(item.to, marketplace)})
+            </div>
+          ))}
+          {change.removed.map((item) => (
+            <div key={`r-${item.key}`} style={{ color: '#999' }}>👋 {item.title}</div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function SavedSearchesPanel({ searches, checkingIds, defaults, onCreate, onRun, onToggle, onDelete }) {
+  const [name, setName] = useState('');
+  const [keyword, setKeyword] = useState('');
+  const [intervalMinutes, setIntervalMinutes] = useState(30);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const create = () => {
+    const kw = keyword.trim() || (defaults.keyword || '').trim();
+    if (!kw) return;
+    onCreate({
+      name: name || kw,
+      keyword: kw,
+      minDiscount: defaults.minDiscount,
+      couponOnly: defaults.couponOnly,
+      marketplace: defaults.marketplace,
+      intervalMinutes,
+    });
+    setName('');
+    setKeyword('');
+  };
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <h2 style={{ marginTop: 0, marginBottom: '15px', fontSize: '1.17em' }}>⭐ Saved Searches</h2>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '10px', marginBottom: '10px' }}>
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Name" style={inputStyle} />
+        <input
+          type="text"
+          value={keyword}
+          onChange={(e) => setKeyword(e.target.value)}
+          placeholder={defaults.keyword ? `Keyword (${defaults.keyword})` : 'Keyword'}
+          style={inputStyle}
+        />
+        <select
+          value={intervalMinutes}
+          onChange={(e) => setIntervalMinutes(Number(e.target.value))}
+          style={inputStyle}
+          aria-label="Check interval"
+        >
+          {POLL_INTERVAL_OPTIONS.map((m) => (
+            <option key={m} value={m}>Every {m} min</option>
+          ))}
+        </select>
+        <button onClick={create} style={{ ...smallButton('#667eea'), padding: '10px', fontSize: '14px' }}>
+          ➕ Save Search
+        </button>
+      </div>
+      <small style={{ display: 'block', color: '#666', marginBottom: '10px' }}>
+        Uses the current filters: {getMarketplace(defaults.marketplace).label}, min {defaults.minDiscount}% off
+        {defaults.couponOnly ? ', coupon codes only' : ''}.
+      </small>
+
+      {searches.length === 0 && <div style={{ color: '#999', fontSize: '14px' }}>No saved searches yet.</div>}
+
+      {searches.map((search) => {
+        const latest = search.changes[0];
+        const checking = checkingIds.includes(search.id);
+        return (
+          <div key={search.id} style={{ border: '1px solid #ddd', borderRadius: '8px', padding: '12px', marginBottom: '10px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+              <div>
+                <strong>{search.name}</strong>
+                <span style={{ color: '#666', fontSize: '13px', marginLeft: '8px' }}>
+                  “{search.keyword}” · {getMarketplace(search.marketplace).label} · ≥{search.minDiscount}%{search.couponOnly ? ' · coupons' : ''} · every {search.intervalMinutes} min
+                  {search.enabled ? '' : ' · paused'}
+                </span>
+                <div style={{ fontSize: '12px', color: '#999', marginTop: '4px' }}>
+                  Last check: {formatTime(search.lastCheckedAt)}
+                  {latest && ` — ${describeChange(latest)}`}
+                  {search.lastError && <span style={{ color: '#c33' }}> — ❌ {search.lastError}</span>}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <button onClick={() => onRun(search.id)} disabled={checking} style={smallButton('#667eea')}>
+                  {checking ? '⏳ Checking…' : '🔄 Check now'}
+                </button>
+                <button onClick={() => onToggle(search.id)} style={smallButton(search.enabled ? '#999' : '#28a745')}>
+                  {search.enabled ? '⏸ Pause' : '▶ Resume'}
+                </button>
+                {search.changes.length > 0 && (
+                  <button
+                    onClick={() => setExpandedId(expandedId === search.id ? null : search.id)}
+                    style={smallButton('#764ba2')}
+                  >
+                    {expandedId === search.id ? 'Hide changes' : 'Changes'}
+                  </button>
+                )}
+                <button onClick={() => onDelete(search.id)} style={smallButton('#f66')}>🗑️</button>
+              </div>
+            </div>
+            {expandedId === search.id && <ChangeFeed changes={search.changes} marketplace={search.marketplace} />}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default SavedSearchesPanel;
@@ -0,0 +1,65 @@
+// components/ScoreWeightsPanel.js - Sliders for how much each factor counts towards the deal score
+import React, { useState } from 'react';
+import { SCORE_FACTORS, MAX_SCORE_WEIGHT } from '../utils/dealScore';
+
+const button = (backgroundColor) => ({
+  padding: '8px 14px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+});
+
+function ScoreWeightsPanel({ weights, onChange, onReset }) {
+  const [open, setOpen] = useState(false);
+  const total = SCORE_FACTORS.reduce((sum, f) => sum + weights[f.id], 0);
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ margin: 0, fontSize: '1.17em' }}>⚖️ Deal Score Weights</h2>
+        <button onClick={() => setOpen(!open)} style={button(open ? '#764ba2' : '#999')}>
+          {open ? 'Hide weights' : 'Tune weights'}
+        </button>
+      </div>
+
+      {open && (
+        <>
+          <p style={{ fontSize: '13px', color: '#666' }}>
+            Each deal gets a score from 0 to 100. A factor's share is its weight out of the total; factors a deal has no
+            data for (no reviews yet, no price history) are left out for that deal.
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '15px' }}>
+            {SCORE_FACTORS.map((f) => (
+              <label key={f.id} style={{ fontSize: '14px' }}>
+                <strong>{f.label}:</strong> {weights[f.id]}
+                {total > 0 && <span style={{ color: '#666' }}> ({Math.round((weights[f.id] / total) * 100)}%)</span>}
+                <input
+                  type="range"
+                  min="0"
+                  max={MAX_SCORE_WEIGHT}
+                  value={weights[f.id]}
+                  aria-valuetext={`Weight ${weights[f.id]} of ${MAX_SCORE_WEIGHT}`}
+                  onChange={(e) => onChange({ ...weights, [f.id]: Number(e.target.value) })}
+                  style={{ display: 'block', width: '100%' }}
+                />
+              </label>
+            ))}
+          </div>
+          <button onClick={onReset} style={{ ...button('#999'), marginTop: '10px' }}>Reset weights</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ScoreWeightsPanel;
@@ -0,0 +1,76 @@
+// components/SearchBar.js - Keyword search and the monitor toggle; the filters render below as children
+import React from 'react';
+import { Search, Settings } from 'lucide-react';
+
+function SearchBar({ query, onQueryChange, onSearch, loading, showMonitor, onToggleMonitor, children }) {
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+        <div style={{ flex: 1, display: 'flex', gap: '10px' }}>
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => onQueryChange(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && onSearch()}
+            placeholder="Search for products (e.g., laptop, headphones, phone)..."
+            style={{
+              flex: 1,
+              padding: '12px 15px',
+              border: '2px solid #ddd',
+              borderRadius: '8px',
+              fontSize: '15px',
+              outline: 'none'
+            }}
+          />
+          <button
+            onClick={onSearch}
+            disabled={loading}
+            style={{
+              padding: '12px 25px',
+              backgroundColor: '#667eea',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              fontSize: '15px',
+              fontWeight: 'bold',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              opacity: loading ? 0.7 : 1
+            }}
+          >
+            <Search size={18} />
+            {loading ? 'Searching...' : 'Search'}
+          </button>
+        </div>
+        <button
+          onClick={onToggleMonitor}
+          style={{
+            padding: '12px 20px',
+            backgroundColor: showMonitor ? '#764ba2' : '#999',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px'
+          }}
+        >
+          <Settings size={18} />
+          Monitor
+        </button>
+      </div>
+      {children}
+    </div>
+  );
+}
+
+export default SearchBar;
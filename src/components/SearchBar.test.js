@@ -0,0 +1,35 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import SearchBar from './SearchBar';
+
+const mountBar = (props = {}) => {
+  const handlers = { onQueryChange: jest.fn(), onSearch: jest.fn(), onToggleMonitor: jest.fn() };
+  render(<SearchBar query="lamp" loading={false} showMonitor={false} {...handlers} {...props} />);
+  return handlers;
+};
+
+test('typing, Enter and the button drive the search', () => {
+  const { onQueryChange, onSearch } = mountBar();
+  const input = screen.getByPlaceholderText(/Search for products/);
+  fireEvent.change(input, { target: { value: 'desk lamp' } });
+  expect(onQueryChange).toHaveBeenCalledWith('desk lamp');
+  fireEvent.keyPress(input, { key: 'Enter', code: 'Enter', charCode: 13 });
+  fireEvent.click(screen.getByText('Search'));
+  expect(onSearch).toHaveBeenCalledTimes(2);
+});
+
+test('a running search disables the button', () => {
+  mountBar({ loading: true });
+  expect(screen.getByRole('button', { name: 'Searching...' })).toBeDisabled();
+});
+
+test('toggles the monitor and renders the filters inside the card', () => {
+  const handlers = { onQueryChange: jest.fn(), onSearch: jest.fn(), onToggleMonitor: jest.fn() };
+  render(
+    <SearchBar query="" loading={false} showMonitor {...handlers}>
+      <div>Filters go here</div>
+    </SearchBar>
+  );
+  fireEvent.click(screen.getByText('Monitor'));
+  expect(handlers.onToggleMonitor).toHaveBeenCalled();
+  expect(screen.getByText('Filters go here')).toBeInTheDocument();
+});
@@ -0,0 +1,50 @@
+// components/ShareButtons.js - One button per share target
+import React from 'react';
+import { Facebook, Twitter, Send, MessageCircle, Pin, Link } from 'lucide-react';
+import { SHARE_TARGETS } from '../posts/shareTargets';
+
+const ICONS = {
+  facebook: Facebook,
+  x: Twitter,
+  telegram: Send,
+  whatsapp: MessageCircle,
+  pinterest: Pin,
+  reddit: Link,
+};
+
+function ShareButtons({ targetIds, canShare, onShare }) {
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: `repeat(${targetIds.length}, 1fr)`, gap: '6px' }}>
+      {targetIds.map((id) => {
+        const target = SHARE_TARGETS[id];
+        const Icon = ICONS[id];
+        const enabled = canShare(id);
+        return (
+          <button
+            key={id}
+            onClick={() => onShare(id)}
+            disabled={!enabled}
+            title={enabled ? `Share on ${target.label}` : `${target.label} needs a product image`}
+            aria-label={`Share on ${target.label}`}
+            style={{
+              padding: '8px 4px',
+              backgroundColor: target.color,
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: enabled ? 'pointer' : 'not-allowed',
+              opacity: enabled ? 1 : 0.4,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center'
+            }}
+          >
+            <Icon size={16} />
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ShareButtons;
@@ -0,0 +1,235 @@
+// components/TemplateEditor.js - Edit post templates with a live preview against a real deal
+import React, { useRef, useState } from 'react';
+import { PLACEHOLDERS, buildDealContext } from '../posts/postTemplates';
+import { renderTemplate, validateTemplate, FORMATTERS } from '../posts/templateEngine';
+import { exportTemplatesJson, parseTemplatesJson } from '../storage/templateStore';
+import { downloadText } from '../utils/download';
+
+const SAMPLE_DEAL = {
+  title: 'Wireless Noise Cancelling Headphones',
+  url: 'https://www.amazon.com/dp/B000000000',
+  discount: 40,
+  originalPrice: 99.99,
+  currentPrice: 59.99,
+  rating: 4.5,
+  reviewCount: 12840,
+  code: 'SAVE10',
+};
+
+const button = (backgroundColor) => ({
+  padding: '8px 14px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '13px',
+});
+
+function TemplateEditor({ templates, customTemplates, active, deals, onSave, onDelete, onImport, onSetActive }) {
+  const [open, setOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState(active.deal);
+  const [draft, setDraft] = useState(null);
+  const [previewDealId, setPreviewDealId] = useState('');
+  const [importError, setImportError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const selected = templates.find((t) => t.id === selectedId) || templates[0];
+  const editing = draft || selected;
+  const problem = validateTemplate(editing.body);
+  const previewDeal = deals.find((d) => String(d.id) === previewDealId) || deals[0] || SAMPLE_DEAL;
+
+  let preview = '';
+  if (!problem) {
+    try {
+      preview = renderTemplate(editing.body, buildDealContext(previewDeal));
+    } catch (err) {
+      preview = `⚠️ ${err.message}`;
+    }
+  }
+
+  const select = (id) => {
+    setSelectedId(id);
+    setDraft(null);
+  };
+
+  const startCopy = () => {
+    const id = `custom-${Date.now().toString(36)}`;
+    setDraft({ id, name: `${editing.name.replace(/ \(default.*\)$/, '')} (copy)`, body: editing.body });
+  };
+
+  const save = () => {
+    if (!draft || problem) return;
+    onSave({ id: draft.id, name: draft.name.trim() || 'Untitled', body: draft.body });
+    setSelectedId(draft.id);
+    setDraft(null);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImport(parseTemplatesJson(await file.text()));
+      setImportError('');
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '20px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ margin: 0, fontSize: '1.17em' }}>📝 Post Templates</h2>
+        <button onClick={() => setOpen(!open)} style={button(open ? '#764ba2' : '#999')}>
+          {open ? 'Hide editor' : 'Edit templates'}
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '10px', marginTop: '15px' }}>
+        {[['deal', 'Deal cards use'], ['external', 'External URL posts use']].map(([kind, label]) => (
+          <label key={kind} style={{ fontSize: '14px' }}>
+            <strong>{label}:</strong>
+            <select
+              value={active[kind]}
+              onChange={(e) => onSetActive(kind, e.target.value)}
+              style={{ display: 'block', width: '100%', marginTop: '5px', padding: '8px', borderRadius: '6px', border: '2px solid #ddd' }}
+            >
+              {templates.map((t) => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      {open && (
+        <div style={{ marginTop: '15px' }}>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '10px' }}>
+            <select
+              value={draft ? '' : selected.id}
+              onChange={(e) => select(e.target.value)}
+              aria-label="Template to edit"
+              style={{ padding: '8px', borderRadius: '6px', border: '2px solid #ddd', flex: 1, minWidth: '200px' }}
+            >
+              {draft && <option value="">✏️ {draft.name} (unsaved)</option>}
+              {templates.map((t) => (
+                <option key={t.id} value={t.id}>{t.builtin ? '🔒 ' : ''}{t.name}</option>
+              ))}
+            </select>
+            <button onClick={startCopy} style={button('#667eea')}>📄 Duplicate</button>
+            {!draft && !selected.builtin && (
+              <button onClick={() => setDraft({ ...selected })} style={button('#667eea')}>✏️ Edit</button>
+            )}
+            {draft && (
+              <>
+                <button onClick={save} disabled={Boolean(problem)} style={{ ...button('#28a745'), opacity: problem ? 0.6 : 1 }}>
+                  💾 Save
+                </button>
+                <button onClick={() => setDraft(null)} style={button('#999')}>Cancel</button>
+              </>
+            )}
+            {!draft && !selected.builtin && (
+              <button onClick={() => { onDelete(selected.id); select(active.deal); }} style={button('#f66')}>🗑️ Delete</button>
+            )}
+            <button
+              onClick={() => downloadText('post-templates.json', exportTemplatesJson(customTemplates), 'application/json')}
+              disabled={customTemplates.length === 0}
+              style={{ ...button('#764ba2'), opacity: customTemplates.length === 0 ? 0.6 : 1 }}
+            >
+              ⬇️ Export JSON
+            </button>
+            <button onClick={() => fileInputRef.current && fileInputRef.current.click()} style={button('#764ba2')}>
+              ⬆️ Import JSON
+            </button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={importFile} style={{ display: 'none' }} />
+          </div>
+          {importError && <div style={{ color: '#c33', fontSize: '13px', marginBottom: '10px' }}>❌ {importError}</div>}
+
+          {draft && (
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="Template name"
+              style={{ width: '100%', boxSizing: 'border-box', padding: '10px', border: '2px solid #ddd', borderRadius: '8px', fontSize: '14px', marginBottom: '10px' }}
+            />
+          )}
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '15px' }}>
+            <div>
+              <textarea
+                value={editing.body}
+                readOnly={!draft}
+                onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+                rows={18}
+                style={{
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  padding: '10px',
+                  border: `2px solid ${problem ? '#f66' : '#ddd'}`,
+                  borderRadius: '8px',
+                  fontFamily: 'monospace',
+                  fontSize: '13px',
+                  backgroundColor: draft ? '#fff' : '#f9f9f9'
+                }}
+              />
+              {problem && <div style={{ color: '#c33', fontSize: '13px' }}>⚠️ {problem}</div>}
+              {!draft && selected.builtin && (
+                <small style={{ color: '#666' }}>Built-in templates are read-only — duplicate one to customize it.</small>
+              )}
+              <details style={{ marginTop: '8px', fontSize: '12px', color: '#666' }}>
+                <summary style={{ cursor: 'pointer' }}>Placeholders &amp; formatters</summary>
+                <ul style={{ paddingLeft: '18px' }}>
+                  {PLACEHOLDERS.map((p) => (
+                    <li key={p.name}><code>{`{{${p.name}}}`}</code> — {p.description}</li>
+                  ))}
+                </ul>
+                <div>
+                  Formatters: {Object.keys(FORMATTERS).map((f) => <code key={f} style={{ marginRight: '6px' }}>|{f}</code>)}
+                </div>
+                <div style={{ marginTop: '4px' }}>
+                  Sections: <code>{'{{#if code}}…{{else}}…{{/if}}'}</code>, <code>{'{{#unless code}}…{{/unless}}'}</code>
+                </div>
+              </details>
+            </div>
+            <div>
+              <select
+                value={previewDealId}
+                onChange={(e) => setPreviewDealId(e.target.value)}
+                aria-label="Preview deal"
+                style={{ width: '100%', padding: '8px', borderRadius: '6px', border: '2px solid #ddd', marginBottom: '8px' }}
+              >
+                {deals.length === 0 && <option value="">Sample deal (no deals loaded)</option>}
+                {deals.slice(0, 50).map((d) => (
+                  <option key={d.id} value={String(d.id)}>{d.title}</option>
+                ))}
+              </select>
+              <div style={{
+                backgroundColor: '#f0f0f0',
+                border: '2px solid #667eea',
+                borderRadius: '8px',
+                padding: '15px',
+                whiteSpace: 'pre-wrap',
+                fontSize: '13px',
+                lineHeight: '1.6',
+                minHeight: '200px'
+              }}>
+                {preview}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TemplateEditor;
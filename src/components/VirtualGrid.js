@@ -0,0 +1,249 @@
+// components/VirtualGrid.js - A card grid that only mounts the rows near the viewport
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import {
+  columnCount,
+  chunkRows,
+  rowHeights,
+  rowOffsets,
+  visibleRowRange,
+  findAnchorRow,
+  nextGridIndex,
+} from '../utils/virtualGrid';
+
+// Rows outside the viewport are replaced by two spacers, so everything after the grid
+// (like the infinite-scroll sentinel) sits where it would with every card mounted.
+// Row heights are measured once rendered; until then they count as the average.
+//
+// Once the user has scrolled into the grid, the first row in view is the anchor: when
+// items are added above it, or rows above it get measured, the page scrolls by the
+// difference so the cards on screen stay put.
+//
+// The grid is a list with one tab stop: the arrow keys, Home and End move focus between
+// items (mounting rows as needed) and Escape comes back to the item from a control
+// inside it. Other keys pressed on an item go to `onItemKeyDown(item, event)`.
+function VirtualGrid({
+  items,
+  getKey,
+  renderItem,
+  label,
+  describedBy,
+  getItemLabel,
+  itemShortcuts,
+  onItemKeyDown,
+  minColumnWidth = 300,
+  gap = 20,
+  estimatedRowHeight = 600,
+  overscan = 800,
+}) {
+  const containerRef = useRef(null);
+  const rowElementsRef = useRef(new Map());
+  const measuredRef = useRef({});
+  const anchorRef = useRef(null);
+  const layoutRef = useRef(null);
+  const itemElementsRef = useRef(new Map());
+  const pendingFocusRef = useRef(null);
+  // The item focus was last in, to pass focus on if that item is removed
+  const lastFocusRef = useRef(null);
+  const [activeKey, setActiveKey] = useState(null);
+  const [width, setWidth] = useState(0);
+  const [range, setRange] = useState({ start: 0, end: 1 });
+  const [, setMeasureVersion] = useState(0);
+
+  const columns = columnCount(width, minColumnWidth, gap);
+  const rows = chunkRows(items, columns);
+  const offsets = rowOffsets(rowHeights(rows.length, measuredRef.current, estimatedRowHeight));
+  const start = Math.min(range.start, Math.max(0, rows.length - 1));
+  const end = Math.min(Math.max(range.end, start + 1), rows.length);
+  layoutRef.current = { rows, offsets };
+
+  // The tab stop is the active item, or the first mounted one while that is scrolled away
+  const activeIndex = items.findIndex((item) => getKey(item) === activeKey);
+  const tabStop = activeIndex >= start * columns && activeIndex < end * columns ? activeIndex : start * columns;
+
+  // Reads the scroll position against the latest layout: the rows to mount, and the anchor
+  const syncWithViewport = () => {
+    const container = containerRef.current;
+    if (!container) return;
+    const { rows: currentRows, offsets: currentOffsets } = layoutRef.current;
+    const top = -container.getBoundingClientRect().top;
+    const next = visibleRowRange(currentOffsets, top - overscan, top + window.innerHeight + overscan);
+    setRange((prev) => (prev.start === next.start && prev.end === next.end ? prev : next));
+
+    const anchor = findAnchorRow(currentOffsets, top);
+    anchorRef.current = anchor && currentRows[anchor.row]
+      ? { key: getKey(currentRows[anchor.row][0]), viewportTop: anchor.offset }
+      : null;
+  };
+  const syncRef = useRef(syncWithViewport);
+  syncRef.current = syncWithViewport;
+
+  useEffect(() => {
+    const onChange = () => syncRef.current();
+    window.addEventListener('scroll', onChange, { passive: true });
+    window.addEventListener('resize', onChange);
+    return () => {
+      window.removeEventListener('scroll', onChange);
+      window.removeEventListener('resize', onChange);
+    };
+  }, []);
+
+  // Pick up a new width or new row heights first (each re-renders), then scroll the
+  // anchor back into place and work out the rows to mount
+  const afterRender = () => {
+    const container = containerRef.current;
+    if (!container) return;
+    focusAfterRender();
+    if (container.clientWidth !== width) {
+      measuredRef.current = {};
+      setWidth(container.clientWidth);
+      return;
+    }
+
+    let changed = false;
+    rowElementsRef.current.forEach((el, row) => {
+      const height = el.offsetHeight;
+      if (height > 0 && measuredRef.current[row] !== height) {
+        measuredRef.current = { ...measuredRef.current, [row]: height };
+        changed = true;
+      }
+    });
+    if (changed) {
+      setMeasureVersion((v) => v + 1);
+      return;
+    }
+
+    const anchor = anchorRef.current;
+    if (anchor) {
+      const index = items.findIndex((item) => getKey(item) === anchor.key);
+      if (index >= 0) {
+        const rowTop = container.getBoundingClientRect().top + offsets[Math.floor(index / columns)];
+        const delta = rowTop - anchor.viewportTop;
+        if (Math.abs(delta) >= 1) window.scrollBy(0, delta);
+      }
+    }
+    syncWithViewport();
+  };
+
+  // Focus an item mounted by this render, or pass focus on from a removed item
+  const focusAfterRender = () => {
+    const pending = pendingFocusRef.current;
+    if (pending !== null && itemElementsRef.current.has(pending)) {
+      pendingFocusRef.current = null;
+      itemElementsRef.current.get(pending).focus({ preventScroll: true });
+      return;
+    }
+    const last = lastFocusRef.current;
+    if (!last || document.activeElement !== document.body || items.length === 0) return;
+    if (items.some((item) => getKey(item) === last.key)) return;
+    lastFocusRef.current = null;
+    focusItem(Math.min(last.index, items.length - 1));
+  };
+
+  const focusItem = (index) => {
+    const key = getKey(items[index]);
+    setActiveKey(key);
+    const el = itemElementsRef.current.get(key);
+    if (el) {
+      el.focus();
+      return;
+    }
+    // Not mounted: scroll its row to the top of the window and focus it once rendered
+    const row = Math.floor(index / columns);
+    pendingFocusRef.current = key;
+    anchorRef.current = null;
+    window.scrollBy(0, containerRef.current.getBoundingClientRect().top + offsets[row]);
+    setRange({ start: row, end: row + 1 });
+  };
+
+  const handleItemKeyDown = (item, index) => (e) => {
+    if (e.target !== e.currentTarget) {
+      if (e.key === 'Escape') e.currentTarget.focus();
+      return;
+    }
+    const next = nextGridIndex(index, e.key, items.length, columns);
+    if (next !== null) {
+      e.preventDefault();
+      if (next !== index) focusItem(next);
+      return;
+    }
+    if (onItemKeyDown) onItemKeyDown(item, e);
+  };
+
+  const handleItemFocus = (key, index) => () => {
+    lastFocusRef.current = { key, index };
+    if (key !== activeKey) setActiveKey(key);
+  };
+
+  // Leaving the grid for elsewhere on the page; a removed item blurs with no related target
+  const handleBlur = (e) => {
+    if (e.relatedTarget && !e.currentTarget.contains(e.relatedTarget)) lastFocusRef.current = null;
+  };
+
+  const afterRenderRef = useRef(afterRender);
+  afterRenderRef.current = afterRender;
+
+  // Every render, not just on new items: a card's height changes with its content
+  useLayoutEffect(() => afterRenderRef.current());
+
+  const registerRow = (row) => (el) => {
+    if (el) rowElementsRef.current.set(row, el);
+    else rowElementsRef.current.delete(row);
+  };
+
+  const registerItem = (key) => (el) => {
+    if (el) itemElementsRef.current.set(key, el);
+    else itemElementsRef.current.delete(key);
+  };
+
+  return (
+    // The browser's own scroll anchoring would fight the spacers, so it's off here
+    <div
+      ref={containerRef}
+      role="list"
+      aria-label={label}
+      aria-describedby={describedBy}
+      onBlur={handleBlur}
+      style={{ overflowAnchor: 'none' }}
+    >
+      <div style={{ height: offsets[start] || 0 }} />
+      {rows.slice(start, end).map((row, i) => (
+        <div
+          key={start + i}
+          ref={registerRow(start + i)}
+          style={{
+            display: 'grid',
+            gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+            gap: `${gap}px`,
+            paddingBottom: `${gap}px`,
+          }}
+        >
+          {row.map((item, j) => {
+            const key = getKey(item);
+            const index = (start + i) * columns + j;
+            return (
+              <div
+                key={key}
+                ref={registerItem(key)}
+                role="listitem"
+                className="virtual-grid-item"
+                tabIndex={index === tabStop ? 0 : -1}
+                aria-posinset={index + 1}
+                aria-setsize={items.length}
+                aria-label={getItemLabel ? getItemLabel(item) : undefined}
+                aria-keyshortcuts={itemShortcuts}
+                onFocus={handleItemFocus(key, index)}
+                onKeyDown={handleItemKeyDown(item, index)}
+                style={{ display: 'grid' }}
+              >
+                {renderItem(item)}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+      <div style={{ height: (offsets[rows.length] || 0) - (offsets[end] || 0) }} />
+    </div>
+  );
+}
+
+export default VirtualGrid;
@@ -0,0 +1,124 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import VirtualGrid from './VirtualGrid';
+
+const makeItems = (from, count) => Array.from({ length: count }, (_, i) => ({ id: `item-${from + i}` }));
+
+const grid = (items) => (
+  <VirtualGrid
+    items={items}
+    getKey={(item) => item.id}
+    renderItem={(item) => <div>{item.id}</div>}
+    estimatedRowHeight={100}
+    overscan={0}
+  />
+);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('only mounts the rows in the viewport', () => {
+  // jsdom has no layout: one column, a 768px window and the grid at the top of it
+  render(grid(makeItems(0, 200)));
+  expect(screen.getByText('item-0')).toBeInTheDocument();
+  expect(screen.getByText('item-7')).toBeInTheDocument();
+  expect(screen.queryByText('item-8')).not.toBeInTheDocument();
+  expect(screen.queryByText('item-199')).not.toBeInTheDocument();
+});
+
+test('scrolling mounts the rows that come into view', () => {
+  let gridTop = 0;
+  jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockImplementation(() => ({ top: gridTop }));
+  render(grid(makeItems(0, 200)));
+  gridTop = -5000;
+  fireEvent.scroll(window);
+  expect(screen.getByText('item-50')).toBeInTheDocument();
+  expect(screen.queryByText('item-0')).not.toBeInTheDocument();
+});
+
+test('items prepended above the rows in view keep those rows where they were', () => {
+  let gridTop = 0;
+  jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockImplementation(() => ({ top: gridTop }));
+  const scrollBy = jest.spyOn(window, 'scrollBy').mockImplementation(() => {});
+  const { rerender } = render(grid(makeItems(0, 50)));
+  gridTop = -1000;
+  fireEvent.scroll(window);
+  expect(scrollBy).not.toHaveBeenCalled();
+
+  rerender(grid([...makeItems(100, 3), ...makeItems(0, 50)]));
+  expect(scrollBy).toHaveBeenCalledWith(0, 300);
+});
+
+test('prepending while the grid is still at the top shows the new items', () => {
+  const scrollBy = jest.spyOn(window, 'scrollBy').mockImplementation(() => {});
+  const { rerender } = render(grid(makeItems(0, 50)));
+  rerender(grid([...makeItems(100, 3), ...makeItems(0, 50)]));
+  expect(scrollBy).not.toHaveBeenCalled();
+  expect(screen.getByText('item-100')).toBeInTheDocument();
+});
+
+const keyboardGrid = (items, props = {}) => (
+  <VirtualGrid
+    items={items}
+    getKey={(item) => item.id}
+    renderItem={(item) => <button>open {item.id}</button>}
+    getItemLabel={(item) => `Item ${item.id}`}
+    label="Items"
+    estimatedRowHeight={100}
+    overscan={0}
+    {...props}
+  />
+);
+
+test('the grid is one tab stop and the arrow keys move focus between items', () => {
+  render(keyboardGrid(makeItems(0, 20)));
+  const first = screen.getByRole('listitem', { name: 'Item item-0' });
+  expect(first).toHaveAttribute('tabindex', '0');
+  expect(screen.getByRole('listitem', { name: 'Item item-1' })).toHaveAttribute('tabindex', '-1');
+
+  act(() => first.focus());
+  fireEvent.keyDown(first, { key: 'ArrowDown' });
+  const second = screen.getByRole('listitem', { name: 'Item item-1' });
+  expect(second).toHaveFocus();
+  expect(second).toHaveAttribute('tabindex', '0');
+  expect(first).toHaveAttribute('tabindex', '-1');
+  fireEvent.keyDown(second, { key: 'ArrowUp' });
+  expect(first).toHaveFocus();
+});
+
+test('End scrolls to the last item and focuses it once it is mounted', () => {
+  let gridTop = 0;
+  jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockImplementation(() => ({ top: gridTop }));
+  const scrollBy = jest.spyOn(window, 'scrollBy').mockImplementation((x, y) => {
+    gridTop -= y;
+  });
+  render(keyboardGrid(makeItems(0, 200)));
+  const first = screen.getByRole('listitem', { name: 'Item item-0' });
+  act(() => first.focus());
+  fireEvent.keyDown(first, { key: 'End' });
+  expect(scrollBy).toHaveBeenCalledWith(0, 19900);
+  expect(screen.getByRole('listitem', { name: 'Item item-199' })).toHaveFocus();
+});
+
+test('other keys go to onItemKeyDown, and Escape goes back from a control to its item', () => {
+  const onItemKeyDown = jest.fn();
+  render(keyboardGrid(makeItems(0, 3), { onItemKeyDown }));
+  const item = screen.getByRole('listitem', { name: 'Item item-1' });
+  fireEvent.keyDown(item, { key: 'r' });
+  expect(onItemKeyDown).toHaveBeenCalledWith({ id: 'item-1' }, expect.objectContaining({ key: 'r' }));
+
+  const button = screen.getByRole('button', { name: 'open item-1' });
+  act(() => button.focus());
+  fireEvent.keyDown(button, { key: 'r' });
+  expect(onItemKeyDown).toHaveBeenCalledTimes(1);
+  fireEvent.keyDown(button, { key: 'Escape' });
+  expect(item).toHaveFocus();
+});
+
+test('removing the focused item moves focus to the one that takes its place', () => {
+  const items = makeItems(0, 5);
+  const { rerender } = render(keyboardGrid(items));
+  act(() => screen.getByRole('listitem', { name: 'Item item-2' }).focus());
+  rerender(keyboardGrid(items.filter((item) => item.id !== 'item-2')));
+  expect(screen.getByRole('listitem', { name: 'Item item-3' })).toHaveFocus();
+});
@@ -0,0 +1,29 @@
+// hooks/useAiSettings.js - The AI model for this visit and the saved rewrite style options
+import { useCallback, useEffect, useState } from 'react';
+import { DEFAULT_AI_MODEL, normalizeRewriteOptions } from '../posts/rewriteOptions';
+
+const OPTIONS_STORAGE_KEY = 'amazon-deals-finder:rewrite-options';
+
+const loadOptions = () => {
+  try {
+    return normalizeRewriteOptions(JSON.parse(window.localStorage.getItem(OPTIONS_STORAGE_KEY) || '{}'));
+  } catch (err) {
+    return normalizeRewriteOptions();
+  }
+};
+
+export default function useAiSettings() {
+  const [model, setModel] = useState(DEFAULT_AI_MODEL);
+  const [options, setOptions] = useState(loadOptions);
+
+  useEffect(() => {
+    window.localStorage.setItem(OPTIONS_STORAGE_KEY, JSON.stringify(options));
+  }, [options]);
+
+  // `patch` holds only the options that changed
+  const updateOptions = useCallback((patch) => {
+    setOptions((prev) => normalizeRewriteOptions({ ...prev, ...patch }));
+  }, []);
+
+  return { model, setModel, options, updateOptions };
+}
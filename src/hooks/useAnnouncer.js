@@ -0,0 +1,30 @@
+// hooks/useAnnouncer.js - Status messages for the live regions, in place of alert()
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Long enough to read on screen; screen readers have read it out well before
+const VISIBLE_MS = 6000;
+
+// The icon is shown next to the message but not read out. Errors interrupt the screen
+// reader (role="alert"); everything else waits its turn (role="status").
+export const ANNOUNCE_TONES = {
+  info: 'ℹ️',
+  success: '✅',
+  warning: '⚠️',
+  error: '❌',
+};
+
+export default function useAnnouncer() {
+  const [message, setMessage] = useState(null);
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  // A fresh id every time, so repeating the same text is announced again
+  const announce = useCallback((text, tone = 'info') => {
+    clearTimeout(timerRef.current);
+    setMessage({ id: `${Date.now()}-${Math.random()}`, text, tone });
+    timerRef.current = setTimeout(() => setMessage(null), VISIBLE_MS);
+  }, []);
+
+  return [message, announce];
+}
@@ -0,0 +1,63 @@
+// hooks/useCardTemplates.js - Built-in plus custom image card templates and the one in use
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { BUILTIN_CARD_TEMPLATES, DEFAULT_CARD_TEMPLATE } from '../posts/imageCards';
+import { loadCardTemplateSettings, saveCardTemplateSettings } from '../storage/cardTemplateStore';
+
+export default function useCardTemplates() {
+  const [settings, setSettings] = useState(loadCardTemplateSettings);
+
+  useEffect(() => {
+    saveCardTemplateSettings(settings);
+  }, [settings]);
+
+  const templates = useMemo(() => [...BUILTIN_CARD_TEMPLATES, ...settings.templates], [settings.templates]);
+
+  const activeTemplate =
+    templates.find((t) => t.id === settings.active) ||
+    BUILTIN_CARD_TEMPLATES.find((t) => t.id === DEFAULT_CARD_TEMPLATE);
+
+  const saveTemplate = useCallback((template) => {
+    setSettings((prev) => {
+      const exists = prev.templates.some((t) => t.id === template.id);
+      return {
+        ...prev,
+        templates: exists
+          ? prev.templates.map((t) => (t.id === template.id ? template : t))
+          : [...prev.templates, template],
+      };
+    });
+  }, []);
+
+  const deleteTemplate = useCallback((id) => {
+    setSettings((prev) => ({
+      templates: prev.templates.filter((t) => t.id !== id),
+      active: prev.active === id ? DEFAULT_CARD_TEMPLATE : prev.active,
+    }));
+  }, []);
+
+  const importTemplates = useCallback((imported) => {
+    setSettings((prev) => {
+      const byId = new Map(prev.templates.map((t) => [t.id, t]));
+      imported.forEach((t) => {
+        // Imports never shadow the built-ins
+        const id = BUILTIN_CARD_TEMPLATES.some((b) => b.id === t.id) ? `${t.id}-imported` : t.id;
+        byId.set(id, { ...t, id });
+      });
+      return { ...prev, templates: [...byId.values()] };
+    });
+  }, []);
+
+  const setActiveTemplate = useCallback((id) => {
+    setSettings((prev) => ({ ...prev, active: id }));
+  }, []);
+
+  return {
+    templates,
+    customTemplates: settings.templates,
+    activeTemplate,
+    saveTemplate,
+    deleteTemplate,
+    importTemplates,
+    setActiveTemplate,
+  };
+}
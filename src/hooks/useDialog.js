@@ -0,0 +1,59 @@
+// hooks/useDialog.js - Modal behaviour for the overlay panels: focus moves in, Tab stays in, Escape closes
+import { useEffect, useId, useRef } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// Spread `dialogProps` on the panel and put `titleId` on its heading. Focus starts on
+// `initialFocusRef` (or the panel itself) and goes back to whatever opened the dialog.
+export default function useDialog(onClose, { initialFocusRef } = {}) {
+  const panelRef = useRef(null);
+  const titleId = useId();
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    const target = (initialFocusRef && initialFocusRef.current) || panelRef.current;
+    if (target) target.focus();
+    return () => {
+      // A virtualized card may have scrolled away and unmounted in the meantime
+      if (opener && opener !== document.body && opener.isConnected) opener.focus();
+    };
+  }, [initialFocusRef]);
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onCloseRef.current();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const focusable = Array.from(panelRef.current.querySelectorAll(FOCUSABLE));
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || active === panelRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return {
+    titleId,
+    dialogProps: { ref: panelRef, role: 'dialog', 'aria-modal': true, 'aria-labelledby': titleId, tabIndex: -1, onKeyDown },
+  };
+}
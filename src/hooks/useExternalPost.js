@@ -0,0 +1,103 @@
+// hooks/useExternalPost.js - The post for a pasted Amazon URL: its metadata, typed-in prices,
+// rewrite and the ways it goes out
+import { useState } from 'react';
+import api from '../api/client';
+import { renderTemplate } from '../posts/templateEngine';
+import { buildExternalContext } from '../posts/postTemplates';
+import { lintPost, applyFixes } from '../posts/compliance';
+import { toAffiliateLink } from '../utils/amazonLinks';
+import { CLIPBOARD_NETWORK } from '../utils/dealLifecycle';
+
+const EMPTY_FIELDS = { originalPrice: '', currentPrice: '', discount: '', couponCode: '' };
+
+// `template` is the active external template body. `posting` is the usePosting result and
+// `rewrites` the useRewrites one, where this post's rewrites run under the id 'external'.
+export default function useExternalPost({ marketplace, template, posting, rewrites, announce }) {
+  const [url, setUrl] = useState('');
+  const [meta, setMeta] = useState(null);
+  const [fetching, setFetching] = useState(false);
+  // What the user typed, which wins over the fetched metadata
+  const [fields, setFields] = useState(EMPTY_FIELDS);
+  const [rewritten, setRewritten] = useState('');
+
+  const product = meta || {};
+  const context = buildExternalContext(product, url, fields, marketplace);
+  const templatePost = renderTemplate(template, context);
+  // What gets copied, shared and queued: the saved rewrite, otherwise the template
+  const post = rewritten || templatePost;
+  const link = toAffiliateLink(url, { asin: product.asin, marketplace });
+  const title = product.title || url;
+
+  const lint = (text = post, network = posting.network) => lintPost(text, context, { network });
+
+  const fetchMetadata = async () => {
+    if (!url.trim()) {
+      announce('Enter a product URL first', 'error');
+      return;
+    }
+    setFetching(true);
+    try {
+      setMeta(await api.fetchMetadata(url));
+    } catch (e) {
+      setMeta({ title: '', description: '', image: '', error: e.message });
+    }
+    setFetching(false);
+  };
+
+  const setField = (key, value) => setFields((prev) => ({ ...prev, [key]: value }));
+
+  const rewrite = () => {
+    if (!url.trim()) {
+      announce('Enter a product URL first', 'error');
+      return;
+    }
+    rewrites.rewrite('external', { text: templatePost, context, save: setRewritten, label: 'the external post' });
+  };
+
+  const copy = async () => {
+    if (!posting.confirmPost(product.asin, lint())) return;
+    const text = await posting.copy(post);
+    posting.recordExternalPosting(product, link, CLIPBOARD_NETWORK, text);
+  };
+
+  const share = (targetId = 'facebook') => {
+    const data = { post, url: link, image: product.image, title, discount: fields.discount };
+    if (!posting.confirmPost(product.asin, posting.lintSharedPost(targetId, data, context))) return;
+    posting.recordExternalPosting(product, data.url, targetId, posting.openShareUrl(targetId, data));
+  };
+
+  const queue = () => {
+    if (!posting.confirmPost(product.asin, lint())) return;
+    posting.queuePost({ asin: product.asin, title, text: post, url: link, image: product.image });
+  };
+
+  const fix = () => setRewritten(applyFixes(rewritten, lint()));
+
+  // A post edited back to the template text is stored as no rewrite, so template edits still apply
+  const saveComposed = (text) => setRewritten(text === templatePost ? '' : text);
+
+  return {
+    url,
+    setUrl,
+    meta,
+    product,
+    fetching,
+    fetchMetadata,
+    fields,
+    setField,
+    rewritten,
+    setRewritten,
+    templatePost,
+    post,
+    link,
+    title,
+    issues: rewritten ? lint() : [],
+    lint,
+    rewrite,
+    copy,
+    share,
+    queue,
+    fix,
+    saveComposed,
+  };
+}
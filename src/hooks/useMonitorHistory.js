@@ -0,0 +1,128 @@
+// hooks/useMonitorHistory.js - Monitor stats kept over time, rate alerts and per-endpoint client timings
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadMonitorHistory, saveMonitorSnapshots, saveEndpointTimings } from '../storage/monitorHistoryStore';
+import { subscribeTimings } from '../api/timings';
+import {
+  appendSnapshot,
+  snapshotFromStats,
+  toRatePoints,
+  detectSpikes,
+  addTiming,
+  normalizeAlertSettings,
+} from '../utils/monitorHistory';
+
+const ALERT_SETTINGS_STORAGE_KEY = 'amazon-deals-finder:monitor-alerts';
+const MAX_ALERTS = 20;
+
+const loadAlertSettings = () => {
+  try {
+    return normalizeAlertSettings(JSON.parse(window.localStorage.getItem(ALERT_SETTINGS_STORAGE_KEY) || '{}'));
+  } catch (err) {
+    return normalizeAlertSettings();
+  }
+};
+
+const notificationsSupported = () => typeof window.Notification !== 'undefined';
+
+const showNotifications = (alerts) => {
+  if (!notificationsSupported() || window.Notification.permission !== 'granted') return;
+  alerts.forEach((a) => {
+    // The tag replaces an earlier notification of the same kind instead of stacking them
+    new window.Notification(a.kind === 'error' ? '❌ Backend errors spiking' : '🐢 Backend throttling', {
+      body: a.message,
+      tag: `monitor-${a.kind}`,
+    });
+  });
+};
+
+// `stats` is the latest /api/monitor/stats answer; every new object is one snapshot.
+// `announce(message, tone)` reports what the browser refused (see hooks/useAnnouncer.js)
+export default function useMonitorHistory(stats, announce = () => {}) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [timings, setTimings] = useState({});
+  const [alerts, setAlerts] = useState([]);
+  const [alertSettings, setAlertSettingsState] = useState(loadAlertSettings);
+  const snapshotsRef = useRef([]);
+  const timingsRef = useRef({});
+  const alertSettingsRef = useRef(alertSettings);
+  const announceRef = useRef(announce);
+  announceRef.current = announce;
+
+  useEffect(() => {
+    alertSettingsRef.current = alertSettings;
+  }, [alertSettings]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadMonitorHistory().then((loaded) => {
+      if (cancelled) return;
+      // Keep anything recorded while the saved history was still loading
+      snapshotsRef.current = snapshotsRef.current.reduce(appendSnapshot, loaded.snapshots);
+      timingsRef.current = Object.entries(timingsRef.current).reduce(
+        (all, [endpoint, entries]) => ({ ...all, [endpoint]: [...(all[endpoint] || []), ...entries] }),
+        loaded.timings
+      );
+      setSnapshots(snapshotsRef.current);
+      setTimings(timingsRef.current);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!stats) return;
+    const next = appendSnapshot(snapshotsRef.current, snapshotFromStats(stats));
+    snapshotsRef.current = next;
+    setSnapshots(next);
+    saveMonitorSnapshots(next);
+
+    const [latest] = toRatePoints(next.slice(-2));
+    const spikes = detectSpikes(latest, alertSettingsRef.current);
+    if (spikes.length === 0) return;
+    setAlerts((prev) => [...spikes.map((s) => ({ ...s, id: `${latest.t}-${s.kind}`, t: latest.t })), ...prev].slice(0, MAX_ALERTS));
+    if (alertSettingsRef.current.notify) showNotifications(spikes);
+  }, [stats]);
+
+  useEffect(
+    () =>
+      subscribeTimings((timing) => {
+        const next = addTiming(timingsRef.current, timing);
+        timingsRef.current = next;
+        setTimings(next);
+        saveEndpointTimings(next);
+      }),
+    []
+  );
+
+  // Turning desktop notifications on asks for the browser's permission first
+  const setAlertSettings = useCallback(async (raw) => {
+    let next = normalizeAlertSettings(raw);
+    if (next.notify && !alertSettingsRef.current.notify) {
+      const permission = notificationsSupported() ? await window.Notification.requestPermission() : 'unsupported';
+      if (permission !== 'granted') {
+        announceRef.current(
+          permission === 'unsupported'
+            ? 'This browser does not support desktop notifications'
+            : 'Desktop notifications are blocked for this site',
+          'warning'
+        );
+        next = { ...next, notify: false };
+      }
+    }
+    setAlertSettingsState(next);
+    window.localStorage.setItem(ALERT_SETTINGS_STORAGE_KEY, JSON.stringify(next));
+  }, []);
+
+  const clearHistory = useCallback(() => {
+    snapshotsRef.current = [];
+    timingsRef.current = {};
+    setSnapshots([]);
+    setTimings({});
+    setAlerts([]);
+    saveMonitorSnapshots([]);
+    saveEndpointTimings({});
+  }, []);
+
+  return { snapshots, timings, alerts, alertSettings, setAlertSettings, clearHistory };
+}
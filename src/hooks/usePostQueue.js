@@ -0,0 +1,70 @@
+// hooks/usePostQueue.js - The scheduled post queue and its spacing rules
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createQueueItem, loadPostQueue, persistPostQueue } from '../storage/postQueue';
+import { DEFAULT_QUEUE_RULES, nextFreeSlot } from '../utils/queueRules';
+
+const RULES_STORAGE_KEY = 'amazon-deals-finder:queue-rules';
+// New items are never planned sooner than this, to leave time to review them
+const LEAD_TIME_MS = 15 * 60 * 1000;
+
+const loadRules = () => {
+  try {
+    return { ...DEFAULT_QUEUE_RULES, ...JSON.parse(window.localStorage.getItem(RULES_STORAGE_KEY) || '{}') };
+  } catch (err) {
+    return DEFAULT_QUEUE_RULES;
+  }
+};
+
+export default function usePostQueue() {
+  const [queue, setQueue] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [rules, setRules] = useState(loadRules);
+  const queueRef = useRef([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPostQueue().then((saved) => {
+      if (cancelled) return;
+      // Anything queued before the saved queue finished loading is kept
+      queueRef.current = [...saved, ...queueRef.current];
+      setQueue(queueRef.current);
+      setLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    queueRef.current = queue;
+    if (loaded) persistPostQueue(queue);
+  }, [queue, loaded]);
+
+  useEffect(() => {
+    window.localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+  }, [rules]);
+
+  const addToQueue = useCallback(
+    (fields) => {
+      const draft = createQueueItem(fields);
+      const item = {
+        ...draft,
+        plannedAt: fields.plannedAt || nextFreeSlot(queueRef.current, draft, Date.now() + LEAD_TIME_MS, rules),
+      };
+      queueRef.current = [...queueRef.current, item];
+      setQueue(queueRef.current);
+      return item;
+    },
+    [rules]
+  );
+
+  const updateQueueItem = useCallback((id, patch) => {
+    setQueue((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
+
+  const removeQueueItem = useCallback((id) => {
+    setQueue((prev) => prev.filter((item) => item.id !== id));
+  }, []);
+
+  return { queue, rules, setRules, addToQueue, updateQueueItem, removeQueueItem };
+}
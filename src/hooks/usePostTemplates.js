@@ -0,0 +1,70 @@
+// hooks/usePostTemplates.js - Built-in plus custom templates and which one each flow uses
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { BUILTIN_TEMPLATES, DEFAULT_ACTIVE_TEMPLATES } from '../posts/postTemplates';
+import { loadTemplateSettings, saveTemplateSettings } from '../storage/templateStore';
+
+export default function usePostTemplates() {
+  const [settings, setSettings] = useState(loadTemplateSettings);
+
+  useEffect(() => {
+    saveTemplateSettings(settings);
+  }, [settings]);
+
+  const templates = useMemo(() => [...BUILTIN_TEMPLATES, ...settings.templates], [settings.templates]);
+
+  const getActiveTemplate = useCallback(
+    (kind) =>
+      templates.find((t) => t.id === settings.active[kind]) ||
+      BUILTIN_TEMPLATES.find((t) => t.id === DEFAULT_ACTIVE_TEMPLATES[kind]),
+    [templates, settings.active]
+  );
+
+  const saveTemplate = useCallback((template) => {
+    setSettings((prev) => {
+      const exists = prev.templates.some((t) => t.id === template.id);
+      return {
+        ...prev,
+        templates: exists
+          ? prev.templates.map((t) => (t.id === template.id ? template : t))
+          : [...prev.templates, template],
+      };
+    });
+  }, []);
+
+  const deleteTemplate = useCallback((id) => {
+    setSettings((prev) => {
+      const active = { ...prev.active };
+      Object.keys(active).forEach((kind) => {
+        if (active[kind] === id) active[kind] = DEFAULT_ACTIVE_TEMPLATES[kind];
+      });
+      return { templates: prev.templates.filter((t) => t.id !== id), active };
+    });
+  }, []);
+
+  const importTemplates = useCallback((imported) => {
+    setSettings((prev) => {
+      const byId = new Map(prev.templates.map((t) => [t.id, t]));
+      imported.forEach((t) => {
+        // Imports never shadow the built-ins
+        const id = BUILTIN_TEMPLATES.some((b) => b.id === t.id) ? `${t.id}-imported` : t.id;
+        byId.set(id, { ...t, id });
+      });
+      return { ...prev, templates: [...byId.values()] };
+    });
+  }, []);
+
+  const setActiveTemplate = useCallback((kind, id) => {
+    setSettings((prev) => ({ ...prev, active: { ...prev.active, [kind]: id } }));
+  }, []);
+
+  return {
+    templates,
+    customTemplates: settings.templates,
+    active: settings.active,
+    getActiveTemplate,
+    saveTemplate,
+    deleteTemplate,
+    importTemplates,
+    setActiveTemplate,
+  };
+}
@@ -0,0 +1,105 @@
+// hooks/usePosting.js - Everything a post passes through on its way out: the compliance and
+// repost checks, the clipboard, share links, the queue and the posting log
+import { useMemo, useState } from 'react';
+import usePostQueue from './usePostQueue';
+import usePostingHistory from './usePostingHistory';
+import { lintPost } from '../posts/compliance';
+import { buildShareUrl, sharedPostText } from '../posts/shareTargets';
+import { dealLink } from '../utils/deals';
+import { recentPostingsOf, latestPostingByAsin, formatAgo, postingNetworkLabel } from '../utils/dealLifecycle';
+
+// `announce` reports results (useAnnouncer); `onDealPosted(dealId, posting)` attaches a
+// posting to its deal on the board
+export default function usePosting({ announce, onDealPosted }) {
+  const queue = usePostQueue();
+  const postingHistory = usePostingHistory();
+  const lastPostings = useMemo(() => latestPostingByAsin(postingHistory.history), [postingHistory.history]);
+  // The network new posts are checked and queued for
+  const [network, setNetwork] = useState('facebook');
+
+  // Warnings only show inline; errors have to be confirmed before a post leaves the app
+  const confirmCompliant = (issues) => {
+    const errors = issues.filter((i) => i.severity === 'error');
+    if (errors.length === 0) return true;
+    return window.confirm(
+      `⛔ This post has ${errors.length} compliance ${errors.length === 1 ? 'problem' : 'problems'}:\n\n` +
+        `${errors.map((e) => `• ${e.message}`).join('\n')}\n\nUse it anyway?`
+    );
+  };
+
+  // Posting the same product again within the queue's duplicate window needs a second look
+  const confirmNotRecentlyPosted = (asin) => {
+    const days = queue.rules.duplicateAsinDays;
+    const recent = recentPostingsOf(postingHistory.history, asin, days);
+    if (recent.length === 0) return true;
+    const [last] = recent;
+    const times = recent.length === 1 ? 'once' : `${recent.length} times`;
+    return window.confirm(
+      `⚠️ This product was already posted ${times} in the last ${days} days, ` +
+        `most recently ${formatAgo(last.at)} on ${postingNetworkLabel(last.network)}.\n\nPost it again?`
+    );
+  };
+
+  const confirmPost = (asin, issues) => confirmNotRecentlyPosted(asin) && confirmCompliant(issues);
+
+  // Checks the text the target receives: trimmed to its limit, or only a headline on Reddit
+  const lintSharedPost = (targetId, shareData, context) =>
+    lintPost(sharedPostText(targetId, shareData), context, { network: targetId });
+
+  // Resolves to the text once it is on the clipboard, or null when the browser refused it
+  const copy = async (text) => {
+    const cleanText = text
+      .replace(/\r\n/g, '\n')
+      .replace(/\r/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/[\u200B-\u200D\uFEFF]/g, '')
+      .trim();
+    try {
+      await navigator.clipboard.writeText(cleanText);
+    } catch (err) {
+      announce(`Could not copy to the clipboard: ${err.message}`, 'error');
+      return null;
+    }
+    announce('Copied to clipboard', 'success');
+    return cleanText;
+  };
+
+  // Returns the text that went out, or null when the target can't take this post
+  const openShareUrl = (targetId, shareData) => {
+    const shareUrl = buildShareUrl(targetId, shareData);
+    if (!shareUrl) return null;
+    window.open(shareUrl, '_blank', 'noopener,noreferrer');
+    return sharedPostText(targetId, shareData);
+  };
+
+  // Deals on the board keep their postings; external posts only go into the log
+  const recordDealPosting = (deal, postedTo, text) => {
+    if (!text) return;
+    const posting = postingHistory.recordPosting({ asin: deal.asin, title: deal.title, network: postedTo, text, url: dealLink(deal) });
+    onDealPosted(deal.id, posting);
+  };
+
+  const recordExternalPosting = (meta, url, postedTo, text) => {
+    if (!text) return;
+    postingHistory.recordPosting({ asin: meta.asin, title: meta.title || url, network: postedTo, text, url });
+  };
+
+  const queuePost = (fields) => {
+    const item = queue.addToQueue({ ...fields, network });
+    announce(`Queued for ${new Date(item.plannedAt).toLocaleString()}`, 'success');
+  };
+
+  return {
+    queue,
+    lastPostings,
+    network,
+    setNetwork,
+    confirmPost,
+    lintSharedPost,
+    copy,
+    openShareUrl,
+    recordDealPosting,
+    recordExternalPosting,
+    queuePost,
+  };
+}
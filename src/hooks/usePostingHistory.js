@@ -0,0 +1,39 @@
+// hooks/usePostingHistory.js - The posting log, used to warn before posting a product again
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadPostingHistory, persistPostingHistory } from '../storage/postingHistory';
+import { appendPosting, createPosting } from '../utils/dealLifecycle';
+
+export default function usePostingHistory() {
+  const [history, setHistory] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const historyRef = useRef([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPostingHistory().then((saved) => {
+      if (cancelled) return;
+      // Anything posted before the saved log finished loading is kept
+      historyRef.current = historyRef.current.reduce(appendPosting, saved);
+      setHistory(historyRef.current);
+      setLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    historyRef.current = history;
+    if (loaded) persistPostingHistory(history);
+  }, [history, loaded]);
+
+  // Returns the new posting so the caller can attach it to the deal too
+  const recordPosting = useCallback((fields) => {
+    const posting = createPosting(fields);
+    historyRef.current = appendPosting(historyRef.current, posting);
+    setHistory(historyRef.current);
+    return posting;
+  }, []);
+
+  return { history, recordPosting };
+}
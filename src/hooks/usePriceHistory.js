@@ -0,0 +1,49 @@
+// hooks/usePriceHistory.js - In-memory price history backed by IndexedDB
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadPriceHistory, savePricePoints } from '../storage/priceHistoryStore';
+import { appendPricePoint, pricePointFromDeal, priceHistoryKey } from '../utils/priceHistory';
+
+export default function usePriceHistory() {
+  const [history, setHistory] = useState({});
+  const historyRef = useRef({});
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPriceHistory().then((loaded) => {
+      if (cancelled) return;
+      // Keep anything recorded while the saved history was still loading
+      const merged = { ...loaded };
+      Object.entries(historyRef.current).forEach(([key, points]) => {
+        merged[key] = [...(loaded[key] || []), ...points].sort((a, b) => a.t - b.t);
+      });
+      historyRef.current = merged;
+      setHistory(merged);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // `marketplace` applies to deals that don't carry their own
+  const recordDeals = useCallback((deals, marketplace) => {
+    const t = Date.now();
+    const next = { ...historyRef.current };
+    const changed = [];
+    deals.forEach((deal) => {
+      const key = priceHistoryKey(deal, deal.marketplace || marketplace);
+      if (!key) return;
+      const before = next[key];
+      const after = appendPricePoint(before, pricePointFromDeal(deal, t));
+      if (after !== before) {
+        next[key] = after;
+        changed.push(key);
+      }
+    });
+    if (changed.length === 0) return;
+    historyRef.current = next;
+    setHistory(next);
+    changed.forEach((key) => savePricePoints(key, next[key]));
+  }, []);
+
+  return [history, recordDeals];
+}
@@ -0,0 +1,60 @@
+// hooks/useQuotaBudget.js - Polls the monitor stats and turns them into a request budget
+import { useCallback, useEffect, useState } from 'react';
+import { assessBudget, addStatsSample, normalizeBudgetSettings } from '../utils/quotaBudget';
+
+const SETTINGS_STORAGE_KEY = 'amazon-deals-finder:quota-budget';
+const POLL_INTERVAL_MS = 60000;
+
+const loadSettings = () => {
+  try {
+    return normalizeBudgetSettings(JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}'));
+  } catch (err) {
+    return normalizeBudgetSettings();
+  }
+};
+
+// `status` is 'loading' until the first answer, then 'ready', or 'unavailable' when the
+// backend has no stats to give (the budget then never blocks anything). `error` is the
+// last failed poll, cleared by the next good one. `blocked` is true when automatic
+// requests should wait; `override` lifts that until the page is reloaded.
+export default function useQuotaBudget(fetchStats) {
+  const [stats, setStats] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState('');
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [samples, setSamples] = useState([]);
+  const [settings, setSettingsState] = useState(loadSettings);
+  const [override, setOverride] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await fetchStats();
+      setStats(data);
+      setSamples((prev) => addStatsSample(prev, data));
+      setStatus('ready');
+      setError('');
+      setUpdatedAt(Date.now());
+    } catch (err) {
+      console.error('Failed to fetch monitor stats:', err);
+      setError(err.message);
+      setStatus((prev) => (prev === 'loading' ? 'unavailable' : prev));
+    }
+  }, [fetchStats]);
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [refresh]);
+
+  const setSettings = useCallback((raw) => {
+    const next = normalizeBudgetSettings(raw);
+    setSettingsState(next);
+    window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(next));
+  }, []);
+
+  const budget = stats ? assessBudget(stats, { settings, samples }) : null;
+  const blocked = Boolean(budget) && budget.level === 'block' && !override;
+
+  return { stats, status, error, updatedAt, budget, blocked, settings, setSettings, override, setOverride, refresh };
+}
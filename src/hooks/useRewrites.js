@@ -0,0 +1,159 @@
+// hooks/useRewrites.js - Streams AI rewrites into the rewrites store, one at a time or as a batch
+import { useEffect, useReducer, useRef } from 'react';
+import api, { isAbortError } from '../api/client';
+import { pickVariantModels } from '../posts/rewriteOptions';
+import { buildRewriteFacts, checkRewrite } from '../posts/rewriteFacts';
+import { mapWithConcurrency } from '../utils/concurrency';
+import {
+  initialRewritesState,
+  rewritesReducer,
+  rewriteStarted,
+  variantToken,
+  variantUpdated,
+  rewriteFinished,
+  statusReset,
+  variantsDropped,
+  compareOpened,
+  compareClosed,
+  batchStarted,
+  batchItemSettled,
+  batchFinished,
+  selectIsRewriting,
+} from '../store/rewritesStore';
+
+// The free AI models throttle hard, so batch rewrites go a few at a time
+const BATCH_CONCURRENCY = 3;
+// How long a finished card shows its result before going back to 'Ready'
+const STATUS_MS = 3000;
+
+// `model` and `options` are the current AI settings; `announce` reports results (useAnnouncer)
+export default function useRewrites({ model, options, announce }) {
+  const [state, dispatch] = useReducer(rewritesReducer, initialRewritesState);
+  const abortRef = useRef({});
+  const timersRef = useRef(new Set());
+
+  // Nothing streams into, or resets, a board that is gone
+  useEffect(() => {
+    const timers = timersRef.current;
+    const controllers = abortRef.current;
+    return () => {
+      timers.forEach(clearTimeout);
+      Object.keys(controllers).forEach((id) => {
+        controllers[id].abort();
+        delete controllers[id];
+      });
+    };
+  }, []);
+
+  const stop = (id) => {
+    if (abortRef.current[id]) abortRef.current[id].abort();
+  };
+
+  const discard = (id) => {
+    stop(id);
+    dispatch(variantsDropped(id));
+  };
+
+  // Streams one variant per model into variants[id]. The post goes out with its facts and
+  // every answer is checked against them. A single variant is saved straight away; several
+  // open the comparison so the user picks the winner. Resolves to whether any variant came back.
+  // `label` names the post in announcements; `quiet` leaves them to the caller (batch rewrites).
+  // A run replaced by a newer one on the same id leaves the card to that run.
+  const rewrite = async (id, { text, context, save, label, quiet = false, variantCount = options.variants }) => {
+    stop(id);
+    const controller = new AbortController();
+    abortRef.current[id] = controller;
+
+    const stamp = Date.now().toString(36);
+    const variants = pickVariantModels(model, variantCount).map((m, i) => ({
+      id: `${stamp}-${i}`,
+      model: m,
+      text: '',
+      status: 'streaming',
+      error: '',
+      problems: [],
+    }));
+    dispatch(rewriteStarted(id, variants));
+
+    const { tone, length, emojiDensity } = options;
+    const facts = buildRewriteFacts(context);
+    const results = await Promise.allSettled(
+      variants.map(async (v) => {
+        try {
+          const rewritten = await api.rewriteStream(
+            { text, model: v.model, options: { tone, length, emojiDensity }, facts },
+            { signal: controller.signal, onToken: (token) => dispatch(variantToken(id, v.id, token)) }
+          );
+          const problems = checkRewrite(rewritten, context);
+          dispatch(variantUpdated(id, v.id, { text: rewritten, status: 'done', problems }));
+          return { text: rewritten, problems };
+        } catch (err) {
+          dispatch(
+            variantUpdated(id, v.id, isAbortError(err) ? { status: 'stopped' } : { status: 'error', error: err.message })
+          );
+          throw err;
+        }
+      })
+    );
+    if (abortRef.current[id] !== controller) return false;
+    delete abortRef.current[id];
+
+    const finished = results.filter((r) => r.status === 'fulfilled').map((r) => r.value);
+    const failure = results.find((r) => r.status === 'rejected' && !isAbortError(r.reason));
+    if (variants.length === 1 && finished.length === 1) {
+      save(finished[0].text);
+      dispatch(variantsDropped(id));
+    }
+    let status = failure ? 'Error ❌' : 'Stopped ⏹️';
+    if (finished.length) status = finished.some((f) => f.problems.length === 0) ? 'Done ✅' : 'Check ⚠️';
+    dispatch(rewriteFinished(id, status));
+    if (!quiet) {
+      if (!finished.length && failure) {
+        announce(`Rewrite of ${label} failed: ${failure.reason.message}`, 'error');
+      } else if (variants.length > 1 && finished.length) {
+        announce(`${finished.length} rewrites of ${label} are ready to compare`, 'success');
+      } else if (finished.length === 1 && finished[0].problems.length) {
+        announce(`Check the rewrite of ${label} before posting:\n- ${finished[0].problems.join('\n- ')}`, 'warning');
+      } else if (finished.length === 1) {
+        announce(`Rewrite of ${label} saved`, 'success');
+      }
+    }
+    const timer = setTimeout(() => {
+      timersRef.current.delete(timer);
+      dispatch(statusReset(id));
+    }, STATUS_MS);
+    timersRef.current.add(timer);
+    return finished.length > 0;
+  };
+
+  // `jobs` are { id, text, context, save, label }, one variant each. Progress is counted
+  // from the results, not the card statuses, which go back to 'Ready' after a few seconds.
+  const rewriteAll = async (jobs) => {
+    if (jobs.length === 0) return;
+    dispatch(batchStarted(jobs.map((j) => j.id)));
+    const results = await mapWithConcurrency(
+      jobs,
+      BATCH_CONCURRENCY,
+      ({ id, ...job }) => rewrite(id, { ...job, quiet: true, variantCount: 1 }),
+      (r) => dispatch(batchItemSettled(r.ok && r.value))
+    );
+    dispatch(batchFinished());
+    const failed = results.filter((r) => !r.ok || !r.value).length;
+    if (failed) announce(`Rewrote ${jobs.length - failed} of ${jobs.length} deals — ${failed} failed`, 'warning');
+    else announce(`Rewrote ${jobs.length} deals`, 'success');
+  };
+
+  return {
+    statuses: state.statuses,
+    variants: state.variants,
+    compareId: state.compareId,
+    batch: state.batch,
+    isRewriting: (id) => selectIsRewriting(state, id),
+    rewrite,
+    rewriteAll,
+    stop,
+    discard,
+    openCompare: (id) => dispatch(compareOpened(id)),
+    closeCompare: () => dispatch(compareClosed()),
+  };
+}
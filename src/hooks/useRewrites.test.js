@@ -0,0 +1,50 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import useRewrites from './useRewrites';
+
+const options = { tone: 'excited', length: 'medium', emojiDensity: 'light', variants: 1 };
+
+// Each rewrite waits until the test answers it, or rejects once it is aborted
+const pending = [];
+beforeEach(() => {
+  pending.length = 0;
+  window.fetch = (url, { signal }) =>
+    new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      pending.push((rewritten) =>
+        resolve({
+          ok: true,
+          status: 200,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ success: true, rewritten }),
+        })
+      );
+    });
+});
+
+const job = (save) => ({ text: 'Deal!', context: {}, save, label: 'the deal' });
+
+test('a rewrite replaced by a newer one leaves the card to the newer run, and a stopped one says so', async () => {
+  const announce = jest.fn();
+  const save = jest.fn();
+  const { result } = renderHook(() => useRewrites({ model: 'm', options, announce }));
+
+  let first;
+  act(() => {
+    first = result.current.rewrite(1, job(save));
+  });
+  await waitFor(() => expect(pending).toHaveLength(1));
+  let second;
+  act(() => {
+    second = result.current.rewrite(1, job(save));
+  });
+  await act(async () => expect(await first).toBe(false));
+  expect(result.current.statuses[1]).toBe('Processing…');
+  expect(result.current.isRewriting(1)).toBe(true);
+
+  await waitFor(() => expect(pending).toHaveLength(2));
+  act(() => result.current.stop(1));
+  await act(async () => expect(await second).toBe(false));
+  expect(result.current.statuses[1]).toBe('Stopped ⏹️');
+  expect(save).not.toHaveBeenCalled();
+  expect(announce).not.toHaveBeenCalled();
+});
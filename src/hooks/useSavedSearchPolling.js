@@ -0,0 +1,25 @@
+// hooks/useSavedSearchPolling.js - One interval timer per enabled saved search
+import { useEffect, useRef } from 'react';
+
+export default function useSavedSearchPolling(searches, runSearch) {
+  const runRef = useRef(runSearch);
+  useEffect(() => {
+    runRef.current = runSearch;
+  }, [runSearch]);
+
+  // Timers only restart when the set of enabled searches or their intervals change,
+  // not every time a check writes its results back.
+  const schedule = searches
+    .filter((s) => s.enabled)
+    .map((s) => `${s.id}:${s.intervalMinutes}`)
+    .join('|');
+
+  useEffect(() => {
+    if (!schedule) return;
+    const timers = schedule.split('|').map((entry) => {
+      const [id, minutes] = entry.split(':');
+      return setInterval(() => runRef.current(id), Number(minutes) * 60000);
+    });
+    return () => timers.forEach((t) => clearInterval(t));
+  }, [schedule]);
+}
@@ -0,0 +1,106 @@
+// hooks/useSavedSearches.js - Saved searches: stored, checked on their interval and diffed per check
+import { useCallback, useEffect, useRef, useState } from 'react';
+import api from '../api/client';
+import useSavedSearchPolling from './useSavedSearchPolling';
+import { createSavedSearch, loadSavedSearches, persistSavedSearches, MAX_CHANGE_ENTRIES } from '../storage/savedSearches';
+import { snapshotResults, diffSnapshots } from '../utils/searchDiff';
+import { getDealCode } from '../utils/deals';
+import { DEFAULT_MARKETPLACE } from '../utils/marketplaces';
+
+const updateById = (searches, id, update) => searches.map((s) => (s.id === id ? update(s) : s));
+
+// `onChecked(results, checkedAt)` gets every successful check's deals. While `paused` (the
+// request quota is nearly spent) background checks wait; "Check now" still works.
+export default function useSavedSearches({ pageSize, debugPromotions, recordPrices, onChecked, paused }) {
+  const [searches, setSearches] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [checkingIds, setCheckingIds] = useState([]);
+  const searchesRef = useRef([]);
+  const onCheckedRef = useRef(onChecked);
+  const pausedRef = useRef(paused);
+
+  useEffect(() => {
+    onCheckedRef.current = onChecked;
+    pausedRef.current = paused;
+  }, [onChecked, paused]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSavedSearches().then((saved) => {
+      if (cancelled) return;
+      setSearches(saved);
+      setLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    searchesRef.current = searches;
+    if (loaded) persistSavedSearches(searches);
+  }, [loaded, searches]);
+
+  const runSearch = useCallback(
+    async (searchId) => {
+      const search = searchesRef.current.find((s) => s.id === searchId);
+      if (!search) return;
+      setCheckingIds((prev) => [...prev, searchId]);
+      try {
+        const marketplace = search.marketplace || DEFAULT_MARKETPLACE;
+        const data = await api.search({
+          keyword: search.keyword,
+          minDiscount: search.minDiscount,
+          page: 1,
+          pageSize,
+          debugPromotions: debugPromotions === true,
+          marketplace,
+        });
+
+        recordPrices(data.deals, marketplace);
+        const results = data.deals
+          .filter((d) => !search.couponOnly || getDealCode(d))
+          .map((d) => ({ ...d, marketplace: d.marketplace || marketplace }));
+        const checkedAt = Date.now();
+        const snapshot = snapshotResults(results);
+        const change = { checkedAt, ...diffSnapshots(search.snapshot, snapshot) };
+        setSearches((prev) => updateById(prev, searchId, (s) => ({
+          ...s,
+          snapshot,
+          lastCheckedAt: checkedAt,
+          lastError: '',
+          changes: [change, ...s.changes].slice(0, MAX_CHANGE_ENTRIES),
+        })));
+        onCheckedRef.current(results, checkedAt);
+      } catch (err) {
+        setSearches((prev) => updateById(prev, searchId, (s) => ({ ...s, lastCheckedAt: Date.now(), lastError: err.message })));
+      }
+      setCheckingIds((prev) => prev.filter((id) => id !== searchId));
+    },
+    [pageSize, debugPromotions, recordPrices]
+  );
+
+  const pollSearch = useCallback(
+    (id) => {
+      if (!pausedRef.current) runSearch(id);
+    },
+    [runSearch]
+  );
+  useSavedSearchPolling(searches, pollSearch);
+
+  const addSearch = (fields) => {
+    const search = createSavedSearch(fields);
+    searchesRef.current = [...searchesRef.current, search];
+    setSearches((prev) => [...prev, search]);
+    runSearch(search.id);
+  };
+
+  return {
+    searches,
+    checkingIds,
+    addSearch,
+    runSearch,
+    toggleSearch: (id) => setSearches((prev) => updateById(prev, id, (s) => ({ ...s, enabled: !s.enabled }))),
+    deleteSearch: (id) => setSearches((prev) => prev.filter((s) => s.id !== id)),
+  };
+}
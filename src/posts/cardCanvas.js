@@ -0,0 +1,141 @@
+// posts/cardCanvas.js - Paints an image card scene (see imageCards.js) onto a canvas
+import { wrapText } from './imageCards';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+
+// Product photos are loaded with CORS so the canvas stays exportable; a photo the CDN
+// won't share resolves to null and the card is drawn without it.
+export const loadImage = (src) =>
+  new Promise((resolve) => {
+    if (!src) {
+      resolve(null);
+      return;
+    }
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+
+const roundedRect = (ctx, x, y, w, h, r) => {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+};
+
+const drawImageContained = (ctx, img, { x, y, w, h }) => {
+  const scale = Math.min(w / img.width, h / img.height);
+  const dw = img.width * scale;
+  const dh = img.height * scale;
+  ctx.drawImage(img, x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+};
+
+// Left edge of a line of text drawn at el.x with el.align
+const leftEdge = (el, width) => {
+  if (el.align === 'center') return el.x - width / 2;
+  if (el.align === 'right') return el.x - width;
+  return el.x;
+};
+
+const drawText = (ctx, el) => {
+  let size = el.size;
+  const setFont = () => {
+    ctx.font = `${el.weight || 'normal'} ${size}px ${FONT_FAMILY}`;
+  };
+  setFont();
+  // Single-line fields shrink to fit instead of being cut off
+  if (el.maxLines === 1 && el.maxWidth) {
+    while (size > 10 && ctx.measureText(el.text).width > el.maxWidth) {
+      size -= 2;
+      setFont();
+    }
+  }
+  const lines = el.maxWidth && el.maxLines > 1
+    ? wrapText(el.text, el.maxWidth, el.maxLines, (t) => ctx.measureText(t).width)
+    : [el.text];
+  const lineHeight = size * (el.lineHeight || 1.2);
+
+  ctx.save();
+  ctx.globalAlpha = el.opacity === undefined ? 1 : el.opacity;
+  ctx.textAlign = el.align || 'left';
+  ctx.textBaseline = 'top';
+
+  if (el.box) {
+    const width = ctx.measureText(el.text).width;
+    const left = leftEdge(el, width);
+    const p = el.box.padding;
+    roundedRect(ctx, left - p * 2, el.y - p, width + p * 4, size + p * 2, p);
+    ctx.fillStyle = el.box.fill;
+    ctx.fill();
+    if (el.box.dashed) {
+      ctx.setLineDash([p, p / 2]);
+      ctx.lineWidth = Math.max(2, p / 3);
+      ctx.strokeStyle = el.box.dashed;
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+
+  ctx.fillStyle = el.color;
+  lines.forEach((line, i) => {
+    const y = el.y + i * lineHeight;
+    ctx.fillText(line, el.x, y);
+    if (el.strike) {
+      const width = ctx.measureText(line).width;
+      ctx.fillRect(leftEdge(el, width), y + size * 0.5, width, Math.max(2, size / 12));
+    }
+  });
+  ctx.restore();
+};
+
+export const drawCardScene = (ctx, scene, images = {}) => {
+  scene.forEach((el) => {
+    switch (el.type) {
+      case 'gradient': {
+        const gradient = ctx.createLinearGradient(el.x, el.y, el.x + el.w, el.y + el.h);
+        gradient.addColorStop(0, el.from);
+        gradient.addColorStop(1, el.to);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(el.x, el.y, el.w, el.h);
+        break;
+      }
+      case 'rect':
+        roundedRect(ctx, el.x, el.y, el.w, el.h, el.radius || 0);
+        ctx.fillStyle = el.fill;
+        ctx.fill();
+        break;
+      case 'circle':
+        ctx.beginPath();
+        ctx.arc(el.cx, el.cy, el.r, 0, Math.PI * 2);
+        ctx.fillStyle = el.fill;
+        ctx.fill();
+        break;
+      case 'image':
+        if (images[el.src]) drawImageContained(ctx, images[el.src], el);
+        break;
+      case 'text':
+        drawText(ctx, el);
+        break;
+      default:
+        break;
+    }
+  });
+};
+
+// Sizes the canvas to the layout and draws the card; `images` maps image src to a loaded image
+export const paintCard = (canvas, layout, scene, images = {}) => {
+  canvas.width = layout.width;
+  canvas.height = layout.height;
+  const ctx = canvas.getContext('2d');
+  if (ctx) drawCardScene(ctx, scene, images);
+};
+
+export const canvasToPng = (canvas) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not export the image'))), 'image/png');
+  });
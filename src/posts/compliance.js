@@ -0,0 +1,190 @@
+// posts/compliance.js - Rule-based checks a post must pass before it is copied or shared
+//
+// lintPost() takes the post text and the template context it was written for (see
+// buildDealContext / buildExternalContext), so the checks know the real prices, code
+// and the marketplace's disclosure and disclaimer wording.
+import { DISCLOSURE_TAGS, parseAmount } from '../utils/marketplaces';
+import { SHARE_TARGETS, measurePost } from './shareTargets';
+
+export const DEFAULT_BANNED_WORDS = [
+  'guaranteed',
+  'risk-free',
+  'free money',
+  'lowest price ever',
+  'best price ever',
+  'miracle',
+  'cure',
+];
+
+const parseWordList = (raw) =>
+  String(raw || '')
+    .split(',')
+    .map((w) => w.trim().toLowerCase())
+    .filter(Boolean);
+
+// REACT_APP_BANNED_WORDS adds to the defaults, e.g. "clearance,last chance"
+export const BANNED_WORDS = [...DEFAULT_BANNED_WORDS, ...parseWordList(process.env.REACT_APP_BANNED_WORDS)];
+
+const SPACE = '\\s?';
+const AMOUNT = '\\d(?:[\\d.,\\u00a0\\u202f]*\\d)?';
+const MONEY_RE = new RegExp(
+  `(?:(?:US\\$|CA?\\$|\\$|£|€|₹|Rs\\.?)${SPACE}(${AMOUNT}))|(?:(${AMOUNT})${SPACE}(?:€|£|\\$|EUR|GBP|USD))`,
+  'g'
+);
+const PERCENT_RE = /(\d{1,3}(?:[.,]\d+)?)\s?%/g;
+const CODE_RE = /(?:[Cc]ode|[Cc]oupon|[Gg]utscheincode)\s*:?\s*([A-Z0-9][A-Z0-9-]{2,})\b/g;
+const DISCOUNT_AFTER = /^.{0,12}(off|rabatt|discount|günstiger|reduziert)/i;
+const DISCOUNT_BEFORE = /(save|spare|spar|minus|-)\s*$/i;
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Puts a line above a trailing hashtag line, or at the end when there is none
+const insertBeforeHashtags = (text, line) => {
+  const lines = text.replace(/\s+$/, '').split('\n');
+  const last = lines[lines.length - 1];
+  if (lines.length > 1 && /^\s*(#[\p{L}\p{N}_]+\s*)+$/u.test(last)) {
+    return [...lines.slice(0, -1), line, last].join('\n');
+  }
+  return `${lines.join('\n')}\n\n${line}`;
+};
+
+const checkDisclosure = (text, context) => {
+  const tags = new Set([...DISCLOSURE_TAGS, String(context.disclosure || '').toLowerCase()]);
+  const found = (text.match(/#[\p{L}\p{N}_]+/gu) || []).some((tag) => tags.has(tag.toLowerCase()));
+  if (found) return [];
+  return [{
+    rule: 'disclosure',
+    severity: 'error',
+    message: `Missing the ad disclosure (${context.disclosure || '#ad'})`,
+    fix: (t) => `${context.disclosure || '#ad'} ${t.replace(/^\s+/, '')}`,
+  }];
+};
+
+const checkDisclaimer = (text, context) => {
+  if (!context.disclaimer || text.toLowerCase().includes(context.disclaimer.toLowerCase())) return [];
+  return [{
+    rule: 'disclaimer',
+    severity: 'warning',
+    message: `Missing “${context.disclaimer}”`,
+    fix: (t) => insertBeforeHashtags(t, `⚡${context.disclaimer}`),
+  }];
+};
+
+const checkPrices = (text, context) => {
+  const known = [context.currentPrice, context.originalPrice, context.savings]
+    .map(toNumber)
+    .filter(Number.isFinite);
+  if (known.length === 0) return [];
+  const issues = [];
+  for (const match of text.matchAll(MONEY_RE)) {
+    const amount = parseAmount(match[1] || match[2]);
+    if (Number.isFinite(amount) && !known.some((k) => Math.abs(k - amount) < 0.01)) {
+      issues.push({
+        rule: 'price',
+        severity: 'error',
+        message: `“${match[0].trim()}” doesn't match the deal's prices`,
+        fix: null,
+      });
+    }
+  }
+  return issues;
+};
+
+const checkDiscounts = (text, context) => {
+  const discount = toNumber(context.discount);
+  if (!Number.isFinite(discount)) return [];
+  const issues = [];
+  for (const match of text.matchAll(PERCENT_RE)) {
+    const before = text.slice(Math.max(0, match.index - 12), match.index);
+    const after = text.slice(match.index + match[0].length);
+    if (!DISCOUNT_AFTER.test(after) && !DISCOUNT_BEFORE.test(before)) continue;
+    const claimed = parseAmount(match[1]);
+    if (Math.abs(claimed - discount) >= 1) {
+      const wrong = match[0];
+      issues.push({
+        rule: 'discount',
+        severity: 'error',
+        message: `Claims ${wrong.trim()} off but the deal is ${discount}% off`,
+        fix: (t) => t.replace(wrong, `${discount}%`),
+      });
+    }
+  }
+  return issues;
+};
+
+const checkCoupon = (text, context) => {
+  const code = String(context.code || '');
+  const mentioned = [...text.matchAll(CODE_RE)].map((m) => m[1]);
+  const wrong = mentioned.filter((m) => m.toUpperCase() !== code.toUpperCase());
+  if (!code) {
+    return wrong.map((m) => ({
+      rule: 'coupon',
+      severity: 'error',
+      message: `Mentions code ${m} but this deal has no coupon code`,
+      fix: null,
+    }));
+  }
+  const issues = wrong.map((m) => ({
+    rule: 'coupon',
+    severity: 'error',
+    message: `Code ${m} should be ${code}`,
+    fix: (t) => t.replace(new RegExp(`\\b${escapeRegExp(m)}\\b`, 'g'), code),
+  }));
+  if (mentioned.length === 0 && !text.includes(code)) {
+    issues.push({
+      rule: 'coupon',
+      severity: 'warning',
+      message: `Doesn't mention the coupon code ${code}`,
+      fix: (t) => insertBeforeHashtags(t, `${context.useCode || 'Use code'}: ${code}`),
+    });
+  }
+  return issues;
+};
+
+const checkBannedWords = (text, bannedWords) => {
+  const lower = text.toLowerCase();
+  return bannedWords
+    .filter((word) => new RegExp(`(^|[^\\p{L}])${escapeRegExp(word)}($|[^\\p{L}])`, 'u').test(lower))
+    .map((word) => ({
+      rule: 'banned-word',
+      severity: 'warning',
+      message: `Avoid “${word}”`,
+      fix: null,
+    }));
+};
+
+const checkLength = (text, context, network) => {
+  const target = SHARE_TARGETS[network];
+  if (!target) return [];
+  const length = measurePost(target, text, context.url);
+  if (length <= target.maxLength) return [];
+  return [{
+    rule: 'length',
+    severity: 'error',
+    message: `${length}/${target.maxLength} characters — too long for ${target.label}`,
+    fix: null,
+  }];
+};
+
+// Returns [{ rule, severity: 'error' | 'warning', message, fix }]; `fix` is null when
+// there is no safe automatic correction.
+export const lintPost = (text, context, { network, bannedWords = BANNED_WORDS } = {}) => {
+  const post = String(text || '');
+  return [
+    ...checkDisclosure(post, context),
+    ...checkDisclaimer(post, context),
+    ...checkPrices(post, context),
+    ...checkDiscounts(post, context),
+    ...checkCoupon(post, context),
+    ...checkBannedWords(post, bannedWords),
+    ...(network ? checkLength(post, context, network) : []),
+  ];
+};
+
+// Rules that compare the post with the deal's prices and code, which need the deal's context
+export const DEAL_FACT_RULES = ['price', 'discount', 'coupon'];
+
+export const hasErrors = (issues) => issues.some((i) => i.severity === 'error');
+
+export const applyFixes = (text, issues) => issues.reduce((t, issue) => (issue.fix ? issue.fix(t) : t), String(text || ''));
@@ -0,0 +1,97 @@
+import { lintPost, applyFixes, hasErrors } from './compliance';
+import { parseAmount } from '../utils/marketplaces';
+import { BUILTIN_TEMPLATES, buildDealContext } from './postTemplates';
+import { renderTemplate } from './templateEngine';
+
+const deal = {
+  title: 'Echo Dot',
+  url: 'https://www.amazon.com/dp/B09B8V1LZ3',
+  asin: 'B09B8V1LZ3',
+  discount: 40,
+  originalPrice: 49.99,
+  currentPrice: 29.99,
+  rating: 4.7,
+  reviewCount: 1200,
+  couponCode: 'ECHO5',
+};
+const context = buildDealContext(deal);
+const rules = (issues) => issues.map((i) => i.rule);
+
+test('the built-in deal template passes every rule', () => {
+  expect(lintPost(renderTemplate(BUILTIN_TEMPLATES[0].body, context), context, { network: 'x' })).toEqual([]);
+});
+
+test('a missing disclosure is an error that can be fixed', () => {
+  const text = 'Echo Dot 40% OFF, now $29.99. Use code: ECHO5\nPrices may change at any time.';
+  const issues = lintPost(text, context);
+  expect(rules(issues)).toEqual(['disclosure']);
+  expect(hasErrors(issues)).toBe(true);
+  expect(applyFixes(text, issues)).toMatch(/^#ad Echo Dot/);
+});
+
+test('German disclosures count as a disclosure', () => {
+  const text = '#Werbung Echo Dot 40% RABATT, Use code: ECHO5\nPrices may change at any time.';
+  expect(lintPost(text, context)).toEqual([]);
+});
+
+test('flags prices that are not the deal price, list price or savings', () => {
+  const text = '#ad Echo Dot now $19.99 (was $49.99, save $20.00). Use code: ECHO5\nPrices may change at any time.';
+  const issues = lintPost(text, context);
+  expect(rules(issues)).toEqual(['price']);
+  expect(issues[0].message).toMatch('$19.99');
+  expect(issues[0].fix).toBeNull();
+});
+
+test('reads amounts in the marketplace number format', () => {
+  expect(parseAmount('1,299.99')).toBe(1299.99);
+  expect(parseAmount('1.299,99')).toBe(1299.99);
+  expect(parseAmount('19,50')).toBe(19.5);
+  expect(parseAmount('1,29,999')).toBe(129999);
+  expect(parseAmount('1 299')).toBe(1299);
+});
+
+test('a wrong discount percentage is corrected, other percentages are left alone', () => {
+  const text = '#ad 🔥 50% OFF Echo Dot! 100% cotton. Use code: ECHO5\nPrices may change at any time.';
+  const issues = lintPost(text, context);
+  expect(rules(issues)).toEqual(['discount']);
+  expect(applyFixes(text, issues)).toContain('40% OFF');
+  expect(applyFixes(text, issues)).toContain('100% cotton');
+});
+
+test('a different coupon code is replaced with the deal code', () => {
+  const text = '#ad Echo Dot. Use code: SAVE20\nPrices may change at any time.';
+  const issues = lintPost(text, context);
+  expect(rules(issues)).toEqual(['coupon']);
+  expect(applyFixes(text, issues)).toContain('Use code: ECHO5');
+});
+
+test('a code on a deal without one cannot be fixed automatically', () => {
+  const noCode = buildDealContext({ ...deal, couponCode: undefined });
+  const issues = lintPost('#ad Use code: SAVE20\nPrices may change at any time.', noCode);
+  expect(issues).toEqual([expect.objectContaining({ rule: 'coupon', severity: 'error', fix: null })]);
+});
+
+test('a missing disclaimer and code are warnings inserted above the hashtags', () => {
+  const text = '#ad Echo Dot 40% OFF\n#AmazonDeals';
+  const issues = lintPost(text, context);
+  expect(issues.map((i) => [i.rule, i.severity])).toEqual([
+    ['disclaimer', 'warning'],
+    ['coupon', 'warning'],
+  ]);
+  expect(hasErrors(issues)).toBe(false);
+  expect(applyFixes(text, issues)).toBe(
+    '#ad Echo Dot 40% OFF\n⚡Prices may change at any time.\nUse code: ECHO5\n#AmazonDeals'
+  );
+});
+
+test('banned words are matched as whole words', () => {
+  const text = '#ad Guaranteed to impress, not a miracle-worker, just secure. Use code: ECHO5\nPrices may change at any time.';
+  const issues = lintPost(text, context, { bannedWords: ['guaranteed', 'miracle', 'cure'] });
+  expect(issues.map((i) => i.message)).toEqual(['Avoid “guaranteed”', 'Avoid “miracle”']);
+});
+
+test('posts over the network limit are errors', () => {
+  const text = `#ad Use code: ECHO5 Prices may change at any time. ${'x'.repeat(300)}`;
+  expect(rules(lintPost(text, context, { network: 'x' }))).toEqual(['length']);
+  expect(lintPost(text, context, { network: 'telegram' })).toEqual([]);
+});
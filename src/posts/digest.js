@@ -0,0 +1,29 @@
+// posts/digest.js - Several deals rolled into one numbered post
+import { buildDealContext } from './postTemplates';
+import { formatPrice } from '../utils/marketplaces';
+
+// Phrases and hashtags follow the first deal so the post reads in one language;
+// each price keeps its own currency.
+export const buildDigestPost = (deals) => {
+  if (deals.length === 0) return '';
+  const contexts = deals.map(buildDealContext);
+  const head = contexts[0];
+
+  const entries = contexts.map((c, i) => {
+    const price = formatPrice(c.currentPrice, c.marketplace);
+    const details = [
+      price && `✨ ${price}`,
+      c.discount ? `${c.discount}% ${head.off}` : '',
+      c.code ? `${head.useCode}: ${c.code}` : '',
+    ].filter(Boolean);
+    return [`${i + 1}. ${c.title}`, details.length ? `   ${details.join(' · ')}` : '', `   👉 ${c.url}`]
+      .filter(Boolean)
+      .join('\n');
+  });
+
+  return [
+    `${head.disclosure} 🔥 ${head.topDeals} (${deals.length}) 🔥`,
+    ...entries,
+    `⚡${head.disclaimer}\n${head.hashtags}`,
+  ].join('\n\n');
+};
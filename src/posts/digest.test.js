@@ -0,0 +1,34 @@
+import { buildDigestPost } from './digest';
+import { formatPrice } from '../utils/marketplaces';
+
+const deals = [
+  {
+    title: 'Echo Dot',
+    url: 'https://www.amazon.com/dp/B09B8V1LZ3?ref=xyz',
+    asin: 'B09B8V1LZ3',
+    discount: 40,
+    currentPrice: 29.99,
+    couponCode: 'ECHO5',
+  },
+  {
+    title: 'Wasserkocher',
+    url: 'https://www.amazon.de/dp/B0000000K1',
+    marketplace: 'amazon.de',
+    discount: 25,
+    currentPrice: 19.5,
+  },
+];
+
+test('numbers every deal with its own price, code and clean link', () => {
+  const lines = buildDigestPost(deals).split('\n');
+  expect(lines[0]).toBe('#ad 🔥 TOP DEALS (2) 🔥');
+  expect(lines).toContain('1. Echo Dot');
+  expect(lines).toContain('   ✨ $29.99 · 40% OFF · Use code: ECHO5');
+  expect(lines).toContain('   👉 https://www.amazon.com/dp/B09B8V1LZ3');
+  expect(lines).toContain(`   ✨ ${formatPrice(19.5, 'amazon.de')} · 25% OFF`);
+  expect(lines[lines.length - 1]).toBe('#AmazonDeals #AllAboutSavings');
+});
+
+test('an empty selection makes no post', () => {
+  expect(buildDigestPost([])).toBe('');
+});
@@ -0,0 +1,58 @@
+// posts/hashtags.js - Hashtag suggestions for a post, drawn from the product title and category
+import { DISCLOSURE_TAGS } from '../utils/marketplaces';
+
+const HASHTAG_RE = /#[\p{L}\p{N}_]+/gu;
+
+// Words that make poor hashtags on their own (English and German listings)
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'into', 'your', 'you', 'our', 'this', 'that', 'new',
+  'pack', 'set', 'pcs', 'piece', 'pieces', 'size', 'inch', 'black', 'white', 'grey', 'gray',
+  'und', 'mit', 'für', 'der', 'die', 'das', 'von', 'aus', 'ein', 'eine', 'stück', 'schwarz', 'weiß',
+]);
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const words = (text) =>
+  String(text || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// "air fryer" -> "#AirFryer"; null when nothing taggable is left
+export const toHashtag = (text) => {
+  const tag = words(text).map(capitalize).join('');
+  return tag ? `#${tag}` : null;
+};
+
+export const findHashtags = (text) => String(text || '').match(HASHTAG_RE) || [];
+
+// Category tags first (they describe the product best), then the brand (the first word of
+// most listings), then other distinctive title words. Tags already in `text` and
+// disclosure tags are skipped.
+export const suggestHashtags = ({ title, category }, { text = '', limit = 8 } = {}) => {
+  const taken = new Set([...findHashtags(text), ...DISCLOSURE_TAGS].map((t) => t.toLowerCase()));
+  const candidates = [];
+  if (category) candidates.push(toHashtag(category), toHashtag(`${category} deals`));
+  const titleWords = words(title).filter(
+    (w) => w.length >= 3 && !/^\d+$/.test(w) && !STOP_WORDS.has(w.toLowerCase())
+  );
+  candidates.push(...titleWords.map(toHashtag));
+
+  const suggestions = [];
+  for (const tag of candidates) {
+    if (!tag || taken.has(tag.toLowerCase())) continue;
+    taken.add(tag.toLowerCase());
+    suggestions.push(tag);
+    if (suggestions.length >= limit) break;
+  }
+  return suggestions;
+};
+
+// Appends to a trailing hashtag line when the post ends with one, otherwise starts one
+export const addHashtag = (text, tag) => {
+  const body = String(text || '').replace(/\s+$/, '');
+  if (!body) return tag;
+  const lines = body.split('\n');
+  const last = lines[lines.length - 1];
+  if (/^\s*(#[\p{L}\p{N}_]+\s*)+$/u.test(last)) return `${body} ${tag}`;
+  return `${body}\n\n${tag}`;
+};
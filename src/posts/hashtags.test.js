@@ -0,0 +1,31 @@
+import { suggestHashtags, addHashtag, toHashtag } from './hashtags';
+
+test('turns phrases into camel-cased hashtags', () => {
+  expect(toHashtag('air fryer')).toBe('#AirFryer');
+  expect(toHashtag('Küchen-Maschine 5L')).toBe('#KüchenMaschine5L');
+  expect(toHashtag(' - ')).toBeNull();
+});
+
+test('suggests category tags first, then distinctive title words', () => {
+  expect(suggestHashtags({ title: 'Ninja Air Fryer with 4 Quart Basket, Black', category: 'air fryer' })).toEqual([
+    '#AirFryer',
+    '#AirFryerDeals',
+    '#Ninja',
+    '#Air',
+    '#Fryer',
+    '#Quart',
+    '#Basket',
+  ]);
+});
+
+test('skips tags the post already has, disclosures and duplicates', () => {
+  const text = '#ad Great deal\n#Ninja #AmazonDeals';
+  expect(suggestHashtags({ title: 'Ninja ninja Ad Blender' }, { text })).toEqual(['#Blender']);
+  expect(suggestHashtags({ title: 'Echo Dot Smart Speaker' }, { limit: 2 })).toEqual(['#Echo', '#Dot']);
+});
+
+test('adds a tag to the trailing hashtag line or starts one', () => {
+  expect(addHashtag('Deal!\n#AmazonDeals', '#Echo')).toBe('Deal!\n#AmazonDeals #Echo');
+  expect(addHashtag('Deal!\n', '#Echo')).toBe('Deal!\n\n#Echo');
+  expect(addHashtag('', '#Echo')).toBe('#Echo');
+});
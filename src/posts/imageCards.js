@@ -0,0 +1,171 @@
+// posts/imageCards.js - Promo graphics for deals: layouts, card templates and the scene to draw
+//
+// buildCardScene() is pure: it turns a deal context into a list of shapes with pixel
+// positions, which posts/cardCanvas.js paints onto a canvas. Text fields of a card
+// template use the same {{placeholders}} as post templates.
+import { renderTemplate } from './templateEngine';
+
+export const CARD_LAYOUTS = {
+  square: { id: 'square', label: 'Square 1080×1080', width: 1080, height: 1080 },
+  story: { id: 'story', label: 'Story 1080×1920', width: 1080, height: 1920 },
+  pinterest: { id: 'pinterest', label: 'Pinterest 1000×1500', width: 1000, height: 1500 },
+};
+
+export const CARD_TEXT_FIELDS = [
+  { name: 'headline', label: 'Headline' },
+  { name: 'title', label: 'Product title' },
+  { name: 'badge', label: 'Discount badge' },
+  { name: 'wasPrice', label: 'Original price (struck through)' },
+  { name: 'nowPrice', label: 'Current price' },
+  { name: 'code', label: 'Coupon line' },
+  { name: 'watermark', label: 'Brand watermark' },
+];
+
+export const CARD_COLOR_FIELDS = [
+  { name: 'background', label: 'Background' },
+  { name: 'backgroundEnd', label: 'Background (gradient end)' },
+  { name: 'text', label: 'Text' },
+  { name: 'accent', label: 'Badge' },
+  { name: 'price', label: 'Price' },
+];
+
+const SHARED_TEXT = {
+  headline: '🔥 {{dealAlert}}',
+  title: '{{title}}',
+  badge: '{{#if discount}}{{discount}}% {{off}}{{/if}}',
+  wasPrice: '{{originalPrice|currency}}',
+  nowPrice: '{{currentPrice|currency}}',
+  code: '{{#if code}}{{useCode}}: {{code}}{{/if}}',
+  watermark: '@AllAboutSavings',
+};
+
+export const BUILTIN_CARD_TEMPLATES = [
+  {
+    id: 'builtin-card-bold',
+    name: '🟣 Bold gradient',
+    builtin: true,
+    ...SHARED_TEXT,
+    colors: { background: '#667eea', backgroundEnd: '#764ba2', text: '#ffffff', accent: '#ff6b6b', price: '#ffffff' },
+  },
+  {
+    id: 'builtin-card-clean',
+    name: '⚪ Clean white',
+    builtin: true,
+    ...SHARED_TEXT,
+    colors: { background: '#ffffff', backgroundEnd: '#f0f0f0', text: '#222222', accent: '#ff6b6b', price: '#28a745' },
+  },
+];
+
+export const DEFAULT_CARD_TEMPLATE = 'builtin-card-bold';
+
+const renderField = (source, context) => {
+  try {
+    return renderTemplate(source || '', context).trim();
+  } catch (err) {
+    return '';
+  }
+};
+
+// Greedy word wrap; the last allowed line ends in … when the text does not fit
+export const wrapText = (text, maxWidth, maxLines, measure) => {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  let used = 0;
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && measure(candidate) > maxWidth) {
+      lines.push(line);
+      if (lines.length === maxLines) break;
+      line = word;
+    } else {
+      line = candidate;
+    }
+    used += 1;
+  }
+  if (lines.length < maxLines && line) lines.push(line);
+  if (used < words.length) {
+    let last = lines[lines.length - 1];
+    while (last && measure(`${last}…`) > maxWidth) last = last.slice(0, -1).trimEnd();
+    lines[lines.length - 1] = `${last}…`;
+  }
+  return lines;
+};
+
+// Sizes are fractions of the card width so all layouts share one design; the product
+// image takes whatever height is left over, so taller layouts get a bigger photo.
+export const buildCardScene = ({ layout, template, context, image }) => {
+  const { width: W, height: H } = layout;
+  const { colors } = template;
+  const pad = Math.round(W * 0.06);
+  const text = Object.fromEntries(CARD_TEXT_FIELDS.map(({ name }) => [name, renderField(template[name], context)]));
+
+  const headlineSize = Math.round(W * 0.075);
+  const titleSize = Math.round(W * 0.045);
+  const nowSize = Math.round(W * 0.1);
+  const wasSize = Math.round(W * 0.055);
+  const codeSize = Math.round(W * 0.045);
+  const watermarkSize = Math.round(W * 0.032);
+
+  const footer =
+    titleSize * 1.25 * 2 + pad * 0.5 +
+    nowSize * 1.2 + pad * 0.5 +
+    (text.code ? codeSize * 1.8 + pad * 0.5 : 0) +
+    watermarkSize * 1.5;
+  const panelTop = pad + (text.headline ? headlineSize * 1.4 : 0);
+  const panelHeight = Math.max(W * 0.3, H - panelTop - footer - pad * 1.5);
+
+  const scene = [{ type: 'gradient', x: 0, y: 0, w: W, h: H, from: colors.background, to: colors.backgroundEnd }];
+
+  if (text.headline) {
+    scene.push({ type: 'text', role: 'headline', text: text.headline, x: W / 2, y: pad, size: headlineSize, weight: 'bold', color: colors.text, align: 'center', maxWidth: W - pad * 2, maxLines: 1 });
+  }
+
+  scene.push({ type: 'rect', x: pad, y: panelTop, w: W - pad * 2, h: panelHeight, fill: '#ffffff', radius: Math.round(W * 0.03) });
+  if (image) {
+    const inset = Math.round(W * 0.03);
+    scene.push({ type: 'image', src: image, x: pad + inset, y: panelTop + inset, w: W - (pad + inset) * 2, h: panelHeight - inset * 2 });
+  }
+
+  if (text.badge) {
+    const r = Math.round(W * 0.11);
+    const cx = W - pad - r * 0.6;
+    const cy = panelTop + r * 0.6;
+    scene.push({ type: 'circle', role: 'badge', cx, cy, r, fill: colors.accent });
+    scene.push({ type: 'text', role: 'badge', text: text.badge, x: cx, y: cy - W * 0.025, size: Math.round(W * 0.045), weight: 'bold', color: '#ffffff', align: 'center', maxWidth: r * 1.7, maxLines: 1 });
+  }
+
+  let y = panelTop + panelHeight + pad * 0.75;
+  if (text.title) {
+    scene.push({ type: 'text', role: 'title', text: text.title, x: W / 2, y, size: titleSize, weight: 'normal', color: colors.text, align: 'center', maxWidth: W - pad * 2, maxLines: 2, lineHeight: 1.25 });
+  }
+  y += titleSize * 1.25 * 2 + pad * 0.5;
+
+  // Was | now side by side around the centre line, or just the current price centred
+  const gap = W * 0.02;
+  if (text.wasPrice && text.nowPrice) {
+    scene.push({ type: 'text', role: 'wasPrice', text: text.wasPrice, x: W / 2 - gap, y: y + (nowSize - wasSize) * 0.6, size: wasSize, weight: 'normal', color: colors.text, align: 'right', opacity: 0.75, strike: true });
+    scene.push({ type: 'text', role: 'nowPrice', text: text.nowPrice, x: W / 2 + gap, y, size: nowSize, weight: 'bold', color: colors.price, align: 'left' });
+  } else if (text.nowPrice) {
+    scene.push({ type: 'text', role: 'nowPrice', text: text.nowPrice, x: W / 2, y, size: nowSize, weight: 'bold', color: colors.price, align: 'center' });
+  }
+  y += nowSize * 1.2 + pad * 0.5;
+
+  if (text.code) {
+    scene.push({ type: 'text', role: 'code', text: text.code, x: W / 2, y, size: codeSize, weight: 'bold', color: colors.accent, align: 'center', box: { fill: '#ffffff', padding: Math.round(codeSize * 0.4), dashed: colors.accent } });
+  }
+
+  if (text.watermark) {
+    scene.push({ type: 'text', role: 'watermark', text: text.watermark, x: W - pad, y: H - pad * 0.5 - watermarkSize, size: watermarkSize, weight: 'bold', color: colors.text, align: 'right', opacity: 0.7 });
+  }
+  return scene;
+};
+
+export const cardFileName = (deal, layout) => {
+  const slug = String(deal.title || deal.asin || 'deal')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 40);
+  return `${slug || 'deal'}-${layout.id}.png`;
+};
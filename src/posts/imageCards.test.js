@@ -0,0 +1,66 @@
+import { buildCardScene, wrapText, cardFileName, CARD_LAYOUTS, BUILTIN_CARD_TEMPLATES } from './imageCards';
+import { buildDealContext } from './postTemplates';
+
+const deal = {
+  title: 'Echo Dot (5th Gen) Smart Speaker',
+  url: 'https://www.amazon.com/dp/B09B8V1LZ3',
+  asin: 'B09B8V1LZ3',
+  image: 'https://m.media-amazon.com/images/I/echo.jpg',
+  discount: 40,
+  originalPrice: 49.99,
+  currentPrice: 29.99,
+  couponCode: 'ECHO5',
+};
+const [bold] = BUILTIN_CARD_TEMPLATES;
+const scene = (layout, template = bold, d = deal) =>
+  buildCardScene({ layout, template, context: buildDealContext(d), image: d.image });
+const byRole = (elements, role) => elements.find((el) => el.type === 'text' && el.role === role);
+
+test('draws the prices, badge, code and watermark from the deal', () => {
+  const elements = scene(CARD_LAYOUTS.square);
+  expect(byRole(elements, 'wasPrice')).toEqual(expect.objectContaining({ text: '$49.99', strike: true }));
+  expect(byRole(elements, 'nowPrice').text).toBe('$29.99');
+  expect(byRole(elements, 'badge').text).toBe('40% OFF');
+  expect(byRole(elements, 'code').text).toBe('Use code: ECHO5');
+  expect(byRole(elements, 'watermark').text).toBe('@AllAboutSavings');
+  expect(elements.find((el) => el.type === 'image').src).toBe(deal.image);
+});
+
+test('every layout keeps its elements on the canvas and gives taller cards a bigger photo', () => {
+  const photoHeights = Object.values(CARD_LAYOUTS).map((layout) => {
+    const elements = scene(layout);
+    elements.forEach((el) => {
+      expect(el.y === undefined ? el.cy : el.y).toBeLessThan(layout.height);
+      expect(el.x === undefined ? el.cx : el.x).toBeLessThanOrEqual(layout.width);
+    });
+    return elements.find((el) => el.type === 'image').h;
+  });
+  const [square, story] = photoHeights;
+  expect(story).toBeGreaterThan(square);
+});
+
+test('fields without a value are left out', () => {
+  const elements = scene(CARD_LAYOUTS.square, bold, { ...deal, couponCode: '', originalPrice: undefined, discount: 0 });
+  expect(byRole(elements, 'code')).toBeUndefined();
+  expect(byRole(elements, 'badge')).toBeUndefined();
+  expect(byRole(elements, 'wasPrice')).toBeUndefined();
+  expect(byRole(elements, 'nowPrice').align).toBe('center');
+});
+
+test('card templates use post placeholders, and a broken field renders as empty', () => {
+  const custom = { ...bold, headline: '{{marketplace|upper}}', watermark: '{{#if code}}' };
+  const elements = scene(CARD_LAYOUTS.story, custom);
+  expect(byRole(elements, 'headline').text).toBe('AMAZON.COM');
+  expect(byRole(elements, 'watermark')).toBeUndefined();
+});
+
+test('wraps text into lines and ellipsizes what does not fit', () => {
+  const measure = (t) => t.length * 10;
+  expect(wrapText('one two three four', 90, 3, measure)).toEqual(['one two', 'three', 'four']);
+  expect(wrapText('one two three four', 90, 2, measure)).toEqual(['one two', 'three…']);
+  expect(wrapText('', 90, 2, measure)).toEqual([]);
+});
+
+test('names the PNG after the product and layout', () => {
+  expect(cardFileName(deal, CARD_LAYOUTS.story)).toBe('echo-dot-5th-gen-smart-speaker-story.png');
+});
@@ -0,0 +1,136 @@
+// posts/postTemplates.js - Built-in post templates and the placeholders they can use
+import { getDealCode } from '../utils/deals';
+import { toAffiliateLink, getMarketplaceHost } from '../utils/amazonLinks';
+import { getMarketplace, getPostPhrases, POST_PHRASES } from '../utils/marketplaces';
+
+export const PLACEHOLDERS = [
+  { name: 'title', description: 'Product title (the URL for external posts without metadata)' },
+  { name: 'description', description: 'Product description (external URLs)' },
+  { name: 'url', description: 'Product link' },
+  { name: 'discount', description: 'Discount percentage, e.g. 40' },
+  { name: 'originalPrice', description: 'List price' },
+  { name: 'currentPrice', description: 'Deal price' },
+  { name: 'savings', description: 'originalPrice − currentPrice, empty when not positive' },
+  { name: 'hasBothPrices', description: 'Set when both prices are known' },
+  { name: 'rating', description: 'Star rating out of 5' },
+  { name: 'reviewCount', description: 'Number of reviews' },
+  { name: 'code', description: 'Coupon / promo code' },
+  { name: 'hashtags', description: "The marketplace's hashtags" },
+  { name: 'marketplace', description: 'Marketplace, e.g. amazon.co.uk' },
+  ...Object.keys(POST_PHRASES.en).map((name) => ({
+    name,
+    description: `Localized phrase (“${POST_PHRASES.en[name]}” in English)`,
+  })),
+];
+
+export const BUILTIN_TEMPLATES = [
+  {
+    id: 'builtin-deal-alert',
+    name: '🔥 Deal Alert (default for deals)',
+    builtin: true,
+    body: `{{disclosure}} 🔥 {{dealAlert}} {{discount}}% {{off}}! 🔥
+
+{{title}}
+
+💰 {{was}}: {{originalPrice|currency}}
+✨ {{now}}: {{currentPrice|currency}}
+💵 {{save}}: {{savings|currency}}!
+
+⭐ {{rating}}/5 ({{reviewCount|thousands}} {{reviews}})
+
+{{#if code}}{{useCode}}: {{code}}
+
+{{/if}}{{grabIt}}
+{{url}}
+
+⚡{{disclaimer}}
+{{hashtags}}`,
+  },
+  {
+    id: 'builtin-external',
+    name: '🔗 External URL (default for external posts)',
+    builtin: true,
+    body: `{{disclosure}}
+
+{{#if discount}}🔥 {{discount}}% {{off}}! 🔥
+
+{{/if}}{{#if hasBothPrices}}💰 {{was}}: {{originalPrice|currency}}
+✨ {{now}}: {{currentPrice|currency}}
+{{#if savings}}💵 {{save}} {{savings|currency}}!
+{{/if}}
+{{else}}{{#if currentPrice}}💰 {{price}}: {{currentPrice|currency}}
+
+{{/if}}{{/if}}{{#if code}}{{useCode}}: {{code}}
+
+{{/if}}{{title}}
+
+{{#if description}}{{description}}
+
+{{/if}}{{grabIt}}
+{{url}}
+
+⚡{{disclaimer}}
+
+{{hashtags}}`,
+  },
+];
+
+export const DEFAULT_ACTIVE_TEMPLATES = {
+  deal: 'builtin-deal-alert',
+  external: 'builtin-external',
+};
+
+// Phrases, hashtags and price formatting that follow the marketplace
+const marketplaceContext = (marketplaceId) => {
+  const marketplace = getMarketplace(marketplaceId);
+  return {
+    ...getPostPhrases(marketplace.id),
+    hashtags: marketplace.hashtags,
+    marketplace: marketplace.id,
+    locale: marketplace.locale,
+    currency: marketplace.currency,
+  };
+};
+
+export const buildDealContext = (deal) => {
+  const savings = Number(deal.originalPrice) - Number(deal.currentPrice);
+  const marketplace = getMarketplace(deal.marketplace || getMarketplaceHost(deal.url)).id;
+  return {
+    ...marketplaceContext(marketplace),
+    title: deal.title || '',
+    description: deal.description || '',
+    url: toAffiliateLink(deal.url, { asin: deal.asin, marketplace }),
+    discount: deal.discount,
+    originalPrice: deal.originalPrice,
+    currentPrice: deal.currentPrice,
+    savings: Number.isFinite(savings) ? savings : '',
+    hasBothPrices: deal.originalPrice != null && deal.currentPrice != null,
+    rating: deal.rating,
+    reviewCount: deal.reviewCount,
+    code: getDealCode(deal),
+  };
+};
+
+// External posts mix fetched metadata with prices typed in by hand; typed values win.
+// The link's own storefront wins over the selected one (a pasted amazon.de link is German).
+export const buildExternalContext = (meta, url, manual = {}, selectedMarketplace) => {
+  const originalPrice = manual.originalPrice || meta.originalPrice || '';
+  const currentPrice = manual.currentPrice || meta.discountedPrice || '';
+  const diff = parseFloat(originalPrice) - parseFloat(currentPrice);
+  const marketplace = getMarketplace(getMarketplaceHost(url) || selectedMarketplace).id;
+  const link = toAffiliateLink(url, { asin: meta.asin, marketplace });
+  return {
+    ...marketplaceContext(marketplace),
+    title: meta.title || link,
+    description: meta.description || '',
+    url: link,
+    discount: manual.discount || '',
+    originalPrice,
+    currentPrice,
+    savings: originalPrice && currentPrice && diff > 0 ? diff : '',
+    hasBothPrices: Boolean(originalPrice && currentPrice),
+    rating: '',
+    reviewCount: '',
+    code: manual.couponCode || meta.couponCode || '',
+  };
+};
@@ -0,0 +1,36 @@
+// posts/rewriteFacts.js - The facts a rewrite must keep, sent with the post and checked in the answer
+import { formatPrice } from '../utils/marketplaces';
+import { lintPost } from './compliance';
+
+// Compliance rules that catch a model changing the offer rather than the wording
+const FACT_RULES = ['price', 'discount', 'coupon'];
+
+const isBlank = (value) => value === '' || value === null || value === undefined;
+
+// Built from a post context (buildDealContext / buildExternalContext). Prices go out
+// formatted the way the post shows them, so the model has nothing to convert.
+export const buildRewriteFacts = (context) => {
+  const facts = {
+    title: context.title,
+    description: context.description,
+    url: context.url,
+    originalPrice: isBlank(context.originalPrice) ? '' : formatPrice(context.originalPrice, context.marketplace),
+    currentPrice: isBlank(context.currentPrice) ? '' : formatPrice(context.currentPrice, context.marketplace),
+    discount: isBlank(context.discount) || Number(context.discount) === 0 ? '' : `${context.discount}%`,
+    couponCode: context.code,
+    marketplace: context.marketplace,
+  };
+  return Object.fromEntries(Object.entries(facts).filter(([, value]) => !isBlank(value)));
+};
+
+// Returns a list of problems with a rewritten post; empty when it kept every fact
+export const checkRewrite = (text, context) => {
+  const post = String(text || '');
+  if (!post.trim()) return ['The model returned an empty post'];
+  const problems = [];
+  if (context.url && !post.includes(context.url)) problems.push('The product link is missing');
+  lintPost(post, context)
+    .filter((issue) => FACT_RULES.includes(issue.rule) && issue.severity === 'error')
+    .forEach((issue) => problems.push(issue.message));
+  return problems;
+};
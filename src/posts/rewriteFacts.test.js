@@ -0,0 +1,53 @@
+import { buildRewriteFacts, checkRewrite } from './rewriteFacts';
+import { buildDealContext, buildExternalContext } from './postTemplates';
+
+const deal = {
+  title: 'Echo Dot',
+  url: 'https://www.amazon.com/dp/B09B8V1LZ3',
+  asin: 'B09B8V1LZ3',
+  discount: 40,
+  originalPrice: 49.99,
+  currentPrice: 29.99,
+  couponCode: 'ECHO5',
+};
+const context = buildDealContext(deal);
+
+test('sends the offer as formatted facts and leaves out what is unknown', () => {
+  expect(buildRewriteFacts(context)).toEqual({
+    title: 'Echo Dot',
+    url: context.url,
+    originalPrice: '$49.99',
+    currentPrice: '$29.99',
+    discount: '40%',
+    couponCode: 'ECHO5',
+    marketplace: 'amazon.com',
+  });
+  const external = buildExternalContext(
+    { title: 'Wasserkocher', description: 'Edelstahl' },
+    'https://www.amazon.de/dp/B0000000K1',
+    { currentPrice: '19.99' }
+  );
+  expect(buildRewriteFacts(external)).toEqual({
+    title: 'Wasserkocher',
+    description: 'Edelstahl',
+    url: external.url,
+    currentPrice: expect.stringMatching(/^19,99\s€$/),
+    marketplace: 'amazon.de',
+  });
+});
+
+test('a rewrite that keeps the link, prices and code passes', () => {
+  const text = `#ad Echo Dot for $29.99 instead of $49.99, 40% off with code ECHO5\n${context.url}`;
+  expect(checkRewrite(text, context)).toEqual([]);
+});
+
+test('changed prices, codes and a dropped link are reported', () => {
+  const text = '#ad Echo Dot for $19.99! 50% off with code: SAVE20';
+  expect(checkRewrite(text, context)).toEqual([
+    'The product link is missing',
+    '“$19.99” doesn\'t match the deal\'s prices',
+    'Claims 50% off but the deal is 40% off',
+    'Code SAVE20 should be ECHO5',
+  ]);
+  expect(checkRewrite('  ', context)).toEqual(['The model returned an empty post']);
+});
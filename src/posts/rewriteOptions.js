@@ -0,0 +1,62 @@
+// posts/rewriteOptions.js - AI models and the structured style options sent with every rewrite
+
+export const AI_MODELS = [
+  { id: 'mistralai/mistral-7b-instruct:free', label: '⚡ Mistral 7B (Free, Fast)', price: 'FREE' },
+  { id: 'meta-llama/llama-2-7b-chat', label: '🦙 Llama 2 7B (Fast)', price: 'FREE' },
+  { id: 'gpt-3.5-turbo', label: '🚀 GPT-3.5 Turbo (Best Quality)', price: '$' },
+];
+
+export const DEFAULT_AI_MODEL = AI_MODELS[0].id;
+
+export const getModelLabel = (id) => {
+  const model = AI_MODELS.find((m) => m.id === id);
+  return model ? model.label : id;
+};
+
+export const TONE_OPTIONS = [
+  { id: 'excited', label: '🔥 Excited' },
+  { id: 'friendly', label: '😊 Friendly' },
+  { id: 'professional', label: '💼 Professional' },
+  { id: 'playful', label: '😜 Playful' },
+];
+
+export const LENGTH_OPTIONS = [
+  { id: 'short', label: 'Short' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'long', label: 'Long' },
+];
+
+export const EMOJI_OPTIONS = [
+  { id: 'none', label: 'No emoji' },
+  { id: 'light', label: 'A few' },
+  { id: 'heavy', label: 'Lots' },
+];
+
+export const MAX_VARIANTS = 4;
+
+// Rewrite statuses that keep the rewrite button disabled
+export const AI_PENDING_STATUSES = ['Queued…', 'Processing…'];
+
+export const DEFAULT_REWRITE_OPTIONS = {
+  tone: 'excited',
+  length: 'medium',
+  emojiDensity: 'light',
+  variants: 1,
+};
+
+const isOneOf = (options, id) => options.some((o) => o.id === id);
+
+// Drops unknown values (e.g. from an older localStorage entry) in favour of the defaults
+export const normalizeRewriteOptions = (raw = {}) => ({
+  tone: isOneOf(TONE_OPTIONS, raw.tone) ? raw.tone : DEFAULT_REWRITE_OPTIONS.tone,
+  length: isOneOf(LENGTH_OPTIONS, raw.length) ? raw.length : DEFAULT_REWRITE_OPTIONS.length,
+  emojiDensity: isOneOf(EMOJI_OPTIONS, raw.emojiDensity) ? raw.emojiDensity : DEFAULT_REWRITE_OPTIONS.emojiDensity,
+  variants: Math.min(MAX_VARIANTS, Math.max(1, Math.round(Number(raw.variants)) || 1)),
+});
+
+// The selected model first, then the other models in list order, wrapping around
+// when more variants than models are requested
+export const pickVariantModels = (selectedId, count) => {
+  const start = Math.max(0, AI_MODELS.findIndex((m) => m.id === selectedId));
+  return Array.from({ length: count }, (_, i) => AI_MODELS[(start + i) % AI_MODELS.length].id);
+};
@@ -0,0 +1,17 @@
+import { AI_MODELS, pickVariantModels, normalizeRewriteOptions, DEFAULT_REWRITE_OPTIONS } from './rewriteOptions';
+
+test('variants start with the selected model and spread over the others', () => {
+  const ids = AI_MODELS.map((m) => m.id);
+  expect(pickVariantModels(ids[1], 3)).toEqual([ids[1], ids[2], ids[0]]);
+  expect(pickVariantModels('unknown', 1)).toEqual([ids[0]]);
+  expect(pickVariantModels(ids[0], 4)[3]).toBe(ids[0]);
+});
+
+test('stored options are checked against the known values', () => {
+  expect(normalizeRewriteOptions({ tone: 'sarcastic', length: 'short', variants: 9 })).toEqual({
+    ...DEFAULT_REWRITE_OPTIONS,
+    length: 'short',
+    variants: 4,
+  });
+  expect(normalizeRewriteOptions(undefined)).toEqual(DEFAULT_REWRITE_OPTIONS);
+});
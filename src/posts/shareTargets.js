@@ -0,0 +1,187 @@
+// posts/shareTargets.js - Per-network share URLs and the post rules each network imposes
+//
+// Every target is pure: buildShareUrl() only returns the intent URL, so a target can be
+// tested by checking the URL it builds without opening a window or hitting the network.
+
+import { DISCLOSURE_TAGS as DISCLOSURES } from '../utils/marketplaces';
+
+// X counts most non-Latin characters and emoji as 2 and every link as 23 (t.co).
+const X_LINK_WEIGHT = 23;
+const X_LIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247],
+];
+// Zero-width joiners and variation selectors belong to the emoji before them
+const X_ZERO_WEIGHT = new Set([0x200d, 0xfe0f]);
+
+export const xWeightedLength = (text) =>
+  Array.from(text).reduce((sum, ch) => {
+    const cp = ch.codePointAt(0);
+    if (X_ZERO_WEIGHT.has(cp)) return sum;
+    return sum + (X_LIGHT_RANGES.some(([lo, hi]) => cp >= lo && cp <= hi) ? 1 : 2);
+  }, 0);
+
+const plainLength = (text) => Array.from(text).length;
+
+// encodeURIComponent leaves !'()* alone; some intent endpoints mangle them
+export const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const DISCLOSURE_TAGS = new Set(DISCLOSURES);
+const HASHTAG_RE = /(^|\s)(#[\p{L}\p{N}_]+)/gu;
+
+export const limitHashtags = (text, max) => {
+  let kept = 0;
+  return text
+    .replace(HASHTAG_RE, (match, lead, tag) => {
+      if (DISCLOSURE_TAGS.has(tag.toLowerCase())) return match;
+      kept += 1;
+      return kept <= max ? match : lead;
+    })
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const removeUrl = (text, url) =>
+  url ? text.split(url).join('').replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim() : text;
+
+const truncate = (text, budget, measure) => {
+  if (measure(text) <= budget) return text;
+  // Both measures are per-character sums, so the cut point can be found in one pass
+  const limit = budget - measure('…');
+  let used = 0;
+  let out = '';
+  for (const ch of Array.from(text)) {
+    used += measure(ch);
+    if (used > limit) break;
+    out += ch;
+  }
+  return `${out.trimEnd()}…`;
+};
+
+// Shortens a post to fit a target: drop the inline link if it travels separately, thin out
+// hashtags, squeeze blank lines, and only then cut the text.
+export const adaptPostForTarget = (target, text, url) => {
+  let body = String(text || '');
+  if (target.linkSeparate) body = removeUrl(body, url);
+  if (target.maxHashtags !== undefined) body = limitHashtags(body, target.maxHashtags);
+
+  const linkCost = target.linkCost ? target.linkCost(url) : 0;
+  const budget = target.maxLength - linkCost;
+  if (target.measure(body) > budget) body = body.replace(/\n{2,}/g, '\n');
+  return truncate(body, budget, target.measure);
+};
+
+// How long a post counts on a target as written, before adaptPostForTarget shortens it
+export const measurePost = (target, text, url) => {
+  const body = target.linkSeparate ? removeUrl(String(text || ''), url) : String(text || '');
+  return target.measure(body) + (target.linkCost ? target.linkCost(url) : 0);
+};
+
+export const SHARE_TARGETS = {
+  facebook: {
+    id: 'facebook',
+    label: 'Facebook',
+    color: '#0A66C2',
+    maxLength: 63206,
+    measure: plainLength,
+    linkSeparate: false,
+    buildUrl: ({ text, url }) =>
+      `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}&quote=${encodeURIComponent(text)}`,
+  },
+  x: {
+    id: 'x',
+    label: 'X',
+    color: '#000000',
+    maxLength: 280,
+    measure: xWeightedLength,
+    linkSeparate: true,
+    linkCost: (url) => (url ? X_LINK_WEIGHT + 1 : 0),
+    maxHashtags: 2,
+    buildUrl: ({ text, url }) =>
+      `https://twitter.com/intent/tweet?text=${encodeRfc3986(text)}${url ? `&url=${encodeRfc3986(url)}` : ''}`,
+  },
+  telegram: {
+    id: 'telegram',
+    label: 'Telegram',
+    color: '#229ED9',
+    // Share links prefill a message; keep well under Telegram's 4096 limit once the link is prepended
+    maxLength: 4000,
+    measure: plainLength,
+    linkSeparate: true,
+    linkCost: (url) => (url ? plainLength(url) + 1 : 0),
+    buildUrl: ({ text, url }) =>
+      `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`,
+  },
+  whatsapp: {
+    id: 'whatsapp',
+    label: 'WhatsApp',
+    color: '#25D366',
+    maxLength: 4000,
+    measure: plainLength,
+    // WhatsApp has a single text parameter; the link stays inline so it gets a preview
+    linkSeparate: false,
+    maxHashtags: 0,
+    buildUrl: ({ text }) => `https://wa.me/?text=${encodeURIComponent(text)}`,
+  },
+  pinterest: {
+    id: 'pinterest',
+    label: 'Pinterest',
+    color: '#E60023',
+    maxLength: 500,
+    measure: plainLength,
+    linkSeparate: true,
+    maxHashtags: 5,
+    requiresImage: true,
+    buildUrl: ({ text, url, image }) =>
+      `https://www.pinterest.com/pin/create/button/?url=${encodeRfc3986(url)}&media=${encodeRfc3986(
+        image
+      )}&description=${encodeRfc3986(text)}`,
+  },
+  reddit: {
+    id: 'reddit',
+    label: 'Reddit',
+    color: '#FF4500',
+    // Reddit link posts only take a title, which is capped at 300 characters
+    maxLength: 300,
+    measure: plainLength,
+    linkSeparate: true,
+    maxHashtags: 0,
+    titleOnly: true,
+    buildUrl: ({ text, url }) =>
+      `https://www.reddit.com/submit?url=${encodeURIComponent(url)}&title=${encodeURIComponent(text)}`,
+  },
+};
+
+export const SHARE_TARGET_IDS = Object.keys(SHARE_TARGETS);
+
+// Shown as small buttons under the main Facebook one
+export const EXTRA_SHARE_TARGETS = ['x', 'telegram', 'whatsapp', 'pinterest', 'reddit'];
+
+export const canShareTo = (targetId, { url, image }) => {
+  const target = SHARE_TARGETS[targetId];
+  if (!target || !url) return false;
+  return !target.requiresImage || Boolean(image);
+};
+
+const redditTitle = ({ title, discount }) => {
+  const prefix = Number(discount) > 0 ? `[${discount}% off] ` : '';
+  return `${prefix}${title || ''}`.trim();
+};
+
+// The text a target actually receives. `post` is the full post text; `title`/`discount`
+// feed targets that only take a headline.
+export const sharedPostText = (targetId, { post, url, title, discount }) => {
+  const target = SHARE_TARGETS[targetId];
+  const source = target.titleOnly ? redditTitle({ title, discount }) : post;
+  return adaptPostForTarget(target, source, url);
+};
+
+export const buildShareUrl = (targetId, { post, url, image, title, discount }) => {
+  if (!canShareTo(targetId, { url, image })) return null;
+  const text = sharedPostText(targetId, { post, url, title, discount });
+  return SHARE_TARGETS[targetId].buildUrl({ text, url, image });
+};
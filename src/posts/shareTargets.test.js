@@ -0,0 +1,84 @@
+import {
+  buildShareUrl,
+  canShareTo,
+  adaptPostForTarget,
+  xWeightedLength,
+  limitHashtags,
+  measurePost,
+  sharedPostText,
+  SHARE_TARGETS,
+} from './shareTargets';
+
+const url = 'https://www.amazon.com/dp/B09B8V1LZ3';
+const post = `#ad 🔥 DEAL ALERT! 40% OFF! 🔥\n\nEcho Dot\n\nGrab it now! 👇\n${url}\n\n#AmazonDeals #AllAboutSavings #Echo`;
+const share = { post, url, image: 'https://m.media-amazon.com/images/I/echo.jpg', title: 'Echo Dot', discount: 40 };
+
+const params = (shareUrl) => new URL(shareUrl).searchParams;
+
+test('facebook keeps the full post as the quote', () => {
+  const built = buildShareUrl('facebook', share);
+  expect(built.startsWith('https://www.facebook.com/sharer/sharer.php?')).toBe(true);
+  expect(params(built).get('u')).toBe(url);
+  expect(params(built).get('quote')).toBe(post);
+});
+
+test('x moves the link to its own parameter, trims hashtags and stays within 280', () => {
+  const built = buildShareUrl('x', share);
+  const text = params(built).get('text');
+  expect(params(built).get('url')).toBe(url);
+  expect(text).not.toContain(url);
+  expect(text).toContain('#ad');
+  expect(text).toContain('#AmazonDeals #AllAboutSavings');
+  expect(text).not.toContain('#Echo');
+  expect(built).not.toMatch(/[!'()*]/);
+
+  const long = adaptPostForTarget(SHARE_TARGETS.x, `#ad ${'🔥 big savings '.repeat(40)}`, url);
+  expect(xWeightedLength(long) + 24).toBeLessThanOrEqual(280);
+  expect(long.endsWith('…')).toBe(true);
+});
+
+test('x counts emoji as two characters', () => {
+  expect(xWeightedLength('abc')).toBe(3);
+  expect(xWeightedLength('🔥')).toBe(2);
+  expect(xWeightedLength('⚡️')).toBe(2);
+});
+
+test('telegram and whatsapp share intents', () => {
+  const telegram = buildShareUrl('telegram', share);
+  expect(telegram.startsWith('https://t.me/share/url?')).toBe(true);
+  expect(params(telegram).get('url')).toBe(url);
+
+  const whatsapp = params(buildShareUrl('whatsapp', share)).get('text');
+  expect(whatsapp).toContain(url);
+  expect(whatsapp).toContain('#ad');
+  expect(whatsapp).not.toContain('#AmazonDeals');
+});
+
+test('pinterest needs the deal image', () => {
+  expect(canShareTo('pinterest', { url })).toBe(false);
+  expect(buildShareUrl('pinterest', { ...share, image: '' })).toBeNull();
+  const built = buildShareUrl('pinterest', share);
+  expect(params(built).get('media')).toBe(share.image);
+  expect(params(built).get('description').length).toBeLessThanOrEqual(500);
+});
+
+test('reddit submits the deal title as a headline', () => {
+  const built = buildShareUrl('reddit', share);
+  expect(params(built).get('title')).toBe('[40% off] Echo Dot');
+  expect(params(built).get('url')).toBe(url);
+});
+
+test('the shared text is what the share URL carries', () => {
+  expect(sharedPostText('reddit', share)).toBe('[40% off] Echo Dot');
+  expect(sharedPostText('x', share)).toBe(params(buildShareUrl('x', share)).get('text'));
+});
+
+test('disclosure tags survive hashtag limits', () => {
+  expect(limitHashtags('#ad hello #one #two', 0)).toBe('#ad hello');
+});
+
+test('measurePost counts a separate link at its share cost', () => {
+  expect(measurePost(SHARE_TARGETS.facebook, `Deal ${url}`, url)).toBe(5 + url.length);
+  expect(measurePost(SHARE_TARGETS.x, `Deal ${url}`, url)).toBe(4 + 24);
+  expect(measurePost(SHARE_TARGETS.telegram, 'Deal', url)).toBe(4 + url.length + 1);
+});
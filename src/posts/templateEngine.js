@@ -0,0 +1,139 @@
+// posts/templateEngine.js - {{placeholder}} templates with conditionals and formatters
+//
+//   {{title}}                      value from the context ('' when missing)
+//   {{savings|currency}}           value piped through a formatter
+//   {{title|truncate:80|upper}}    formatters chain left to right, one optional argument each
+//   {{#if code}}…{{else}}…{{/if}}  section rendered when the value is present
+//   {{#unless code}}…{{/unless}}   section rendered when the value is missing
+//
+// Formatters receive (value, argument, context); `currency` and `thousands` follow the
+// context's `locale` and `currency` when present.
+
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const toNumber = (value) => (typeof value === 'number' ? value : parseFloat(value));
+
+export const FORMATTERS = {
+  currency: (value, symbol, context = {}) => {
+    const n = toNumber(value);
+    if (!Number.isFinite(n)) return '';
+    if (!symbol && context.currency) {
+      return new Intl.NumberFormat(context.locale, { style: 'currency', currency: context.currency }).format(n);
+    }
+    return `${symbol || '$'}${n.toFixed(2)}`;
+  },
+  number: (value, digits = '0') => {
+    const n = toNumber(value);
+    return Number.isFinite(n) ? n.toFixed(Number(digits)) : '';
+  },
+  thousands: (value, arg, context = {}) => {
+    const n = toNumber(value);
+    return Number.isFinite(n) ? n.toLocaleString(context.locale) : '';
+  },
+  percent: (value) => {
+    const n = toNumber(value);
+    return Number.isFinite(n) ? `${Math.round(n)}%` : '';
+  },
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  truncate: (value, length = '100') => {
+    const text = String(value);
+    const max = Number(length);
+    return text.length > max ? `${text.slice(0, Math.max(0, max - 1))}…` : text;
+  },
+  default: (value, fallback = '') => (isPresent(value) ? value : fallback),
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Section truthiness: zero, NaN and false count as absent too ({{#if savings}} on a $0 saving)
+const isPresent = (value) =>
+  !isMissing(value) && value !== false && !(typeof value === 'number' && (value === 0 || Number.isNaN(value)));
+
+const TAG_RE = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+const parseVariable = (tag) => {
+  const [name, ...pipes] = tag.split('|').map((part) => part.trim());
+  if (!/^\w+$/.test(name)) throw new TemplateError(`Invalid placeholder "{{${tag}}}"`);
+  const formatters = pipes.map((pipe) => {
+    const colon = pipe.indexOf(':');
+    const fn = colon === -1 ? pipe : pipe.slice(0, colon).trim();
+    const arg = colon === -1 ? undefined : pipe.slice(colon + 1).trim();
+    if (!FORMATTERS[fn]) throw new TemplateError(`Unknown formatter "${fn}" in "{{${tag}}}"`);
+    return { fn, arg };
+  });
+  return { type: 'var', name, formatters };
+};
+
+export const parseTemplate = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+  TAG_RE.lastIndex = 0;
+
+  while ((match = TAG_RE.exec(source))) {
+    const top = stack[stack.length - 1];
+    if (match.index > lastIndex) top.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    lastIndex = TAG_RE.lastIndex;
+
+    const tag = match[1];
+    const open = /^#(if|unless)\s+(\w+)$/.exec(tag);
+    const close = /^\/(if|unless)$/.exec(tag);
+    if (open) {
+      const node = { type: 'section', kind: open[1], name: open[2], then: [], otherwise: [] };
+      top.children.push(node);
+      stack.push({ node, children: node.then });
+    } else if (tag === 'else') {
+      if (!top.node) throw new TemplateError('{{else}} outside of a section');
+      top.children = top.node.otherwise;
+    } else if (close) {
+      if (!top.node || top.node.kind !== close[1]) throw new TemplateError(`Unexpected {{/${close[1]}}}`);
+      stack.pop();
+    } else {
+      top.children.push(parseVariable(tag));
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new TemplateError(`Missing {{/${open.kind}}} for "${open.name}"`);
+  }
+  if (lastIndex < source.length) root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  return root.children;
+};
+
+const renderNodes = (nodes, context) =>
+  nodes
+    .map((node) => {
+      if (node.type === 'text') return node.value;
+      if (node.type === 'section') {
+        const present = isPresent(context[node.name]);
+        const show = node.kind === 'if' ? present : !present;
+        return renderNodes(show ? node.then : node.otherwise, context);
+      }
+      // Missing values skip formatting (so '' never becomes "$NaN"), except for `default`
+      const value = node.formatters.reduce(
+        (acc, { fn, arg }) => (isMissing(acc) && fn !== 'default' ? acc : FORMATTERS[fn](acc, arg, context)),
+        context[node.name]
+      );
+      return isMissing(value) ? '' : String(value);
+    })
+    .join('');
+
+export const renderTemplate = (source, context) => renderNodes(parseTemplate(source), context);
+
+// Returns the parse error message, or '' when the template is valid
+export const validateTemplate = (source) => {
+  try {
+    parseTemplate(source);
+    return '';
+  } catch (err) {
+    return err.message;
+  }
+};
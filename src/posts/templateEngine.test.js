@@ -0,0 +1,62 @@
+import { renderTemplate, parseTemplate, validateTemplate, TemplateError } from './templateEngine';
+import { BUILTIN_TEMPLATES, buildDealContext, buildExternalContext } from './postTemplates';
+
+const deal = {
+  title: 'Echo Dot',
+  url: 'https://www.amazon.com/dp/B09B8V1LZ3',
+  discount: 40,
+  originalPrice: 49.99,
+  currentPrice: 29.99,
+  rating: 4.7,
+  reviewCount: 1234,
+  couponCode: 'ECHO5',
+};
+
+test('placeholders, formatters and chained formatters', () => {
+  const context = { title: 'Echo Dot', price: 29.5, reviews: 1234 };
+  expect(renderTemplate('{{title|upper}} for {{price|currency}}', context)).toBe('ECHO DOT for $29.50');
+  expect(renderTemplate('{{price|number:1}} / {{reviews|thousands}}', context)).toBe('29.5 / 1,234');
+  expect(renderTemplate('{{title|truncate:5|upper}}', context)).toBe('ECHO…');
+  expect(renderTemplate('[{{missing}}] [{{missing|currency}}] [{{missing|default:n/a}}]', context)).toBe('[] [] [n/a]');
+});
+
+test('conditional sections with else and unless', () => {
+  const tpl = '{{#if code}}Use {{code}}{{else}}No code{{/if}}{{#unless code}}!{{/unless}}';
+  expect(renderTemplate(tpl, { code: 'SAVE' })).toBe('Use SAVE');
+  expect(renderTemplate(tpl, { code: '' })).toBe('No code!');
+  expect(renderTemplate('{{#if savings}}Save{{/if}}', { savings: 0 })).toBe('');
+});
+
+test('malformed templates raise TemplateError', () => {
+  expect(() => parseTemplate('{{#if code}}open')).toThrow(TemplateError);
+  expect(() => parseTemplate('{{/if}}')).toThrow(TemplateError);
+  expect(() => parseTemplate('{{title|sparkle}}')).toThrow(/Unknown formatter/);
+  expect(validateTemplate('{{title}}')).toBe('');
+});
+
+test('the built-in deal template matches the original hard-coded post', () => {
+  const legacy = `#ad 🔥 DEAL ALERT! 40% OFF! 🔥\n\nEcho Dot\n\n💰 Was: $49.99\n✨ Now: $29.99\n💵 Save: $20.00!\n\n⭐ 4.7/5 (1,234 reviews)\n\nUse code: ECHO5\n\nGrab it now! 👇\nhttps://www.amazon.com/dp/B09B8V1LZ3\n\n⚡Prices may change at any time.\n#AmazonDeals #AllAboutSavings`;
+  expect(renderTemplate(BUILTIN_TEMPLATES[0].body, buildDealContext(deal))).toBe(legacy);
+});
+
+test('the built-in external template handles partial price information', () => {
+  const body = BUILTIN_TEMPLATES[1].body;
+  const url = 'https://amzn.to/abc';
+  const full = buildExternalContext({ title: 'Kettle' }, url, { originalPrice: '40', currentPrice: '30', discount: '25' });
+  expect(renderTemplate(body, full)).toBe(`#ad\n\n🔥 25% OFF! 🔥\n\n💰 Was: $40.00\n✨ Now: $30.00\n💵 Save $10.00!\n\nKettle\n\nGrab it now! 👇\n${url}\n\n⚡Prices may change at any time.\n\n#AmazonDeals #AllAboutSavings`);
+
+  const priceOnly = buildExternalContext({}, url, { currentPrice: '30', couponCode: 'K5' });
+  expect(renderTemplate(body, priceOnly)).toBe(`#ad\n\n💰 Price: $30.00\n\nUse code: K5\n\n${url}\n\nGrab it now! 👇\n${url}\n\n⚡Prices may change at any time.\n\n#AmazonDeals #AllAboutSavings`);
+});
+
+test('built-in templates follow the marketplace language, currency and hashtags', () => {
+  const german = buildDealContext({ ...deal, marketplace: 'amazon.de', reviewCount: 12345 });
+  const post = renderTemplate(BUILTIN_TEMPLATES[0].body, german).trim();
+  expect(post.startsWith('#Werbung 🔥 DEAL-ALARM! 40% RABATT! 🔥')).toBe(true);
+  expect(post).toMatch(/Vorher: 49,99\s€/);
+  expect(post).toContain('(12.345 Bewertungen)');
+  expect(post).toContain('#AmazonAngebote');
+
+  const uk = buildExternalContext({ title: 'Kettle' }, 'https://www.amazon.co.uk/dp/B0000000UK', { currentPrice: '30' }, 'amazon.com');
+  expect(renderTemplate(BUILTIN_TEMPLATES[1].body, uk)).toContain('💰 Price: £30.00');
+});
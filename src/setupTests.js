@@ -3,3 +3,32 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { getConfig } from '@testing-library/react';
+import axe from 'axe-core';
+
+// jsdom has no IntersectionObserver; the deals grid only needs it to exist
+if (!window.IntersectionObserver) {
+  window.IntersectionObserver = class IntersectionObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
+
+// Runs axe-core over a rendered tree: `await expect(container).toHaveNoAxeViolations()`.
+// jsdom can't compute colours, so contrast is left to manual checks. Like findBy*, the run
+// goes through Testing Library's async wrapper, so the app may keep loading meanwhile.
+expect.extend({
+  async toHaveNoAxeViolations(container) {
+    const { violations } = await getConfig().asyncWrapper(() =>
+      axe.run(container, { rules: { 'color-contrast': { enabled: false } } })
+    );
+    const report = violations
+      .map((v) => `${v.id}: ${v.help}\n${v.nodes.map((n) => `  ${n.html}`).join('\n')}`)
+      .join('\n\n');
+    return {
+      pass: violations.length === 0,
+      message: () => (violations.length ? `Expected no axe violations, found:\n\n${report}` : 'Expected axe violations'),
+    };
+  },
+});
@@ -0,0 +1,89 @@
+// storage/boardCache.js - Saves the deal board so a reload doesn't re-spend API quota
+import { idbGet, idbPut } from './db';
+import { DEFAULT_MARKETPLACE } from '../utils/marketplaces';
+import { paginationKey } from '../store/dealsStore';
+
+const STORE = 'board';
+const KEY = 'current';
+
+export const BOARD_SCHEMA_VERSION = 2;
+
+const ttlHours = Number(process.env.REACT_APP_DEAL_CACHE_TTL_HOURS);
+export const DEFAULT_BOARD_TTL_MS = (ttlHours > 0 ? ttlHours : 24) * 60 * 60 * 1000;
+
+// Each entry upgrades a snapshot FROM the version it is keyed by to the next one.
+// When the saved shape changes, bump BOARD_SCHEMA_VERSION and add a step here.
+export const BOARD_MIGRATIONS = {
+  // v1 kept a single page counter for the last keyword; v2 pages each search on its own
+  1: ({ serverPage, ...snapshot }) => {
+    const keyword = snapshot.lastKeyword || '';
+    if (!keyword) return { ...snapshot, pagination: {} };
+    const deals = snapshot.deals || [];
+    const sample = deals.find((d) => d.keyword === keyword) || {};
+    const marketplace = sample.marketplace || DEFAULT_MARKETPLACE;
+    const key = paginationKey(keyword, marketplace);
+    return {
+      ...snapshot,
+      pagination: {
+        [key]: {
+          key,
+          keyword,
+          marketplace,
+          minDiscount: 0,
+          page: Number(serverPage) || 1,
+          cursor: null,
+          exhausted: false,
+          searchedAt: Number(sample.fetchedAt) || Number(snapshot.savedAt) || 0,
+        },
+      },
+    };
+  },
+};
+
+export const migrateSnapshot = (snapshot, migrations = BOARD_MIGRATIONS, targetVersion = BOARD_SCHEMA_VERSION) => {
+  if (!snapshot || typeof snapshot !== 'object') return null;
+  let current = snapshot;
+  let version = Number(current.schemaVersion) || 0;
+  if (version > targetVersion) return null;
+  while (version < targetVersion) {
+    const step = migrations[version];
+    if (!step) return null;
+    current = { ...step(current), schemaVersion: version + 1 };
+    version += 1;
+  }
+  return current;
+};
+
+export const pruneExpiredDeals = (deals, ttlMs = DEFAULT_BOARD_TTL_MS, now = Date.now()) =>
+  (deals || []).filter((d) => typeof d.fetchedAt === 'number' && now - d.fetchedAt <= ttlMs);
+
+export const loadBoard = async ({ ttlMs = DEFAULT_BOARD_TTL_MS } = {}) => {
+  try {
+    const snapshot = migrateSnapshot(await idbGet(STORE, KEY));
+    if (!snapshot) return null;
+    const deals = pruneExpiredDeals(snapshot.deals, ttlMs);
+    if (deals.length === 0) return null;
+    return {
+      deals,
+      lastKeyword: snapshot.lastKeyword || '',
+      pagination: snapshot.pagination || {},
+    };
+  } catch (err) {
+    console.warn('Could not restore saved deals:', err);
+    return null;
+  }
+};
+
+export const saveBoard = async ({ deals, lastKeyword, pagination }) => {
+  try {
+    await idbPut(STORE, KEY, {
+      schemaVersion: BOARD_SCHEMA_VERSION,
+      savedAt: Date.now(),
+      lastKeyword,
+      pagination,
+      deals,
+    });
+  } catch (err) {
+    console.warn('Could not save deals:', err);
+  }
+};
@@ -0,0 +1,51 @@
+import { migrateSnapshot, pruneExpiredDeals, BOARD_SCHEMA_VERSION } from './boardCache';
+import { DEFAULT_MARKETPLACE } from '../utils/marketplaces';
+
+test('current snapshots pass through migration unchanged', () => {
+  const snapshot = { schemaVersion: BOARD_SCHEMA_VERSION, deals: [{ asin: 'A1' }] };
+  expect(migrateSnapshot(snapshot)).toEqual(snapshot);
+});
+
+test('older snapshots are upgraded step by step', () => {
+  const migrations = {
+    1: (s) => ({ ...s, deals: s.items }),
+    2: (s) => ({ ...s, serverPage: s.serverPage || 1 }),
+  };
+  const migrated = migrateSnapshot({ schemaVersion: 1, items: [{ asin: 'A1' }] }, migrations, 3);
+  expect(migrated.schemaVersion).toBe(3);
+  expect(migrated.deals).toEqual([{ asin: 'A1' }]);
+  expect(migrated.serverPage).toBe(1);
+});
+
+test('v1 snapshots turn their page counter into paging for the last keyword', () => {
+  const migrated = migrateSnapshot({
+    schemaVersion: 1,
+    lastKeyword: 'Lamp',
+    serverPage: 3,
+    deals: [{ asin: 'A1', keyword: 'Lamp', marketplace: 'amazon.de', fetchedAt: 50 }],
+  });
+  expect(migrated.serverPage).toBeUndefined();
+  expect(migrated.pagination).toEqual({
+    'amazon.de|lamp': expect.objectContaining({ keyword: 'Lamp', marketplace: 'amazon.de', page: 3, exhausted: false, searchedAt: 50 }),
+  });
+
+  const other = migrateSnapshot({ schemaVersion: 1, lastKeyword: 'tv', deals: [] });
+  expect(Object.values(other.pagination)).toEqual([expect.objectContaining({ marketplace: DEFAULT_MARKETPLACE, page: 1 })]);
+  expect(migrateSnapshot({ schemaVersion: 1, deals: [] }).pagination).toEqual({});
+});
+
+test('snapshots with no migration path or from a newer schema are dropped', () => {
+  expect(migrateSnapshot({ schemaVersion: 1 }, {}, 2)).toBeNull();
+  expect(migrateSnapshot({ schemaVersion: BOARD_SCHEMA_VERSION + 1 })).toBeNull();
+  expect(migrateSnapshot(undefined)).toBeNull();
+});
+
+test('deals older than the TTL are pruned', () => {
+  const now = 1_000_000;
+  const deals = [
+    { asin: 'fresh', fetchedAt: now - 10 },
+    { asin: 'stale', fetchedAt: now - 5000 },
+    { asin: 'unknown' },
+  ];
+  expect(pruneExpiredDeals(deals, 1000, now).map((d) => d.asin)).toEqual(['fresh']);
+});
@@ -0,0 +1,75 @@
+// storage/cardTemplateStore.js - Custom image card templates kept in localStorage, portable as JSON
+import {
+  BUILTIN_CARD_TEMPLATES,
+  CARD_TEXT_FIELDS,
+  CARD_COLOR_FIELDS,
+  DEFAULT_CARD_TEMPLATE,
+} from '../posts/imageCards';
+import { validateTemplate } from '../posts/templateEngine';
+
+const STORAGE_KEY = 'amazon-deals-finder:card-templates';
+const EXPORT_VERSION = 1;
+const EMPTY_SETTINGS = { templates: [], active: DEFAULT_CARD_TEMPLATE };
+
+const isCardTemplate = (t) =>
+  t && typeof t.id === 'string' && typeof t.name === 'string' && t.colors && typeof t.colors === 'object';
+
+// Keeps only known fields; anything missing falls back to the default built-in
+const normalizeCardTemplate = (t) => {
+  const base = BUILTIN_CARD_TEMPLATES[0];
+  const text = Object.fromEntries(
+    CARD_TEXT_FIELDS.map(({ name }) => [name, typeof t[name] === 'string' ? t[name] : base[name]])
+  );
+  const colors = Object.fromEntries(
+    CARD_COLOR_FIELDS.map(({ name }) => [name, typeof t.colors[name] === 'string' ? t.colors[name] : base.colors[name]])
+  );
+  return { id: t.id, name: t.name, ...text, colors };
+};
+
+export const loadCardTemplateSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!saved) return EMPTY_SETTINGS;
+    return {
+      templates: (saved.templates || []).filter(isCardTemplate).map(normalizeCardTemplate),
+      active: typeof saved.active === 'string' ? saved.active : DEFAULT_CARD_TEMPLATE,
+    };
+  } catch (err) {
+    console.warn('Could not load card templates:', err);
+    return EMPTY_SETTINGS;
+  }
+};
+
+export const saveCardTemplateSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save card templates:', err);
+  }
+};
+
+export const exportCardTemplatesJson = (templates) =>
+  JSON.stringify(
+    { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), cardTemplates: templates.map(normalizeCardTemplate) },
+    null,
+    2
+  );
+
+// Throws with a readable message when the file is not a card template export
+export const parseCardTemplatesJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error('File is not valid JSON');
+  }
+  const templates = Array.isArray(parsed) ? parsed : parsed && parsed.cardTemplates;
+  if (!Array.isArray(templates) || !templates.every(isCardTemplate)) {
+    throw new Error('Expected a list of card templates with id, name and colors');
+  }
+  return templates.map(normalizeCardTemplate).map((t) => {
+    const broken = CARD_TEXT_FIELDS.find(({ name }) => validateTemplate(t[name]));
+    if (broken) throw new Error(`Card template "${t.name}", ${broken.label}: ${validateTemplate(t[broken.name])}`);
+    return t;
+  });
+};
@@ -0,0 +1,73 @@
+// storage/db.js - Promise wrapper around the app's IndexedDB database
+
+const DB_NAME = 'amazon-deals-finder';
+const DB_VERSION = 6;
+
+// Object stores use out-of-line keys so callers pick their own key layout.
+const upgrade = (db, oldVersion) => {
+  if (oldVersion < 1) db.createObjectStore('board');
+  if (oldVersion < 2) db.createObjectStore('savedSearches');
+  if (oldVersion < 3) db.createObjectStore('priceHistory');
+  if (oldVersion < 4) db.createObjectStore('postQueue');
+  if (oldVersion < 5) db.createObjectStore('monitor');
+  if (oldVersion < 6) db.createObjectStore('postings');
+};
+
+let dbPromise = null;
+
+export const isIndexedDbAvailable = () =>
+  typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+
+export const openDb = () => {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (e) => upgrade(request.result, e.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const idbGet = (storeName, key) =>
+  runRequest(storeName, 'readonly', (store) => store.get(key));
+
+export const idbPut = (storeName, key, value) =>
+  runRequest(storeName, 'readwrite', (store) => store.put(value, key));
+
+export const idbEntries = async (storeName) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const tx = db.transaction(storeName, 'readonly');
+    const request = tx.objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      entries.push([cursor.key, cursor.value]);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(entries);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
@@ -0,0 +1,33 @@
+// storage/monitorHistoryStore.js - Monitor stats snapshots and client timings, kept between visits
+import { idbGet, idbPut } from './db';
+
+const STORE = 'monitor';
+
+export const loadMonitorHistory = async () => {
+  try {
+    const [snapshots, timings] = await Promise.all([idbGet(STORE, 'snapshots'), idbGet(STORE, 'timings')]);
+    return {
+      snapshots: Array.isArray(snapshots) ? snapshots : [],
+      timings: timings && typeof timings === 'object' ? timings : {},
+    };
+  } catch (err) {
+    console.warn('Could not load monitor history:', err);
+    return { snapshots: [], timings: {} };
+  }
+};
+
+export const saveMonitorSnapshots = async (snapshots) => {
+  try {
+    await idbPut(STORE, 'snapshots', snapshots);
+  } catch (err) {
+    console.warn('Could not save monitor history:', err);
+  }
+};
+
+export const saveEndpointTimings = async (timings) => {
+  try {
+    await idbPut(STORE, 'timings', timings);
+  } catch (err) {
+    console.warn('Could not save endpoint timings:', err);
+  }
+};
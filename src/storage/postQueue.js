@@ -0,0 +1,35 @@
+// storage/postQueue.js - Posts waiting to go out, with their network and planned time
+import { idbGet, idbPut } from './db';
+
+const STORE = 'postQueue';
+const KEY = 'all';
+
+export const createQueueItem = ({ asin, title, text, url, image, network = 'facebook', plannedAt }) => ({
+  id: `post-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  asin: asin || '',
+  title: title || '',
+  text,
+  url: url || '',
+  image: image || '',
+  network,
+  plannedAt,
+  createdAt: Date.now(),
+});
+
+export const loadPostQueue = async () => {
+  try {
+    const saved = await idbGet(STORE, KEY);
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    console.warn('Could not load post queue:', err);
+    return [];
+  }
+};
+
+export const persistPostQueue = async (queue) => {
+  try {
+    await idbPut(STORE, KEY, queue);
+  } catch (err) {
+    console.warn('Could not save post queue:', err);
+  }
+};
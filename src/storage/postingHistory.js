@@ -0,0 +1,23 @@
+// storage/postingHistory.js - Every post that left the app, kept after its deal leaves the board
+import { idbGet, idbPut } from './db';
+
+const STORE = 'postings';
+const KEY = 'all';
+
+export const loadPostingHistory = async () => {
+  try {
+    const saved = await idbGet(STORE, KEY);
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    console.warn('Could not load posting history:', err);
+    return [];
+  }
+};
+
+export const persistPostingHistory = async (history) => {
+  try {
+    await idbPut(STORE, KEY, history);
+  } catch (err) {
+    console.warn('Could not save posting history:', err);
+  }
+};
@@ -0,0 +1,21 @@
+// storage/priceHistoryStore.js - One record of price points per ASIN (see priceHistoryKey)
+import { idbEntries, idbPut } from './db';
+
+const STORE = 'priceHistory';
+
+export const loadPriceHistory = async () => {
+  try {
+    return Object.fromEntries(await idbEntries(STORE));
+  } catch (err) {
+    console.warn('Could not load price history:', err);
+    return {};
+  }
+};
+
+export const savePricePoints = async (key, points) => {
+  try {
+    await idbPut(STORE, key, points);
+  } catch (err) {
+    console.warn(`Could not save price history for ${key}:`, err);
+  }
+};
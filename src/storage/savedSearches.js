@@ -0,0 +1,49 @@
+// storage/savedSearches.js - Named searches that re-poll /api/search on their own interval
+import { idbGet, idbPut } from './db';
+import { DEFAULT_MARKETPLACE } from '../utils/marketplaces';
+
+const STORE = 'savedSearches';
+const KEY = 'all';
+
+export const POLL_INTERVAL_OPTIONS = [5, 15, 30, 60, 180];
+export const MAX_CHANGE_ENTRIES = 20;
+
+export const createSavedSearch = ({
+  name,
+  keyword,
+  minDiscount = 0,
+  couponOnly = false,
+  marketplace = DEFAULT_MARKETPLACE,
+  intervalMinutes = 30,
+}) => ({
+  id: `search-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  name: (name || keyword).trim(),
+  keyword: keyword.trim(),
+  minDiscount: Number(minDiscount) || 0,
+  couponOnly: couponOnly === true,
+  marketplace,
+  intervalMinutes: Number(intervalMinutes) || 30,
+  enabled: true,
+  lastCheckedAt: null,
+  lastError: '',
+  snapshot: null,
+  changes: [],
+});
+
+export const loadSavedSearches = async () => {
+  try {
+    const saved = await idbGet(STORE, KEY);
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    console.warn('Could not load saved searches:', err);
+    return [];
+  }
+};
+
+export const persistSavedSearches = async (searches) => {
+  try {
+    await idbPut(STORE, KEY, searches);
+  } catch (err) {
+    console.warn('Could not save searches:', err);
+  }
+};
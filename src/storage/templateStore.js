@@ -0,0 +1,65 @@
+// storage/templateStore.js - Custom post templates kept in localStorage, portable as JSON
+import { DEFAULT_ACTIVE_TEMPLATES } from '../posts/postTemplates';
+import { validateTemplate } from '../posts/templateEngine';
+
+const STORAGE_KEY = 'amazon-deals-finder:post-templates';
+const EXPORT_VERSION = 1;
+
+const isTemplate = (t) => t && typeof t.id === 'string' && typeof t.name === 'string' && typeof t.body === 'string';
+
+// Templates render on every card, so a body that doesn't parse is dropped rather than
+// left to throw mid-render; flows that used it fall back to the built-in template
+const isUsableTemplate = (t) => {
+  if (!isTemplate(t)) return false;
+  const problem = validateTemplate(t.body);
+  if (problem) console.warn(`Dropping saved template "${t.name}": ${problem}`);
+  return !problem;
+};
+
+export const loadTemplateSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!saved) return { templates: [], active: DEFAULT_ACTIVE_TEMPLATES };
+    return {
+      templates: (saved.templates || []).filter(isUsableTemplate),
+      active: { ...DEFAULT_ACTIVE_TEMPLATES, ...saved.active },
+    };
+  } catch (err) {
+    console.warn('Could not load post templates:', err);
+    return { templates: [], active: DEFAULT_ACTIVE_TEMPLATES };
+  }
+};
+
+export const saveTemplateSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save post templates:', err);
+  }
+};
+
+export const exportTemplatesJson = (templates) =>
+  JSON.stringify(
+    { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), templates: templates.map(({ id, name, body }) => ({ id, name, body })) },
+    null,
+    2
+  );
+
+// Throws with a readable message when the file is not a template export
+export const parseTemplatesJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error('File is not valid JSON');
+  }
+  const templates = Array.isArray(parsed) ? parsed : parsed && parsed.templates;
+  if (!Array.isArray(templates) || !templates.every(isTemplate)) {
+    throw new Error('Expected a list of templates with id, name and body');
+  }
+  templates.forEach((t) => {
+    const problem = validateTemplate(t.body);
+    if (problem) throw new Error(`Template "${t.name}": ${problem}`);
+  });
+  return templates.map(({ id, name, body }) => ({ id, name, body }));
+};
@@ -0,0 +1,26 @@
+import { loadTemplateSettings } from './templateStore';
+import { DEFAULT_ACTIVE_TEMPLATES } from '../posts/postTemplates';
+
+afterEach(() => {
+  window.localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test('saved templates whose body no longer parses are dropped on load', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  window.localStorage.setItem(
+    'amazon-deals-finder:post-templates',
+    JSON.stringify({
+      templates: [
+        { id: 'good', name: 'Good', body: '{{title}} for {{price}}' },
+        { id: 'broken', name: 'Broken', body: '{{#coupon}}no end' },
+        { id: 'no-body', name: 'No body' },
+      ],
+      active: { deal: 'broken' },
+    })
+  );
+  const { templates, active } = loadTemplateSettings();
+  expect(templates.map((t) => t.id)).toEqual(['good']);
+  expect(active).toEqual({ ...DEFAULT_ACTIVE_TEMPLATES, deal: 'broken' });
+  expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/Dropping saved template "Broken"/));
+});
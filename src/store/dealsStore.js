@@ -0,0 +1,302 @@
+// store/dealsStore.js - The deal board, the search box, per-search server pagination and the selection as one reducer
+//
+// Action creators stamp ids and fetch times onto incoming deals, so the reducer itself
+// stays pure and every merge goes through mergeDeals.
+import { toggleSelection } from '../utils/selection';
+
+export const HIGHLIGHT_MS = 10000;
+
+// Deals count as the same product when these match, in this order
+export const dealKey = (deal) => deal.asin || deal.url || deal.title || '';
+
+export const initialDealsState = {
+  deals: [],
+  query: '',
+  loading: false,
+  error: '',
+  // Ids of the deals the last merge added, highlighted for HIGHLIGHT_MS
+  lastAddedIds: [],
+  lastKeyword: '',
+  // Paging per search, by paginationKey: { key, keyword, marketplace, minDiscount, page,
+  // cursor, exhausted, loading, error, searchedAt }
+  pagination: {},
+  // 'loading' until the saved board has been read, then 'restored' or 'empty'
+  boardStatus: 'loading',
+  // Checked deals, and the last plainly clicked one that shift-click ranges start from.
+  // Deals that leave the board leave the selection in the same update.
+  selectedIds: [],
+  selectionAnchorId: null,
+};
+
+// The incoming deals that aren't on the board yet, each product once
+export const uniqueDeals = (existing, incoming) => {
+  const seen = new Set(existing.map(dealKey));
+  return incoming.filter((d) => {
+    const key = dealKey(d);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Returns { deals, added }; `at` is 'start' or 'end'
+export const mergeDeals = (existing, incoming, { at = 'start' } = {}) => {
+  const added = uniqueDeals(existing, incoming);
+  return { deals: at === 'end' ? [...existing, ...added] : [...added, ...existing], added };
+};
+
+// Prices from a fresh result list replace the ones on the board; products the board
+// doesn't have yet are returned as `fresh`
+export const refreshPrices = (existing, results, fetchedAt) => {
+  const byKey = new Map(results.map((r) => [dealKey(r), r]));
+  const deals = existing.map((d) => {
+    const match = byKey.get(dealKey(d));
+    if (!match) return d;
+    byKey.delete(dealKey(d));
+    return {
+      ...d,
+      currentPrice: match.currentPrice,
+      originalPrice: match.originalPrice,
+      discount: match.discount,
+      fetchedAt,
+    };
+  });
+  return { deals, fresh: [...byKey.values()] };
+};
+
+// Searches for the same words on the same marketplace share their pages
+export const paginationKey = (keyword, marketplace) => `${marketplace}|${String(keyword).trim().toLowerCase()}`;
+
+// The backend may page by number only, or also hand out a cursor (`nextCursor`) and say
+// whether there is more (`hasMore`), which wins when given. Without it only an empty page,
+// or a cursor-paged search that hands out no next cursor, ends a search; a page of deals
+// that are all on the board already doesn't.
+const pageInfo = (data, { usedCursor = false } = {}) => {
+  const deals = data.deals || [];
+  const cursor = data.nextCursor || null;
+  const exhausted = typeof data.hasMore === 'boolean'
+    ? !data.hasMore
+    : deals.length === 0 || (usedCursor && !cursor);
+  return { cursor, exhausted };
+};
+
+const stamp = (deals, now = Date.now(), fields = () => ({})) =>
+  deals.map((d) => ({ ...d, id: now + Math.random(), fetchedAt: now, ...fields(d) }));
+
+const fromSearch = (deals, keyword, marketplace) =>
+  stamp(deals, Date.now(), (d) => ({ marketplace: d.marketplace || marketplace, keyword: d.keyword || keyword }));
+
+// ========================================
+// ACTION CREATORS
+// ========================================
+export const queryChanged = (query) => ({ type: 'queryChanged', query });
+
+export const searchStarted = () => ({ type: 'searchStarted' });
+
+export const searchFailed = (error) => ({ type: 'searchFailed', error });
+
+// `data` is the /api/search response for page 1
+export const searchSucceeded = (keyword, data, { marketplace, minDiscount = 0, now = Date.now() } = {}) => ({
+  type: 'searchSucceeded',
+  keyword,
+  deals: fromSearch(data.deals, keyword, marketplace),
+  entry: {
+    key: paginationKey(keyword, marketplace),
+    keyword,
+    marketplace,
+    minDiscount,
+    page: 1,
+    ...pageInfo(data),
+    loading: false,
+    error: '',
+    searchedAt: now,
+  },
+});
+
+export const loadMoreStarted = (key) => ({ type: 'loadMoreStarted', key });
+
+// An empty `error` means the request was cancelled
+export const loadMoreFailed = (key, error = '') => ({ type: 'loadMoreFailed', key, error });
+
+// `entry` is the pagination entry the page was requested for
+export const pageLoaded = (entry, page, data) => ({
+  type: 'pageLoaded',
+  key: entry.key,
+  page,
+  deals: fromSearch(data.deals, entry.keyword, entry.marketplace),
+  ...pageInfo(data, { usedCursor: Boolean(entry.cursor) }),
+});
+
+// Results for deals already on the board only update their prices
+export const savedSearchChecked = (results, checkedAt = Date.now()) => ({
+  type: 'savedSearchChecked',
+  checkedAt,
+  deals: stamp(results, checkedAt),
+});
+
+export const dealsAdded = (deals) => ({ type: 'dealsAdded', deals: stamp(deals) });
+
+export const boardRestored = (saved) => ({ type: 'boardRestored', saved });
+
+export const dealUpdated = (id, patch) => ({ type: 'dealUpdated', id, patch });
+
+export const dealsDismissed = (ids) => ({ type: 'dealsDismissed', ids });
+
+// `status` is one of DEAL_STATUS_IDS (utils/dealLifecycle.js)
+export const dealStatusChanged = (ids, status, at = Date.now()) => ({ type: 'dealStatusChanged', ids, status, at });
+
+// `posting` is a createPosting record; the deal keeps every posting and moves to posted
+export const dealPosted = (id, posting) => ({ type: 'dealPosted', id, posting });
+
+export const highlightCleared = () => ({ type: 'highlightCleared' });
+
+// `orderedIds` are the deals in display order, for shift-click ranges
+export const selectionToggled = (id, orderedIds, { range = false } = {}) => ({
+  type: 'selectionToggled',
+  id,
+  orderedIds,
+  range,
+});
+
+export const selectionReplaced = (ids) => ({ type: 'selectionReplaced', ids });
+
+// ========================================
+// REDUCER
+// ========================================
+const updateEntry = (state, key, patch) =>
+  state.pagination[key]
+    ? { ...state.pagination, [key]: { ...state.pagination[key], ...patch } }
+    : state.pagination;
+
+// A merge that adds nothing keeps the previous highlight
+const highlight = (state, added) => (added.length ? added.map((d) => d.id) : state.lastAddedIds);
+
+export function dealsReducer(state, action) {
+  switch (action.type) {
+    case 'queryChanged':
+      return { ...state, query: action.query };
+    case 'searchStarted':
+      return { ...state, loading: true, error: '' };
+    case 'searchFailed':
+      return { ...state, loading: false, error: action.error };
+    case 'searchSucceeded': {
+      const { deals, added } = mergeDeals(state.deals, action.deals);
+      return {
+        ...state,
+        deals,
+        loading: false,
+        lastAddedIds: highlight(state, added),
+        lastKeyword: action.keyword,
+        pagination: { ...state.pagination, [action.entry.key]: action.entry },
+      };
+    }
+    case 'loadMoreStarted':
+      return { ...state, pagination: updateEntry(state, action.key, { loading: true, error: '' }) };
+    case 'loadMoreFailed':
+      return { ...state, pagination: updateEntry(state, action.key, { loading: false, error: action.error }) };
+    case 'pageLoaded': {
+      const { deals, added } = mergeDeals(state.deals, action.deals, { at: 'end' });
+      return {
+        ...state,
+        deals,
+        lastAddedIds: highlight(state, added),
+        pagination: updateEntry(state, action.key, {
+          page: action.page,
+          cursor: action.cursor,
+          exhausted: action.exhausted,
+          loading: false,
+        }),
+      };
+    }
+    case 'savedSearchChecked': {
+      const { deals: refreshed, fresh } = refreshPrices(state.deals, action.deals, action.checkedAt);
+      const { deals, added } = mergeDeals(refreshed, fresh);
+      return { ...state, deals, lastAddedIds: highlight(state, added) };
+    }
+    case 'dealsAdded': {
+      const { deals, added } = mergeDeals(state.deals, action.deals);
+      return { ...state, deals, lastAddedIds: highlight(state, added) };
+    }
+    case 'boardRestored':
+      if (!action.saved) return { ...state, boardStatus: 'empty' };
+      return {
+        ...state,
+        deals: action.saved.deals,
+        lastKeyword: action.saved.lastKeyword,
+        // Nothing is in flight after a reload
+        pagination: Object.fromEntries(
+          Object.entries(action.saved.pagination || {}).map(([key, entry]) => [key, { ...entry, loading: false, error: '' }])
+        ),
+        boardStatus: 'restored',
+        selectedIds: [],
+        selectionAnchorId: null,
+      };
+    case 'dealUpdated':
+      return { ...state, deals: state.deals.map((d) => (d.id === action.id ? { ...d, ...action.patch } : d)) };
+    case 'dealsDismissed':
+      return {
+        ...state,
+        deals: state.deals.filter((d) => !action.ids.includes(d.id)),
+        selectedIds: state.selectedIds.filter((id) => !action.ids.includes(id)),
+      };
+    case 'dealStatusChanged':
+      return {
+        ...state,
+        deals: state.deals.map((d) =>
+          action.ids.includes(d.id) && d.status !== action.status
+            ? { ...d, status: action.status, statusChangedAt: action.at }
+            : d
+        ),
+      };
+    case 'dealPosted': {
+      const { posting } = action;
+      return {
+        ...state,
+        deals: state.deals.map((d) =>
+          d.id === action.id
+            ? { ...d, status: 'posted', statusChangedAt: posting.at, postings: [...(d.postings || []), posting] }
+            : d
+        ),
+      };
+    }
+    case 'highlightCleared':
+      return { ...state, lastAddedIds: [] };
+    case 'selectionToggled':
+      return {
+        ...state,
+        selectedIds: toggleSelection(state.selectedIds, action.orderedIds, action.id, {
+          anchorId: state.selectionAnchorId,
+          range: action.range,
+        }),
+        selectionAnchorId: action.range ? state.selectionAnchorId : action.id,
+      };
+    case 'selectionReplaced':
+      return { ...state, selectedIds: action.ids };
+    default:
+      return state;
+  }
+}
+
+// ========================================
+// SELECTORS
+// ========================================
+// Searches with pages, most recent first, each with the number of its deals on the board
+export const selectPagedSearches = (state) => {
+  const counts = {};
+  state.deals.forEach((d) => {
+    if (!d.keyword) return;
+    const key = paginationKey(d.keyword, d.marketplace);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.values(state.pagination)
+    .sort((a, b) => b.searchedAt - a.searchedAt)
+    .map((entry) => ({ ...entry, dealCount: counts[entry.key] || 0 }));
+};
+
+// What infinite scroll loads next: the most recent search that still has pages
+export const selectNextSearch = (state) => selectPagedSearches(state).find((entry) => !entry.exhausted) || null;
+
+export const selectIsLoadingMore = (state) => Object.values(state.pagination).some((entry) => entry.loading);
+
+// The selected deals in board order
+export const selectSelectedDeals = (state) => state.deals.filter((d) => state.selectedIds.includes(d.id));
@@ -0,0 +1,203 @@
+import {
+  initialDealsState,
+  dealsReducer,
+  dealKey,
+  mergeDeals,
+  refreshPrices,
+  searchStarted,
+  searchFailed,
+  searchSucceeded,
+  loadMoreStarted,
+  loadMoreFailed,
+  pageLoaded,
+  savedSearchChecked,
+  dealsAdded,
+  boardRestored,
+  dealUpdated,
+  dealsDismissed,
+  dealStatusChanged,
+  dealPosted,
+  highlightCleared,
+  paginationKey,
+  selectPagedSearches,
+  selectNextSearch,
+  selectIsLoadingMore,
+  selectionToggled,
+  selectionReplaced,
+  selectSelectedDeals,
+} from './dealsStore';
+
+const deal = (asin, overrides) => ({ asin, title: `Deal ${asin}`, currentPrice: 20, originalPrice: 40, discount: 50, ...overrides });
+
+const reduce = (actions, state = initialDealsState) => actions.reduce(dealsReducer, state);
+
+const page = (deals, extra = {}) => ({ success: true, deals, ...extra });
+
+test('deals are keyed by ASIN, then URL, then title', () => {
+  expect(dealKey({ asin: 'B1', url: 'u', title: 't' })).toBe('B1');
+  expect(dealKey({ url: 'u', title: 't' })).toBe('u');
+  expect(dealKey({ title: 't' })).toBe('t');
+  expect(dealKey({})).toBe('');
+});
+
+test('merging skips products already on the board, repeats and deals without a key', () => {
+  const { deals, added } = mergeDeals([deal('B1')], [deal('B2'), deal('B1'), deal('B2'), {}]);
+  expect(added.map((d) => d.asin)).toEqual(['B2']);
+  expect(deals.map((d) => d.asin)).toEqual(['B2', 'B1']);
+  expect(mergeDeals([deal('B1')], [deal('B2')], { at: 'end' }).deals.map((d) => d.asin)).toEqual(['B1', 'B2']);
+});
+
+test('a search prepends new deals, highlights them and starts its own paging over', () => {
+  const state = reduce([
+    boardRestored({ deals: [{ ...deal('B1'), id: 1 }], lastKeyword: 'old', pagination: {} }),
+    searchStarted(),
+    searchSucceeded('lamp', page([deal('B2'), deal('B1')]), { marketplace: 'de', minDiscount: 30, now: 5 }),
+  ]);
+  expect(state.loading).toBe(false);
+  expect(state.deals.map((d) => d.asin)).toEqual(['B2', 'B1']);
+  expect(state.deals[0]).toEqual(expect.objectContaining({ keyword: 'lamp', marketplace: 'de' }));
+  expect(state.lastAddedIds).toEqual([state.deals[0].id]);
+  expect(state.lastKeyword).toBe('lamp');
+  expect(state.pagination[paginationKey('Lamp ', 'de')]).toEqual({
+    key: 'de|lamp',
+    keyword: 'lamp',
+    marketplace: 'de',
+    minDiscount: 30,
+    page: 1,
+    cursor: null,
+    exhausted: false,
+    loading: false,
+    error: '',
+    searchedAt: 5,
+  });
+});
+
+test('a failed search keeps the board and shows the error', () => {
+  const state = reduce([dealsAdded([deal('B1')]), searchStarted(), searchFailed('❌ Down')]);
+  expect(state).toEqual(expect.objectContaining({ loading: false, error: '❌ Down' }));
+  expect(state.deals).toHaveLength(1);
+  expect(dealsReducer(state, searchStarted()).error).toBe('');
+});
+
+test('each search pages on its own; only an empty page ends it', () => {
+  let state = reduce([
+    searchSucceeded('lamp', page([deal('B1')]), { marketplace: 'us', now: 1 }),
+    searchSucceeded('desk', page([deal('B7')]), { marketplace: 'us', now: 2 }),
+  ]);
+  const lamp = state.pagination['us|lamp'];
+  state = dealsReducer(state, loadMoreStarted(lamp.key));
+  expect(selectIsLoadingMore(state)).toBe(true);
+  expect(state.pagination['us|desk'].loading).toBe(false);
+
+  state = dealsReducer(state, pageLoaded(lamp, 2, page([deal('B2')])));
+  expect(state.deals.map((d) => d.asin)).toEqual(['B7', 'B1', 'B2']);
+  expect(state.deals[2].keyword).toBe('lamp');
+  expect(state.pagination['us|lamp']).toEqual(expect.objectContaining({ page: 2, loading: false, exhausted: false }));
+
+  // A page of deals already on the board is not the end
+  const highlighted = state.lastAddedIds;
+  state = dealsReducer(state, pageLoaded(lamp, 3, page([deal('B2')])));
+  expect(state.pagination['us|lamp']).toEqual(expect.objectContaining({ page: 3, exhausted: false }));
+  expect(state.lastAddedIds).toBe(highlighted);
+  state = dealsReducer(state, pageLoaded(lamp, 4, page([])));
+  expect(state.pagination['us|lamp'].exhausted).toBe(true);
+  expect(state.pagination['us|desk']).toEqual(expect.objectContaining({ page: 1, exhausted: false }));
+
+  // Searching one keyword again only restarts that keyword
+  state = dealsReducer(state, searchSucceeded('lamp', page([deal('B3')]), { marketplace: 'us', now: 3 }));
+  expect(state.pagination['us|lamp']).toEqual(expect.objectContaining({ page: 1, exhausted: false }));
+});
+
+test('cursors and hasMore from the backend drive the paging when present', () => {
+  let state = reduce([searchSucceeded('lamp', page([deal('B1')], { nextCursor: 'c2' }), { marketplace: 'us' })]);
+  expect(state.pagination['us|lamp'].cursor).toBe('c2');
+  state = dealsReducer(state, pageLoaded(state.pagination['us|lamp'], 2, page([deal('B2')])));
+  expect(state.pagination['us|lamp']).toEqual(expect.objectContaining({ cursor: null, exhausted: true }));
+
+  state = dealsReducer(state, searchSucceeded('desk', page([deal('B5')], { hasMore: false }), { marketplace: 'us' }));
+  expect(state.pagination['us|desk'].exhausted).toBe(true);
+  // Everything on a page can be filtered out by the minimum discount while more pages follow
+  state = dealsReducer(state, pageLoaded(state.pagination['us|desk'], 2, page([], { hasMore: true })));
+  expect(state.pagination['us|desk'].exhausted).toBe(false);
+});
+
+test('failed and cancelled pages clear the loading flag', () => {
+  let state = reduce([searchSucceeded('lamp', page([deal('B1')]), { marketplace: 'us' }), loadMoreStarted('us|lamp')]);
+  state = dealsReducer(state, loadMoreFailed('us|lamp', 'Timed out'));
+  expect(state.pagination['us|lamp']).toEqual(expect.objectContaining({ loading: false, error: 'Timed out' }));
+  state = reduce([loadMoreStarted('us|lamp'), loadMoreFailed('us|lamp')], state);
+  expect(state.pagination['us|lamp']).toEqual(expect.objectContaining({ loading: false, error: '' }));
+  expect(dealsReducer(state, loadMoreStarted('us|gone')).pagination).toBe(state.pagination);
+});
+
+test('infinite scroll continues the most recent search that still has pages', () => {
+  let state = reduce([
+    searchSucceeded('lamp', page([deal('B1'), deal('B2')]), { marketplace: 'us', now: 1 }),
+    searchSucceeded('desk', page([deal('B3')]), { marketplace: 'us', now: 2 }),
+  ]);
+  expect(selectPagedSearches(state).map((s) => [s.keyword, s.dealCount])).toEqual([['desk', 1], ['lamp', 2]]);
+  expect(selectNextSearch(state).keyword).toBe('desk');
+  state = dealsReducer(state, pageLoaded(state.pagination['us|desk'], 2, page([])));
+  expect(selectNextSearch(state).keyword).toBe('lamp');
+  state = dealsReducer(state, pageLoaded(state.pagination['us|lamp'], 2, page([])));
+  expect(selectNextSearch(state)).toBeNull();
+});
+
+test('saved-search results refresh prices on the board and add the rest on top', () => {
+  const state = reduce([
+    dealsAdded([deal('B1', { rewritten: 'Kept' })]),
+    savedSearchChecked([deal('B1', { currentPrice: 15, discount: 62 }), deal('B3')], 5000),
+  ]);
+  expect(state.deals.map((d) => d.asin)).toEqual(['B3', 'B1']);
+  expect(state.deals[1]).toEqual(expect.objectContaining({ currentPrice: 15, discount: 62, fetchedAt: 5000, rewritten: 'Kept' }));
+  expect(state.lastAddedIds).toEqual([state.deals[0].id]);
+  expect(refreshPrices([], [deal('B9')], 1).fresh).toHaveLength(1);
+});
+
+test('restoring, updating, dismissing and clearing the highlight', () => {
+  expect(dealsReducer(initialDealsState, boardRestored(null)).boardStatus).toBe('empty');
+  let state = reduce([
+    boardRestored({
+      deals: [{ ...deal('B1'), id: 1 }, { ...deal('B2'), id: 2 }],
+      lastKeyword: 'tv',
+      pagination: { 'us|tv': { key: 'us|tv', keyword: 'tv', page: 3, loading: true, error: 'Old' } },
+    }),
+  ]);
+  expect(state).toEqual(expect.objectContaining({ boardStatus: 'restored', lastKeyword: 'tv' }));
+  expect(state.pagination['us|tv']).toEqual(expect.objectContaining({ page: 3, loading: false, error: '' }));
+  state = reduce([dealUpdated(2, { rewritten: 'New post' }), dealsDismissed([1])], state);
+  expect(state.deals).toEqual([expect.objectContaining({ id: 2, rewritten: 'New post' })]);
+  state = reduce([dealsAdded([deal('B5')]), highlightCleared()], state);
+  expect(state.lastAddedIds).toEqual([]);
+});
+
+test('deals move between statuses and keep every posting', () => {
+  let state = reduce([
+    boardRestored({ deals: [{ ...deal('B1'), id: 1 }, { ...deal('B2'), id: 2 }], lastKeyword: '', pagination: {} }),
+    dealStatusChanged([1, 2], 'shortlisted', 10),
+    dealStatusChanged([2], 'skipped', 20),
+  ]);
+  expect(state.deals.map((d) => [d.status, d.statusChangedAt])).toEqual([['shortlisted', 10], ['skipped', 20]]);
+  // Moving to the status it already has keeps the time it got there
+  expect(dealsReducer(state, dealStatusChanged([1], 'shortlisted', 30)).deals[0].statusChangedAt).toBe(10);
+
+  const first = { id: 'p1', network: 'facebook', text: 'Post', at: 40 };
+  const second = { id: 'p2', network: 'clipboard', text: 'Post 2', at: 50 };
+  state = reduce([dealPosted(1, first), dealPosted(1, second)], state);
+  expect(state.deals[0]).toEqual(expect.objectContaining({ status: 'posted', statusChangedAt: 50, postings: [first, second] }));
+  expect(state.deals[1].postings).toBeUndefined();
+});
+
+test('the selection toggles, extends from its anchor and drops dismissed deals', () => {
+  const board = reduce([dealsAdded([deal('B1'), deal('B2'), deal('B3'), deal('B4')])]);
+  const ids = board.deals.map((d) => d.id);
+  const state = reduce(
+    [selectionToggled(ids[0], ids), selectionToggled(ids[2], ids, { range: true }), dealsDismissed([ids[1]])],
+    board
+  );
+  expect(state.selectedIds).toEqual([ids[0], ids[2]]);
+  expect(selectSelectedDeals(state).map((d) => d.id)).toEqual([ids[0], ids[2]]);
+  const shown = state.deals.map((d) => d.id);
+  expect(reduce([selectionToggled(ids[3], shown, { range: true })], state).selectedIds).toEqual([ids[0], ids[2], ids[3]]);
+  expect(reduce([selectionReplaced([])], state).selectedIds).toEqual([]);
+});
@@ -0,0 +1,101 @@
+// store/rewritesStore.js - AI rewrites in flight: card statuses, streamed variants, the comparison and batch progress
+//
+// Ids are deal ids, or 'external' for the external URL post. Variants are
+// { id, model, text, status, error, problems } with status 'streaming', 'done', 'error' or 'stopped'.
+import { AI_PENDING_STATUSES } from '../posts/rewriteOptions';
+
+export const initialRewritesState = {
+  // The label on each card's rewrite button while and shortly after it runs
+  statuses: {},
+  variants: {},
+  // Variants open in the comparison: a deal id, or 'external'
+  compareId: null,
+  // The running batch rewrite, counted as each deal settles: { total, done, failed }
+  batch: null,
+};
+
+// ========================================
+// ACTION CREATORS
+// ========================================
+export const rewriteStarted = (id, variants) => ({ type: 'rewriteStarted', id, variants });
+
+export const variantToken = (id, variantId, token) => ({ type: 'variantToken', id, variantId, token });
+
+export const variantUpdated = (id, variantId, patch) => ({ type: 'variantUpdated', id, variantId, patch });
+
+// `status` is the label the card shows: 'Done ✅', 'Check ⚠️', 'Error ❌' or 'Stopped ⏹️'
+export const rewriteFinished = (id, status) => ({ type: 'rewriteFinished', id, status });
+
+export const statusReset = (id) => ({ type: 'statusReset', id });
+
+export const variantsDropped = (id) => ({ type: 'variantsDropped', id });
+
+export const compareOpened = (id) => ({ type: 'compareOpened', id });
+
+export const compareClosed = () => ({ type: 'compareClosed' });
+
+export const batchStarted = (ids) => ({ type: 'batchStarted', ids });
+
+export const batchItemSettled = (ok) => ({ type: 'batchItemSettled', ok });
+
+export const batchFinished = () => ({ type: 'batchFinished' });
+
+// ========================================
+// REDUCER
+// ========================================
+const updateVariant = (state, id, variantId, update) => ({
+  ...state,
+  variants: {
+    ...state.variants,
+    [id]: (state.variants[id] || []).map((v) => (v.id === variantId ? { ...v, ...update(v) } : v)),
+  },
+});
+
+export function rewritesReducer(state, action) {
+  switch (action.type) {
+    case 'rewriteStarted':
+      return {
+        ...state,
+        statuses: { ...state.statuses, [action.id]: 'Processing…' },
+        variants: { ...state.variants, [action.id]: action.variants },
+        compareId: action.variants.length > 1 ? action.id : state.compareId,
+      };
+    case 'variantToken':
+      return updateVariant(state, action.id, action.variantId, (v) => ({ text: v.text + action.token }));
+    case 'variantUpdated':
+      return updateVariant(state, action.id, action.variantId, () => action.patch);
+    case 'rewriteFinished':
+      return { ...state, statuses: { ...state.statuses, [action.id]: action.status } };
+    case 'statusReset':
+      return { ...state, statuses: { ...state.statuses, [action.id]: 'Ready' } };
+    case 'variantsDropped': {
+      const { [action.id]: _dropped, ...variants } = state.variants;
+      return { ...state, variants, compareId: state.compareId === action.id ? null : state.compareId };
+    }
+    case 'compareOpened':
+      return { ...state, compareId: action.id };
+    case 'compareClosed':
+      return { ...state, compareId: null };
+    case 'batchStarted':
+      return {
+        ...state,
+        statuses: { ...state.statuses, ...Object.fromEntries(action.ids.map((id) => [id, 'Queued…'])) },
+        batch: { total: action.ids.length, done: 0, failed: 0 },
+      };
+    case 'batchItemSettled':
+      if (!state.batch) return state;
+      return {
+        ...state,
+        batch: { ...state.batch, done: state.batch.done + 1, failed: state.batch.failed + (action.ok ? 0 : 1) },
+      };
+    case 'batchFinished':
+      return { ...state, batch: null };
+    default:
+      return state;
+  }
+}
+
+// ========================================
+// SELECTORS
+// ========================================
+export const selectIsRewriting = (state, id) => AI_PENDING_STATUSES.includes(state.statuses[id]);
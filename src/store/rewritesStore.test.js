@@ -0,0 +1,46 @@
+import {
+  initialRewritesState,
+  rewritesReducer,
+  rewriteStarted,
+  variantToken,
+  variantUpdated,
+  rewriteFinished,
+  statusReset,
+  variantsDropped,
+  compareClosed,
+  batchStarted,
+  batchItemSettled,
+  batchFinished,
+  selectIsRewriting,
+} from './rewritesStore';
+
+const reduce = (actions, state = initialRewritesState) => actions.reduce(rewritesReducer, state);
+
+const variant = (id) => ({ id, model: 'm', text: '', status: 'streaming', error: '', problems: [] });
+
+test('a rewrite streams tokens into its variant and finishes with a status that later resets', () => {
+  const streaming = reduce([rewriteStarted(1, [variant('a')]), variantToken(1, 'a', 'Hel'), variantToken(1, 'a', 'lo')]);
+  expect(streaming.variants[1][0].text).toBe('Hello');
+  expect(selectIsRewriting(streaming, 1)).toBe(true);
+  expect(streaming.compareId).toBeNull();
+
+  const done = reduce([variantUpdated(1, 'a', { status: 'done' }), rewriteFinished(1, 'Done ✅'), variantsDropped(1)], streaming);
+  expect(done.statuses[1]).toBe('Done ✅');
+  expect(done.variants).toEqual({});
+  expect(selectIsRewriting(done, 1)).toBe(false);
+  expect(reduce([statusReset(1)], done).statuses[1]).toBe('Ready');
+});
+
+test('several variants open the comparison until it is closed or they are dropped', () => {
+  const state = reduce([rewriteStarted('external', [variant('a'), variant('b')])]);
+  expect(state.compareId).toBe('external');
+  expect(reduce([compareClosed()], state).compareId).toBeNull();
+  expect(reduce([variantsDropped('external')], state).compareId).toBeNull();
+});
+
+test('a batch queues its deals and counts how each one settled', () => {
+  const state = reduce([batchStarted([1, 2, 3]), batchItemSettled(false), statusReset(1), batchItemSettled(true)]);
+  expect(state.statuses[3]).toBe('Queued…');
+  expect(state.batch).toEqual({ total: 3, done: 2, failed: 1 });
+  expect(reduce([batchFinished(), batchItemSettled(true)], state).batch).toBeNull();
+});
@@ -0,0 +1,126 @@
+// utils/amazonLinks.js - Canonical, affiliate-tagged Amazon product links
+//
+// Every outgoing Amazon link goes through toAffiliateLink(): product pages collapse to
+// https://www.<marketplace>/dp/<ASIN>, tracking parameters are dropped and our Associate
+// tag for that marketplace is added. Short links (amzn.to, a.co) cannot be expanded from
+// the browser, so they are only rewritten when the ASIN is already known from the deal.
+import { DEFAULT_MARKETPLACE } from './marketplaces';
+
+const ASIN_PATTERNS = [
+  /\/dp\/([A-Z0-9]{10})(?:[/?#]|$)/i,
+  /\/gp\/product\/([A-Z0-9]{10})(?:[/?#]|$)/i,
+  /\/gp\/aw\/d\/([A-Z0-9]{10})(?:[/?#]|$)/i,
+  /\/exec\/obidos\/(?:ASIN|tg\/detail\/-)\/([A-Z0-9]{10})(?:[/?#]|$)/i,
+  /\/o\/ASIN\/([A-Z0-9]{10})(?:[/?#]|$)/i,
+];
+
+export const SHORT_LINK_HOSTS = ['amzn.to', 'a.co', 'amzn.eu', 'amzn.asia'];
+
+// Every Amazon storefront, including ones we don't search (MARKETPLACES): links to any of
+// them are still product links to clean up and tag
+export const AMAZON_HOSTS = [
+  'amazon.com',
+  'amazon.ca',
+  'amazon.com.mx',
+  'amazon.com.br',
+  'amazon.co.uk',
+  'amazon.de',
+  'amazon.fr',
+  'amazon.it',
+  'amazon.es',
+  'amazon.nl',
+  'amazon.se',
+  'amazon.pl',
+  'amazon.com.be',
+  'amazon.ie',
+  'amazon.com.tr',
+  'amazon.ae',
+  'amazon.sa',
+  'amazon.eg',
+  'amazon.in',
+  'amazon.co.jp',
+  'amazon.sg',
+  'amazon.com.au',
+  'amazon.cn',
+];
+
+// Parameters that change what the page shows (variant, seller) rather than track the click
+const KEPT_PARAMS = ['th', 'psc', 'smid', 'k', 'node'];
+
+// REACT_APP_AMAZON_ASSOCIATE_TAGS="amazon.com:mytag-20,amazon.co.uk:mytag-21"
+export const parseAssociateTags = (raw) =>
+  String(raw || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .reduce((tags, entry) => {
+      const [marketplace, tag] = entry.split(':').map((part) => part.trim());
+      if (marketplace && tag) tags[marketplace.replace(/^www\./, '').toLowerCase()] = tag;
+      return tags;
+    }, {});
+
+export const ASSOCIATE_TAGS = parseAssociateTags(process.env.REACT_APP_AMAZON_ASSOCIATE_TAGS);
+
+const parseUrl = (raw) => {
+  try {
+    return new URL(String(raw).trim());
+  } catch (err) {
+    return null;
+  }
+};
+
+// 'www.amazon.co.uk' -> 'amazon.co.uk'; null for anything that isn't an Amazon storefront,
+// so look-alikes such as amazon.com.example.net are never treated (or tagged) as Amazon
+export const getMarketplaceHost = (raw) => {
+  const url = parseUrl(raw);
+  if (!url) return null;
+  const host = url.hostname.toLowerCase().replace(/^(www|smile|m)\./, '');
+  return AMAZON_HOSTS.includes(host) ? host : null;
+};
+
+export const isShortLink = (raw) => {
+  const url = parseUrl(raw);
+  return Boolean(url && SHORT_LINK_HOSTS.includes(url.hostname.toLowerCase().replace(/^www\./, '')));
+};
+
+export const extractAsin = (raw) => {
+  const url = parseUrl(raw);
+  const path = url ? url.pathname : String(raw || '');
+  for (const pattern of ASIN_PATTERNS) {
+    const match = pattern.exec(path);
+    if (match) return match[1].toUpperCase();
+  }
+  return null;
+};
+
+const withParams = (base, params, tag) => {
+  const out = new URL(base);
+  KEPT_PARAMS.forEach((name) => {
+    if (params.has(name)) out.searchParams.set(name, params.get(name));
+  });
+  if (tag) out.searchParams.set('tag', tag);
+  return out.toString();
+};
+
+export const toAffiliateLink = (raw, { asin, marketplace = DEFAULT_MARKETPLACE, tags = ASSOCIATE_TAGS } = {}) => {
+  const url = parseUrl(raw);
+  if (!url) return raw ? String(raw).trim() : '';
+
+  if (isShortLink(raw)) {
+    if (!asin) return `${url.origin}${url.pathname}`;
+    return withParams(`https://www.${marketplace}/dp/${asin}`, new URLSearchParams(), tags[marketplace]);
+  }
+
+  const host = getMarketplaceHost(raw);
+  if (!host) return raw;
+
+  // Keep a tag the link already carries only when we have none of our own for this marketplace
+  const tag = tags[host] || url.searchParams.get('tag');
+  const productAsin = extractAsin(raw) || asin;
+  if (productAsin) {
+    return withParams(`https://www.${host}/dp/${productAsin.toUpperCase()}`, url.searchParams, tag);
+  }
+  // Non-product pages (search, deals) keep their path; the ref=… path segment is tracking too
+  const path = url.pathname.replace(/\/ref=[^/]*$/, '');
+  return withParams(`https://www.${host}${path}`, url.searchParams, tag);
+};
@@ -0,0 +1,64 @@
+import { toAffiliateLink, extractAsin, parseAssociateTags, getMarketplaceHost } from './amazonLinks';
+
+const tags = parseAssociateTags('amazon.com:deals-20, www.amazon.co.uk:deals-21');
+
+test('associate tags are read per marketplace', () => {
+  expect(tags).toEqual({ 'amazon.com': 'deals-20', 'amazon.co.uk': 'deals-21' });
+  expect(parseAssociateTags(undefined)).toEqual({});
+});
+
+test('ASINs are found in every product URL style', () => {
+  expect(extractAsin('https://www.amazon.com/Echo-Dot/dp/B09B8V1LZ3/ref=sr_1_1?keywords=echo')).toBe('B09B8V1LZ3');
+  expect(extractAsin('https://www.amazon.com/gp/product/B09B8V1LZ3?psc=1')).toBe('B09B8V1LZ3');
+  expect(extractAsin('https://www.amazon.com/gp/aw/d/b09b8v1lz3')).toBe('B09B8V1LZ3');
+  expect(extractAsin('https://www.amazon.com/s?k=echo')).toBeNull();
+});
+
+test('product links become canonical /dp/ links with our tag and no tracking', () => {
+  const url = 'https://smile.amazon.com/Echo-Dot/dp/B09B8V1LZ3/ref=sr_1_1?crid=XYZ&keywords=echo&psc=1&tag=someone-20';
+  expect(toAffiliateLink(url, { tags })).toBe('https://www.amazon.com/dp/B09B8V1LZ3?psc=1&tag=deals-20');
+  expect(toAffiliateLink('https://www.amazon.co.uk/gp/product/B0000000UK', { tags })).toBe(
+    'https://www.amazon.co.uk/dp/B0000000UK?tag=deals-21'
+  );
+});
+
+test('an existing tag is kept only when we have none for that marketplace', () => {
+  expect(toAffiliateLink('https://www.amazon.de/dp/B0000000DE?tag=partner-21&ref_=x', { tags })).toBe(
+    'https://www.amazon.de/dp/B0000000DE?tag=partner-21'
+  );
+});
+
+test('short links are canonicalised when the ASIN is known, otherwise only stripped', () => {
+  expect(toAffiliateLink('https://amzn.to/3abcDEF?foo=1', { tags, asin: 'B09B8V1LZ3' })).toBe(
+    'https://www.amazon.com/dp/B09B8V1LZ3?tag=deals-20'
+  );
+  expect(toAffiliateLink('https://amzn.to/3abcDEF?foo=1', { tags })).toBe('https://amzn.to/3abcDEF');
+});
+
+test('non-product Amazon pages keep their path, other sites are untouched', () => {
+  expect(toAffiliateLink('https://www.amazon.com/s/ref=nb_sb_noss?k=echo&crid=1', { tags })).toBe(
+    'https://www.amazon.com/s?k=echo&tag=deals-20'
+  );
+  expect(toAffiliateLink('https://example.com/item?utm_source=x', { tags })).toBe('https://example.com/item?utm_source=x');
+  expect(toAffiliateLink('not a url', { tags })).toBe('not a url');
+  expect(getMarketplaceHost('https://www.amazon.co.uk/dp/B0000000UK')).toBe('amazon.co.uk');
+});
+
+test('look-alike hosts are not Amazon storefronts and keep their links untouched', () => {
+  expect(getMarketplaceHost('https://www.amazon.com.example.net/dp/B0000000AA')).toBeNull();
+  expect(getMarketplaceHost('https://amazon.evil/dp/B0000000AA')).toBeNull();
+  expect(getMarketplaceHost('https://smile.amazon.de/dp/B0000000AA')).toBe('amazon.de');
+  expect(toAffiliateLink('https://www.amazon.com.example.net/dp/B0000000AA?ref=x', { tags })).toBe(
+    'https://www.amazon.com.example.net/dp/B0000000AA?ref=x'
+  );
+});
+
+test('storefronts we do not search are still cleaned up as Amazon links', () => {
+  expect(getMarketplaceHost('https://www.amazon.co.jp/dp/B0000000JP')).toBe('amazon.co.jp');
+  expect(toAffiliateLink('https://www.amazon.fr/Lampe/dp/B0000000FR/ref=sr_1_2?crid=X&tag=partner-21', { tags })).toBe(
+    'https://www.amazon.fr/dp/B0000000FR?tag=partner-21'
+  );
+  expect(toAffiliateLink('https://www.amazon.com.au/gp/product/B0000000AU?psc=1&ref_=x', { tags })).toBe(
+    'https://www.amazon.com.au/dp/B0000000AU?psc=1'
+  );
+});
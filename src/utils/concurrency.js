@@ -0,0 +1,24 @@
+// utils/concurrency.js - Run async work over a list without flooding the backend
+
+// Calls worker(item, index) for every item with at most `limit` calls in flight.
+// Resolves to one { ok, value | error } per item, in input order; never rejects.
+// `onResult(result, index)` sees each result as soon as its item settles, for progress.
+export const mapWithConcurrency = async (items, limit, worker, onResult = () => {}) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = { ok: true, value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { ok: false, error };
+      }
+      onResult(results[index], index);
+    }
+  };
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+};
@@ -0,0 +1,35 @@
+import { mapWithConcurrency } from './concurrency';
+
+test('never runs more than the limit at once and keeps input order', async () => {
+  let running = 0;
+  let peak = 0;
+  const worker = async (n) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, 5 - n));
+    running -= 1;
+    return n * 2;
+  };
+  const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, worker);
+  expect(peak).toBe(2);
+  expect(results.map((r) => r.value)).toEqual([2, 4, 6, 8, 10]);
+});
+
+test('a failing item does not stop the others', async () => {
+  const results = await mapWithConcurrency(['ok', 'bad', 'ok'], 3, async (x) => {
+    if (x === 'bad') throw new Error('nope');
+    return x;
+  });
+  expect(results.map((r) => r.ok)).toEqual([true, false, true]);
+  expect(results[1].error.message).toBe('nope');
+});
+
+test('reports each result as its item settles', async () => {
+  const seen = [];
+  await mapWithConcurrency([30, 1], 2, async (ms) => {
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    if (ms === 1) throw new Error('fast failure');
+    return ms;
+  }, (result, index) => seen.push([index, result.ok]));
+  expect(seen).toEqual([[1, false], [0, true]]);
+});
@@ -0,0 +1,30 @@
+// utils/dealExport.js - Selected deals as CSV or JSON for spreadsheets and other tools
+import { toCsv } from './csv';
+import { getDealCode, dealLink } from './deals';
+import { getMarketplace } from './marketplaces';
+
+const FIELDS = [
+  ['asin', (d) => d.asin],
+  ['title', (d) => d.title],
+  ['marketplace', (d) => getMarketplace(d.marketplace).id],
+  ['currency', (d) => getMarketplace(d.marketplace).currency],
+  ['current_price', (d) => d.currentPrice],
+  ['original_price', (d) => d.originalPrice],
+  ['discount', (d) => d.discount],
+  ['rating', (d) => d.rating],
+  ['review_count', (d) => d.reviewCount],
+  ['code', (d) => getDealCode(d)],
+  ['url', (d) => dealLink(d)],
+  ['image', (d) => d.image],
+  ['rewritten', (d) => d.rewritten],
+];
+
+export const dealsToCsv = (deals) =>
+  toCsv([FIELDS.map(([name]) => name), ...deals.map((d) => FIELDS.map(([, read]) => read(d)))]);
+
+export const dealsToJson = (deals) =>
+  JSON.stringify(
+    deals.map((d) => Object.fromEntries(FIELDS.map(([name, read]) => [name, read(d) === undefined ? null : read(d)]))),
+    null,
+    2
+  );
@@ -0,0 +1,127 @@
+// utils/dealFilters.js - Board filters and sort orders, and their round trip through the URL query
+import { getDealCode } from './deals';
+
+export const DEFAULT_FILTERS = {
+  minDiscount: 20,
+  couponOnly: false,
+  nearLowOnly: false,
+  maxAboveLowPct: 10,
+  minPrice: '',
+  maxPrice: '',
+  minRating: 0,
+  minReviews: 0,
+  minScore: 0,
+  include: '',
+  exclude: '',
+  blocklist: '',
+  sort: 'newest',
+};
+
+// Filter key -> query parameter. Only values that differ from the defaults go in the URL.
+const QUERY_PARAMS = {
+  minDiscount: 'discount',
+  couponOnly: 'coupon',
+  nearLowOnly: 'nearLow',
+  maxAboveLowPct: 'aboveLow',
+  minPrice: 'minPrice',
+  maxPrice: 'maxPrice',
+  minRating: 'rating',
+  minReviews: 'reviews',
+  minScore: 'score',
+  include: 'include',
+  exclude: 'exclude',
+  blocklist: 'block',
+  sort: 'sort',
+};
+
+const savings = (d) => (Number(d.originalPrice) || 0) - (Number(d.currentPrice) || 0);
+const desc = (read) => (a, b) => (Number(read(b)) || 0) - (Number(read(a)) || 0);
+
+export const SORT_OPTIONS = [
+  // New results are always put on top of the board, so board order is newest first
+  { id: 'newest', label: 'Newest first', compare: null },
+  { id: 'discount', label: 'Biggest discount', compare: desc((d) => d.discount) },
+  { id: 'savings', label: 'Biggest savings', compare: desc(savings) },
+  { id: 'priceAsc', label: 'Price: low to high', compare: (a, b) => (Number(a.currentPrice) || 0) - (Number(b.currentPrice) || 0) },
+  { id: 'priceDesc', label: 'Price: high to low', compare: desc((d) => d.currentPrice) },
+  { id: 'rating', label: 'Best rated', compare: desc((d) => d.rating) },
+  { id: 'reviews', label: 'Most reviews', compare: desc((d) => d.reviewCount) },
+  // The score depends on the tunable weights, so sortDeals() is given the scoring function
+  { id: 'score', label: 'Best score', byScore: true },
+];
+
+// "usb-c, Anker ,  " -> ['usb-c', 'anker']
+export const parseKeywords = (text) =>
+  String(text || '')
+    .split(',')
+    .map((k) => k.trim().toLowerCase())
+    .filter(Boolean);
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+
+// `aboveLowOf(deal)` returns how far the deal is above its lowest recorded price, in percent;
+// `scoreOf(deal)` returns its quality score (see dealScore.js)
+export const makeDealFilter = (filters, aboveLowOf = () => 0, scoreOf = () => 100) => {
+  const include = parseKeywords(filters.include);
+  const exclude = parseKeywords(filters.exclude);
+  const blocklist = parseKeywords(filters.blocklist);
+  const minPrice = toNumber(filters.minPrice);
+  const maxPrice = toNumber(filters.maxPrice);
+
+  return (d) => {
+    const title = String(d.title || '').toLowerCase();
+    const brand = String(d.brand || '').toLowerCase();
+    const price = Number(d.currentPrice);
+
+    if ((Number(d.discount) || 0) < filters.minDiscount) return false;
+    if (filters.couponOnly && !getDealCode(d)) return false;
+    if (filters.nearLowOnly && d.asin && aboveLowOf(d) > filters.maxAboveLowPct) return false;
+    if (Number.isFinite(minPrice) && !(price >= minPrice)) return false;
+    if (Number.isFinite(maxPrice) && !(price <= maxPrice)) return false;
+    if (filters.minRating > 0 && !(Number(d.rating) >= filters.minRating)) return false;
+    if (filters.minReviews > 0 && !(Number(d.reviewCount) >= filters.minReviews)) return false;
+    if (filters.minScore > 0 && scoreOf(d) < filters.minScore) return false;
+    if (include.length && !include.some((k) => title.includes(k))) return false;
+    if (exclude.some((k) => title.includes(k))) return false;
+    if (blocklist.some((k) => title.includes(k) || brand === k)) return false;
+    return true;
+  };
+};
+
+export const sortDeals = (deals, sortId, scoreOf = () => 0) => {
+  const option = SORT_OPTIONS.find((o) => o.id === sortId);
+  if (option && option.byScore) return [...deals].sort(desc(scoreOf));
+  return option && option.compare ? [...deals].sort(option.compare) : deals;
+};
+
+// Parameters in `baseSearch` that are not filters are kept as they are. Filters named in
+// `always` are written even at their default, so an empty value still reaches the reader.
+export const filtersToQuery = (filters, baseSearch = '', { always = [] } = {}) => {
+  const params = new URLSearchParams(baseSearch);
+  Object.entries(QUERY_PARAMS).forEach(([key, param]) => {
+    const value = filters[key];
+    params.delete(param);
+    if (value === DEFAULT_FILTERS[key] && !always.includes(key)) return;
+    if (typeof DEFAULT_FILTERS[key] === 'boolean') params.set(param, value ? '1' : '0');
+    else params.set(param, String(value));
+  });
+  return params.toString();
+};
+
+// Unknown or malformed parameters are ignored so old and hand-edited links still open
+export const filtersFromQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  Object.entries(QUERY_PARAMS).forEach(([key, param]) => {
+    if (!params.has(param)) return;
+    const raw = params.get(param);
+    const fallback = DEFAULT_FILTERS[key];
+    if (typeof fallback === 'boolean') filters[key] = raw === '1' || raw === 'true';
+    else if (typeof fallback === 'number') {
+      if (Number.isFinite(Number(raw)) && raw !== '') filters[key] = Number(raw);
+    } else if (key === 'sort') {
+      if (SORT_OPTIONS.some((o) => o.id === raw)) filters[key] = raw;
+    } else filters[key] = raw;
+  });
+  return filters;
+};
@@ -0,0 +1,75 @@
+import { DEFAULT_FILTERS, makeDealFilter, sortDeals, filtersToQuery, filtersFromQuery, parseKeywords } from './dealFilters';
+
+const deal = (overrides) => ({
+  title: 'Anker USB-C Charger',
+  asin: 'B0001',
+  discount: 30,
+  originalPrice: 40,
+  currentPrice: 25,
+  rating: 4.6,
+  reviewCount: 900,
+  ...overrides,
+});
+
+const passes = (filters, d = deal({})) => makeDealFilter({ ...DEFAULT_FILTERS, ...filters })(d);
+
+test('keyword lists are comma separated and case insensitive', () => {
+  expect(parseKeywords(' USB-C, Anker ,, ')).toEqual(['usb-c', 'anker']);
+});
+
+test('price range, rating and review count', () => {
+  expect(passes({ minPrice: '20', maxPrice: '30' })).toBe(true);
+  expect(passes({ maxPrice: '20' })).toBe(false);
+  expect(passes({ minRating: 4.7 })).toBe(false);
+  expect(passes({ minReviews: 1000 })).toBe(false);
+  expect(passes({ minReviews: 500 }, deal({ reviewCount: undefined }))).toBe(false);
+});
+
+test('title include/exclude keywords and the brand blocklist', () => {
+  expect(passes({ include: 'charger, cable' })).toBe(true);
+  expect(passes({ include: 'cable' })).toBe(false);
+  expect(passes({ exclude: 'usb-c' })).toBe(false);
+  expect(passes({ blocklist: 'acme' }, deal({ brand: 'ACME', title: 'Charger' }))).toBe(false);
+  expect(passes({ blocklist: 'anker' })).toBe(false);
+});
+
+test('the near-low filter only applies to deals with an ASIN', () => {
+  const filter = makeDealFilter({ ...DEFAULT_FILTERS, nearLowOnly: true, maxAboveLowPct: 5 }, () => 12);
+  expect(filter(deal({}))).toBe(false);
+  expect(filter(deal({ asin: undefined }))).toBe(true);
+});
+
+test('sorts without touching the board order for "newest"', () => {
+  const deals = [deal({ id: 1, originalPrice: 100, currentPrice: 30, discount: 10 }), deal({ id: 2, currentPrice: 10, discount: 50 })];
+  expect(sortDeals(deals, 'newest')).toBe(deals);
+  expect(sortDeals(deals, 'priceAsc').map((d) => d.id)).toEqual([2, 1]);
+  expect(sortDeals(deals, 'discount').map((d) => d.id)).toEqual([2, 1]);
+  expect(sortDeals(deals, 'savings').map((d) => d.id)).toEqual([1, 2]);
+});
+
+test('the score threshold hides low scores and the score sort ranks by it', () => {
+  const scores = { 1: 35, 2: 80 };
+  const scoreOf = (d) => scores[d.id];
+  const deals = [deal({ id: 1 }), deal({ id: 2 })];
+  const filter = makeDealFilter({ ...DEFAULT_FILTERS, minScore: 50 }, () => 0, scoreOf);
+  expect(deals.filter(filter).map((d) => d.id)).toEqual([2]);
+  expect(sortDeals(deals, 'score', scoreOf).map((d) => d.id)).toEqual([2, 1]);
+});
+
+test('filters round-trip through the query string, keeping other parameters', () => {
+  const filters = { ...DEFAULT_FILTERS, minDiscount: 40, couponOnly: true, minPrice: '10', include: 'usb-c, anker', sort: 'rating' };
+  const query = filtersToQuery(filters, '?tab=deals&discount=5');
+  expect(query).toContain('tab=deals');
+  expect(query).not.toContain('maxPrice');
+  expect({ ...DEFAULT_FILTERS, ...filtersFromQuery(query) }).toEqual(filters);
+  expect(filtersToQuery(DEFAULT_FILTERS)).toBe('');
+});
+
+test('filters named in `always` are written even when empty', () => {
+  expect(filtersToQuery(DEFAULT_FILTERS, '', { always: ['blocklist'] })).toBe('block=');
+  expect(filtersFromQuery('?block=')).toEqual({ blocklist: '' });
+});
+
+test('malformed query values are ignored', () => {
+  expect(filtersFromQuery('?discount=lots&sort=random&rating=4')).toEqual({ minRating: 4 });
+});
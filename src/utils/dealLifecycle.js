@@ -0,0 +1,77 @@
+// utils/dealLifecycle.js - Deal statuses (new → shortlisted → posted / skipped) and the posting log
+import { SHARE_TARGETS } from '../posts/shareTargets';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DEAL_STATUSES = [
+  { id: 'new', label: '🆕 New', color: '#667eea' },
+  { id: 'shortlisted', label: '⭐ Shortlisted', color: '#f0ad4e' },
+  { id: 'posted', label: '📤 Posted', color: '#28a745' },
+  { id: 'skipped', label: '⏭️ Skipped', color: '#999' },
+];
+
+export const DEAL_STATUS_IDS = DEAL_STATUSES.map((s) => s.id);
+
+// Deals from before statuses existed, or straight from a search, are new
+export const dealStatus = (deal) => (DEAL_STATUS_IDS.includes(deal.status) ? deal.status : 'new');
+
+export const getDealStatus = (id) => DEAL_STATUSES.find((s) => s.id === id) || DEAL_STATUSES[0];
+
+export const groupByStatus = (deals) => {
+  const groups = Object.fromEntries(DEAL_STATUS_IDS.map((id) => [id, []]));
+  deals.forEach((deal) => groups[dealStatus(deal)].push(deal));
+  return groups;
+};
+
+// Copying a post counts as posting it; the network is then unknown
+export const CLIPBOARD_NETWORK = 'clipboard';
+
+// The log outlives the board, so it is capped rather than expired with the deals
+export const MAX_POSTINGS = 1000;
+
+export const createPosting = ({ asin, title, network, text, url }, at = Date.now()) => ({
+  id: `posting-${at.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  asin: asin || '',
+  title: title || '',
+  network,
+  text,
+  url: url || '',
+  at,
+});
+
+export const postingNetworkLabel = (network) => {
+  if (network === CLIPBOARD_NETWORK) return 'Clipboard';
+  return SHARE_TARGETS[network] ? SHARE_TARGETS[network].label : network;
+};
+
+export const appendPosting = (history, posting) => [...history, posting].slice(-MAX_POSTINGS);
+
+// Postings of the same product within the last `days`, newest first
+export const recentPostingsOf = (history, asin, days, now = Date.now()) => {
+  if (!asin || !(days > 0)) return [];
+  return history
+    .filter((p) => p.asin === asin && now - p.at < days * DAY)
+    .sort((a, b) => b.at - a.at);
+};
+
+export const latestPostingByAsin = (history) => {
+  const latest = {};
+  history.forEach((p) => {
+    if (p.asin && (!latest[p.asin] || p.at > latest[p.asin].at)) latest[p.asin] = p;
+  });
+  return latest;
+};
+
+// The product's last posting from the log, or from the deal itself when it has no ASIN
+export const lastPostingOf = (deal, byAsin = {}) =>
+  (deal.asin && byAsin[deal.asin]) ||
+  (deal.postings || []).reduce((latest, p) => (!latest || p.at > latest.at ? p : latest), null);
+
+export const formatAgo = (at, now = Date.now()) => {
+  const minutes = Math.max(0, Math.round((now - at) / 60000));
+  if (minutes < 60) return minutes <= 1 ? 'just now' : `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.round(hours / 24);
+  return days === 1 ? 'yesterday' : `${days} days ago`;
+};
@@ -0,0 +1,69 @@
+import {
+  dealStatus,
+  groupByStatus,
+  createPosting,
+  appendPosting,
+  recentPostingsOf,
+  formatAgo,
+  latestPostingByAsin,
+  lastPostingOf,
+  postingNetworkLabel,
+  MAX_POSTINGS,
+} from './dealLifecycle';
+
+const HOUR = 60 * 60 * 1000;
+
+test('deals without a known status are new, and group into the status columns', () => {
+  expect(dealStatus({})).toBe('new');
+  expect(dealStatus({ status: 'archived' })).toBe('new');
+  const groups = groupByStatus([{ id: 1, status: 'posted' }, { id: 2 }, { id: 3, status: 'skipped' }]);
+  expect(Object.keys(groups)).toEqual(['new', 'shortlisted', 'posted', 'skipped']);
+  expect(groups.new.map((d) => d.id)).toEqual([2]);
+  expect(groups.shortlisted).toEqual([]);
+  expect(groups.posted.map((d) => d.id)).toEqual([1]);
+});
+
+test('the posting log keeps the most recent postings', () => {
+  const posting = createPosting({ asin: 'B1', network: 'x', text: 'Post' }, 5);
+  expect(posting).toEqual(expect.objectContaining({ asin: 'B1', network: 'x', text: 'Post', title: '', at: 5 }));
+  const full = Array.from({ length: MAX_POSTINGS }, (_, i) => ({ id: i }));
+  const next = appendPosting(full, posting);
+  expect(next).toHaveLength(MAX_POSTINGS);
+  expect(next[0].id).toBe(1);
+  expect(next[MAX_POSTINGS - 1]).toBe(posting);
+});
+
+test('recent postings of the same product, newest first', () => {
+  const now = 100 * 24 * HOUR;
+  const history = [
+    { asin: 'B1', at: now - 50 * HOUR },
+    { asin: 'B2', at: now - HOUR },
+    { asin: 'B1', at: now - 2 * HOUR },
+    { asin: 'B1', at: now - 200 * HOUR },
+  ];
+  expect(recentPostingsOf(history, 'B1', 7, now).map((p) => p.at)).toEqual([now - 2 * HOUR, now - 50 * HOUR]);
+  expect(recentPostingsOf(history, 'B1', 0, now)).toEqual([]);
+  expect(recentPostingsOf(history, '', 7, now)).toEqual([]);
+});
+
+test('the last posting of a deal comes from the log by ASIN, or from the deal', () => {
+  const byAsin = latestPostingByAsin([{ asin: 'B1', at: 5 }, { asin: 'B1', at: 9 }, { asin: '', at: 20 }]);
+  expect(Object.keys(byAsin)).toEqual(['B1']);
+  expect(lastPostingOf({ asin: 'B1' }, byAsin).at).toBe(9);
+  expect(lastPostingOf({ postings: [{ at: 3 }, { at: 7 }] }, byAsin).at).toBe(7);
+  expect(lastPostingOf({ asin: 'B2' }, byAsin)).toBeNull();
+  expect([postingNetworkLabel('clipboard'), postingNetworkLabel('x'), postingNetworkLabel('mastodon')]).toEqual([
+    'Clipboard',
+    'X',
+    'mastodon',
+  ]);
+});
+
+test('times are shown relative to now', () => {
+  const now = 10 * 24 * HOUR;
+  expect(formatAgo(now - 30000, now)).toBe('just now');
+  expect(formatAgo(now - 25 * 60000, now)).toBe('25 min ago');
+  expect(formatAgo(now - 3 * HOUR, now)).toBe('3 h ago');
+  expect(formatAgo(now - 26 * HOUR, now)).toBe('yesterday');
+  expect(formatAgo(now - 72 * HOUR, now)).toBe('3 days ago');
+});
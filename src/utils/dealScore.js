@@ -0,0 +1,104 @@
+// utils/dealScore.js - A 0–100 quality score per deal from tunable, weighted factors
+import { getDealCode } from './deals';
+import { formatPrice } from './marketplaces';
+
+// Each factor maps a deal to 0..1, or null when the deal doesn't say (the factor is then
+// left out and the remaining weights share the score).
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+const toNumber = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+const logScale = (n, full) => clamp01(Math.log10(1 + n) / Math.log10(1 + full));
+
+export const SCORE_FACTORS = [
+  {
+    id: 'discount',
+    label: 'Discount',
+    describe: (deal) => `${deal.discount}% off`,
+    // 70% off and more is as good as it gets
+    value: (deal) => (Number.isFinite(toNumber(deal.discount)) ? clamp01(toNumber(deal.discount) / 70) : null),
+  },
+  {
+    id: 'savings',
+    label: 'Savings',
+    describe: (deal) => `${formatPrice(toNumber(deal.originalPrice) - toNumber(deal.currentPrice), deal.marketplace)} saved`,
+    // Log scale: saving 20 instead of 2 matters more than 220 instead of 200
+    value: (deal) => {
+      const saved = toNumber(deal.originalPrice) - toNumber(deal.currentPrice);
+      return Number.isFinite(saved) ? logScale(Math.max(0, saved), 200) : null;
+    },
+  },
+  {
+    id: 'rating',
+    label: 'Rating',
+    describe: (deal) => `${deal.rating}/5`,
+    // Below 3 stars counts as nothing
+    value: (deal) => (toNumber(deal.rating) > 0 ? clamp01((toNumber(deal.rating) - 3) / 2) : null),
+  },
+  {
+    id: 'reviews',
+    label: 'Reviews',
+    describe: (deal) => `${deal.reviewCount} reviews`,
+    value: (deal) => (Number.isFinite(toNumber(deal.reviewCount)) ? logScale(toNumber(deal.reviewCount), 10000) : null),
+  },
+  {
+    id: 'coupon',
+    label: 'Coupon',
+    describe: (deal) => (getDealCode(deal) ? `code ${getDealCode(deal)}` : 'no code'),
+    value: (deal) => (getDealCode(deal) ? 1 : 0),
+  },
+  {
+    id: 'priceHistory',
+    label: 'Price history',
+    describe: (deal, { aboveLowPct }) => `${Math.round(aboveLowPct)}% above lowest seen`,
+    // At the lowest seen price is best; 25% or more above it scores nothing
+    value: (deal, { aboveLowPct }) =>
+      aboveLowPct === null || aboveLowPct === undefined ? null : clamp01(1 - aboveLowPct / 25),
+  },
+];
+
+export const DEFAULT_SCORE_WEIGHTS = {
+  discount: 30,
+  savings: 15,
+  rating: 20,
+  reviews: 15,
+  coupon: 5,
+  priceHistory: 15,
+};
+
+export const MAX_SCORE_WEIGHT = 50;
+
+export const normalizeScoreWeights = (weights = {}) =>
+  Object.fromEntries(
+    SCORE_FACTORS.map(({ id }) => {
+      const w = Number(weights[id]);
+      return [id, Number.isFinite(w) ? Math.min(MAX_SCORE_WEIGHT, Math.max(0, w)) : DEFAULT_SCORE_WEIGHTS[id]];
+    })
+  );
+
+// `aboveLowPct` is how far the deal sits above its lowest recorded price, or null when
+// there isn't enough history to say. Returns { score, parts } where each part's points
+// add up to the score.
+export const scoreDeal = (deal, { weights = DEFAULT_SCORE_WEIGHTS, aboveLowPct = null } = {}) => {
+  const extra = { aboveLowPct };
+  const known = SCORE_FACTORS.map((factor) => ({ factor, value: factor.value(deal, extra) })).filter(
+    ({ factor, value }) => value !== null && weights[factor.id] > 0
+  );
+  const totalWeight = known.reduce((sum, { factor }) => sum + weights[factor.id], 0);
+  if (totalWeight === 0) return { score: 0, parts: [] };
+
+  const parts = known.map(({ factor, value }) => ({
+    id: factor.id,
+    label: factor.label,
+    detail: factor.describe(deal, extra),
+    value,
+    weight: weights[factor.id],
+    points: (100 * value * weights[factor.id]) / totalWeight,
+  }));
+  return { score: Math.round(parts.reduce((sum, p) => sum + p.points, 0)), parts };
+};
+
+// Plain-text breakdown for a tooltip
+export const describeScore = ({ score, parts }) =>
+  [
+    `Score ${score}/100`,
+    ...parts.map((p) => `${p.label}: +${p.points.toFixed(1)} (${p.detail})`),
+  ].join('\n');
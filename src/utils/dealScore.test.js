@@ -0,0 +1,58 @@
+import { scoreDeal, describeScore, normalizeScoreWeights, DEFAULT_SCORE_WEIGHTS } from './dealScore';
+
+const bestseller = {
+  discount: 60,
+  originalPrice: 100,
+  currentPrice: 40,
+  rating: 4.8,
+  reviewCount: 25000,
+  couponCode: 'SAVE5',
+};
+const obscure = { discount: 21, originalPrice: 10, currentPrice: 7.9, rating: 3.2, reviewCount: 3 };
+
+test('a popular deep discount outscores a small one with a few reviews', () => {
+  const high = scoreDeal(bestseller).score;
+  const low = scoreDeal(obscure).score;
+  expect(high).toBeGreaterThan(80);
+  expect(low).toBeLessThan(30);
+});
+
+test('the parts add up to the score', () => {
+  const result = scoreDeal(bestseller, { aboveLowPct: 5 });
+  expect(result.parts.map((p) => p.id)).toEqual(['discount', 'savings', 'rating', 'reviews', 'coupon', 'priceHistory']);
+  expect(Math.round(result.parts.reduce((sum, p) => sum + p.points, 0))).toBe(result.score);
+});
+
+test('unknown factors drop out instead of counting as zero', () => {
+  const withoutRating = scoreDeal({ ...bestseller, rating: undefined, reviewCount: undefined });
+  expect(withoutRating.parts.map((p) => p.id)).not.toContain('rating');
+  expect(withoutRating.score).toBeGreaterThan(80);
+  expect(scoreDeal(bestseller).parts.map((p) => p.id)).not.toContain('priceHistory');
+});
+
+test('weights steer the score and zero weights switch a factor off', () => {
+  const couponOnly = normalizeScoreWeights({ discount: 0, savings: 0, rating: 0, reviews: 0, coupon: 10, priceHistory: 0 });
+  expect(scoreDeal(bestseller, { weights: couponOnly }).score).toBe(100);
+  expect(scoreDeal(obscure, { weights: couponOnly }).score).toBe(0);
+  expect(scoreDeal(obscure, { weights: normalizeScoreWeights({ discount: 0, savings: 0, rating: 0, reviews: 0, coupon: 0, priceHistory: 0 }) })).toEqual({ score: 0, parts: [] });
+});
+
+test('price history rewards deals at their lowest seen price', () => {
+  const weights = { ...DEFAULT_SCORE_WEIGHTS, priceHistory: 50 };
+  expect(scoreDeal(obscure, { weights, aboveLowPct: 0 }).score).toBeGreaterThan(scoreDeal(obscure, { weights, aboveLowPct: 30 }).score);
+});
+
+test('weights are clamped and missing ones fall back to the defaults', () => {
+  expect(normalizeScoreWeights({ discount: 99, rating: -3, reviews: 'x' })).toEqual({
+    ...DEFAULT_SCORE_WEIGHTS,
+    discount: 50,
+    rating: 0,
+  });
+});
+
+test('the breakdown lists each factor with its points', () => {
+  const text = describeScore(scoreDeal(obscure));
+  expect(text.split('\n')[0]).toMatch(/^Score \d+\/100$/);
+  expect(text).toContain('Discount: +');
+  expect(text).toContain('(3 reviews)');
+});
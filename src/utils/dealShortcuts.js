@@ -0,0 +1,22 @@
+// utils/dealShortcuts.js - Single-key actions on the focused deal card
+
+// `key` is KeyboardEvent.key (lowercased for letters); `keys` is the aria-keyshortcuts spelling
+export const DEAL_SHORTCUTS = [
+  { id: 'rewrite', key: 'r', keys: 'R', label: 'AI rewrite' },
+  { id: 'copy', key: 'c', keys: 'C', label: 'copy the post' },
+  { id: 'share', key: 's', keys: 'S', label: 'share on Facebook' },
+  { id: 'queue', key: 'q', keys: 'Q', label: 'add to the queue' },
+  { id: 'edit', key: 'e', keys: 'E', label: 'edit the post' },
+  { id: 'select', key: ' ', keys: 'Space', label: 'select' },
+];
+
+export const DEAL_SHORTCUT_KEYS = DEAL_SHORTCUTS.map((s) => s.keys).join(' ');
+
+// The shortcut id for a keydown, or null. Browser and OS combinations (Ctrl+C and the
+// like) are left alone; Shift is allowed so Shift+Space can extend the selection.
+export const shortcutFor = (event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  const shortcut = DEAL_SHORTCUTS.find((s) => s.key === key);
+  return shortcut ? shortcut.id : null;
+};
@@ -0,0 +1,19 @@
+import { shortcutFor, DEAL_SHORTCUT_KEYS } from './dealShortcuts';
+
+test('maps single keys to deal actions in either case', () => {
+  expect(shortcutFor({ key: 'r' })).toBe('rewrite');
+  expect(shortcutFor({ key: 'C' })).toBe('copy');
+  expect(shortcutFor({ key: ' ', shiftKey: true })).toBe('select');
+  expect(shortcutFor({ key: 'x' })).toBeNull();
+  expect(shortcutFor({ key: 'Enter' })).toBeNull();
+});
+
+test('leaves browser combinations alone', () => {
+  expect(shortcutFor({ key: 'c', ctrlKey: true })).toBeNull();
+  expect(shortcutFor({ key: 'c', metaKey: true })).toBeNull();
+  expect(shortcutFor({ key: 'r', altKey: true })).toBeNull();
+});
+
+test('lists the keys for aria-keyshortcuts', () => {
+  expect(DEAL_SHORTCUT_KEYS).toBe('R C S Q E Space');
+});
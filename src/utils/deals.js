@@ -0,0 +1,6 @@
+// utils/deals.js - Small helpers shared by everything that reads a deal
+import { toAffiliateLink } from './amazonLinks';
+
+export const getDealCode = (deal) => deal.code || deal.couponCode || deal.promoCode || deal.coupon || '';
+
+export const dealLink = (deal) => toAffiliateLink(deal.url, { asin: deal.asin, marketplace: deal.marketplace });
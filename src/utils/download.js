@@ -0,0 +1,13 @@
+// utils/download.js - Save generated text or images as a file from the browser
+
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadText = (filename, text, type = 'text/plain') =>
+  downloadBlob(filename, new Blob([text], { type }));
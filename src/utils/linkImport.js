@@ -0,0 +1,143 @@
+// utils/linkImport.js - Lists and CSVs of Amazon links turned into reviewable rows, then deals
+import { parseCsv } from './csv';
+import { extractAsin, getMarketplaceHost, isShortLink } from './amazonLinks';
+import { parseAmount } from './marketplaces';
+
+export const MAX_IMPORT_ROWS = 200;
+
+// Header names we recognise, lower case with spaces and punctuation removed
+const HEADER_ALIASES = {
+  url: ['url', 'link', 'producturl', 'amazonurl', 'amazonlink'],
+  title: ['title', 'name', 'product', 'productname'],
+  originalPrice: ['originalprice', 'original', 'listprice', 'was', 'rrp', 'uvp'],
+  currentPrice: ['currentprice', 'price', 'dealprice', 'now', 'saleprice', 'preis'],
+  couponCode: ['coupon', 'couponcode', 'code', 'promocode', 'gutschein', 'gutscheincode'],
+};
+// Columns of a CSV without a header row
+const POSITIONAL_COLUMNS = ['url', 'originalPrice', 'currentPrice', 'couponCode'];
+
+const headerKey = (cell) => {
+  const name = String(cell).toLowerCase().replace(/[^a-z]/g, '');
+  return Object.keys(HEADER_ALIASES).find((key) => HEADER_ALIASES[key].includes(name)) || null;
+};
+
+// "€ 1.299,00" -> "1299"; '' when there is no number in it
+export const normalizePrice = (raw) => {
+  const digits = String(raw || '').replace(/[^\d.,\s]/g, '').trim();
+  if (!/\d/.test(digits)) return '';
+  const amount = parseAmount(digits);
+  return Number.isFinite(amount) ? String(Math.round(amount * 100) / 100) : '';
+};
+
+// Finds the link in a cell: a full URL, a bare "amazon.de/dp/…" or just an ASIN
+const findUrl = (cell, marketplace) => {
+  const text = String(cell || '').trim();
+  const full = text.match(/https?:\/\/\S+/i);
+  if (full) return full[0].replace(/[),.;]+$/, '');
+  const bare = text.match(/\b(?:www\.)?(?:amazon\.[a-z.]+|amzn\.to|a\.co|amzn\.eu|amzn\.asia)\/\S*/i);
+  if (bare) return `https://${bare[0]}`;
+  if (/^[A-Z0-9]{10}$/.test(text) && /[A-Z]/.test(text)) return `https://www.${marketplace}/dp/${text}`;
+  return '';
+};
+
+const detectDelimiter = (firstLine) => {
+  if (firstLine.includes('\t')) return '\t';
+  if (firstLine.includes(';')) return ';';
+  return ',';
+};
+
+let nextRowId = 0;
+
+// Returns { rows, duplicates, skipped }. Rows are
+// { id, url, title, originalPrice, currentPrice, couponCode, error } with prices as plain number strings.
+export const parseLinkImport = (text, { marketplace = 'amazon.com' } = {}) => {
+  const source = String(text || '').trim();
+  if (!source) return { rows: [], duplicates: 0, skipped: 0 };
+  const table = parseCsv(source, detectDelimiter(source.split(/\r?\n/)[0])).filter((cells) =>
+    cells.some((c) => c.trim())
+  );
+
+  let columns = POSITIONAL_COLUMNS;
+  const header = table[0].map(headerKey);
+  if (header.includes('url') && !findUrl(table[0].join(' '), marketplace)) {
+    columns = header;
+    table.shift();
+  }
+
+  const seen = new Set();
+  const rows = [];
+  let duplicates = 0;
+  let skipped = 0;
+  table.forEach((cells) => {
+    const fields = {};
+    columns.forEach((key, i) => {
+      if (key && cells[i] !== undefined) fields[key] = cells[i].trim();
+    });
+    const url = findUrl(fields.url, marketplace);
+    if (!url) {
+      skipped += 1;
+      return;
+    }
+    const key = extractAsin(url) || url;
+    if (seen.has(key)) {
+      duplicates += 1;
+      return;
+    }
+    seen.add(key);
+    nextRowId += 1;
+    rows.push({
+      id: `import-${nextRowId}`,
+      url,
+      title: fields.title || '',
+      originalPrice: normalizePrice(fields.originalPrice),
+      currentPrice: normalizePrice(fields.currentPrice),
+      couponCode: fields.couponCode || '',
+      error: getMarketplaceHost(url) || isShortLink(url) ? '' : 'Not an Amazon link',
+    });
+  });
+  return { rows: rows.slice(0, MAX_IMPORT_ROWS), duplicates, skipped: skipped + Math.max(0, rows.length - MAX_IMPORT_ROWS) };
+};
+
+// Metadata fills in what the sourcer left blank; typed values always win
+export const mergeImportMetadata = (row, meta) => ({
+  ...row,
+  asin: row.asin || meta.asin || extractAsin(row.url) || '',
+  title: row.title || meta.title || '',
+  description: meta.description || '',
+  image: meta.image || '',
+  originalPrice: row.originalPrice || normalizePrice(meta.originalPrice),
+  currentPrice: row.currentPrice || normalizePrice(meta.discountedPrice),
+});
+
+// What still has to be fixed before a row can become a deal card
+export const importRowProblems = (row) => {
+  const problems = [];
+  if (row.error) problems.push(row.error);
+  if (!String(row.title || '').trim()) problems.push('Title missing');
+  const current = Number(row.currentPrice);
+  const original = Number(row.originalPrice);
+  if (!(current > 0)) problems.push('Current price missing');
+  if (row.originalPrice !== '' && row.originalPrice !== undefined && original < current) {
+    problems.push('Original price is below the current price');
+  }
+  return problems;
+};
+
+// Same shape as deals from /api/search, so imported cards get every board feature
+export const importRowToDeal = (row, { marketplace = 'amazon.com' } = {}) => {
+  const currentPrice = Number(row.currentPrice);
+  const originalPrice = row.originalPrice === '' ? currentPrice : Number(row.originalPrice);
+  return {
+    asin: row.asin || extractAsin(row.url) || undefined,
+    title: row.title.trim(),
+    description: row.description || '',
+    url: row.url,
+    image: row.image || '',
+    originalPrice,
+    currentPrice,
+    discount: originalPrice > 0 ? Math.round(((originalPrice - currentPrice) / originalPrice) * 100) : 0,
+    ...(row.couponCode ? { couponCode: row.couponCode } : {}),
+    marketplace: getMarketplaceHost(row.url) || marketplace,
+    source: 'import',
+  };
+};
@@ -0,0 +1,85 @@
+import { parseLinkImport, mergeImportMetadata, importRowProblems, importRowToDeal, normalizePrice } from './linkImport';
+import { parseCsv } from './csv';
+
+test('parses quoted CSV cells', () => {
+  expect(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\n')).toEqual([
+    ['a', 'b, c', 'say "hi"'],
+    ['1', '2', '3'],
+  ]);
+  expect(parseCsv('a;b', ';')).toEqual([['a', 'b']]);
+});
+
+test('a pasted list keeps one row per product and skips lines without a link', () => {
+  const { rows, duplicates, skipped } = parseLinkImport(
+    [
+      'https://www.amazon.com/dp/B09B8V1LZ3?ref=abc',
+      'Look: https://www.amazon.com/Echo-Dot/dp/B09B8V1LZ3/',
+      'amazon.de/dp/B0000000K1',
+      'B07XJ8C8F5',
+      'see you tomorrow',
+      'https://example.com/product/1',
+      'https://www.amazon.com.example.net/dp/B0LOOKALK1',
+      'https://www.amazon.es/dp/B0000000ES',
+    ].join('\n')
+  );
+  expect(rows.map((r) => r.url)).toEqual([
+    'https://www.amazon.com/dp/B09B8V1LZ3?ref=abc',
+    'https://amazon.de/dp/B0000000K1',
+    'https://www.amazon.com/dp/B07XJ8C8F5',
+    'https://example.com/product/1',
+    'https://www.amazon.com.example.net/dp/B0LOOKALK1',
+    'https://www.amazon.es/dp/B0000000ES',
+  ]);
+  expect(rows[3].error).toBe('Not an Amazon link');
+  expect(rows[4].error).toBe('Not an Amazon link');
+  expect(rows[5].error).toBe('');
+  expect(duplicates).toBe(1);
+  expect(skipped).toBe(1);
+});
+
+test('CSV columns come from the header in any order, or by position without one', () => {
+  const withHeader = parseLinkImport('Coupon;Price;URL;Original Price\nSAVE5;"19,99 €";https://www.amazon.de/dp/B0000000K1;29,99');
+  expect(withHeader.rows[0]).toEqual(
+    expect.objectContaining({ couponCode: 'SAVE5', currentPrice: '19.99', originalPrice: '29.99', url: 'https://www.amazon.de/dp/B0000000K1' })
+  );
+  const positional = parseLinkImport('https://www.amazon.com/dp/B09B8V1LZ3,$49.99,$29.99,ECHO5');
+  expect(positional.rows[0]).toEqual(expect.objectContaining({ originalPrice: '49.99', currentPrice: '29.99', couponCode: 'ECHO5' }));
+});
+
+test('prices are normalised whatever the locale', () => {
+  expect(normalizePrice('€ 1.299,00')).toBe('1299');
+  expect(normalizePrice('$1,299.50')).toBe('1299.5');
+  expect(normalizePrice('n/a')).toBe('');
+});
+
+test('typed values win over fetched metadata and problems block conversion', () => {
+  const [row] = parseLinkImport('https://www.amazon.com/dp/B09B8V1LZ3,,19.99').rows;
+  const merged = mergeImportMetadata(row, { title: 'Echo Dot', image: 'img.jpg', originalPrice: '49.99', discountedPrice: '29.99' });
+  expect(merged).toEqual(expect.objectContaining({ title: 'Echo Dot', originalPrice: '49.99', currentPrice: '19.99', asin: 'B09B8V1LZ3' }));
+  expect(importRowProblems(merged)).toEqual([]);
+  expect(importRowProblems({ ...merged, title: ' ', currentPrice: '' })).toEqual(['Title missing', 'Current price missing']);
+  expect(importRowProblems({ ...merged, originalPrice: '10' })).toEqual(['Original price is below the current price']);
+});
+
+test('rows become deals shaped like search results', () => {
+  const deal = importRowToDeal({
+    url: 'https://www.amazon.co.uk/dp/B0000000K1',
+    title: ' Kettle ',
+    originalPrice: '40',
+    currentPrice: '30',
+    couponCode: 'TEA',
+  });
+  expect(deal).toEqual({
+    asin: 'B0000000K1',
+    title: 'Kettle',
+    description: '',
+    url: 'https://www.amazon.co.uk/dp/B0000000K1',
+    image: '',
+    originalPrice: 40,
+    currentPrice: 30,
+    discount: 25,
+    couponCode: 'TEA',
+    marketplace: 'amazon.co.uk',
+    source: 'import',
+  });
+});
@@ -0,0 +1,131 @@
+// utils/marketplaces.js - Amazon storefronts we search, with their currency, locale and post wording
+
+const ENGLISH = {
+  disclosure: '#ad',
+  dealAlert: 'DEAL ALERT!',
+  off: 'OFF',
+  was: 'Was',
+  now: 'Now',
+  save: 'Save',
+  price: 'Price',
+  reviews: 'reviews',
+  useCode: 'Use code',
+  grabIt: 'Grab it now! 👇',
+  disclaimer: 'Prices may change at any time.',
+  topDeals: 'TOP DEALS',
+};
+
+const GERMAN = {
+  disclosure: '#Werbung',
+  dealAlert: 'DEAL-ALARM!',
+  off: 'RABATT',
+  was: 'Vorher',
+  now: 'Jetzt',
+  save: 'Du sparst',
+  price: 'Preis',
+  reviews: 'Bewertungen',
+  useCode: 'Gutscheincode',
+  grabIt: 'Jetzt zuschlagen! 👇',
+  disclaimer: 'Preise können sich jederzeit ändern.',
+  topDeals: 'TOP-ANGEBOTE',
+};
+
+export const POST_PHRASES = { en: ENGLISH, de: GERMAN };
+
+// Hashtags that count as an advertising disclosure, in any supported language (lower case)
+export const DISCLOSURE_TAGS = ['#ad', '#sponsored', '#affiliate', '#werbung', '#anzeige'];
+
+export const DEFAULT_MARKETPLACE = 'amazon.com';
+
+export const MARKETPLACES = {
+  'amazon.com': {
+    id: 'amazon.com',
+    label: '🇺🇸 Amazon.com',
+    currency: 'USD',
+    locale: 'en-US',
+    language: 'en',
+    hashtags: '#AmazonDeals #AllAboutSavings',
+  },
+  'amazon.co.uk': {
+    id: 'amazon.co.uk',
+    label: '🇬🇧 Amazon.co.uk',
+    currency: 'GBP',
+    locale: 'en-GB',
+    language: 'en',
+    hashtags: '#AmazonUK #UKDeals #AllAboutSavings',
+  },
+  'amazon.de': {
+    id: 'amazon.de',
+    label: '🇩🇪 Amazon.de',
+    currency: 'EUR',
+    locale: 'de-DE',
+    language: 'de',
+    hashtags: '#AmazonAngebote #Schnäppchen #AllAboutSavings',
+  },
+  'amazon.ca': {
+    id: 'amazon.ca',
+    label: '🇨🇦 Amazon.ca',
+    currency: 'CAD',
+    locale: 'en-CA',
+    language: 'en',
+    hashtags: '#AmazonCanada #CanadaDeals #AllAboutSavings',
+  },
+  'amazon.in': {
+    id: 'amazon.in',
+    label: '🇮🇳 Amazon.in',
+    currency: 'INR',
+    locale: 'en-IN',
+    language: 'en',
+    hashtags: '#AmazonIndia #DealsIndia #AllAboutSavings',
+  },
+};
+
+export const MARKETPLACE_IDS = Object.keys(MARKETPLACES);
+
+export const getMarketplace = (id) => MARKETPLACES[id] || MARKETPLACES[DEFAULT_MARKETPLACE];
+
+export const getPostPhrases = (marketplaceId) => POST_PHRASES[getMarketplace(marketplaceId).language] || ENGLISH;
+
+const formatterCache = {};
+const getCurrencyFormatter = (locale, currency) => {
+  const key = `${locale}|${currency}`;
+  if (!formatterCache[key]) {
+    formatterCache[key] = new Intl.NumberFormat(locale, { style: 'currency', currency });
+  }
+  return formatterCache[key];
+};
+
+export const formatPrice = (value, marketplaceId) => {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(n)) return '';
+  const { locale, currency } = getMarketplace(marketplaceId);
+  return getCurrencyFormatter(locale, currency).format(n);
+};
+
+// "1,299.99", "1.299,99", "19,50", "₹1,29,999" -> numbers; a lone separator followed by
+// one or two digits is the decimal point, anything else groups thousands
+export const parseAmount = (raw) => {
+  const s = raw.replace(/\s/g, '');
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+  let decimal = null;
+  if (lastComma !== -1 && lastDot !== -1) decimal = lastComma > lastDot ? ',' : '.';
+  else if (lastComma !== -1 && /,\d{1,2}$/.test(s)) decimal = ',';
+  else if (lastDot !== -1 && /\.\d{1,2}$/.test(s)) decimal = '.';
+  if (!decimal) return Number(s.replace(/[.,]/g, ''));
+  const at = s.lastIndexOf(decimal);
+  return Number(`${s.slice(0, at).replace(/[.,]/g, '')}.${s.slice(at + 1)}`);
+};
+
+export const currencySymbol = (marketplaceId) => {
+  const { locale, currency } = getMarketplace(marketplaceId);
+  const part = getCurrencyFormatter(locale, currency)
+    .formatToParts(0)
+    .find((p) => p.type === 'currency');
+  return part ? part.value : currency;
+};
+
+export const formatCount = (value, marketplaceId) => {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n.toLocaleString(getMarketplace(marketplaceId).locale) : '';
+};
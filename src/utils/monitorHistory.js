@@ -0,0 +1,127 @@
+// utils/monitorHistory.js - Monitor stats over time as rates, spike detection and per-endpoint client timings
+
+export const MONITOR_HISTORY_MS = 24 * 3600000;
+const MAX_SNAPSHOTS = 1500;
+const MAX_TIMINGS_PER_ENDPOINT = 100;
+
+export const TIMED_ENDPOINTS = [
+  { endpoint: '/api/search', label: 'Search' },
+  { endpoint: '/api/rewrite', label: 'Rewrite' },
+  { endpoint: '/api/fetch-metadata', label: 'Metadata' },
+  { endpoint: '/api/monitor/stats', label: 'Monitor' },
+];
+
+export const DEFAULT_ALERT_SETTINGS = {
+  notify: false,
+  // Percent of the requests in one polling interval
+  errorRatePct: 20,
+  throttleRatePct: 10,
+  // Fewer requests than this in an interval say too little to alert on
+  minRequests: 5,
+};
+
+const toCount = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+export const normalizeAlertSettings = (raw = {}) => {
+  const pct = (value, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(100, Math.max(1, Math.round(n))) : fallback;
+  };
+  return {
+    notify: raw.notify === true,
+    errorRatePct: pct(raw.errorRatePct, DEFAULT_ALERT_SETTINGS.errorRatePct),
+    throttleRatePct: pct(raw.throttleRatePct, DEFAULT_ALERT_SETTINGS.throttleRatePct),
+    minRequests: Math.max(1, Math.round(Number(raw.minRequests)) || DEFAULT_ALERT_SETTINGS.minRequests),
+  };
+};
+
+export const snapshotFromStats = (stats, t = Date.now()) => ({
+  t,
+  totalRequests: toCount(stats.totalRequests),
+  successCount: toCount(stats.successCount),
+  errorCount: toCount(stats.errorCount),
+  throttleCount: toCount(stats.throttleCount),
+});
+
+// Keeps the last 24 hours
+export const appendSnapshot = (snapshots, snapshot) =>
+  [...snapshots.filter((s) => s.t < snapshot.t), snapshot]
+    .filter((s) => snapshot.t - s.t <= MONITOR_HISTORY_MS)
+    .slice(-MAX_SNAPSHOTS);
+
+// One point per pair of snapshots: { t, requests, requestsPerMin, errorRate, throttleRate },
+// rates in percent of the requests in that interval. Counters going down mean the backend
+// restarted, so that interval is left out.
+export const toRatePoints = (snapshots) =>
+  snapshots.slice(1).flatMap((s, i) => {
+    const prev = snapshots[i];
+    const minutes = (s.t - prev.t) / 60000;
+    const requests = s.totalRequests - prev.totalRequests;
+    const errors = s.errorCount - prev.errorCount;
+    const throttles = s.throttleCount - prev.throttleCount;
+    if (minutes <= 0 || requests < 0 || errors < 0 || throttles < 0) return [];
+    return [{
+      t: s.t,
+      requests,
+      requestsPerMin: requests / minutes,
+      errorRate: requests > 0 ? (100 * errors) / requests : 0,
+      throttleRate: requests > 0 ? (100 * throttles) / requests : 0,
+    }];
+  });
+
+// Alerts for one rate point: [{ kind: 'error' | 'throttle', rate, message }]
+export const detectSpikes = (point, settings = DEFAULT_ALERT_SETTINGS) => {
+  if (!point || point.requests < settings.minRequests) return [];
+  const alerts = [];
+  if (point.errorRate >= settings.errorRatePct) {
+    alerts.push({
+      kind: 'error',
+      rate: point.errorRate,
+      message: `${Math.round(point.errorRate)}% of the last ${point.requests} requests failed`,
+    });
+  }
+  if (point.throttleRate >= settings.throttleRatePct) {
+    alerts.push({
+      kind: 'throttle',
+      rate: point.throttleRate,
+      message: `${Math.round(point.throttleRate)}% of the last ${point.requests} requests were throttled`,
+    });
+  }
+  return alerts;
+};
+
+// `timings` maps an endpoint to its most recent { t, ms, ok } entries
+export const addTiming = (timings, { endpoint, ms, ok, t = Date.now() }) => ({
+  ...timings,
+  [endpoint]: [...(timings[endpoint] || []), { t, ms: Math.round(ms), ok }].slice(-MAX_TIMINGS_PER_ENDPOINT),
+});
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+
+// One row per endpoint that has timings, known endpoints first:
+// { endpoint, label, count, failures, avgMs, p50Ms, p95Ms, lastMs }
+export const summarizeTimings = (timings) => {
+  const known = TIMED_ENDPOINTS.map((e) => e.endpoint);
+  const endpoints = [
+    ...known.filter((e) => timings[e] && timings[e].length),
+    ...Object.keys(timings).filter((e) => !known.includes(e) && timings[e].length),
+  ];
+  return endpoints.map((endpoint) => {
+    const entries = timings[endpoint];
+    const sorted = entries.map((e) => e.ms).sort((a, b) => a - b);
+    const match = TIMED_ENDPOINTS.find((e) => e.endpoint === endpoint);
+    return {
+      endpoint,
+      label: match ? match.label : endpoint,
+      count: entries.length,
+      failures: entries.filter((e) => !e.ok).length,
+      avgMs: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+      p50Ms: percentile(sorted, 50),
+      p95Ms: percentile(sorted, 95),
+      lastMs: entries[entries.length - 1].ms,
+    };
+  });
+};
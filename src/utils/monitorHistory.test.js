@@ -0,0 +1,60 @@
+import {
+  appendSnapshot,
+  snapshotFromStats,
+  toRatePoints,
+  detectSpikes,
+  addTiming,
+  summarizeTimings,
+  normalizeAlertSettings,
+  MONITOR_HISTORY_MS,
+} from './monitorHistory';
+
+const snap = (minute, totalRequests, errorCount = 0, throttleCount = 0) => ({
+  t: minute * 60000,
+  totalRequests,
+  successCount: totalRequests - errorCount,
+  errorCount,
+  throttleCount,
+});
+
+test('snapshots keep the counters and only the last 24 hours', () => {
+  expect(snapshotFromStats({ totalRequests: '12', successCount: 10, errorCount: 2 }, 5)).toEqual({
+    t: 5,
+    totalRequests: 12,
+    successCount: 10,
+    errorCount: 2,
+    throttleCount: 0,
+  });
+  const old = { ...snap(0, 1), t: 0 };
+  const next = appendSnapshot([old], { ...snap(1, 2), t: MONITOR_HISTORY_MS + 1 });
+  expect(next).toHaveLength(1);
+});
+
+test('rates are per interval and skip backend restarts', () => {
+  const points = toRatePoints([snap(0, 100, 1), snap(2, 140, 11, 2), snap(3, 5, 0), snap(4, 15, 0, 5)]);
+  expect(points).toEqual([
+    { t: 120000, requests: 40, requestsPerMin: 20, errorRate: 25, throttleRate: 5 },
+    { t: 240000, requests: 10, requestsPerMin: 10, errorRate: 0, throttleRate: 50 },
+  ]);
+});
+
+test('spikes are reported past the thresholds, but not on a handful of requests', () => {
+  const settings = normalizeAlertSettings({ errorRatePct: 20, throttleRatePct: 10, minRequests: 5 });
+  expect(detectSpikes({ requests: 40, errorRate: 25, throttleRate: 5 }, settings)).toEqual([
+    { kind: 'error', rate: 25, message: '25% of the last 40 requests failed' },
+  ]);
+  expect(detectSpikes({ requests: 2, errorRate: 100, throttleRate: 100 }, settings)).toEqual([]);
+  expect(detectSpikes(undefined, settings)).toEqual([]);
+});
+
+test('timings are summarised per endpoint, known endpoints first', () => {
+  let timings = {};
+  [100, 300, 200, 400].forEach((ms, i) => {
+    timings = addTiming(timings, { endpoint: '/api/rewrite', ms, ok: i !== 3, t: i });
+  });
+  timings = addTiming(timings, { endpoint: '/api/search', ms: 50.4, ok: true, t: 9 });
+  expect(summarizeTimings(timings)).toEqual([
+    { endpoint: '/api/search', label: 'Search', count: 1, failures: 0, avgMs: 50, p50Ms: 50, p95Ms: 50, lastMs: 50 },
+    { endpoint: '/api/rewrite', label: 'Rewrite', count: 4, failures: 1, avgMs: 250, p50Ms: 300, p95Ms: 400, lastMs: 400 },
+  ]);
+});
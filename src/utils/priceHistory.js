@@ -0,0 +1,50 @@
+// utils/priceHistory.js - Price points per ASIN and what they say about a deal
+
+export const MAX_POINTS_PER_ASIN = 200;
+// Repeat searches within this window at an unchanged price collapse into one point
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+
+export const appendPricePoint = (points = [], point, maxPoints = MAX_POINTS_PER_ASIN) => {
+  if (!Number.isFinite(point.current)) return points;
+  const last = points[points.length - 1];
+  if (
+    last &&
+    last.current === point.current &&
+    last.original === point.original &&
+    point.t - last.t < DUPLICATE_WINDOW_MS
+  ) {
+    return points;
+  }
+  return [...points, point].slice(-maxPoints);
+};
+
+// Prices are per storefront; US keys stay bare ASINs so existing history keeps matching
+export const priceHistoryKey = (deal, marketplace = deal.marketplace) => {
+  if (!deal.asin) return null;
+  return marketplace && marketplace !== 'amazon.com' ? `${marketplace}:${deal.asin}` : deal.asin;
+};
+
+export const pricePointFromDeal = (deal, t = Date.now()) => ({
+  t,
+  current: Number(deal.currentPrice),
+  original: Number(deal.originalPrice),
+});
+
+export const summarizeHistory = (points) => {
+  if (!points || points.length === 0) return null;
+  const prices = points.map((p) => p.current);
+  return {
+    lowest: Math.min(...prices),
+    highest: Math.max(...prices),
+    average: prices.reduce((sum, p) => sum + p, 0) / prices.length,
+    count: prices.length,
+    since: points[0].t,
+  };
+};
+
+// Percentage the current price sits above the lowest price seen (0 = at the low)
+export const percentAboveLow = (currentPrice, points) => {
+  const summary = summarizeHistory(points);
+  if (!summary || !(summary.lowest > 0)) return 0;
+  return ((Number(currentPrice) - summary.lowest) / summary.lowest) * 100;
+};
@@ -0,0 +1,27 @@
+import { appendPricePoint, summarizeHistory, percentAboveLow } from './priceHistory';
+
+const HOUR = 60 * 60 * 1000;
+
+test('identical prices seen moments apart collapse into one point', () => {
+  const first = appendPricePoint([], { t: 0, current: 10, original: 20 });
+  expect(appendPricePoint(first, { t: 1000, current: 10, original: 20 })).toBe(first);
+  expect(appendPricePoint(first, { t: HOUR, current: 10, original: 20 })).toHaveLength(2);
+  expect(appendPricePoint(first, { t: 1000, current: 9, original: 20 })).toHaveLength(2);
+});
+
+test('history is capped to the most recent points', () => {
+  let points = [];
+  for (let i = 0; i < 5; i += 1) points = appendPricePoint(points, { t: i * HOUR, current: i + 1 }, 3);
+  expect(points.map((p) => p.current)).toEqual([3, 4, 5]);
+});
+
+test('summary and distance from the historical low', () => {
+  const points = [
+    { t: 0, current: 40 },
+    { t: HOUR, current: 30 },
+    { t: 2 * HOUR, current: 35 },
+  ];
+  expect(summarizeHistory(points)).toMatchObject({ lowest: 30, highest: 40, average: 35, count: 3 });
+  expect(percentAboveLow(36, points)).toBeCloseTo(20);
+  expect(percentAboveLow(36, [])).toBe(0);
+});
@@ -0,0 +1,71 @@
+// utils/queueExport.js - The post queue as CSV or iCalendar for external schedulers
+import { toCsv } from './csv';
+
+export const queueToCsv = (queue) => {
+  const header = ['planned_at', 'network', 'title', 'url', 'image', 'text'];
+  const rows = [...queue]
+    .sort((a, b) => a.plannedAt - b.plannedAt)
+    .map((item) => [new Date(item.plannedAt).toISOString(), item.network, item.title, item.url, item.image, item.text]);
+  return toCsv([header, ...rows]);
+};
+
+const icsDate = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsText = (value) =>
+  String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const utf8Length = (ch) => {
+  const cp = ch.codePointAt(0);
+  if (cp < 0x80) return 1;
+  if (cp < 0x800) return 2;
+  return cp < 0x10000 ? 3 : 4;
+};
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a single space
+const foldLine = (line) => {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of Array.from(line)) {
+    const limit = out.length === 0 ? 75 : 74;
+    if (bytes + utf8Length(ch) > limit) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += utf8Length(ch);
+  }
+  out.push(current);
+  return out.join('\r\n ');
+};
+
+export const queueToIcs = (queue, now = Date.now()) => {
+  const events = [...queue]
+    .sort((a, b) => a.plannedAt - b.plannedAt)
+    .flatMap((item) => [
+      'BEGIN:VEVENT',
+      `UID:${item.id}@amazon-deals-finder`,
+      `DTSTAMP:${icsDate(now)}`,
+      `DTSTART:${icsDate(item.plannedAt)}`,
+      'DURATION:PT15M',
+      `SUMMARY:${icsText(`[${item.network}] ${item.title}`)}`,
+      `DESCRIPTION:${icsText(item.text)}`,
+      ...(item.url ? [`URL:${item.url}`] : []),
+      'END:VEVENT',
+    ]);
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Amazon Deals Finder//Post Queue//EN',
+    'CALSCALE:GREGORIAN',
+    ...events,
+    'END:VCALENDAR',
+  ]
+    .map(foldLine)
+    .join('\r\n');
+};
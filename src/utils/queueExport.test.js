@@ -0,0 +1,40 @@
+import { queueToCsv, queueToIcs } from './queueExport';
+
+const queue = [
+  {
+    id: 'post-2',
+    network: 'x',
+    title: 'Kettle, steel',
+    url: 'https://www.amazon.com/dp/B0000000K1',
+    image: '',
+    text: 'Line one\nSay "hi"',
+    plannedAt: Date.UTC(2026, 0, 5, 14, 30),
+  },
+  {
+    id: 'post-1',
+    network: 'facebook',
+    title: 'Echo Dot',
+    url: 'https://www.amazon.com/dp/B09B8V1LZ3',
+    image: '',
+    text: `#ad ${'🔥 '.repeat(40)}`,
+    plannedAt: Date.UTC(2026, 0, 5, 9, 0),
+  },
+];
+
+test('CSV is sorted by time and quotes cells that need it', () => {
+  const lines = queueToCsv(queue).split('\r\n');
+  expect(lines[0]).toBe('planned_at,network,title,url,image,text');
+  expect(lines[1].startsWith('2026-01-05T09:00:00.000Z,facebook,Echo Dot,')).toBe(true);
+  expect(lines[2]).toBe('2026-01-05T14:30:00.000Z,x,"Kettle, steel",https://www.amazon.com/dp/B0000000K1,,"Line one\nSay ""hi"""');
+});
+
+test('ICS has one escaped, folded event per post', () => {
+  const ics = queueToIcs(queue, Date.UTC(2026, 0, 1));
+  const lines = ics.split('\r\n');
+  expect(lines[0]).toBe('BEGIN:VCALENDAR');
+  expect(lines.filter((l) => l === 'BEGIN:VEVENT')).toHaveLength(2);
+  expect(ics).toContain('DTSTART:20260105T090000Z');
+  expect(ics).toContain('SUMMARY:[x] Kettle\\, steel');
+  expect(ics).toContain('DESCRIPTION:Line one\\nSay "hi"');
+  expect(lines.every((l) => Buffer.byteLength(l, 'utf8') <= 75)).toBe(true);
+});
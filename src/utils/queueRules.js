@@ -0,0 +1,45 @@
+// utils/queueRules.js - Spacing rules for the post queue
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const DEFAULT_QUEUE_RULES = {
+  // Posts on the same network must be at least this far apart
+  minGapMinutes: 30,
+  // The same ASIN must not be queued twice within this many days, on any network
+  duplicateAsinDays: 7,
+};
+
+export const findRuleViolations = (queue, item, rules = DEFAULT_QUEUE_RULES) => {
+  const problems = [];
+  const gap = rules.minGapMinutes * MINUTE;
+  const dupWindow = rules.duplicateAsinDays * DAY;
+
+  queue.forEach((other) => {
+    if (other.id === item.id) return;
+    const distance = Math.abs(other.plannedAt - item.plannedAt);
+    if (gap > 0 && other.network === item.network && distance < gap) {
+      problems.push(`Within ${rules.minGapMinutes} min of “${other.title}” on the same network`);
+    }
+    if (dupWindow > 0 && item.asin && other.asin === item.asin && distance < dupWindow) {
+      problems.push(`Same product is already queued within ${rules.duplicateAsinDays} days`);
+    }
+  });
+  return problems;
+};
+
+// Earliest time at or after `from` (rounded up to the gap) that breaks no spacing rule
+// on the item's network. Duplicate-ASIN clashes are reported, not scheduled around.
+export const nextFreeSlot = (queue, item, from = Date.now(), rules = DEFAULT_QUEUE_RULES) => {
+  const step = Math.max(rules.minGapMinutes, 5) * MINUTE;
+  let candidate = Math.ceil(from / step) * step;
+  const gap = rules.minGapMinutes * MINUTE;
+  const taken = queue
+    .filter((q) => q.id !== item.id && q.network === item.network)
+    .map((q) => q.plannedAt);
+  const clashes = (at) => taken.some((t) => Math.abs(t - at) < gap);
+  for (let i = 0; i < 24 * 60 && clashes(candidate); i += 1) {
+    candidate += step;
+  }
+  return candidate;
+};
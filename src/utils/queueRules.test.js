@@ -0,0 +1,25 @@
+import { findRuleViolations, nextFreeSlot, DEFAULT_QUEUE_RULES } from './queueRules';
+
+const MINUTE = 60 * 1000;
+const base = Date.UTC(2026, 0, 5, 12, 0);
+const item = (id, minutes, extra = {}) => ({ id, title: id, network: 'facebook', asin: id, plannedAt: base + minutes * MINUTE, ...extra });
+
+test('posts on the same network must respect the minimum gap', () => {
+  const queue = [item('a', 0)];
+  expect(findRuleViolations(queue, item('b', 10))).toHaveLength(1);
+  expect(findRuleViolations(queue, item('b', 10, { network: 'x' }))).toHaveLength(0);
+  expect(findRuleViolations(queue, item('b', 30))).toHaveLength(0);
+});
+
+test('the same ASIN cannot be queued twice within the duplicate window', () => {
+  const queue = [item('a', 0, { asin: 'B0001' })];
+  const again = item('b', 3 * 24 * 60, { asin: 'B0001', network: 'x' });
+  expect(findRuleViolations(queue, again)[0]).toMatch(/already queued/);
+  expect(findRuleViolations(queue, again, { ...DEFAULT_QUEUE_RULES, duplicateAsinDays: 2 })).toHaveLength(0);
+});
+
+test('the next free slot skips taken slots on the same network', () => {
+  const queue = [item('a', 0), item('b', 30)];
+  expect(nextFreeSlot(queue, item('c', 0), base)).toBe(base + 60 * MINUTE);
+  expect(nextFreeSlot(queue, item('c', 0, { network: 'x' }), base)).toBe(base);
+});
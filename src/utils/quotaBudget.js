@@ -0,0 +1,86 @@
+// utils/quotaBudget.js - How much of the backend's daily and monthly request quota is left, and how fast it goes
+
+export const DEFAULT_BUDGET_SETTINGS = {
+  // Percent of the daily or monthly limit
+  warnAtPct: 75,
+  blockAtPct: 90,
+};
+
+const HOUR = 3600000;
+// Burn rate is measured over the recent samples only, so a busy morning doesn't skew the evening
+const RATE_WINDOW_MS = 2 * HOUR;
+const MAX_SAMPLES = 120;
+
+const clampPct = (n, fallback) => (Number.isFinite(n) ? Math.min(100, Math.max(1, Math.round(n))) : fallback);
+
+// Raising the warning past the block threshold takes the block threshold with it;
+// unknown values fall back to the defaults
+export const normalizeBudgetSettings = (raw = {}) => {
+  const warnAtPct = clampPct(Number(raw.warnAtPct), DEFAULT_BUDGET_SETTINGS.warnAtPct);
+  const blockAtPct = clampPct(Number(raw.blockAtPct), DEFAULT_BUDGET_SETTINGS.blockAtPct);
+  return { warnAtPct, blockAtPct: Math.max(warnAtPct, blockAtPct) };
+};
+
+// Appends a { t, dailyCount } sample from a stats response. A count lower than the last
+// one means the daily quota was reset, which starts the samples over.
+export const addStatsSample = (samples, stats, t = Date.now()) => {
+  const dailyCount = Number(stats.dailyCount);
+  if (!Number.isFinite(dailyCount)) return samples;
+  const last = samples[samples.length - 1];
+  if (last && dailyCount < last.dailyCount) return [{ t, dailyCount }];
+  return [...samples, { t, dailyCount }].filter((s) => t - s.t <= RATE_WINDOW_MS).slice(-MAX_SAMPLES);
+};
+
+const startOfDay = (t) => {
+  const d = new Date(t);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+// Requests per hour from the samples, or, with too little to go on, the average since
+// local midnight (the backend's day may start at a different hour, so it's only a guess).
+export const burnRate = (samples, stats, now = Date.now()) => {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  if (first && last && last.t - first.t >= 5 * 60000) {
+    return ((last.dailyCount - first.dailyCount) / (last.t - first.t)) * HOUR;
+  }
+  const hours = (now - startOfDay(now)) / HOUR;
+  return hours >= 1 ? Number(stats.dailyCount) / hours : null;
+};
+
+// Returns { level: 'ok' | 'warn' | 'block', usedPct, dailyLeft, monthlyLeft, left,
+// perHour, projectedDaily, exhaustsAt, reason }. `left` is what the tighter of the two
+// limits still allows today; `exhaustsAt` is null when the quota lasts the day.
+export const assessBudget = (stats, { settings = DEFAULT_BUDGET_SETTINGS, samples = [], now = Date.now() } = {}) => {
+  const dailyLimit = Number(stats.dailyLimit);
+  const monthlyLimit = Number(stats.monthlyLimit);
+  const dailyLeft = Math.max(0, dailyLimit - Number(stats.dailyCount));
+  const monthlyLeft = Math.max(0, monthlyLimit - Number(stats.monthlyCount));
+  const dailyPct = dailyLimit > 0 ? (100 * Number(stats.dailyCount)) / dailyLimit : 0;
+  const monthlyPct = monthlyLimit > 0 ? (100 * Number(stats.monthlyCount)) / monthlyLimit : 0;
+  const usedPct = Math.round(Math.max(dailyPct, monthlyPct) * 10) / 10;
+  const left = Math.min(dailyLeft, monthlyLeft);
+
+  const perHour = burnRate(samples, stats, now);
+  const hoursLeftToday = (startOfDay(now) + 24 * HOUR - now) / HOUR;
+  const projectedDaily = perHour === null ? null : Math.round(Number(stats.dailyCount) + perHour * hoursLeftToday);
+  const exhaustsAt =
+    perHour > 0 && left / perHour < hoursLeftToday ? Math.round(now + (left / perHour) * HOUR) : null;
+
+  const which = monthlyPct > dailyPct ? 'monthly' : 'daily';
+  let level = 'ok';
+  let reason = '';
+  if (usedPct >= settings.blockAtPct || left === 0) {
+    level = 'block';
+    reason = `${usedPct}% of the ${which} quota used`;
+  } else if (usedPct >= settings.warnAtPct) {
+    level = 'warn';
+    reason = `${usedPct}% of the ${which} quota used`;
+  } else if (exhaustsAt !== null) {
+    level = 'warn';
+    reason = 'At this rate the quota runs out before the day is over';
+  }
+
+  return { level, usedPct, dailyLeft, monthlyLeft, left, perHour, projectedDaily, exhaustsAt, reason };
+};
@@ -0,0 +1,45 @@
+import { assessBudget, addStatsSample, burnRate, normalizeBudgetSettings } from './quotaBudget';
+
+const at = (hours, minutes = 0) => new Date(2024, 4, 10, hours, minutes).getTime();
+const stats = (dailyCount, monthlyCount = dailyCount) => ({ dailyCount, dailyLimit: 1000, monthlyCount, monthlyLimit: 20000 });
+
+test('settings stay within 1–100 and keep the block threshold at or above the warning', () => {
+  expect(normalizeBudgetSettings({ warnAtPct: 95, blockAtPct: 80 })).toEqual({ warnAtPct: 95, blockAtPct: 95 });
+  expect(normalizeBudgetSettings({ warnAtPct: 'x', blockAtPct: 500 })).toEqual({ warnAtPct: 75, blockAtPct: 100 });
+});
+
+test('samples are kept for two hours and start over when the daily count resets', () => {
+  let samples = addStatsSample([], stats(100), at(9));
+  samples = addStatsSample(samples, stats(150), at(10));
+  samples = addStatsSample(samples, stats(200), at(11, 30));
+  expect(samples.map((s) => s.dailyCount)).toEqual([150, 200]);
+  expect(addStatsSample(samples, stats(3), at(11, 40))).toEqual([{ t: at(11, 40), dailyCount: 3 }]);
+});
+
+test('the burn rate comes from the samples, or the day so far without enough of them', () => {
+  const samples = [{ t: at(10), dailyCount: 100 }, { t: at(10, 30), dailyCount: 130 }];
+  expect(burnRate(samples, stats(130), at(10, 30))).toBeCloseTo(60);
+  expect(burnRate([], stats(120), at(12))).toBeCloseTo(10);
+  expect(burnRate([], stats(5), at(0, 30))).toBeNull();
+});
+
+test('levels follow the thresholds and the tighter of the two limits', () => {
+  expect(assessBudget(stats(100), { now: at(12) })).toEqual(
+    expect.objectContaining({ level: 'ok', left: 900, usedPct: 10, projectedDaily: 200, exhaustsAt: null })
+  );
+  expect(assessBudget(stats(800), { now: at(20) })).toEqual(
+    expect.objectContaining({ level: 'warn', reason: '80% of the daily quota used' })
+  );
+  expect(assessBudget(stats(100, 19000), { now: at(12) })).toEqual(
+    expect.objectContaining({ level: 'block', left: 900, monthlyLeft: 1000, reason: '95% of the monthly quota used' })
+  );
+  expect(assessBudget(stats(800), { now: at(20), settings: { warnAtPct: 50, blockAtPct: 80 } }).level).toBe('block');
+});
+
+test('warns early when the current rate would use up the quota today', () => {
+  const samples = [{ t: at(10), dailyCount: 100 }, { t: at(11), dailyCount: 300 }];
+  const budget = assessBudget(stats(300), { samples, now: at(11) });
+  expect(budget.level).toBe('warn');
+  expect(budget.perHour).toBeCloseTo(200);
+  expect(budget.exhaustsAt).toBe(at(14, 30));
+});
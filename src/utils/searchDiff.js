@@ -0,0 +1,38 @@
+// utils/searchDiff.js - What changed between two checks of the same search
+
+const keyOf = (deal) => deal.asin || deal.url || deal.title;
+
+// Compact record of one check: key -> { title, price }
+export const snapshotResults = (deals) =>
+  deals.reduce((acc, deal) => {
+    const key = keyOf(deal);
+    if (key) acc[key] = { title: deal.title || key, price: Number(deal.currentPrice) };
+    return acc;
+  }, {});
+
+export const diffSnapshots = (previous, next) => {
+  const nextKeys = Object.keys(next);
+  if (!previous) {
+    return { initial: true, added: [], priceDrops: [], removed: [], total: nextKeys.length };
+  }
+
+  const added = [];
+  const priceDrops = [];
+  nextKeys.forEach((key) => {
+    const before = previous[key];
+    const after = next[key];
+    if (!before) {
+      added.push({ key, title: after.title, price: after.price });
+    } else if (after.price < before.price) {
+      priceDrops.push({ key, title: after.title, from: before.price, to: after.price });
+    }
+  });
+  const removed = Object.keys(previous)
+    .filter((key) => !next[key])
+    .map((key) => ({ key, title: previous[key].title, price: previous[key].price }));
+
+  return { initial: false, added, priceDrops, removed, total: nextKeys.length };
+};
+
+export const hasChanges = (diff) =>
+  diff.added.length > 0 || diff.priceDrops.length > 0 || diff.removed.length > 0;
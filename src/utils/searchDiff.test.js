@@ -0,0 +1,26 @@
+import { snapshotResults, diffSnapshots, hasChanges } from './searchDiff';
+
+const deal = (asin, currentPrice) => ({ asin, title: `Item ${asin}`, currentPrice });
+
+test('the first check only records a baseline', () => {
+  const diff = diffSnapshots(null, snapshotResults([deal('A', 10), deal('B', 20)]));
+  expect(diff.initial).toBe(true);
+  expect(diff.total).toBe(2);
+  expect(hasChanges(diff)).toBe(false);
+});
+
+test('reports new, cheaper and disappeared ASINs', () => {
+  const before = snapshotResults([deal('A', 10), deal('B', 20), deal('C', 30)]);
+  const after = snapshotResults([deal('A', 10), deal('B', 15), deal('D', 5)]);
+  const diff = diffSnapshots(before, after);
+
+  expect(diff.added.map((d) => d.key)).toEqual(['D']);
+  expect(diff.priceDrops).toEqual([{ key: 'B', title: 'Item B', from: 20, to: 15 }]);
+  expect(diff.removed.map((d) => d.key)).toEqual(['C']);
+  expect(hasChanges(diff)).toBe(true);
+});
+
+test('price increases are not reported as drops', () => {
+  const diff = diffSnapshots(snapshotResults([deal('A', 10)]), snapshotResults([deal('A', 12)]));
+  expect(hasChanges(diff)).toBe(false);
+});
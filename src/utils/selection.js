@@ -0,0 +1,15 @@
+// utils/selection.js - Checkbox multi-select with shift-click ranges
+
+// Plain click toggles one id. Shift-click selects everything between the anchor
+// (the last plainly clicked id) and `id` in the current display order.
+export const toggleSelection = (selected, orderedIds, id, { anchorId, range = false } = {}) => {
+  if (range && anchorId !== undefined && anchorId !== null) {
+    const from = orderedIds.indexOf(anchorId);
+    const to = orderedIds.indexOf(id);
+    if (from !== -1 && to !== -1) {
+      const span = orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+      return [...new Set([...selected, ...span])];
+    }
+  }
+  return selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id];
+};
@@ -0,0 +1,17 @@
+import { toggleSelection } from './selection';
+
+const order = ['a', 'b', 'c', 'd', 'e'];
+
+test('a plain click toggles one id', () => {
+  expect(toggleSelection([], order, 'b')).toEqual(['b']);
+  expect(toggleSelection(['a', 'b'], order, 'b')).toEqual(['a']);
+});
+
+test('shift-click adds the whole range from the anchor in either direction', () => {
+  expect(toggleSelection(['b'], order, 'd', { anchorId: 'b', range: true })).toEqual(['b', 'c', 'd']);
+  expect(toggleSelection(['e'], order, 'c', { anchorId: 'e', range: true }).sort()).toEqual(['c', 'd', 'e']);
+});
+
+test('shift-click without a visible anchor falls back to a toggle', () => {
+  expect(toggleSelection([], order, 'c', { anchorId: 'gone', range: true })).toEqual(['c']);
+});
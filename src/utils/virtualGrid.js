@@ -0,0 +1,69 @@
+// utils/virtualGrid.js - Row layout for a windowed grid: which rows are on screen and where they sit
+
+// As many columns of at least `minColumnWidth` as fit, and never fewer than one
+export const columnCount = (width, minColumnWidth, gap) =>
+  Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap)));
+
+export const chunkRows = (items, columns) => {
+  const rows = [];
+  for (let i = 0; i < items.length; i += columns) rows.push(items.slice(i, i + columns));
+  return rows;
+};
+
+// Measured heights by row index; rows not measured yet count as the average of the
+// measured ones, or `estimate` before anything was measured
+export const rowHeights = (rowCount, measured, estimate) => {
+  const known = Object.values(measured).filter((h) => h > 0);
+  const fallback = known.length ? known.reduce((sum, h) => sum + h, 0) / known.length : estimate;
+  return Array.from({ length: rowCount }, (_, i) => (measured[i] > 0 ? measured[i] : fallback));
+};
+
+// offsets[i] is the top of row i; the last entry is the total height
+export const rowOffsets = (heights) => {
+  const offsets = [0];
+  heights.forEach((h, i) => offsets.push(offsets[i] + h));
+  return offsets;
+};
+
+// Rows overlapping [top, bottom), both relative to the top of the grid: { start, end },
+// end exclusive. A viewport entirely above or below the grid still gets the nearest row.
+export const visibleRowRange = (offsets, top, bottom) => {
+  const rowCount = offsets.length - 1;
+  if (rowCount <= 0) return { start: 0, end: 0 };
+  let start = 0;
+  while (start < rowCount - 1 && offsets[start + 1] <= top) start += 1;
+  let end = start + 1;
+  while (end < rowCount && offsets[end] < bottom) end += 1;
+  return { start, end };
+};
+
+// The row the user is looking at: the first one still showing below `top`, with how far
+// its top is from `top`. Null while the grid starts below `top` (nothing scrolled past).
+export const findAnchorRow = (offsets, top) => {
+  if (top <= 0 || offsets.length < 2) return null;
+  const { start } = visibleRowRange(offsets, top, top + 1);
+  return { row: start, offset: offsets[start] - top };
+};
+
+// Where an arrow key (or Home/End) moves focus from item `index`, reading left to right
+// and row by row. Null for any other key; the same index at an edge.
+export const nextGridIndex = (index, key, count, columns) => {
+  if (count <= 0) return null;
+  const clamp = (i) => Math.min(count - 1, Math.max(0, i));
+  switch (key) {
+    case 'ArrowRight':
+      return clamp(index + 1);
+    case 'ArrowLeft':
+      return clamp(index - 1);
+    case 'ArrowDown':
+      return index + columns < count ? index + columns : index;
+    case 'ArrowUp':
+      return index - columns >= 0 ? index - columns : index;
+    case 'Home':
+      return 0;
+    case 'End':
+      return count - 1;
+    default:
+      return null;
+  }
+};
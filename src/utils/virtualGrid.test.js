@@ -0,0 +1,59 @@
+import {
+  columnCount,
+  chunkRows,
+  rowHeights,
+  rowOffsets,
+  visibleRowRange,
+  findAnchorRow,
+  nextGridIndex,
+} from './virtualGrid';
+
+test('fits as many minimum-width columns as the width allows, at least one', () => {
+  expect(columnCount(1280, 300, 20)).toBe(4);
+  expect(columnCount(619, 300, 20)).toBe(1);
+  expect(columnCount(620, 300, 20)).toBe(2);
+  expect(columnCount(0, 300, 20)).toBe(1);
+});
+
+test('splits items into rows of that many columns', () => {
+  expect(chunkRows([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+  expect(chunkRows([], 3)).toEqual([]);
+});
+
+test('unmeasured rows count as the average measured row, or the estimate', () => {
+  expect(rowHeights(3, {}, 500)).toEqual([500, 500, 500]);
+  expect(rowHeights(3, { 0: 400, 2: 600 }, 500)).toEqual([400, 500, 600]);
+  expect(rowHeights(2, { 0: 0 }, 500)).toEqual([500, 500]);
+  expect(rowOffsets([400, 500, 600])).toEqual([0, 400, 900, 1500]);
+});
+
+test('finds the rows overlapping the viewport', () => {
+  const offsets = rowOffsets([100, 100, 100, 100, 100]);
+  expect(visibleRowRange(offsets, 150, 320)).toEqual({ start: 1, end: 4 });
+  expect(visibleRowRange(offsets, 100, 200)).toEqual({ start: 1, end: 2 });
+  expect(visibleRowRange(offsets, -900, -100)).toEqual({ start: 0, end: 1 });
+  expect(visibleRowRange(offsets, 900, 1200)).toEqual({ start: 4, end: 5 });
+  expect(visibleRowRange([0], 0, 500)).toEqual({ start: 0, end: 0 });
+});
+
+test('the anchor is the first row in view once the grid is scrolled into', () => {
+  const offsets = rowOffsets([100, 100, 100]);
+  expect(findAnchorRow(offsets, 0)).toBeNull();
+  expect(findAnchorRow(offsets, 130)).toEqual({ row: 1, offset: -30 });
+  expect(findAnchorRow(offsets, 200)).toEqual({ row: 2, offset: 0 });
+});
+
+test('arrow keys move along the row and between rows, stopping at the edges', () => {
+  // 3 columns, 8 items: the last row has two
+  expect(nextGridIndex(1, 'ArrowRight', 8, 3)).toBe(2);
+  expect(nextGridIndex(2, 'ArrowRight', 8, 3)).toBe(3);
+  expect(nextGridIndex(7, 'ArrowRight', 8, 3)).toBe(7);
+  expect(nextGridIndex(0, 'ArrowLeft', 8, 3)).toBe(0);
+  expect(nextGridIndex(1, 'ArrowDown', 8, 3)).toBe(4);
+  expect(nextGridIndex(5, 'ArrowDown', 8, 3)).toBe(5);
+  expect(nextGridIndex(4, 'ArrowUp', 8, 3)).toBe(1);
+  expect(nextGridIndex(1, 'ArrowUp', 8, 3)).toBe(1);
+  expect([nextGridIndex(4, 'Home', 8, 3), nextGridIndex(4, 'End', 8, 3)]).toEqual([0, 7]);
+  expect(nextGridIndex(4, 'r', 8, 3)).toBeNull();
+  expect(nextGridIndex(0, 'ArrowRight', 0, 3)).toBeNull();
+});